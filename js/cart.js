@@ -1,332 +1,744 @@
-// Cart Module
-// Handles shopping cart functionality with localStorage persistence
-
-const CART_STORAGE_KEY = 'mh_cart';
-const PROMO_STORAGE_KEY = 'mh_promo';
-
-// Valid promo codes and their discounts
-const PROMO_CODES = {
-  'AIFORHUMANS': 0.10  // 10% off
-};
-
-/**
- * Initialize cart from localStorage
- * @returns {Array} Array of cart items
- */
-function initCart() {
-  try {
-    const stored = localStorage.getItem(CART_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error('Error loading cart from localStorage:', error);
-    return [];
-  }
-}
-
-/**
- * Save cart to localStorage
- * @param {Array} cart - Array of cart items
- */
-function saveCart(cart) {
-  try {
-    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
-  } catch (error) {
-    console.error('Error saving cart to localStorage:', error);
-  }
-}
-
-/**
- * Get the current cart
- * @returns {Array} Array of cart items
- */
-function getCart() {
-  return initCart();
-}
-
-/**
- * Add item to cart
- * @param {Object} item - Item to add
- * @param {string} item.productId - Product ID
- * @param {string} item.name - Product name
- * @param {number} item.price - Unit price
- * @param {string} item.size - Selected size
- * @param {string} item.color - Selected color
- * @param {number} item.quantity - Quantity to add
- * @param {string} item.image - Product image URL
- * @returns {Array} Updated cart
- */
-function addToCart(item) {
-  const cart = getCart();
-
-  // Check if item with same product, size, and color already exists
-  const existingIndex = cart.findIndex(cartItem =>
-    cartItem.productId === item.productId &&
-    cartItem.size === item.size &&
-    cartItem.color === item.color
-  );
-
-  if (existingIndex !== -1) {
-    // Update quantity of existing item
-    cart[existingIndex].quantity += item.quantity;
-  } else {
-    // Add new item with unique cart ID
-    cart.push({
-      ...item,
-      cartId: generateCartId()
-    });
-  }
-
-  saveCart(cart);
-  return cart;
-}
-
-/**
- * Generate unique cart item ID
- * @returns {string} Unique ID
- */
-function generateCartId() {
-  return `cart_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-/**
- * Remove item from cart by cart ID
- * @param {string} cartId - Cart item ID to remove
- * @returns {Array} Updated cart
- */
-function removeFromCart(cartId) {
-  const cart = getCart();
-  const updatedCart = cart.filter(item => item.cartId !== cartId);
-  saveCart(updatedCart);
-  return updatedCart;
-}
-
-/**
- * Update item quantity in cart
- * @param {string} cartId - Cart item ID
- * @param {number} quantity - New quantity (0 removes the item)
- * @returns {Array} Updated cart
- */
-function updateQuantity(cartId, quantity) {
-  if (quantity <= 0) {
-    return removeFromCart(cartId);
-  }
-
-  const cart = getCart();
-  const itemIndex = cart.findIndex(item => item.cartId === cartId);
-
-  if (itemIndex !== -1) {
-    cart[itemIndex].quantity = quantity;
-    saveCart(cart);
-  }
-
-  return cart;
-}
-
-/**
- * Calculate cart subtotal (before discounts)
- * @returns {number} Subtotal amount
- */
-function calculateSubtotal() {
-  const cart = getCart();
-  return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
-}
-
-/**
- * Get the currently applied promo code
- * @returns {string|null} Promo code or null if none applied
- */
-function getAppliedPromo() {
-  try {
-    return localStorage.getItem(PROMO_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error getting promo from localStorage:', error);
-    return null;
-  }
-}
-
-/**
- * Validate a promo code
- * @param {string} code - Promo code to validate
- * @returns {Object} Validation result { valid: boolean, discount: number, message: string }
- */
-function validatePromoCode(code) {
-  if (!code || typeof code !== 'string') {
-    return {
-      valid: false,
-      discount: 0,
-      message: 'Please enter a promo code.'
-    };
-  }
-
-  const normalizedCode = code.trim().toUpperCase();
-
-  if (PROMO_CODES.hasOwnProperty(normalizedCode)) {
-    return {
-      valid: true,
-      discount: PROMO_CODES[normalizedCode],
-      message: `Promo code applied! ${PROMO_CODES[normalizedCode] * 100}% off your order.`
-    };
-  }
-
-  return {
-    valid: false,
-    discount: 0,
-    message: 'Invalid promo code. Please try again.'
-  };
-}
-
-/**
- * Apply a promo code
- * @param {string} code - Promo code to apply
- * @returns {Object} Result { success: boolean, message: string }
- */
-function applyPromoCode(code) {
-  const validation = validatePromoCode(code);
-
-  if (validation.valid) {
-    try {
-      const normalizedCode = code.trim().toUpperCase();
-      localStorage.setItem(PROMO_STORAGE_KEY, normalizedCode);
-      return {
-        success: true,
-        message: validation.message
-      };
-    } catch (error) {
-      console.error('Error saving promo to localStorage:', error);
-      return {
-        success: false,
-        message: 'Error applying promo code. Please try again.'
-      };
-    }
-  }
-
-  return {
-    success: false,
-    message: validation.message
-  };
-}
-
-/**
- * Remove the applied promo code
- */
-function removePromoCode() {
-  try {
-    localStorage.removeItem(PROMO_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error removing promo from localStorage:', error);
-  }
-}
-
-/**
- * Calculate discount amount based on applied promo code
- * @returns {number} Discount amount
- */
-function calculateDiscount() {
-  const promoCode = getAppliedPromo();
-
-  if (!promoCode || !PROMO_CODES.hasOwnProperty(promoCode)) {
-    return 0;
-  }
-
-  const subtotal = calculateSubtotal();
-  return subtotal * PROMO_CODES[promoCode];
-}
-
-/**
- * Calculate order total (subtotal - discount)
- * @returns {number} Total amount
- */
-function calculateTotal() {
-  const subtotal = calculateSubtotal();
-  const discount = calculateDiscount();
-  return subtotal - discount;
-}
-
-/**
- * Get cart summary with all calculated values
- * @returns {Object} Cart summary
- */
-function getCartSummary() {
-  const subtotal = calculateSubtotal();
-  const promoCode = getAppliedPromo();
-  const discount = calculateDiscount();
-  const total = subtotal - discount;
-
-  return {
-    subtotal,
-    promoCode,
-    discount,
-    total,
-    shipping: 0,  // Free shipping
-    itemCount: getCartItemCount()
-  };
-}
-
-/**
- * Clear all items from cart
- */
-function clearCart() {
-  try {
-    localStorage.removeItem(CART_STORAGE_KEY);
-    localStorage.removeItem(PROMO_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error clearing cart:', error);
-  }
-}
-
-/**
- * Get total number of items in cart (sum of all quantities)
- * @returns {number} Total item count
- */
-function getCartItemCount() {
-  const cart = getCart();
-  return cart.reduce((count, item) => count + item.quantity, 0);
-}
-
-/**
- * Check if cart is empty
- * @returns {boolean} True if cart is empty
- */
-function isCartEmpty() {
-  const cart = getCart();
-  return cart.length === 0;
-}
-
-/**
- * Format price for display
- * @param {number} price - Price value
- * @returns {string} Formatted price string
- */
-function formatPrice(price) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(price);
-}
-
-// Export functions for use in other modules
-window.CartModule = {
-  // Core cart operations
-  getCart,
-  addToCart,
-  removeFromCart,
-  updateQuantity,
-  clearCart,
-
-  // Calculations
-  calculateSubtotal,
-  calculateDiscount,
-  calculateTotal,
-  getCartSummary,
-
-  // Promo code operations
-  getAppliedPromo,
-  validatePromoCode,
-  applyPromoCode,
-  removePromoCode,
-
-  // Utilities
-  getCartItemCount,
-  isCartEmpty,
-  formatPrice
-};
+// Cart Module
+// Handles shopping cart functionality with localStorage persistence
+
+const CART_STORAGE_KEY = 'mh_cart';
+const PROMO_STORAGE_KEY = 'mh_promo';
+
+/**
+ * Initialize cart from localStorage
+ * @returns {Array} Array of cart items
+ */
+function initCart() {
+  try {
+    const stored = localStorage.getItem(CART_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading cart from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save cart to localStorage
+ * @param {Array} cart - Array of cart items
+ */
+function saveCart(cart) {
+  try {
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
+  } catch (error) {
+    console.error('Error saving cart to localStorage:', error);
+  }
+
+  // Keep stock reservations in step with the cart
+  if (window.InventoryModule) {
+    window.InventoryModule.syncReservations(cart);
+  }
+}
+
+/**
+ * Get how many units of a variant a cart line may hold
+ * @param {Object} item - Cart line { sku, productId, size, color }
+ * @param {string} [cartId] - Existing cart line ID (its own reservation is not counted against it)
+ * @returns {number} Maximum quantity (Infinity if stock is not tracked)
+ */
+function getMaxQuantity(item, cartId = null) {
+  if (!window.InventoryModule) {
+    return Infinity;
+  }
+  const sku = window.InventoryModule.getStockKey(item);
+  return window.InventoryModule.getAvailableStock(sku, cartId);
+}
+
+/**
+ * Get the current cart
+ * @returns {Array} Array of cart items
+ */
+function getCart() {
+  return initCart();
+}
+
+/**
+ * Add item to cart
+ * @param {Object} item - Item to add
+ * @param {string} item.productId - Product ID
+ * @param {string} [item.sku] - Variant SKU
+ * @param {string} item.name - Product name
+ * @param {number} item.price - Unit price (the variant's price)
+ * @param {string} item.size - Selected size
+ * @param {string} item.color - Selected color
+ * @param {number} item.quantity - Quantity to add
+ * @param {string} item.image - Product image URL
+ * @param {string} [item.category] - Product category (used by category-scoped promotions)
+ * @param {string} [item.taxClass] - Product tax class (used for tax-exempt products)
+ * @returns {Array} Updated cart
+ * @throws {Error} If there is not enough stock for the requested quantity
+ */
+function addToCart(item) {
+  const cart = getCart();
+
+  // Check if item with same variant (SKU, or product, size, and color) already exists
+  const existingIndex = cart.findIndex(cartItem =>
+    item.sku && cartItem.sku
+      ? cartItem.sku === item.sku
+      : cartItem.productId === item.productId &&
+        cartItem.size === item.size &&
+        cartItem.color === item.color
+  );
+
+  // Make sure the variant's stock can cover the whole line
+  const existingCartId = existingIndex !== -1 ? cart[existingIndex].cartId : null;
+  const existingQuantity = existingIndex !== -1 ? cart[existingIndex].quantity : 0;
+  const available = getMaxQuantity(item, existingCartId);
+
+  if (existingQuantity + item.quantity > available) {
+    const remaining = Math.max(0, available - existingQuantity);
+    throw new Error(remaining > 0
+      ? `Only ${remaining} more available in stock.`
+      : 'No more of this item is available in stock.');
+  }
+
+  if (existingIndex !== -1) {
+    // Update quantity of existing item
+    cart[existingIndex].quantity += item.quantity;
+  } else {
+    // Add new item with unique cart ID
+    cart.push({
+      ...item,
+      ...getLinePricing(item),
+      cartId: generateCartId()
+    });
+  }
+
+  saveCart(cart);
+  return cart;
+}
+
+/**
+ * Price a cart line in the shopper's display currency
+ * The line remembers the currency and unit price it was shown at (tax included for VAT destinations)
+ * @param {Object} item - Cart line { productId, price, taxClass }
+ * @returns {Object} Pricing { currency, currencyPrice }
+ */
+function getLinePricing(item) {
+  const price = window.TaxModule
+    ? window.TaxModule.getDisplayPrice(item.price, window.TaxModule.getItemTaxClass(item))
+    : item.price;
+
+  if (!window.CurrencyModule) {
+    return { currency: 'USD', currencyPrice: price };
+  }
+
+  const currency = window.CurrencyModule.getCurrency();
+  return { currency, currencyPrice: window.CurrencyModule.convertPrice(price, currency) };
+}
+
+/**
+ * Re-price every cart line (after the display currency or destination changes)
+ * @returns {Array} Updated cart
+ */
+function repriceCart() {
+  const cart = getCart().map(item => ({ ...item, ...getLinePricing(item) }));
+  saveCart(cart);
+  return cart;
+}
+
+/**
+ * Get the unit price of a cart line as shown to the shopper
+ * @param {Object} item - Cart line
+ * @returns {number} Unit price in the display currency
+ */
+function getLineDisplayPrice(item) {
+  const currency = window.CurrencyModule ? window.CurrencyModule.getCurrency() : 'USD';
+  if (item.currency === currency && typeof item.currencyPrice === 'number') {
+    return item.currencyPrice;
+  }
+  return getLinePricing(item).currencyPrice;
+}
+
+/**
+ * Generate unique cart item ID
+ * @returns {string} Unique ID
+ */
+function generateCartId() {
+  return `cart_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Remove item from cart by cart ID
+ * @param {string} cartId - Cart item ID to remove
+ * @returns {Array} Updated cart
+ */
+function removeFromCart(cartId) {
+  const cart = getCart();
+  const updatedCart = cart.filter(item => item.cartId !== cartId);
+  saveCart(updatedCart);
+  return updatedCart;
+}
+
+/**
+ * Update item quantity in cart
+ * Quantities above the available stock are capped at the available stock, and a line whose
+ * stock has run out is removed so it can't reach checkout
+ * @param {string} cartId - Cart item ID
+ * @param {number} quantity - New quantity (0 removes the item)
+ * @returns {Array} Updated cart
+ */
+function updateQuantity(cartId, quantity) {
+  if (quantity <= 0) {
+    return removeFromCart(cartId);
+  }
+
+  const cart = getCart();
+  const itemIndex = cart.findIndex(item => item.cartId === cartId);
+
+  if (itemIndex !== -1) {
+    const available = getMaxQuantity(cart[itemIndex], cartId);
+    if (available <= 0) {
+      return removeFromCart(cartId);
+    }
+    cart[itemIndex].quantity = Math.min(quantity, available);
+    saveCart(cart);
+  }
+
+  return cart;
+}
+
+/**
+ * Re-reserve stock for the whole cart (called when the cart and checkout pages load)
+ * Reservations lapse after a while, so an idle cart's units may have been taken in the meantime:
+ * lines are cut back to the stock that is left, and removed if none is
+ * @returns {Array} Lines that changed { cartId, name, size, color, quantity (before), available }
+ */
+function refreshReservations() {
+  const adjusted = [];
+  const cart = getCart()
+    .map(item => {
+      const available = getMaxQuantity(item, item.cartId);
+      if (item.quantity <= available) return item;
+
+      adjusted.push({
+        cartId: item.cartId,
+        name: item.name,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity,
+        available
+      });
+      return { ...item, quantity: available };
+    })
+    .filter(item => item.quantity > 0);
+
+  // Saving renews the reservations
+  saveCart(cart);
+  return adjusted;
+}
+
+/**
+ * Calculate cart subtotal (before discounts)
+ * @returns {number} Subtotal amount
+ */
+function calculateSubtotal() {
+  const cart = getCart();
+  return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+}
+
+/**
+ * Get the promo codes the shopper has applied, in the order they were applied
+ * Older carts stored a single code as a plain string; those are read as a one-code list
+ * @returns {Array<string>} Applied promo codes
+ */
+function getAppliedPromos() {
+  try {
+    const stored = localStorage.getItem(PROMO_STORAGE_KEY);
+    if (!stored) {
+      return [];
+    }
+    if (!stored.startsWith('[')) {
+      return [stored];
+    }
+    const codes = JSON.parse(stored);
+    return Array.isArray(codes) ? codes : [];
+  } catch (error) {
+    console.error('Error getting promo from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the applied promo codes
+ * @param {Array<string>} codes - Promo codes
+ */
+function saveAppliedPromos(codes) {
+  if (codes.length === 0) {
+    localStorage.removeItem(PROMO_STORAGE_KEY);
+  } else {
+    localStorage.setItem(PROMO_STORAGE_KEY, JSON.stringify(codes));
+  }
+}
+
+/**
+ * Get the first applied promo code
+ * @returns {string|null} Promo code or null if none applied
+ */
+function getAppliedPromo() {
+  const codes = getAppliedPromos();
+  return codes.length > 0 ? codes[0] : null;
+}
+
+/**
+ * Validate a promo code against the current cart
+ * @param {string} code - Promo code to validate
+ * @returns {Object} Validation result { valid: boolean, discount: number, message: string, promotion: Object|null }
+ *   where discount is the amount the code takes off the current cart and promotion is the
+ *   applied result { code, description, type, amount, freeShipping, lines }
+ */
+function validatePromoCode(code) {
+  if (!code || typeof code !== 'string' || !code.trim()) {
+    return {
+      valid: false,
+      discount: 0,
+      message: 'Please enter a promo code.',
+      promotion: null
+    };
+  }
+
+  if (!window.PromotionsModule) {
+    return {
+      valid: false,
+      discount: 0,
+      message: 'Promo codes are unavailable right now. Please try again later.',
+      promotion: null
+    };
+  }
+
+  const evaluation = window.PromotionsModule.evaluatePromoCode(code, getCart());
+
+  return {
+    valid: evaluation.valid,
+    discount: evaluation.result ? evaluation.result.amount : 0,
+    message: evaluation.message,
+    promotion: evaluation.result
+  };
+}
+
+/**
+ * Apply a promo code alongside any codes already applied
+ * The code is only kept if it can be combined with what is already applied
+ * @param {string} code - Promo code to apply
+ * @returns {Object} Result { success: boolean, message: string }
+ */
+function applyPromoCode(code) {
+  const validation = validatePromoCode(code);
+
+  if (!validation.valid) {
+    return {
+      success: false,
+      message: validation.message
+    };
+  }
+
+  const normalizedCode = code.trim().toUpperCase();
+  const codes = getAppliedPromos();
+
+  if (codes.includes(normalizedCode)) {
+    return {
+      success: false,
+      message: 'That promo code is already applied.'
+    };
+  }
+
+  if (codes.length >= window.PromotionsModule.MAX_APPLIED_CODES) {
+    return {
+      success: false,
+      message: `You can use up to ${window.PromotionsModule.MAX_APPLIED_CODES} promo codes per order.`
+    };
+  }
+
+  const resolution = window.PromotionsModule.resolvePromotions([...codes, normalizedCode], getCart());
+  const rejection = resolution.rejected.find(item => item.code === normalizedCode);
+
+  if (rejection) {
+    return {
+      success: false,
+      message: rejection.message
+    };
+  }
+
+  try {
+    saveAppliedPromos([...codes, normalizedCode]);
+    return {
+      success: true,
+      message: validation.message
+    };
+  } catch (error) {
+    console.error('Error saving promo to localStorage:', error);
+    return {
+      success: false,
+      message: 'Error applying promo code. Please try again.'
+    };
+  }
+}
+
+/**
+ * Remove an applied promo code
+ * @param {string} [code] - Code to remove (removes every code if omitted)
+ */
+function removePromoCode(code) {
+  try {
+    if (code) {
+      const normalizedCode = code.trim().toUpperCase();
+      saveAppliedPromos(getAppliedPromos().filter(applied => applied !== normalizedCode));
+    } else {
+      localStorage.removeItem(PROMO_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error removing promo from localStorage:', error);
+  }
+}
+
+/**
+ * Work out which applied codes and automatic offers apply to the current cart
+ * Applied codes that no longer qualify (e.g. the cart dropped below a minimum spend) stay applied
+ * but are reported as rejected until the cart qualifies again
+ * @returns {Object} Result { promotions: Array, rejected: Array<{ code, message }> }
+ */
+function resolveAppliedPromotions() {
+  if (!window.PromotionsModule) {
+    return { promotions: [], rejected: [] };
+  }
+  return window.PromotionsModule.resolvePromotions(getAppliedPromos(), getCart());
+}
+
+/**
+ * Calculate discount amount from applied promo codes and automatic offers
+ * @returns {number} Discount amount
+ */
+function calculateDiscount() {
+  const discount = resolveAppliedPromotions().promotions.reduce((total, promotion) => total + promotion.amount, 0);
+  return Math.round(discount * 100) / 100;
+}
+
+/**
+ * Quote shipping for the cart to the shopper's destination using their chosen method
+ * @param {number} merchandiseTotal - Cart value after discounts (for the free-shipping threshold)
+ * @param {boolean} freeShipping - Whether a promotion grants free shipping
+ * @returns {Object} Shipping { method, label, cost, estimate }
+ */
+function calculateShipping(merchandiseTotal, freeShipping) {
+  if (!window.ShippingModule) {
+    return { method: 'standard', label: 'Standard', cost: 0, estimate: '' };
+  }
+
+  return window.ShippingModule.getShippingQuote(
+    getCart(),
+    window.ShippingModule.getDestination(),
+    window.ShippingModule.getSelectedShippingMethod(),
+    { merchandiseTotal, freeShipping }
+  );
+}
+
+/**
+ * Calculate tax on the cart for the shopper's destination
+ * @param {Array} promotions - Applied promotions (their line discounts reduce the taxable amount)
+ * @param {number} shippingCost - Shipping charge
+ * @returns {Object} Tax result (see TaxModule.calculateTax)
+ */
+function calculateCartTax(promotions, shippingCost) {
+  if (!window.TaxModule) {
+    return {
+      jurisdiction: null,
+      label: 'Tax',
+      rate: 0,
+      inclusive: false,
+      pending: false,
+      amount: 0,
+      itemsTax: 0,
+      shippingTax: 0,
+      exemptAmount: 0,
+      display: null
+    };
+  }
+
+  return window.TaxModule.calculateTax(getCart(), { promotions, shippingCost });
+}
+
+/**
+ * Express cart totals in the shopper's display currency
+ * The subtotal adds up the line prices the shopper was shown, so it can differ slightly from
+ * a straight conversion of the USD subtotal; the total follows from the displayed rows.
+ * @param {Object} totals - USD totals { subtotal, discount, shipping, tax, total }
+ * @returns {Object} Presentment { currency, rate, subtotal, discount, shipping, tax, total }
+ */
+function calculatePresentment(totals) {
+  const { tax } = totals;
+  const display = tax.display && tax.inclusive
+    ? tax.display
+    : { subtotal: totals.subtotal, discount: totals.discount, shipping: totals.shipping.cost };
+
+  if (!window.CurrencyModule) {
+    return {
+      currency: 'USD',
+      rate: 1,
+      subtotal: display.subtotal,
+      discount: display.discount,
+      shipping: display.shipping,
+      tax: tax.amount,
+      total: totals.total
+    };
+  }
+
+  const currency = window.CurrencyModule.getCurrency();
+  const convert = amount => window.CurrencyModule.convertAmount(amount, currency);
+  const subtotal = Math.round(getCart().reduce((sum, item) => sum + getLineDisplayPrice(item) * item.quantity, 0) * 100) / 100;
+  const discount = convert(display.discount);
+  const shipping = convert(display.shipping);
+  const taxAmount = convert(tax.amount);
+
+  return {
+    currency,
+    rate: window.CurrencyModule.getExchangeRate(currency),
+    subtotal,
+    discount,
+    shipping,
+    tax: taxAmount,
+    total: Math.round((subtotal - discount + shipping + (tax.inclusive ? 0 : taxAmount)) * 100) / 100
+  };
+}
+
+/**
+ * Get how much more the shopper needs to spend for free standard shipping
+ * @param {number} merchandiseTotal - Cart value after discounts
+ * @returns {Object|null} Nudge { code, description, amountNeeded, quantityNeeded, message } or null
+ */
+function getFreeShippingNudge(merchandiseTotal) {
+  if (!window.ShippingModule) {
+    return null;
+  }
+
+  const threshold = window.ShippingModule.getFreeShippingThreshold(window.ShippingModule.getDestination().country);
+  if (threshold === null || merchandiseTotal >= threshold) {
+    return null;
+  }
+
+  const amountNeeded = Math.round((threshold - merchandiseTotal) * 100) / 100;
+  return {
+    code: 'FREE-SHIPPING',
+    description: 'free standard shipping',
+    amountNeeded,
+    quantityNeeded: 0,
+    message: `Add ${formatPrice(amountNeeded)} more to unlock free standard shipping.`
+  };
+}
+
+/**
+ * Calculate order total (subtotal - discount + shipping)
+ * @returns {number} Total amount
+ */
+function calculateTotal() {
+  return getCartSummary().total;
+}
+
+/**
+ * Get cart summary with all calculated values
+ * @returns {Object} Cart summary
+ */
+function getCartSummary() {
+  const subtotal = calculateSubtotal();
+  const promoCodes = getAppliedPromos();
+  const { promotions, rejected } = resolveAppliedPromotions();
+  const discount = Math.round(promotions.reduce((sum, promotion) => sum + promotion.amount, 0) * 100) / 100;
+  const freeShipping = promotions.some(promotion => promotion.freeShipping);
+  const shipping = calculateShipping(subtotal - discount, freeShipping);
+  const tax = calculateCartTax(promotions, shipping.cost);
+  const total = Math.round((subtotal - discount + shipping.cost + tax.amount) * 100) / 100;
+  const presentment = calculatePresentment({ subtotal, discount, shipping, tax, total });
+
+  const nudges = window.PromotionsModule ? window.PromotionsModule.getPromotionNudges(promoCodes, getCart()) : [];
+  const shippingNudge = shipping.cost > 0 && !freeShipping ? getFreeShippingNudge(subtotal - discount) : null;
+  if (shippingNudge) {
+    nudges.push(shippingNudge);
+    nudges.sort((a, b) => (a.quantityNeeded - b.quantityNeeded) || (a.amountNeeded - b.amountNeeded));
+  }
+
+  return {
+    subtotal,
+    promoCode: promoCodes.length > 0 ? promoCodes[0] : null,
+    promoCodes,
+    discount,
+    // Per-promotion breakdown of which lines each promotion (code or automatic offer) discounted
+    promotions,
+    rejectedPromos: rejected,
+    nudges,
+    freeShipping,
+    total,
+    shipping,  // { method, label, cost, estimate }
+    tax,  // { jurisdiction, label, rate, inclusive, pending, amount, display, ... }
+    // Amounts in the display currency; everything above is in the settlement currency (USD)
+    presentment,  // { currency, rate, subtotal, discount, shipping, tax, total }
+    itemCount: getCartItemCount()
+  };
+}
+
+/**
+ * Clear all items from cart
+ */
+function clearCart() {
+  try {
+    localStorage.removeItem(CART_STORAGE_KEY);
+    localStorage.removeItem(PROMO_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+  }
+
+  // Release any stock the cart was holding
+  if (window.InventoryModule) {
+    window.InventoryModule.syncReservations([]);
+  }
+}
+
+/**
+ * Add the lines of a past order back to the cart, at today's prices and stock
+ * Each line keeps its size and color; lines that cannot be added in full are reported instead
+ * @param {Object} order - Order from CheckoutModule.getOrderHistory()
+ * @returns {Promise<Object>} Report of order lines { added, priceChanged, limited, outOfStock, discontinued }
+ *   added: { name, size, color, quantity }
+ *   priceChanged: { name, size, color, previousPrice, price, taxClass }
+ *   limited: { name, size, color, requested, quantity }
+ *   outOfStock, discontinued: { name, size, color }
+ */
+async function reorderItems(order) {
+  const report = { added: [], priceChanged: [], limited: [], outOfStock: [], discontinued: [] };
+  const products = window.ProductsModule ? await window.ProductsModule.loadProducts() : [];
+
+  (order.items || []).forEach(line => {
+    const summary = { name: line.name, size: line.size, color: line.color };
+    const product = products.find(candidate => candidate.id === line.productId);
+    const variant = product ? window.ProductsModule.findVariant(product, line.size, line.color) : null;
+
+    // The product, or this size and color of it, is no longer sold
+    if (!variant) {
+      report.discontinued.push(summary);
+      return;
+    }
+
+    if (!variant.inStock) {
+      report.outOfStock.push(summary);
+      return;
+    }
+
+    const item = {
+      productId: product.id,
+      sku: variant.sku,
+      name: product.name,
+      price: variant.price,
+      size: variant.size,
+      color: variant.color,
+      quantity: line.quantity,
+      image: variant.image,
+      category: product.category,
+      taxClass: product.taxClass
+    };
+
+    // Add what stock allows, counting units already in the cart
+    const existing = getCart().find(cartItem => cartItem.sku === item.sku);
+    const available = getMaxQuantity(item, existing ? existing.cartId : null) - (existing ? existing.quantity : 0);
+    const quantity = Math.min(line.quantity, Math.max(0, available));
+
+    if (quantity === 0) {
+      report.outOfStock.push(summary);
+      return;
+    }
+
+    addToCart({ ...item, quantity });
+    report.added.push({ ...summary, quantity });
+
+    if (quantity < line.quantity) {
+      report.limited.push({ ...summary, requested: line.quantity, quantity });
+    }
+
+    if (variant.price !== line.price) {
+      report.priceChanged.push({
+        ...summary,
+        previousPrice: line.price,
+        price: variant.price,
+        taxClass: product.taxClass
+      });
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Get total number of items in cart (sum of all quantities)
+ * @returns {number} Total item count
+ */
+function getCartItemCount() {
+  const cart = getCart();
+  return cart.reduce((count, item) => count + item.quantity, 0);
+}
+
+/**
+ * Check if cart is empty
+ * @returns {boolean} True if cart is empty
+ */
+function isCartEmpty() {
+  const cart = getCart();
+  return cart.length === 0;
+}
+
+/**
+ * Format a USD amount for display in the shopper's currency
+ * @param {number} price - Price value
+ * @returns {string} Formatted price string
+ */
+function formatPrice(price) {
+  if (window.CurrencyModule) {
+    return window.CurrencyModule.formatAmount(price);
+  }
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(price);
+}
+
+// Export functions for use in other modules
+window.CartModule = {
+  // Core cart operations
+  getCart,
+  addToCart,
+  removeFromCart,
+  updateQuantity,
+  clearCart,
+  refreshReservations,
+
+  // Calculations
+  calculateSubtotal,
+  calculateDiscount,
+  calculateShipping,
+  calculateCartTax,
+  calculatePresentment,
+  calculateTotal,
+  resolveAppliedPromotions,
+  getCartSummary,
+
+  // Promo code operations
+  getAppliedPromo,
+  getAppliedPromos,
+  validatePromoCode,
+  applyPromoCode,
+  removePromoCode,
+
+  // Currency
+  repriceCart,
+  getLineDisplayPrice,
+
+  // Reorder
+  reorderItems,
+
+  // Utilities
+  getMaxQuantity,
+  getCartItemCount,
+  isCartEmpty,
+  formatPrice
+};
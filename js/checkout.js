@@ -1,669 +1,1257 @@
-// Checkout Module
-// Handles form validation, order processing, and order history
-
-const ORDERS_STORAGE_KEY = 'mh_orders';
-
-/**
- * Validate email address format
- * @param {string} email - Email to validate
- * @returns {Object} Validation result { valid: boolean, message: string }
- */
-function validateEmail(email) {
-  if (!email || typeof email !== 'string') {
-    return {
-      valid: false,
-      message: 'Email address is required.'
-    };
-  }
-
-  const trimmed = email.trim();
-
-  if (trimmed.length === 0) {
-    return {
-      valid: false,
-      message: 'Email address is required.'
-    };
-  }
-
-  // RFC 5322 compliant email regex (simplified)
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-
-  if (!emailRegex.test(trimmed)) {
-    return {
-      valid: false,
-      message: 'Please enter a valid email address.'
-    };
-  }
-
-  return {
-    valid: true,
-    message: ''
-  };
-}
-
-/**
- * Validate phone number format
- * @param {string} phone - Phone number to validate
- * @param {boolean} required - Whether the field is required
- * @returns {Object} Validation result { valid: boolean, message: string }
- */
-function validatePhone(phone, required = false) {
-  if (!phone || typeof phone !== 'string') {
-    if (required) {
-      return {
-        valid: false,
-        message: 'Phone number is required.'
-      };
-    }
-    return {
-      valid: true,
-      message: ''
-    };
-  }
-
-  const trimmed = phone.trim();
-
-  if (trimmed.length === 0) {
-    if (required) {
-      return {
-        valid: false,
-        message: 'Phone number is required.'
-      };
-    }
-    return {
-      valid: true,
-      message: ''
-    };
-  }
-
-  // Allow various phone formats: (123) 456-7890, 123-456-7890, 1234567890, +1 123 456 7890
-  const phoneRegex = /^[\d\s\-\(\)\+\.]+$/;
-  const digitsOnly = trimmed.replace(/\D/g, '');
-
-  if (!phoneRegex.test(trimmed) || digitsOnly.length < 10 || digitsOnly.length > 15) {
-    return {
-      valid: false,
-      message: 'Please enter a valid phone number (10-15 digits).'
-    };
-  }
-
-  return {
-    valid: true,
-    message: ''
-  };
-}
-
-/**
- * Validate credit card number format (Luhn algorithm check)
- * @param {string} cardNumber - Credit card number to validate
- * @returns {Object} Validation result { valid: boolean, message: string }
- */
-function validateCreditCard(cardNumber) {
-  if (!cardNumber || typeof cardNumber !== 'string') {
-    return {
-      valid: false,
-      message: 'Card number is required.'
-    };
-  }
-
-  // Remove spaces and dashes
-  const digitsOnly = cardNumber.replace(/[\s\-]/g, '');
-
-  if (digitsOnly.length === 0) {
-    return {
-      valid: false,
-      message: 'Card number is required.'
-    };
-  }
-
-  // Check if all characters are digits
-  if (!/^\d+$/.test(digitsOnly)) {
-    return {
-      valid: false,
-      message: 'Card number should contain only digits.'
-    };
-  }
-
-  // Check length (13-19 digits for most card types)
-  if (digitsOnly.length < 13 || digitsOnly.length > 19) {
-    return {
-      valid: false,
-      message: 'Please enter a valid card number (13-19 digits).'
-    };
-  }
-
-  // Luhn algorithm check
-  if (!luhnCheck(digitsOnly)) {
-    return {
-      valid: false,
-      message: 'Please enter a valid card number.'
-    };
-  }
-
-  return {
-    valid: true,
-    message: ''
-  };
-}
-
-/**
- * Luhn algorithm for credit card validation
- * @param {string} cardNumber - Card number (digits only)
- * @returns {boolean} Whether the card passes Luhn check
- */
-function luhnCheck(cardNumber) {
-  let sum = 0;
-  let isEven = false;
-
-  for (let i = cardNumber.length - 1; i >= 0; i--) {
-    let digit = parseInt(cardNumber[i], 10);
-
-    if (isEven) {
-      digit *= 2;
-      if (digit > 9) {
-        digit -= 9;
-      }
-    }
-
-    sum += digit;
-    isEven = !isEven;
-  }
-
-  return sum % 10 === 0;
-}
-
-/**
- * Validate expiry date (MM/YY format)
- * @param {string} expiry - Expiry date to validate
- * @returns {Object} Validation result { valid: boolean, message: string }
- */
-function validateExpiry(expiry) {
-  if (!expiry || typeof expiry !== 'string') {
-    return {
-      valid: false,
-      message: 'Expiry date is required.'
-    };
-  }
-
-  const trimmed = expiry.trim();
-
-  if (trimmed.length === 0) {
-    return {
-      valid: false,
-      message: 'Expiry date is required.'
-    };
-  }
-
-  // Accept MM/YY or MM/YYYY format
-  const expiryRegex = /^(0[1-9]|1[0-2])\/?(\d{2}|\d{4})$/;
-  const match = trimmed.replace(/\s/g, '').match(expiryRegex);
-
-  if (!match) {
-    return {
-      valid: false,
-      message: 'Please enter expiry date in MM/YY format.'
-    };
-  }
-
-  const month = parseInt(match[1], 10);
-  let year = parseInt(match[2], 10);
-
-  // Convert 2-digit year to 4-digit
-  if (year < 100) {
-    year += 2000;
-  }
-
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth() + 1;
-
-  // Check if card has expired
-  if (year < currentYear || (year === currentYear && month < currentMonth)) {
-    return {
-      valid: false,
-      message: 'This card has expired.'
-    };
-  }
-
-  // Check if expiry is too far in the future (more than 20 years)
-  if (year > currentYear + 20) {
-    return {
-      valid: false,
-      message: 'Please enter a valid expiry date.'
-    };
-  }
-
-  return {
-    valid: true,
-    message: ''
-  };
-}
-
-/**
- * Validate CVV (3-4 digits)
- * @param {string} cvv - CVV to validate
- * @returns {Object} Validation result { valid: boolean, message: string }
- */
-function validateCVV(cvv) {
-  if (!cvv || typeof cvv !== 'string') {
-    return {
-      valid: false,
-      message: 'CVV is required.'
-    };
-  }
-
-  const trimmed = cvv.trim();
-
-  if (trimmed.length === 0) {
-    return {
-      valid: false,
-      message: 'CVV is required.'
-    };
-  }
-
-  // CVV should be 3-4 digits (3 for most cards, 4 for Amex)
-  const cvvRegex = /^\d{3,4}$/;
-
-  if (!cvvRegex.test(trimmed)) {
-    return {
-      valid: false,
-      message: 'Please enter a valid CVV (3-4 digits).'
-    };
-  }
-
-  return {
-    valid: true,
-    message: ''
-  };
-}
-
-/**
- * Validate required field
- * @param {string} value - Value to validate
- * @param {string} fieldName - Name of the field for error message
- * @returns {Object} Validation result { valid: boolean, message: string }
- */
-function validateRequired(value, fieldName) {
-  if (!value || typeof value !== 'string') {
-    return {
-      valid: false,
-      message: `${fieldName} is required.`
-    };
-  }
-
-  const trimmed = value.trim();
-
-  if (trimmed.length === 0) {
-    return {
-      valid: false,
-      message: `${fieldName} is required.`
-    };
-  }
-
-  return {
-    valid: true,
-    message: ''
-  };
-}
-
-/**
- * Validate zip/postal code
- * @param {string} zipCode - Zip code to validate
- * @param {string} country - Country code for format validation
- * @returns {Object} Validation result { valid: boolean, message: string }
- */
-function validateZipCode(zipCode, country = 'US') {
-  if (!zipCode || typeof zipCode !== 'string') {
-    return {
-      valid: false,
-      message: 'Zip/postal code is required.'
-    };
-  }
-
-  const trimmed = zipCode.trim();
-
-  if (trimmed.length === 0) {
-    return {
-      valid: false,
-      message: 'Zip/postal code is required.'
-    };
-  }
-
-  // Country-specific validation patterns
-  const patterns = {
-    'US': /^\d{5}(-\d{4})?$/,  // 12345 or 12345-6789
-    'CA': /^[A-Za-z]\d[A-Za-z][ -]?\d[A-Za-z]\d$/,  // A1A 1A1
-    'UK': /^[A-Za-z]{1,2}\d[A-Za-z\d]?\s?\d[A-Za-z]{2}$/,  // SW1A 1AA
-    'DEFAULT': /^[\dA-Za-z\s\-]{3,10}$/  // Generic pattern
-  };
-
-  const pattern = patterns[country] || patterns['DEFAULT'];
-
-  if (!pattern.test(trimmed)) {
-    if (country === 'US') {
-      return {
-        valid: false,
-        message: 'Please enter a valid US zip code (e.g., 12345 or 12345-6789).'
-      };
-    } else if (country === 'CA') {
-      return {
-        valid: false,
-        message: 'Please enter a valid Canadian postal code (e.g., A1A 1A1).'
-      };
-    }
-    return {
-      valid: false,
-      message: 'Please enter a valid zip/postal code.'
-    };
-  }
-
-  return {
-    valid: true,
-    message: ''
-  };
-}
-
-/**
- * Validate entire checkout form
- * @param {Object} formData - Form data to validate
- * @returns {Object} Validation result { valid: boolean, errors: Object }
- */
-function validateCheckoutForm(formData) {
-  const errors = {};
-
-  // Contact Information
-  const emailResult = validateEmail(formData.email);
-  if (!emailResult.valid) {
-    errors.email = emailResult.message;
-  }
-
-  const phoneResult = validatePhone(formData.phone, false);
-  if (!phoneResult.valid) {
-    errors.phone = phoneResult.message;
-  }
-
-  // Shipping Address
-  const firstNameResult = validateRequired(formData.firstName, 'First name');
-  if (!firstNameResult.valid) {
-    errors.firstName = firstNameResult.message;
-  }
-
-  const lastNameResult = validateRequired(formData.lastName, 'Last name');
-  if (!lastNameResult.valid) {
-    errors.lastName = lastNameResult.message;
-  }
-
-  const address1Result = validateRequired(formData.address1, 'Address');
-  if (!address1Result.valid) {
-    errors.address1 = address1Result.message;
-  }
-
-  const cityResult = validateRequired(formData.city, 'City');
-  if (!cityResult.valid) {
-    errors.city = cityResult.message;
-  }
-
-  const stateResult = validateRequired(formData.state, 'State/Province');
-  if (!stateResult.valid) {
-    errors.state = stateResult.message;
-  }
-
-  const zipResult = validateZipCode(formData.zipCode, formData.country);
-  if (!zipResult.valid) {
-    errors.zipCode = zipResult.message;
-  }
-
-  const countryResult = validateRequired(formData.country, 'Country');
-  if (!countryResult.valid) {
-    errors.country = countryResult.message;
-  }
-
-  // Payment Information
-  const cardNumberResult = validateCreditCard(formData.cardNumber);
-  if (!cardNumberResult.valid) {
-    errors.cardNumber = cardNumberResult.message;
-  }
-
-  const cardNameResult = validateRequired(formData.cardName, 'Cardholder name');
-  if (!cardNameResult.valid) {
-    errors.cardName = cardNameResult.message;
-  }
-
-  const expiryResult = validateExpiry(formData.expiry);
-  if (!expiryResult.valid) {
-    errors.expiry = expiryResult.message;
-  }
-
-  const cvvResult = validateCVV(formData.cvv);
-  if (!cvvResult.valid) {
-    errors.cvv = cvvResult.message;
-  }
-
-  return {
-    valid: Object.keys(errors).length === 0,
-    errors
-  };
-}
-
-/**
- * Generate unique order confirmation number
- * @returns {string} Order confirmation number (e.g., MH-20240116-ABC123)
- */
-function generateOrderNumber() {
-  const date = new Date();
-  const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
-  const randomPart = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `MH-${datePart}-${randomPart}`;
-}
-
-/**
- * Get order history from localStorage
- * @returns {Array} Array of past orders
- */
-function getOrderHistory() {
-  try {
-    const stored = localStorage.getItem(ORDERS_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error('Error loading order history from localStorage:', error);
-    return [];
-  }
-}
-
-/**
- * Save order to localStorage
- * @param {Object} order - Order data to save
- * @returns {Object} The saved order with order number
- */
-function saveOrder(order) {
-  const orderNumber = generateOrderNumber();
-  const orderDate = new Date().toISOString();
-
-  const orderRecord = {
-    ...order,
-    orderNumber,
-    orderDate,
-    status: 'confirmed'
-  };
-
-  try {
-    const orders = getOrderHistory();
-    orders.push(orderRecord);
-    localStorage.setItem(ORDERS_STORAGE_KEY, JSON.stringify(orders));
-    return orderRecord;
-  } catch (error) {
-    console.error('Error saving order to localStorage:', error);
-    throw new Error('Failed to save order. Please try again.');
-  }
-}
-
-/**
- * Process checkout
- * @param {Object} formData - Checkout form data
- * @param {Array} cartItems - Items in the cart
- * @param {Object} cartSummary - Cart summary with totals
- * @returns {Object} Result { success: boolean, order: Object, errors: Object }
- */
-function processCheckout(formData, cartItems, cartSummary) {
-  // Validate form data
-  const validation = validateCheckoutForm(formData);
-
-  if (!validation.valid) {
-    return {
-      success: false,
-      order: null,
-      errors: validation.errors
-    };
-  }
-
-  // Check if cart is empty
-  if (!cartItems || cartItems.length === 0) {
-    return {
-      success: false,
-      order: null,
-      errors: {
-        cart: 'Your cart is empty.'
-      }
-    };
-  }
-
-  // Create order object
-  const order = {
-    items: cartItems.map(item => ({
-      productId: item.productId,
-      name: item.name,
-      price: item.price,
-      size: item.size,
-      color: item.color,
-      quantity: item.quantity,
-      image: item.image
-    })),
-    shipping: {
-      firstName: formData.firstName.trim(),
-      lastName: formData.lastName.trim(),
-      address1: formData.address1.trim(),
-      address2: formData.address2 ? formData.address2.trim() : '',
-      city: formData.city.trim(),
-      state: formData.state.trim(),
-      zipCode: formData.zipCode.trim(),
-      country: formData.country.trim()
-    },
-    contact: {
-      email: formData.email.trim(),
-      phone: formData.phone ? formData.phone.trim() : ''
-    },
-    payment: {
-      // Only store masked card number for display
-      cardLast4: formData.cardNumber.replace(/\D/g, '').slice(-4),
-      cardName: formData.cardName.trim()
-    },
-    totals: {
-      subtotal: cartSummary.subtotal,
-      discount: cartSummary.discount,
-      promoCode: cartSummary.promoCode,
-      shipping: cartSummary.shipping,
-      total: cartSummary.total
-    }
-  };
-
-  try {
-    // Save order to localStorage
-    const savedOrder = saveOrder(order);
-
-    // Clear cart after successful checkout
-    if (window.CartModule && typeof window.CartModule.clearCart === 'function') {
-      window.CartModule.clearCart();
-    }
-
-    return {
-      success: true,
-      order: savedOrder,
-      errors: null
-    };
-  } catch (error) {
-    return {
-      success: false,
-      order: null,
-      errors: {
-        general: error.message || 'An error occurred while processing your order.'
-      }
-    };
-  }
-}
-
-/**
- * Get an order by order number
- * @param {string} orderNumber - Order number to find
- * @returns {Object|null} Order object or null if not found
- */
-function getOrderByNumber(orderNumber) {
-  const orders = getOrderHistory();
-  return orders.find(order => order.orderNumber === orderNumber) || null;
-}
-
-/**
- * Format credit card number with spaces (for display during input)
- * @param {string} cardNumber - Raw card number
- * @returns {string} Formatted card number
- */
-function formatCardNumber(cardNumber) {
-  if (!cardNumber) return '';
-  const digitsOnly = cardNumber.replace(/\D/g, '');
-  const groups = digitsOnly.match(/.{1,4}/g);
-  return groups ? groups.join(' ') : digitsOnly;
-}
-
-/**
- * Format expiry date (for display during input)
- * @param {string} expiry - Raw expiry input
- * @returns {string} Formatted expiry (MM/YY)
- */
-function formatExpiry(expiry) {
-  if (!expiry) return '';
-  const digitsOnly = expiry.replace(/\D/g, '');
-  if (digitsOnly.length >= 2) {
-    return digitsOnly.slice(0, 2) + '/' + digitsOnly.slice(2, 4);
-  }
-  return digitsOnly;
-}
-
-/**
- * Mask card number for display (show only last 4 digits)
- * @param {string} cardNumber - Card number to mask
- * @returns {string} Masked card number (e.g., **** **** **** 1234)
- */
-function maskCardNumber(cardNumber) {
-  if (!cardNumber) return '';
-  const digitsOnly = cardNumber.replace(/\D/g, '');
-  const last4 = digitsOnly.slice(-4);
-  return `**** **** **** ${last4}`;
-}
-
-// Export functions for use in other modules
-window.CheckoutModule = {
-  // Individual field validators
-  validateEmail,
-  validatePhone,
-  validateCreditCard,
-  validateExpiry,
-  validateCVV,
-  validateRequired,
-  validateZipCode,
-
-  // Form validation
-  validateCheckoutForm,
-
-  // Order processing
-  processCheckout,
-  generateOrderNumber,
-
-  // Order history
-  saveOrder,
-  getOrderHistory,
-  getOrderByNumber,
-
-  // Formatting utilities
-  formatCardNumber,
-  formatExpiry,
-  maskCardNumber
-};
+// Checkout Module
+// Handles form validation, order processing, and order history
+
+const ORDERS_STORAGE_KEY = 'mh_orders';
+
+// Payment method used when the form does not specify one
+const DEFAULT_PAYMENT_METHOD = 'mock-card';
+
+/**
+ * Version of the stored order record
+ * 1: orders saved before the order service (no schemaVersion, no payment provider)
+ * 2: orders from the order service (payment provider, delivery notes, idempotency key)
+ * 3: current shape, with a status history
+ */
+const ORDER_SCHEMA_VERSION = 3;
+
+// Order lifecycle states and their shopper-facing labels
+const ORDER_STATUSES = {
+  pending_payment: 'Awaiting payment',
+  confirmed: 'Confirmed',
+  packed: 'Packed',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  return_requested: 'Return requested',
+  cancelled: 'Cancelled',
+  returned: 'Returned',
+  refunded: 'Refunded'
+};
+
+// Legal transitions from each state; cancelled and refunded are final
+const ORDER_TRANSITIONS = {
+  pending_payment: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'return_requested', 'returned'],
+  delivered: ['return_requested', 'returned'],
+  // A return request goes back to the status it was raised from when it is withdrawn or only part of
+  // the order comes back, and on to returned once every unit has
+  return_requested: ['shipped', 'delivered', 'returned'],
+  returned: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Steps of an order that goes to plan, shown on the status timeline
+const ORDER_FULFILLMENT_STEPS = ['confirmed', 'packed', 'shipped', 'delivered'];
+
+// Shopper-facing messages for order error codes
+const ORDER_ERROR_MESSAGES = {
+  validation_failed: 'Please correct the highlighted fields.',
+  cart_empty: 'Your cart is empty.',
+  payment_requires_action: 'Your bank needs to confirm this payment.',
+  payment_declined: 'Your payment was declined.',
+  save_failed: 'Failed to save order. Please try again.'
+};
+
+/**
+ * Validate email address format
+ * @param {string} email - Email to validate
+ * @returns {Object} Validation result { valid: boolean, message: string }
+ */
+function validateEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return {
+      valid: false,
+      message: 'Email address is required.'
+    };
+  }
+
+  const trimmed = email.trim();
+
+  if (trimmed.length === 0) {
+    return {
+      valid: false,
+      message: 'Email address is required.'
+    };
+  }
+
+  // RFC 5322 compliant email regex (simplified)
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  if (!emailRegex.test(trimmed)) {
+    return {
+      valid: false,
+      message: 'Please enter a valid email address.'
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Validate phone number format
+ * @param {string} phone - Phone number to validate
+ * @param {boolean} required - Whether the field is required
+ * @returns {Object} Validation result { valid: boolean, message: string }
+ */
+function validatePhone(phone, required = false) {
+  if (!phone || typeof phone !== 'string') {
+    if (required) {
+      return {
+        valid: false,
+        message: 'Phone number is required.'
+      };
+    }
+    return {
+      valid: true,
+      message: ''
+    };
+  }
+
+  const trimmed = phone.trim();
+
+  if (trimmed.length === 0) {
+    if (required) {
+      return {
+        valid: false,
+        message: 'Phone number is required.'
+      };
+    }
+    return {
+      valid: true,
+      message: ''
+    };
+  }
+
+  // Allow various phone formats: (123) 456-7890, 123-456-7890, 1234567890, +1 123 456 7890
+  const phoneRegex = /^[\d\s\-\(\)\+\.]+$/;
+  const digitsOnly = trimmed.replace(/\D/g, '');
+
+  if (!phoneRegex.test(trimmed) || digitsOnly.length < 10 || digitsOnly.length > 15) {
+    return {
+      valid: false,
+      message: 'Please enter a valid phone number (10-15 digits).'
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Validate credit card number format (Luhn algorithm check)
+ * @param {string} cardNumber - Credit card number to validate
+ * @returns {Object} Validation result { valid: boolean, message: string }
+ */
+function validateCreditCard(cardNumber) {
+  if (!cardNumber || typeof cardNumber !== 'string') {
+    return {
+      valid: false,
+      message: 'Card number is required.'
+    };
+  }
+
+  // Remove spaces and dashes
+  const digitsOnly = cardNumber.replace(/[\s\-]/g, '');
+
+  if (digitsOnly.length === 0) {
+    return {
+      valid: false,
+      message: 'Card number is required.'
+    };
+  }
+
+  // Check if all characters are digits
+  if (!/^\d+$/.test(digitsOnly)) {
+    return {
+      valid: false,
+      message: 'Card number should contain only digits.'
+    };
+  }
+
+  // Check length (13-19 digits for most card types)
+  if (digitsOnly.length < 13 || digitsOnly.length > 19) {
+    return {
+      valid: false,
+      message: 'Please enter a valid card number (13-19 digits).'
+    };
+  }
+
+  // Luhn algorithm check
+  if (!luhnCheck(digitsOnly)) {
+    return {
+      valid: false,
+      message: 'Please enter a valid card number.'
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Luhn algorithm for credit card validation
+ * @param {string} cardNumber - Card number (digits only)
+ * @returns {boolean} Whether the card passes Luhn check
+ */
+function luhnCheck(cardNumber) {
+  let sum = 0;
+  let isEven = false;
+
+  for (let i = cardNumber.length - 1; i >= 0; i--) {
+    let digit = parseInt(cardNumber[i], 10);
+
+    if (isEven) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+
+    sum += digit;
+    isEven = !isEven;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate expiry date (MM/YY format)
+ * @param {string} expiry - Expiry date to validate
+ * @returns {Object} Validation result { valid: boolean, message: string }
+ */
+function validateExpiry(expiry) {
+  if (!expiry || typeof expiry !== 'string') {
+    return {
+      valid: false,
+      message: 'Expiry date is required.'
+    };
+  }
+
+  const trimmed = expiry.trim();
+
+  if (trimmed.length === 0) {
+    return {
+      valid: false,
+      message: 'Expiry date is required.'
+    };
+  }
+
+  // Accept MM/YY or MM/YYYY format
+  const expiryRegex = /^(0[1-9]|1[0-2])\/?(\d{2}|\d{4})$/;
+  const match = trimmed.replace(/\s/g, '').match(expiryRegex);
+
+  if (!match) {
+    return {
+      valid: false,
+      message: 'Please enter expiry date in MM/YY format.'
+    };
+  }
+
+  const month = parseInt(match[1], 10);
+  let year = parseInt(match[2], 10);
+
+  // Convert 2-digit year to 4-digit
+  if (year < 100) {
+    year += 2000;
+  }
+
+  const now = new Date();
+  const currentYear = now.getFullYear();
+  const currentMonth = now.getMonth() + 1;
+
+  // Check if card has expired
+  if (year < currentYear || (year === currentYear && month < currentMonth)) {
+    return {
+      valid: false,
+      message: 'This card has expired.'
+    };
+  }
+
+  // Check if expiry is too far in the future (more than 20 years)
+  if (year > currentYear + 20) {
+    return {
+      valid: false,
+      message: 'Please enter a valid expiry date.'
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Validate CVV (3-4 digits)
+ * @param {string} cvv - CVV to validate
+ * @returns {Object} Validation result { valid: boolean, message: string }
+ */
+function validateCVV(cvv) {
+  if (!cvv || typeof cvv !== 'string') {
+    return {
+      valid: false,
+      message: 'CVV is required.'
+    };
+  }
+
+  const trimmed = cvv.trim();
+
+  if (trimmed.length === 0) {
+    return {
+      valid: false,
+      message: 'CVV is required.'
+    };
+  }
+
+  // CVV should be 3-4 digits (3 for most cards, 4 for Amex)
+  const cvvRegex = /^\d{3,4}$/;
+
+  if (!cvvRegex.test(trimmed)) {
+    return {
+      valid: false,
+      message: 'Please enter a valid CVV (3-4 digits).'
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Validate required field
+ * @param {string} value - Value to validate
+ * @param {string} fieldName - Name of the field for error message
+ * @returns {Object} Validation result { valid: boolean, message: string }
+ */
+function validateRequired(value, fieldName) {
+  if (!value || typeof value !== 'string') {
+    return {
+      valid: false,
+      message: `${fieldName} is required.`
+    };
+  }
+
+  const trimmed = value.trim();
+
+  if (trimmed.length === 0) {
+    return {
+      valid: false,
+      message: `${fieldName} is required.`
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Validate zip/postal code
+ * @param {string} zipCode - Zip code to validate
+ * @param {string} country - Country code for format validation
+ * @returns {Object} Validation result { valid: boolean, message: string }
+ */
+function validateZipCode(zipCode, country = 'US') {
+  if (!zipCode || typeof zipCode !== 'string') {
+    return {
+      valid: false,
+      message: 'Zip/postal code is required.'
+    };
+  }
+
+  const trimmed = zipCode.trim();
+
+  if (trimmed.length === 0) {
+    return {
+      valid: false,
+      message: 'Zip/postal code is required.'
+    };
+  }
+
+  // Country-specific validation patterns
+  const patterns = {
+    'US': /^\d{5}(-\d{4})?$/,  // 12345 or 12345-6789
+    'CA': /^[A-Za-z]\d[A-Za-z][ -]?\d[A-Za-z]\d$/,  // A1A 1A1
+    'UK': /^[A-Za-z]{1,2}\d[A-Za-z\d]?\s?\d[A-Za-z]{2}$/,  // SW1A 1AA
+    'DEFAULT': /^[\dA-Za-z\s\-]{3,10}$/  // Generic pattern
+  };
+
+  const pattern = patterns[country] || patterns['DEFAULT'];
+
+  if (!pattern.test(trimmed)) {
+    if (country === 'US') {
+      return {
+        valid: false,
+        message: 'Please enter a valid US zip code (e.g., 12345 or 12345-6789).'
+      };
+    } else if (country === 'CA') {
+      return {
+        valid: false,
+        message: 'Please enter a valid Canadian postal code (e.g., A1A 1A1).'
+      };
+    }
+    return {
+      valid: false,
+      message: 'Please enter a valid zip/postal code.'
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Check whether a payment method needs card details
+ * @param {string} [paymentMethod] - Payment provider ID (defaults to the card gateway)
+ * @returns {boolean} True if card fields must be filled in
+ */
+function paymentMethodRequiresCard(paymentMethod = DEFAULT_PAYMENT_METHOD) {
+  const provider = window.PaymentsModule ? window.PaymentsModule.getPaymentProvider(paymentMethod) : null;
+  return provider ? Boolean(provider.requiresCard) : true;
+}
+
+/**
+ * Collect the card details from checkout form data
+ * @param {Object} formData - Checkout form data
+ * @returns {Object} Card { number, name, expiry, cvv }
+ */
+function getCheckoutCard(formData) {
+  return {
+    number: formData.cardNumber || '',
+    name: formData.cardName || '',
+    expiry: formData.expiry || '',
+    cvv: formData.cvv || ''
+  };
+}
+
+/**
+ * Validate entire checkout form
+ * @param {Object} formData - Form data to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Object }
+ */
+function validateCheckoutForm(formData) {
+  const errors = {};
+
+  // Contact Information
+  const emailResult = validateEmail(formData.email);
+  if (!emailResult.valid) {
+    errors.email = emailResult.message;
+  }
+
+  const phoneResult = validatePhone(formData.phone, false);
+  if (!phoneResult.valid) {
+    errors.phone = phoneResult.message;
+  }
+
+  // Shipping Address
+  const firstNameResult = validateRequired(formData.firstName, 'First name');
+  if (!firstNameResult.valid) {
+    errors.firstName = firstNameResult.message;
+  }
+
+  const lastNameResult = validateRequired(formData.lastName, 'Last name');
+  if (!lastNameResult.valid) {
+    errors.lastName = lastNameResult.message;
+  }
+
+  const address1Result = validateRequired(formData.address1, 'Address');
+  if (!address1Result.valid) {
+    errors.address1 = address1Result.message;
+  }
+
+  const cityResult = validateRequired(formData.city, 'City');
+  if (!cityResult.valid) {
+    errors.city = cityResult.message;
+  }
+
+  const stateResult = validateRequired(formData.state, 'State/Province');
+  if (!stateResult.valid) {
+    errors.state = stateResult.message;
+  }
+
+  const zipResult = validateZipCode(formData.zipCode, formData.country);
+  if (!zipResult.valid) {
+    errors.zipCode = zipResult.message;
+  }
+
+  const countryResult = validateRequired(formData.country, 'Country');
+  if (!countryResult.valid) {
+    errors.country = countryResult.message;
+  }
+
+  // Payment Information (card details only for methods that take a card)
+  if (paymentMethodRequiresCard(formData.paymentMethod)) {
+    const cardResult = window.PaymentsModule
+      ? window.PaymentsModule.validateCardDetails(getCheckoutCard(formData))
+      : { errors: {} };
+
+    Object.assign(errors, cardResult.errors);
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Generate unique order confirmation number
+ * @returns {string} Order confirmation number (e.g., MH-20240116-ABC123)
+ */
+function generateOrderNumber() {
+  const date = new Date();
+  const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `MH-${datePart}-${randomPart}`;
+}
+
+/**
+ * Upgrade an order saved under an older schema to the current one
+ * @param {Object} order - Stored order
+ * @returns {Object} Order in the current schema
+ */
+function normalizeOrder(order) {
+  let upgraded = order;
+  const version = order.schemaVersion || 1;
+
+  if (version < 2) {
+    // Version 1 orders stored invoices as a placeholder card ending in 0000
+    const payment = upgraded.payment || {};
+    const isInvoice = payment.provider === 'invoice' || payment.method === 'Invoice on Delivery' || payment.cardLast4 === '0000';
+
+    upgraded = {
+      ...upgraded,
+      idempotencyKey: upgraded.idempotencyKey || null,
+      shipping: { notes: '', ...upgraded.shipping },
+      payment: payment.provider ? payment : {
+        provider: isInvoice ? 'invoice' : 'card',
+        method: isInvoice ? 'Invoice on Delivery' : 'Credit Card',
+        transactionId: null,
+        status: null,
+        brand: null,
+        cardLast4: isInvoice ? null : payment.cardLast4 || null,
+        cardName: isInvoice ? null : payment.cardName || null
+      },
+      currency: upgraded.currency || { display: 'USD', settlement: 'USD', rate: 1 }
+    };
+  }
+
+  if (version < 3) {
+    // Earlier orders only recorded their current status
+    const status = upgraded.status || 'confirmed';
+    upgraded = {
+      ...upgraded,
+      status,
+      statusHistory: [{ status, at: upgraded.orderDate || null, note: '' }]
+    };
+  }
+
+  return version === ORDER_SCHEMA_VERSION ? order : { ...upgraded, schemaVersion: ORDER_SCHEMA_VERSION };
+}
+
+/**
+ * Get order history from localStorage
+ * @returns {Array} Array of past orders
+ */
+function getOrderHistory() {
+  try {
+    const stored = localStorage.getItem(ORDERS_STORAGE_KEY);
+    return stored ? JSON.parse(stored).map(normalizeOrder) : [];
+  } catch (error) {
+    console.error('Error loading order history from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save order to localStorage
+ * @param {Object} order - Order data to save
+ * @returns {Object} The saved order with order number
+ */
+function saveOrder(order) {
+  const orderNumber = generateOrderNumber();
+  const orderDate = new Date().toISOString();
+
+  // Orders are confirmed once payment is authorized (invoices are authorized at checkout)
+  const paymentStatus = order.payment ? order.payment.status : null;
+  const status = paymentStatus === 'authorized' || paymentStatus === 'captured' ? 'confirmed' : 'pending_payment';
+
+  const orderRecord = {
+    ...order,
+    orderNumber,
+    orderDate,
+    status,
+    statusHistory: [{ status, at: orderDate, note: '' }]
+  };
+
+  let saleRecorded = false;
+
+  try {
+    // Take the ordered units out of stock before the order is written, so nothing can fail once it exists
+    if (window.InventoryModule) {
+      window.InventoryModule.recordSale(orderRecord.items || []);
+      saleRecorded = true;
+    }
+
+    const orders = getOrderHistory();
+    orders.push(orderRecord);
+    localStorage.setItem(ORDERS_STORAGE_KEY, JSON.stringify(orders));
+  } catch (error) {
+    // The order was never written, so put its stock back
+    if (saleRecorded) {
+      window.InventoryModule.recordRestock(orderRecord.items || []);
+    }
+    console.error('Error saving order to localStorage:', error);
+    throw new Error('Failed to save order. Please try again.');
+  }
+
+  // Count the order against promo code usage limits
+  if (window.PromotionsModule) {
+    (orderRecord.totals?.promotions || []).forEach(promotion => {
+      window.PromotionsModule.recordPromotionUsage(promotion.code);
+    });
+  }
+
+  return orderRecord;
+}
+
+/**
+ * Generate an idempotency key for one checkout attempt
+ * Submitting again with the same key returns the order already placed instead of a second one
+ * @returns {string} Idempotency key
+ */
+function generateIdempotencyKey() {
+  return `chk_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Find an order placed with an idempotency key
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {Object|null} Order or null if none was placed with the key
+ */
+function findOrderByIdempotencyKey(idempotencyKey) {
+  if (!idempotencyKey) return null;
+  return getOrderHistory().find(order => order.idempotencyKey === idempotencyKey) || null;
+}
+
+/**
+ * Authorize payment for a checkout
+ * @param {Object} formData - Checkout form data (paymentMethod, card fields, email)
+ * @param {Object} cartSummary - Cart summary from CartModule.getCartSummary()
+ * @param {string} [idempotencyKey] - Checkout attempt key; a retry reuses a successful authorization
+ * @returns {Object} Result { success, transaction, error } from PaymentsModule
+ */
+function authorizeCheckoutPayment(formData, cartSummary, idempotencyKey) {
+  const paymentMethod = formData.paymentMethod || DEFAULT_PAYMENT_METHOD;
+
+  return window.PaymentsModule.authorizePayment(paymentMethod, {
+    amount: cartSummary.total,
+    currency: window.CurrencyModule ? window.CurrencyModule.SETTLEMENT_CURRENCY : 'USD',
+    card: paymentMethodRequiresCard(paymentMethod) ? getCheckoutCard(formData) : null,
+    email: formData.email ? formData.email.trim() : '',
+    idempotencyKey
+  });
+}
+
+/**
+ * Release a checkout payment whose order could not be saved, so the shopper is not charged
+ * @param {Object} transaction - Transaction from authorizeCheckoutPayment
+ */
+function releaseCheckoutPayment(transaction) {
+  if (transaction.status === 'captured') {
+    window.PaymentsModule.refundPayment(transaction.id);
+  } else if (transaction.status === 'authorized') {
+    window.PaymentsModule.voidPayment(transaction.id);
+  }
+}
+
+/**
+ * Build a failed order result
+ * @param {string} code - Error code (see ORDER_ERROR_MESSAGES)
+ * @param {Object} [errors] - Messages keyed by form field name ('general' when no field applies)
+ * @param {Object} [extra] - Extra result properties (e.g. the payment transaction)
+ * @returns {Object} Result { success: false, order: null, code, message, errors }
+ */
+function buildOrderError(code, errors, extra = {}) {
+  const message = ORDER_ERROR_MESSAGES[code];
+
+  return {
+    success: false,
+    order: null,
+    code,
+    message,
+    errors: errors || { general: message },
+    ...extra
+  };
+}
+
+/**
+ * Build an order record in the current schema
+ * @param {Object} formData - Validated checkout form data
+ * @param {Array} cartItems - Items in the cart
+ * @param {Object} cartSummary - Cart summary with totals
+ * @param {Object} payment - Payment summary from PaymentsModule.getPaymentSummary()
+ * @param {string|null} idempotencyKey - Checkout attempt key
+ * @returns {Object} Order (without order number, date or status)
+ */
+function buildOrder(formData, cartItems, cartSummary, payment, idempotencyKey) {
+  return {
+    schemaVersion: ORDER_SCHEMA_VERSION,
+    idempotencyKey,
+    items: cartItems.map(item => ({
+      // Kept so each line can be matched to its promotion discounts
+      cartId: item.cartId,
+      productId: item.productId,
+      sku: item.sku,
+      name: item.name,
+      price: item.price,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      image: item.image,
+      taxClass: item.taxClass,
+      currency: cartSummary.presentment.currency,
+      currencyPrice: window.CartModule ? window.CartModule.getLineDisplayPrice(item) : item.price
+    })),
+    shipping: {
+      firstName: formData.firstName.trim(),
+      lastName: formData.lastName.trim(),
+      address1: formData.address1.trim(),
+      address2: formData.address2 ? formData.address2.trim() : '',
+      city: formData.city.trim(),
+      state: formData.state.trim(),
+      zipCode: formData.zipCode.trim(),
+      country: formData.country.trim(),
+      notes: formData.deliveryNotes ? formData.deliveryNotes.trim() : ''
+    },
+    contact: {
+      email: formData.email.trim(),
+      phone: formData.phone ? formData.phone.trim() : ''
+    },
+    // Only the card brand and last four digits are stored
+    payment,
+    totals: {
+      subtotal: cartSummary.subtotal,
+      discount: cartSummary.discount,
+      promoCode: cartSummary.promoCode,
+      promoCodes: cartSummary.promoCodes || [],
+      promotions: cartSummary.promotions || [],
+      shipping: cartSummary.shipping,
+      tax: cartSummary.tax,
+      total: cartSummary.total,
+      presentment: cartSummary.presentment
+    },
+    // Shown to the shopper in the display currency, charged in the settlement currency
+    currency: window.CurrencyModule
+      ? window.CurrencyModule.getCurrencyRecord(cartSummary.presentment.currency)
+      : { display: 'USD', settlement: 'USD', rate: 1 }
+  };
+}
+
+/**
+ * Create an order: validate, take payment, save and clear the cart
+ * The single entry point for placing orders, from the checkout page or from code.
+ * Failures return an error code plus messages keyed by form field so callers can show them inline.
+ * @param {Object} formData - Checkout form data (contact, address, deliveryNotes, paymentMethod, card fields)
+ * @param {Array} cartItems - Items in the cart
+ * @param {Object} cartSummary - Cart summary with totals
+ * @param {Object} [options] - Options
+ * @param {string} [options.idempotencyKey] - Checkout attempt key (see generateIdempotencyKey)
+ * @param {boolean} [options.clearCart=true] - Whether to empty the cart once the order is saved
+ * @returns {Object} Result { success, order, errors, code?, message?, duplicate?, requiresAction?, transaction? }
+ */
+function createOrder(formData, cartItems, cartSummary, options = {}) {
+  const idempotencyKey = options.idempotencyKey || null;
+  const clearCart = options.clearCart !== false;
+
+  // A repeated submission returns the order it already placed (a repeated payment authorization is
+  // likewise reused by PaymentsModule under the same key)
+  const existing = findOrderByIdempotencyKey(idempotencyKey);
+  if (existing) {
+    return { success: true, order: existing, errors: null, duplicate: true };
+  }
+
+  const validation = validateCheckoutForm(formData);
+  if (!validation.valid) {
+    return buildOrderError('validation_failed', validation.errors);
+  }
+
+  if (!cartItems || cartItems.length === 0) {
+    return buildOrderError('cart_empty', { cart: ORDER_ERROR_MESSAGES.cart_empty });
+  }
+
+  // Authorize payment; a challenge is handed back to the caller to complete
+  const payment = authorizeCheckoutPayment(formData, cartSummary, idempotencyKey);
+
+  if (payment.success && payment.transaction.status === 'requires_action') {
+    return buildOrderError('payment_requires_action', {}, {
+      requiresAction: true,
+      transaction: payment.transaction
+    });
+  }
+
+  if (!payment.success) {
+    return buildOrderError('payment_declined', {
+      [payment.error.field || 'general']: payment.error.message
+    }, {
+      message: payment.error.message,
+      transaction: payment.transaction
+    });
+  }
+
+  const order = buildOrder(
+    formData,
+    cartItems,
+    cartSummary,
+    window.PaymentsModule.getPaymentSummary(payment.transaction),
+    idempotencyKey
+  );
+
+  let savedOrder;
+  try {
+    savedOrder = saveOrder(order);
+  } catch (error) {
+    releaseCheckoutPayment(payment.transaction);
+    return buildOrderError('save_failed', { general: error.message || ORDER_ERROR_MESSAGES.save_failed });
+  }
+
+  window.PaymentsModule.attachPaymentToOrder(payment.transaction.id, savedOrder.orderNumber);
+
+  if (clearCart && window.CartModule && typeof window.CartModule.clearCart === 'function') {
+    window.CartModule.clearCart();
+  }
+
+  return {
+    success: true,
+    order: savedOrder,
+    errors: null
+  };
+}
+
+/**
+ * Process checkout
+ * @deprecated Use createOrder, which also accepts an idempotency key
+ * @param {Object} formData - Checkout form data
+ * @param {Array} cartItems - Items in the cart
+ * @param {Object} cartSummary - Cart summary with totals
+ * @returns {Object} Result from createOrder
+ */
+function processCheckout(formData, cartItems, cartSummary) {
+  return createOrder(formData, cartItems, cartSummary);
+}
+
+/**
+ * Get an order by order number
+ * @param {string} orderNumber - Order number to find
+ * @returns {Object|null} Order object or null if not found
+ */
+function getOrderByNumber(orderNumber) {
+  const orders = getOrderHistory();
+  return orders.find(order => order.orderNumber === orderNumber) || null;
+}
+
+/**
+ * Look up an order for a guest, who must know the email address it was placed with
+ * The same message is returned whether the order number or the email is wrong,
+ * so the form cannot be used to discover order numbers
+ * @param {string} orderNumber - Order number (case-insensitive)
+ * @param {string} email - Email address on the order (case-insensitive)
+ * @returns {Object} Result { success, order, message }
+ */
+function lookupOrder(orderNumber, email) {
+  const number = (orderNumber || '').trim().toUpperCase();
+  const address = (email || '').trim().toLowerCase();
+  const order = number ? getOrderByNumber(number) : null;
+
+  if (!order || !address || !order.contact || order.contact.email.toLowerCase() !== address) {
+    return {
+      success: false,
+      order: null,
+      message: "We couldn't find an order with that number and email address."
+    };
+  }
+
+  return { success: true, order, message: '' };
+}
+
+/**
+ * Search and filter orders
+ * @param {Array} orders - Orders to filter
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.query] - Matches the order number, product names, SKUs or recipient name
+ * @param {string} [filters.status] - Status ID ('all' or empty for any)
+ * @param {number} [filters.days] - Only orders placed within this many days (0 or empty for any time)
+ * @returns {Array} Matching orders, newest first
+ */
+function filterOrders(orders, filters = {}) {
+  const query = (filters.query || '').trim().toLowerCase();
+  const since = filters.days ? Date.now() - filters.days * 24 * 60 * 60 * 1000 : null;
+
+  return orders
+    .filter(order => {
+      if (filters.status && filters.status !== 'all' && order.status !== filters.status) {
+        return false;
+      }
+
+      if (since && new Date(order.orderDate).getTime() < since) {
+        return false;
+      }
+
+      if (query) {
+        const shipping = order.shipping || {};
+        const haystack = [
+          order.orderNumber,
+          `${shipping.firstName || ''} ${shipping.lastName || ''}`,
+          ...(order.items || []).map(item => `${item.name} ${item.sku || ''}`)
+        ].join(' ').toLowerCase();
+
+        if (!haystack.includes(query)) return false;
+      }
+
+      return true;
+    })
+    .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+}
+
+/**
+ * Write an updated order back to order history
+ * @param {Object} orderRecord - Order with changes
+ * @returns {boolean} True if the order was found and saved
+ */
+function updateOrder(orderRecord) {
+  const orders = getOrderHistory();
+  const index = orders.findIndex(order => order.orderNumber === orderRecord.orderNumber);
+  if (index === -1) return false;
+
+  orders[index] = orderRecord;
+
+  try {
+    localStorage.setItem(ORDERS_STORAGE_KEY, JSON.stringify(orders));
+    return true;
+  } catch (error) {
+    console.error('Error saving order to localStorage:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the shopper-facing label for an order status
+ * @param {string} status - Status ID
+ * @returns {string} Label, e.g. "Shipped"
+ */
+function getOrderStatusLabel(status) {
+  return ORDER_STATUSES[status] || status;
+}
+
+/**
+ * Get the statuses an order can move to next
+ * @param {string} status - Current status
+ * @returns {Array} Status IDs
+ */
+function getAllowedTransitions(status) {
+  return ORDER_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check whether an order can move to a status
+ * @param {Object} order - Order
+ * @param {string} status - Target status
+ * @returns {boolean} True if the transition is legal
+ */
+function canTransitionOrder(order, status) {
+  return getAllowedTransitions(order.status).includes(status);
+}
+
+/**
+ * Get the payment transaction behind an order
+ * @param {Object} order - Order
+ * @returns {Object|null} Transaction or null if the order has none on record
+ */
+function getOrderTransaction(order) {
+  const payments = window.PaymentsModule;
+  const transactionId = order.payment ? order.payment.transactionId : null;
+  return payments && transactionId ? payments.getPaymentTransaction(transactionId) : null;
+}
+
+/**
+ * Give money back on an order's payment
+ * Captured payments are refunded. An authorization that was never captured (an invoice) is voided
+ * for a full refund; for a partial one, only what the shopper keeps is captured.
+ * @param {Object} transaction - Transaction
+ * @param {number} [refundAmount] - Amount to refund (defaults to everything not yet refunded)
+ * @returns {Object} Result { success, transaction, error } (transaction is null when nothing changed)
+ */
+function refundOrderTransaction(transaction, refundAmount) {
+  const payments = window.PaymentsModule;
+
+  if (transaction.status === 'captured' || transaction.status === 'partially_refunded') {
+    return payments.refundPayment(transaction.id, refundAmount);
+  }
+  if (transaction.status === 'authorized') {
+    const kept = refundAmount === undefined ? 0 : Math.round((transaction.amount - refundAmount) * 100) / 100;
+    return kept > 0 ? payments.capturePayment(transaction.id, kept) : payments.voidPayment(transaction.id);
+  }
+  return { success: true, transaction: null, error: null };
+}
+
+/**
+ * Move the order's payment along with its status
+ * Invoices are captured on delivery; cancelling voids or refunds; refunding returns the captured amount
+ * @param {Object} order - Order
+ * @param {string} status - Target status
+ * @param {number} [refundAmount] - Amount to refund (defaults to everything not yet refunded)
+ * @returns {Object} Result { success, transaction, error } (transaction is null when nothing changed)
+ */
+function applyOrderPayment(order, status, refundAmount) {
+  const transaction = getOrderTransaction(order);
+  const unchanged = { success: true, transaction: null, error: null };
+
+  if (!transaction) return unchanged;
+
+  if (status === 'delivered' && transaction.status === 'authorized') {
+    return window.PaymentsModule.capturePayment(transaction.id);
+  }
+  if (status === 'cancelled') {
+    return refundOrderTransaction(transaction);
+  }
+  if (status === 'refunded') {
+    return refundOrderTransaction(transaction, refundAmount);
+  }
+  return unchanged;
+}
+
+/**
+ * Move an order to a new status, recording it in the status history
+ * @param {string} orderNumber - Order number
+ * @param {string} status - Target status (see ORDER_STATUSES)
+ * @param {Object} [options] - Options
+ * @param {string} [options.note] - Note for the history entry (e.g. a tracking number)
+ * @param {number} [options.refundAmount] - Amount to refund when moving to 'refunded'
+ * @returns {Object} Result { success, order, code?, message? }
+ */
+function transitionOrder(orderNumber, status, options = {}) {
+  const order = getOrderByNumber(orderNumber);
+
+  if (!order) {
+    return { success: false, order: null, code: 'order_not_found', message: 'Order not found.' };
+  }
+
+  if (!canTransitionOrder(order, status)) {
+    return {
+      success: false,
+      order,
+      code: 'invalid_transition',
+      message: `An order that is ${getOrderStatusLabel(order.status).toLowerCase()} cannot be marked ${getOrderStatusLabel(status).toLowerCase()}.`
+    };
+  }
+
+  const payment = applyOrderPayment(order, status, options.refundAmount);
+  if (!payment.success) {
+    return { success: false, order, code: 'payment_failed', message: payment.error.message };
+  }
+
+  const at = new Date().toISOString();
+  const updated = {
+    ...order,
+    status,
+    statusHistory: [...order.statusHistory, { status, at, note: options.note || '' }],
+    payment: payment.transaction ? { ...order.payment, status: payment.transaction.status } : order.payment
+  };
+
+  if (!updateOrder(updated)) {
+    return { success: false, order, code: 'save_failed', message: ORDER_ERROR_MESSAGES.save_failed };
+  }
+
+  // Units from a cancelled order never left the warehouse
+  if (status === 'cancelled' && window.InventoryModule) {
+    window.InventoryModule.recordRestock(order.items || []);
+  }
+
+  return { success: true, order: updated };
+}
+
+/**
+ * Record units received back from a return against the order's lines, refunding them if asked
+ * The order keeps its status; each line counts its units returned for a refund (returnedQuantity)
+ * and swapped for another variant (exchangedQuantity)
+ * @param {string} orderNumber - Order number
+ * @param {Array} lines - Returned lines { line, quantity, resolution: 'refund'|'exchange' }
+ * @param {Object} [options] - Options
+ * @param {number} [options.refundAmount=0] - Amount to refund now
+ * @returns {Object} Result { success, order, code?, message? }
+ */
+function recordOrderReturn(orderNumber, lines, options = {}) {
+  const order = getOrderByNumber(orderNumber);
+
+  if (!order) {
+    return { success: false, order: null, code: 'order_not_found', message: 'Order not found.' };
+  }
+
+  const transaction = options.refundAmount > 0 ? getOrderTransaction(order) : null;
+  const payment = transaction ? refundOrderTransaction(transaction, options.refundAmount) : { success: true, transaction: null };
+  if (!payment.success) {
+    return { success: false, order, code: 'payment_failed', message: payment.error.message };
+  }
+
+  const countUnits = (index, resolution) => lines
+    .filter(line => line.line === index && line.resolution === resolution)
+    .reduce((sum, line) => sum + line.quantity, 0);
+
+  const updated = {
+    ...order,
+    items: order.items.map((item, index) => ({
+      ...item,
+      returnedQuantity: (item.returnedQuantity || 0) + countUnits(index, 'refund'),
+      exchangedQuantity: (item.exchangedQuantity || 0) + countUnits(index, 'exchange')
+    })),
+    payment: payment.transaction ? { ...order.payment, status: payment.transaction.status } : order.payment
+  };
+
+  if (!updateOrder(updated)) {
+    return { success: false, order, code: 'save_failed', message: ORDER_ERROR_MESSAGES.save_failed };
+  }
+
+  return { success: true, order: updated };
+}
+
+/**
+ * Get orders in one or more statuses
+ * @param {string|Array} statuses - Status ID or list of status IDs
+ * @returns {Array} Matching orders, newest first
+ */
+function getOrdersByStatus(statuses) {
+  const wanted = Array.isArray(statuses) ? statuses : [statuses];
+
+  return getOrderHistory()
+    .filter(order => wanted.includes(order.status))
+    .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+}
+
+/**
+ * Describe an order's progress for a status timeline
+ * Fulfillment steps not yet reached are listed as upcoming, unless the order left that path
+ * (cancelled, returned or refunded)
+ * @param {Object} order - Order
+ * @returns {Array} Steps { status, label, at, note, state: 'complete' | 'current' | 'upcoming' }
+ */
+function getOrderTimeline(order) {
+  const history = order.statusHistory || [];
+  const steps = history.map((entry, index) => ({
+    status: entry.status,
+    label: getOrderStatusLabel(entry.status),
+    at: entry.at,
+    note: entry.note || '',
+    state: index === history.length - 1 ? 'current' : 'complete'
+  }));
+
+  if (ORDER_FULFILLMENT_STEPS.includes(order.status)) {
+    ORDER_FULFILLMENT_STEPS
+      .slice(ORDER_FULFILLMENT_STEPS.indexOf(order.status) + 1)
+      .forEach(status => {
+        steps.push({ status, label: getOrderStatusLabel(status), at: null, note: '', state: 'upcoming' });
+      });
+  }
+
+  return steps;
+}
+
+/**
+ * Format credit card number with spaces (for display during input)
+ * @param {string} cardNumber - Raw card number
+ * @returns {string} Formatted card number
+ */
+function formatCardNumber(cardNumber) {
+  if (!cardNumber) return '';
+  const digitsOnly = cardNumber.replace(/\D/g, '');
+  const groups = digitsOnly.match(/.{1,4}/g);
+  return groups ? groups.join(' ') : digitsOnly;
+}
+
+/**
+ * Format expiry date (for display during input)
+ * @param {string} expiry - Raw expiry input
+ * @returns {string} Formatted expiry (MM/YY)
+ */
+function formatExpiry(expiry) {
+  if (!expiry) return '';
+  const digitsOnly = expiry.replace(/\D/g, '');
+  if (digitsOnly.length >= 2) {
+    return digitsOnly.slice(0, 2) + '/' + digitsOnly.slice(2, 4);
+  }
+  return digitsOnly;
+}
+
+/**
+ * Mask card number for display (show only last 4 digits)
+ * @param {string} cardNumber - Card number to mask
+ * @returns {string} Masked card number (e.g., **** **** **** 1234)
+ */
+function maskCardNumber(cardNumber) {
+  if (!cardNumber) return '';
+  const digitsOnly = cardNumber.replace(/\D/g, '');
+  const last4 = digitsOnly.slice(-4);
+  return `**** **** **** ${last4}`;
+}
+
+// Export functions for use in other modules
+window.CheckoutModule = {
+  ORDER_SCHEMA_VERSION,
+  ORDER_STATUSES,
+
+  // Individual field validators
+  validateEmail,
+  validatePhone,
+  validateCreditCard,
+  validateExpiry,
+  validateCVV,
+  validateRequired,
+  validateZipCode,
+
+  // Form validation
+  validateCheckoutForm,
+  paymentMethodRequiresCard,
+
+  // Order processing
+  createOrder,
+  processCheckout,
+  generateIdempotencyKey,
+  authorizeCheckoutPayment,
+  releaseCheckoutPayment,
+  generateOrderNumber,
+
+  // Order history
+  saveOrder,
+  getOrderHistory,
+  getOrderByNumber,
+  findOrderByIdempotencyKey,
+  lookupOrder,
+  filterOrders,
+
+  // Order lifecycle
+  transitionOrder,
+  recordOrderReturn,
+  canTransitionOrder,
+  getAllowedTransitions,
+  getOrdersByStatus,
+  getOrderStatusLabel,
+  getOrderTimeline,
+
+  // Formatting utilities
+  formatCardNumber,
+  formatExpiry,
+  maskCardNumber
+};
@@ -0,0 +1,265 @@
+// Compare Module
+// Product comparison list (the compare tray), shareable compare links and side-by-side attribute rows
+
+const COMPARE_STORAGE_KEY = 'mh_compare';
+
+// Most products that fit side by side
+const MAX_COMPARE_ITEMS = 4;
+
+// Fewer products than this leaves nothing to compare
+const MIN_COMPARE_ITEMS = 2;
+
+// Rows of the comparison table, in order (specification rows follow these)
+const COMPARE_ATTRIBUTES = [
+  { key: 'price', label: 'Price' },
+  { key: 'rating', label: 'Rating' },
+  { key: 'sizes', label: 'Sizes' },
+  { key: 'colors', label: 'Colors' },
+  { key: 'stock', label: 'Availability' },
+  { key: 'category', label: 'Category' },
+  { key: 'dimensions', label: 'Dimensions' }
+];
+
+// Stock at or below this is shown as low (matches the product page)
+const COMPARE_LOW_STOCK = 5;
+
+/**
+ * Get the product IDs being compared
+ * @returns {Array<string>} Product IDs, in the order they were added
+ */
+function getCompareList() {
+  try {
+    const stored = localStorage.getItem(COMPARE_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading compare list from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the product IDs being compared
+ * @param {Array<string>} productIds - Product IDs (duplicates and anything past the limit are dropped)
+ * @returns {Array<string>} Saved product IDs
+ */
+function setCompareList(productIds) {
+  const list = [...new Set(productIds)].slice(0, MAX_COMPARE_ITEMS);
+
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(list));
+  } catch (error) {
+    console.error('Error saving compare list to localStorage:', error);
+  }
+  return list;
+}
+
+/**
+ * Check if a product is being compared
+ * @param {string} productId - Product ID
+ * @returns {boolean} True if the product is in the compare tray
+ */
+function isInCompare(productId) {
+  return getCompareList().includes(productId);
+}
+
+/**
+ * Add a product to the compare tray
+ * @param {string} productId - Product ID
+ * @returns {Object} Result { success, list, code?, message? }
+ */
+function addToCompare(productId) {
+  const list = getCompareList();
+
+  if (list.includes(productId)) {
+    return { success: true, list };
+  }
+
+  if (list.length >= MAX_COMPARE_ITEMS) {
+    return {
+      success: false,
+      list,
+      code: 'compare_full',
+      message: `You can compare up to ${MAX_COMPARE_ITEMS} products. Remove one to add another.`
+    };
+  }
+
+  return { success: true, list: setCompareList([...list, productId]) };
+}
+
+/**
+ * Remove a product from the compare tray
+ * @param {string} productId - Product ID
+ * @returns {Array<string>} Remaining product IDs
+ */
+function removeFromCompare(productId) {
+  return setCompareList(getCompareList().filter(id => id !== productId));
+}
+
+/**
+ * Add a product to the compare tray, or remove it if it is already there
+ * @param {string} productId - Product ID
+ * @returns {Object} Result { success, added, list, code?, message? }
+ */
+function toggleCompare(productId) {
+  if (isInCompare(productId)) {
+    return { success: true, added: false, list: removeFromCompare(productId) };
+  }
+
+  const result = addToCompare(productId);
+  return { ...result, added: result.success };
+}
+
+/**
+ * Empty the compare tray
+ */
+function clearCompare() {
+  setCompareList([]);
+}
+
+/**
+ * Build a link to the comparison page
+ * @param {Array<string>} [productIds] - Product IDs (defaults to the compare tray)
+ * @returns {string} URL, e.g. pages/compare.html?ids=exec-shaper-pro,contour-master-3000
+ */
+function getCompareUrl(productIds) {
+  const page = window.location.pathname.includes('/pages/') ? 'compare.html' : 'pages/compare.html';
+  const url = new URL(page, window.location.href);
+  // Commas are left unescaped so the link stays readable
+  url.search = `?ids=${(productIds || getCompareList()).map(encodeURIComponent).join(',')}`;
+  return url.href;
+}
+
+/**
+ * Read the product IDs in a compare link
+ * @param {string} param - Value of the link's `ids` parameter
+ * @returns {Array<string>} Product IDs (unchecked against the catalog)
+ */
+function parseCompareIds(param) {
+  const ids = (param || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  return [...new Set(ids)].slice(0, MAX_COMPARE_ITEMS);
+}
+
+/**
+ * Get a product's value for a comparison row
+ * Values are plain data: the page formats them for display
+ * @param {Object} product - Product object
+ * @param {string} key - Attribute key (see COMPARE_ATTRIBUTES)
+ * @returns {*} Value
+ */
+function getAttributeValue(product, key) {
+  switch (key) {
+    case 'price':
+      return product.price;
+    case 'rating':
+      return { rating: product.rating, reviewCount: product.reviewCount };
+    case 'sizes':
+      return product.sizes || [];
+    case 'colors':
+      return product.colors || [];
+    case 'stock':
+      if (!product.inStock) return 'out_of_stock';
+      return product.stockCount <= COMPARE_LOW_STOCK ? 'low_stock' : 'in_stock';
+    case 'category':
+      return product.category;
+    case 'dimensions':
+      return product.dimensions || null;
+    default:
+      return product[key] !== undefined ? product[key] : null;
+  }
+}
+
+/**
+ * Build the comparison rows for some products
+ * A row differs when its products don't all have the same value. List rows (sizes, colors) also
+ * carry the entries every product shares, so the page can pick out the ones that differ.
+ * Specification rows carry their field from ProductsModule.SPEC_FIELDS
+ * @param {Array} products - Products, in column order
+ * @returns {Array} Rows { key, label, values, differs, shared?, spec? }
+ */
+function buildComparison(products) {
+  const specFields = window.ProductsModule ? window.ProductsModule.SPEC_FIELDS : [];
+
+  const attributeRows = COMPARE_ATTRIBUTES.map(attribute => {
+    const values = products.map(product => getAttributeValue(product, attribute.key));
+    const row = { key: attribute.key, label: attribute.label, values, differs: valuesDiffer(values) };
+
+    if (Array.isArray(values[0])) {
+      row.shared = values[0].filter(entry => values.every(list => list.includes(entry)));
+    }
+
+    return row;
+  });
+
+  const specRows = specFields
+    .map(field => {
+      const values = products.map(product => window.ProductsModule.getSpecValue(product, field));
+      return { key: `spec-${field.key}`, label: field.label, values, differs: valuesDiffer(values), spec: field };
+    })
+    // Leave out specifications none of the products have
+    .filter(row => row.values.some(value => value !== null));
+
+  return [...attributeRows, ...specRows];
+}
+
+/**
+ * Check whether the values in a row are not all the same
+ * @param {Array} values - Row values
+ * @returns {boolean} True if any value differs
+ */
+function valuesDiffer(values) {
+  return new Set(values.map(value => JSON.stringify(value))).size > 1;
+}
+
+/**
+ * Load products for comparison
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Object>} Comparison { products, rows, missingIds } (missingIds are not in the catalog)
+ */
+async function getComparison(productIds) {
+  if (!window.ProductsModule) {
+    return { products: [], rows: [], missingIds: productIds };
+  }
+
+  const catalog = await window.ProductsModule.loadProducts();
+  const products = [];
+  const missingIds = [];
+
+  productIds.forEach(id => {
+    const product = catalog.find(item => item.id === id);
+    if (product) {
+      products.push(product);
+    } else {
+      missingIds.push(id);
+    }
+  });
+
+  return { products, rows: buildComparison(products), missingIds };
+}
+
+// Export functions for use in other modules
+window.CompareModule = {
+  MAX_COMPARE_ITEMS,
+  MIN_COMPARE_ITEMS,
+  COMPARE_ATTRIBUTES,
+
+  // Compare tray
+  getCompareList,
+  setCompareList,
+  isInCompare,
+  addToCompare,
+  removeFromCompare,
+  toggleCompare,
+  clearCompare,
+
+  // Links
+  getCompareUrl,
+  parseCompareIds,
+
+  // Comparison
+  getComparison,
+  buildComparison,
+  getAttributeValue
+};
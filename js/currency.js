@@ -0,0 +1,211 @@
+// Currency Module
+// Display currencies, offline exchange rates, price rounding and locale-aware formatting
+
+const CURRENCY_STORAGE_KEY = 'mh_currency';
+
+// Catalog prices are set, and orders settled, in this currency
+const SETTLEMENT_CURRENCY = 'USD';
+
+// Date the exchange rates below were last updated
+const EXCHANGE_RATES_AS_OF = '2026-10-01';
+
+/**
+ * Supported display currencies
+ * rate: units of the currency per 1 USD
+ * locale: default locale for formatting; locales overrides it per shipping country
+ * priceEnding: catalog prices are rounded up to this ending (e.g. 0.99 → 45.99), or null to keep cents
+ */
+const CURRENCIES = {
+  USD: { name: 'US Dollar', rate: 1, locale: 'en-US', priceEnding: null },
+  CAD: { name: 'Canadian Dollar', rate: 1.37, locale: 'en-CA', priceEnding: 0.99 },
+  GBP: { name: 'British Pound', rate: 0.76, locale: 'en-GB', priceEnding: 0.99 },
+  AUD: { name: 'Australian Dollar', rate: 1.53, locale: 'en-AU', priceEnding: 0.95 },
+  EUR: { name: 'Euro', rate: 0.86, locale: 'en-IE', locales: { DE: 'de-DE', FR: 'fr-FR', NL: 'nl-NL' }, priceEnding: 0.99 }
+};
+
+// Cached Intl.NumberFormat instances, keyed by locale and currency
+const currencyFormatters = {};
+
+/**
+ * Get the shopper's display currency
+ * @returns {string} Currency code (defaults to USD)
+ */
+function getCurrency() {
+  try {
+    const stored = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return stored && CURRENCIES[stored] ? stored : SETTLEMENT_CURRENCY;
+  } catch (error) {
+    console.error('Error loading currency from localStorage:', error);
+    return SETTLEMENT_CURRENCY;
+  }
+}
+
+/**
+ * Save the shopper's display currency
+ * @param {string} currency - Currency code
+ * @returns {boolean} True if the currency is supported and was saved
+ */
+function setCurrency(currency) {
+  if (!CURRENCIES[currency]) {
+    return false;
+  }
+
+  try {
+    localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+    return true;
+  } catch (error) {
+    console.error('Error saving currency to localStorage:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the exchange rate from the settlement currency
+ * @param {string} [currency] - Currency code (defaults to the display currency)
+ * @returns {number} Units of the currency per 1 USD
+ */
+function getExchangeRate(currency = getCurrency()) {
+  return (CURRENCIES[currency] || CURRENCIES[SETTLEMENT_CURRENCY]).rate;
+}
+
+/**
+ * Get the locale used to format a currency
+ * Euro amounts follow the shipping country's conventions (e.g. "45,99 €" in Germany)
+ * @param {string} currency - Currency code
+ * @returns {string} BCP 47 locale
+ */
+function getCurrencyLocale(currency) {
+  const config = CURRENCIES[currency] || CURRENCIES[SETTLEMENT_CURRENCY];
+  const country = window.ShippingModule ? window.ShippingModule.getDestination().country : null;
+
+  return (config.locales && config.locales[country]) || config.locale;
+}
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Convert an amount (total, fee or discount) from USD, rounded to cents
+ * @param {number} amount - Amount in USD
+ * @param {string} [currency] - Target currency (defaults to the display currency)
+ * @param {number} [rate] - Exchange rate to use instead of the current table (e.g. one recorded on an order)
+ * @returns {number} Converted amount
+ */
+function convertAmount(amount, currency = getCurrency(), rate = getExchangeRate(currency)) {
+  return roundCurrency(amount * rate);
+}
+
+/**
+ * Convert a catalog price from USD, applying the currency's price ending
+ * @param {number} price - Price in USD
+ * @param {string} [currency] - Target currency (defaults to the display currency)
+ * @param {number} [rate] - Exchange rate to use instead of the current table
+ * @returns {number} Converted price
+ */
+function convertPrice(price, currency = getCurrency(), rate = getExchangeRate(currency)) {
+  const converted = convertAmount(price, currency, rate);
+  const ending = (CURRENCIES[currency] || {}).priceEnding;
+
+  if (!ending || converted < 1) {
+    return converted;
+  }
+  return roundCurrency(Math.ceil(converted) - (1 - ending));
+}
+
+/**
+ * Format an amount that is already in the given currency
+ * @param {number} amount - Amount
+ * @param {string} [currency] - Currency code (defaults to the display currency)
+ * @returns {string} Formatted amount, e.g. "$45.99", "CA$62.99" or "45,99 €"
+ */
+function formatMoney(amount, currency = getCurrency()) {
+  const locale = getCurrencyLocale(currency);
+  const key = `${locale}|${currency}`;
+
+  if (!currencyFormatters[key]) {
+    currencyFormatters[key] = new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency
+    });
+  }
+  return currencyFormatters[key].format(amount);
+}
+
+/**
+ * Convert and format a USD amount (totals, fees and discounts)
+ * @param {number} amount - Amount in USD
+ * @param {string} [currency] - Display currency
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, currency = getCurrency()) {
+  return formatMoney(convertAmount(amount, currency), currency);
+}
+
+/**
+ * Convert and format a USD catalog price
+ * @param {number} price - Price in USD
+ * @param {string} [currency] - Display currency
+ * @returns {string} Formatted price
+ */
+function formatCatalogPrice(price, currency = getCurrency()) {
+  return formatMoney(convertPrice(price, currency), currency);
+}
+
+/**
+ * Get the supported currencies for a selector
+ * @returns {Array} Currencies { code, name, symbol }
+ */
+function getCurrencies() {
+  return Object.keys(CURRENCIES).map(code => {
+    const symbolPart = new Intl.NumberFormat(CURRENCIES[code].locale, { style: 'currency', currency: code })
+      .formatToParts(0)
+      .find(part => part.type === 'currency');
+
+    return {
+      code,
+      name: CURRENCIES[code].name,
+      symbol: symbolPart ? symbolPart.value : code
+    };
+  });
+}
+
+/**
+ * Describe the currencies of an order: what the shopper saw and what is charged
+ * @param {string} [currency] - Display currency
+ * @returns {Object} { display, settlement, rate, ratesAsOf }
+ */
+function getCurrencyRecord(currency = getCurrency()) {
+  return {
+    display: currency,
+    settlement: SETTLEMENT_CURRENCY,
+    rate: getExchangeRate(currency),
+    ratesAsOf: EXCHANGE_RATES_AS_OF
+  };
+}
+
+// Export functions for use in other modules
+window.CurrencyModule = {
+  SETTLEMENT_CURRENCY,
+
+  // Shopper choice
+  getCurrency,
+  setCurrency,
+  getCurrencies,
+
+  // Conversion
+  getExchangeRate,
+  convertAmount,
+  convertPrice,
+  getCurrencyRecord,
+
+  // Formatting
+  formatMoney,
+  formatAmount,
+  formatCatalogPrice
+};
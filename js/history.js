@@ -0,0 +1,175 @@
+// History Module
+// Recently viewed products with view timestamps, co-viewed product counts and localStorage persistence
+
+const HISTORY_STORAGE_KEY = 'mh_recently_viewed';
+const COVIEW_STORAGE_KEY = 'mh_coviewed';
+
+// Most products kept in the history (oldest views drop off first)
+const MAX_HISTORY_ITEMS = 20;
+
+// Products viewed within this many minutes of each other count as viewed together
+const COVIEW_WINDOW_MINUTES = 30;
+
+/**
+ * Get the browsing history, most recently viewed first
+ * @returns {Array} Entries { productId, firstViewedAt, lastViewedAt, viewCount }
+ */
+function getHistory() {
+  try {
+    const stored = localStorage.getItem(HISTORY_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading browsing history from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the browsing history
+ * @param {Array} history - Entries, most recently viewed first
+ */
+function saveHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error('Error saving browsing history to localStorage:', error);
+  }
+}
+
+/**
+ * Get how often products were viewed together
+ * @returns {Object} Counts keyed by product ID, then by the other product's ID
+ */
+function getCoViewCounts() {
+  try {
+    const stored = localStorage.getItem(COVIEW_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading co-viewed products from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Count a product as viewed together with each of the given products (in both directions)
+ * @param {string} productId - Product ID
+ * @param {Array<string>} otherIds - Products viewed in the same session
+ */
+function recordCoViews(productId, otherIds) {
+  const counts = getCoViewCounts();
+
+  otherIds.forEach(otherId => {
+    counts[productId] = counts[productId] || {};
+    counts[otherId] = counts[otherId] || {};
+    counts[productId][otherId] = (counts[productId][otherId] || 0) + 1;
+    counts[otherId][productId] = (counts[otherId][productId] || 0) + 1;
+  });
+
+  try {
+    localStorage.setItem(COVIEW_STORAGE_KEY, JSON.stringify(counts));
+  } catch (error) {
+    console.error('Error saving co-viewed products to localStorage:', error);
+  }
+}
+
+/**
+ * Record a product view, moving the product to the front of the history
+ * Products viewed shortly before it are counted as co-viewed, unless this product was itself
+ * viewed in that window (so reloading a page does not inflate the counts)
+ * @param {string} productId - Product ID
+ * @param {Date} [now] - Time of the view
+ * @returns {Object} The updated entry
+ */
+function recordProductView(productId, now = new Date()) {
+  const history = getHistory();
+  const existing = history.find(entry => entry.productId === productId);
+  const viewedAt = now.toISOString();
+
+  const windowStart = now.getTime() - COVIEW_WINDOW_MINUTES * 60 * 1000;
+  const inWindow = entry => new Date(entry.lastViewedAt).getTime() >= windowStart;
+
+  if (!existing || !inWindow(existing)) {
+    const sessionIds = history.filter(entry => entry.productId !== productId && inWindow(entry)).map(entry => entry.productId);
+    if (sessionIds.length > 0) {
+      recordCoViews(productId, sessionIds);
+    }
+  }
+
+  const entry = existing
+    ? { ...existing, lastViewedAt: viewedAt, viewCount: existing.viewCount + 1 }
+    : { productId, firstViewedAt: viewedAt, lastViewedAt: viewedAt, viewCount: 1 };
+
+  const updated = [entry, ...history.filter(item => item.productId !== productId)].slice(0, MAX_HISTORY_ITEMS);
+  saveHistory(updated);
+  return entry;
+}
+
+/**
+ * Get recently viewed product IDs
+ * @param {Object} [options] - Options
+ * @param {string} [options.exclude] - Product ID to leave out (e.g., the product being viewed)
+ * @param {number} [options.limit=MAX_HISTORY_ITEMS] - Most products to return
+ * @returns {Array} Entries, most recently viewed first
+ */
+function getRecentlyViewed(options = {}) {
+  const limit = options.limit || MAX_HISTORY_ITEMS;
+  return getHistory()
+    .filter(entry => entry.productId !== options.exclude)
+    .slice(0, limit);
+}
+
+/**
+ * Get recently viewed products from the catalog
+ * Products that are no longer sold are skipped
+ * @param {Object} [options] - Same options as getRecentlyViewed
+ * @returns {Promise<Array>} Products, most recently viewed first
+ */
+async function getRecentlyViewedProducts(options = {}) {
+  if (!window.ProductsModule) {
+    return [];
+  }
+
+  const products = await window.ProductsModule.loadProducts();
+  return getRecentlyViewed(options)
+    .map(entry => products.find(product => product.id === entry.productId))
+    .filter(Boolean);
+}
+
+/**
+ * Remove one product from the history
+ * @param {string} productId - Product ID
+ * @returns {Array} Updated history
+ */
+function removeFromHistory(productId) {
+  const history = getHistory().filter(entry => entry.productId !== productId);
+  saveHistory(history);
+  return history;
+}
+
+/**
+ * Clear the browsing history, including co-viewed product counts
+ */
+function clearHistory() {
+  try {
+    localStorage.removeItem(HISTORY_STORAGE_KEY);
+    localStorage.removeItem(COVIEW_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing browsing history from localStorage:', error);
+  }
+}
+
+// Export functions for use in other modules
+window.HistoryModule = {
+  MAX_HISTORY_ITEMS,
+
+  // Views
+  recordProductView,
+  getHistory,
+  getRecentlyViewed,
+  getRecentlyViewedProducts,
+  getCoViewCounts,
+
+  // Clearing
+  removeFromHistory,
+  clearHistory
+};
@@ -0,0 +1,297 @@
+// Inventory Module
+// Tracks stock reservations and sales on top of the catalog stock in products.json
+
+const INVENTORY_STORAGE_KEY = 'mh_inventory';
+const RESERVATIONS_STORAGE_KEY = 'mh_reservations';
+
+// How long a cart reservation holds stock before the cart is considered abandoned
+// (saving the cart renews it, and the cart and checkout pages re-reserve on load)
+const RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+// Catalog stock as loaded from products.json, keyed by SKU
+// Products without variants are tracked as a single pool keyed by product ID
+const catalogStock = {};
+
+/**
+ * Register catalog stock levels (called once products are loaded)
+ * @param {Array} products - Array of product objects from products.json
+ */
+function registerCatalog(products) {
+  products.forEach(product => {
+    const productInStock = product.inStock !== false;
+
+    if (!product.variants || product.variants.length === 0) {
+      catalogStock[product.id] = {
+        productId: product.id,
+        stockCount: product.stockCount || 0,
+        inStock: productInStock
+      };
+      return;
+    }
+
+    product.variants.forEach(variant => {
+      catalogStock[variant.sku] = {
+        productId: product.id,
+        size: variant.size,
+        color: variant.color,
+        stockCount: variant.stockCount || 0,
+        inStock: productInStock
+      };
+    });
+  });
+}
+
+/**
+ * Resolve the stock key (SKU, or product ID for products without variants) for a cart or order line
+ * @param {Object} item - Line item { sku, productId, size, color }
+ * @returns {string} Stock key
+ */
+function getStockKey(item) {
+  if (item.sku && catalogStock[item.sku]) {
+    return item.sku;
+  }
+
+  const match = Object.keys(catalogStock).find(key => {
+    const entry = catalogStock[key];
+    return entry.productId === item.productId && entry.size === item.size && entry.color === item.color;
+  });
+
+  return match || item.productId;
+}
+
+/**
+ * Get units sold per SKU from localStorage
+ * @returns {Object} Object mapping stock keys to units sold
+ */
+function getSoldCounts() {
+  try {
+    const stored = localStorage.getItem(INVENTORY_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading inventory from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Save units sold per SKU to localStorage
+ * @param {Object} soldCounts - Object mapping stock keys to units sold
+ */
+function saveSoldCounts(soldCounts) {
+  try {
+    localStorage.setItem(INVENTORY_STORAGE_KEY, JSON.stringify(soldCounts));
+  } catch (error) {
+    console.error('Error saving inventory to localStorage:', error);
+  }
+}
+
+/**
+ * Read all stored reservations, including expired ones
+ * @returns {Array} Array of reservation objects
+ */
+function readReservations() {
+  try {
+    const stored = localStorage.getItem(RESERVATIONS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading reservations from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save reservations to localStorage
+ * @param {Array} reservations - Array of reservation objects
+ */
+function saveReservations(reservations) {
+  try {
+    localStorage.setItem(RESERVATIONS_STORAGE_KEY, JSON.stringify(reservations));
+  } catch (error) {
+    console.error('Error saving reservations to localStorage:', error);
+  }
+}
+
+/**
+ * Release reservations whose cart has been abandoned (no activity within the TTL)
+ * @returns {Array} Array of released reservations
+ */
+function releaseExpiredReservations() {
+  const now = Date.now();
+  const reservations = readReservations();
+  const active = reservations.filter(r => r.expiresAt > now);
+  const released = reservations.filter(r => r.expiresAt <= now);
+
+  if (released.length > 0) {
+    saveReservations(active);
+  }
+
+  return released;
+}
+
+/**
+ * Get active (non-expired) reservations
+ * @returns {Array} Array of reservation objects { cartId, sku, productId, quantity, expiresAt }
+ */
+function getReservations() {
+  releaseExpiredReservations();
+  return readReservations();
+}
+
+/**
+ * Replace reservations with the current cart contents and refresh their expiry
+ * Called whenever the cart is saved so reservations always mirror the cart
+ * @param {Array} cart - Array of cart items
+ */
+function syncReservations(cart) {
+  const expiresAt = Date.now() + RESERVATION_TTL_MS;
+  const reservations = cart.map(item => ({
+    cartId: item.cartId,
+    sku: getStockKey(item),
+    productId: item.productId,
+    quantity: item.quantity,
+    expiresAt
+  }));
+  saveReservations(reservations);
+}
+
+/**
+ * Release the reservation held by a single cart line
+ * @param {string} cartId - Cart item ID
+ */
+function releaseReservation(cartId) {
+  const reservations = readReservations().filter(r => r.cartId !== cartId);
+  saveReservations(reservations);
+}
+
+/**
+ * Get the quantity of a SKU currently reserved by carts
+ * @param {string} sku - Stock key
+ * @param {string} [excludeCartId] - Cart line to leave out of the count
+ * @returns {number} Reserved quantity
+ */
+function getReservedQuantity(sku, excludeCartId = null) {
+  return getReservations()
+    .filter(r => (r.sku || r.productId) === sku && r.cartId !== excludeCartId)
+    .reduce((total, r) => total + r.quantity, 0);
+}
+
+/**
+ * Get stock on hand for a SKU (catalog stock minus units sold)
+ * @param {string} sku - Stock key
+ * @returns {number} Units on hand, or Infinity if the SKU is not registered
+ */
+function getStockOnHand(sku) {
+  const catalog = catalogStock[sku];
+  if (!catalog) {
+    return Infinity;
+  }
+  if (!catalog.inStock) {
+    return 0;
+  }
+
+  const sold = getSoldCounts()[sku] || 0;
+  return Math.max(0, catalog.stockCount - sold);
+}
+
+/**
+ * Get stock still available to add to a cart (on hand minus reservations)
+ * @param {string} sku - Stock key
+ * @param {string} [excludeCartId] - Cart line whose own reservation should not count against it
+ * @returns {number} Available units, or Infinity if the SKU is not registered
+ */
+function getAvailableStock(sku, excludeCartId = null) {
+  const onHand = getStockOnHand(sku);
+  if (onHand === Infinity) {
+    return Infinity;
+  }
+  return Math.max(0, onHand - getReservedQuantity(sku, excludeCartId));
+}
+
+/**
+ * Apply sales and reservations to a product's stock fields
+ * Variant stock is adjusted per SKU and the product totals are summed from it
+ * @param {Object} product - Product object from products.json
+ * @returns {Object} Copy of the product with adjusted stockCount and inStock
+ */
+function applyInventory(product) {
+  if (!product.variants || product.variants.length === 0) {
+    const available = getAvailableStock(product.id);
+    if (available === Infinity) {
+      return product;
+    }
+    return {
+      ...product,
+      stockCount: available,
+      inStock: available > 0
+    };
+  }
+
+  const variants = product.variants.map(variant => {
+    const available = getAvailableStock(variant.sku);
+    if (available === Infinity) {
+      return variant;
+    }
+    return {
+      ...variant,
+      stockCount: available,
+      inStock: available > 0
+    };
+  });
+  const stockCount = variants.reduce((total, variant) => total + (variant.stockCount || 0), 0);
+
+  return {
+    ...product,
+    variants,
+    stockCount,
+    inStock: stockCount > 0
+  };
+}
+
+/**
+ * Decrement stock for a placed order
+ * @param {Array} items - Order items { sku, productId, size, color, quantity }
+ */
+function recordSale(items) {
+  const soldCounts = getSoldCounts();
+  items.forEach(item => {
+    const key = getStockKey(item);
+    soldCounts[key] = (soldCounts[key] || 0) + item.quantity;
+  });
+  saveSoldCounts(soldCounts);
+}
+
+/**
+ * Return stock from a cancelled order
+ * @param {Array} items - Order items { sku, productId, size, color, quantity }
+ */
+function recordRestock(items) {
+  const soldCounts = getSoldCounts();
+  items.forEach(item => {
+    const key = getStockKey(item);
+    soldCounts[key] = Math.max(0, (soldCounts[key] || 0) - item.quantity);
+  });
+  saveSoldCounts(soldCounts);
+}
+
+// Export functions for use in other modules
+window.InventoryModule = {
+  // Catalog
+  registerCatalog,
+  applyInventory,
+  getStockKey,
+
+  // Stock levels
+  getStockOnHand,
+  getAvailableStock,
+  getReservedQuantity,
+
+  // Reservations
+  getReservations,
+  syncReservations,
+  releaseReservation,
+  releaseExpiredReservations,
+
+  // Sales
+  recordSale,
+  recordRestock
+};
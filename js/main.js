@@ -1,3127 +1,6821 @@
-// Main JavaScript - Core functionality
-// Mustache Harnesses Co.
-
-/**
- * Main Module - Core functionality for header, navigation, and cart updates
- * Provides: mobile menu toggle, cart badge updates, page initialization
- */
-
-(function() {
-  'use strict';
-
-  // ============================================
-  // MOBILE MENU TOGGLE
-  // ============================================
-
-  /**
-   * Initialize mobile menu toggle functionality
-   */
-  function initMobileMenu() {
-    const toggle = document.getElementById('mobile-menu-toggle');
-    const navMobile = document.getElementById('nav-mobile');
-
-    if (!toggle || !navMobile) return;
-
-    toggle.addEventListener('click', function() {
-      const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
-      toggle.setAttribute('aria-expanded', !isExpanded);
-      navMobile.classList.toggle('is-open', !isExpanded);
-    });
-
-    // Close mobile menu when clicking outside
-    document.addEventListener('click', function(event) {
-      if (!toggle.contains(event.target) && !navMobile.contains(event.target)) {
-        toggle.setAttribute('aria-expanded', 'false');
-        navMobile.classList.remove('is-open');
-      }
-    });
-
-    // Close mobile menu on escape key
-    document.addEventListener('keydown', function(event) {
-      if (event.key === 'Escape') {
-        toggle.setAttribute('aria-expanded', 'false');
-        navMobile.classList.remove('is-open');
-      }
-    });
-  }
-
-  // ============================================
-  // FAQ ACCORDION
-  // ============================================
-
-  /**
-   * Initialize FAQ accordion functionality
-   */
-  function initFaqAccordion() {
-    const faqQuestions = document.querySelectorAll('.faq-question');
-
-    if (!faqQuestions.length) return;
-
-    faqQuestions.forEach(function(question) {
-      question.addEventListener('click', function() {
-        const faqItem = this.closest('.faq-item');
-        const isExpanded = this.getAttribute('aria-expanded') === 'true';
-
-        // Close all other accordions in the same section
-        const parent = this.closest('.faq-accordion');
-        if (parent) {
-          parent.querySelectorAll('.faq-item').forEach(function(item) {
-            if (item !== faqItem) {
-              item.classList.remove('is-open');
-              item.querySelector('.faq-question').setAttribute('aria-expanded', 'false');
-            }
-          });
-        }
-
-        // Toggle current accordion
-        this.setAttribute('aria-expanded', !isExpanded);
-        if (faqItem) {
-          faqItem.classList.toggle('is-open', !isExpanded);
-        }
-      });
-    });
-  }
-
-  // ============================================
-  // CART BADGE UPDATE
-  // ============================================
-
-  /**
-   * Update the cart badge count in the header
-   * Uses CartModule if available
-   */
-  function updateCartBadge() {
-    const cartBadge = document.getElementById('cart-badge');
-    const mobileCartCount = document.querySelector('.mobile-cart-count');
-
-    let count = 0;
-
-    // Use CartModule if available
-    if (typeof CartModule !== 'undefined' && CartModule.getCartItemCount) {
-      count = CartModule.getCartItemCount();
-    }
-
-    // Update desktop cart badge
-    if (cartBadge) {
-      cartBadge.textContent = count;
-      cartBadge.setAttribute('data-count', count);
-      cartBadge.setAttribute('aria-label', count + ' items in cart');
-    }
-
-    // Update mobile cart count
-    if (mobileCartCount) {
-      mobileCartCount.textContent = count;
-    }
-  }
-
-  // ============================================
-  // ACTIVE NAV LINK HIGHLIGHTING
-  // ============================================
-
-  /**
-   * Highlight the current page in navigation
-   */
-  function setActiveNavLink() {
-    const currentPath = window.location.pathname;
-    const navLinks = document.querySelectorAll('.nav-link, .nav-mobile-link');
-
-    navLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      if (!href) return;
-
-      // Check if current path matches or contains the href
-      const linkPath = href.replace(/^\.\.\//, '').replace(/^\.\//, '');
-      if (currentPath.includes(linkPath) ||
-          (currentPath.endsWith('/') && linkPath === 'index.html') ||
-          (currentPath === '/' && linkPath === 'index.html')) {
-        link.classList.add('active');
-      }
-    });
-  }
-
-  // ============================================
-  // PAGE INITIALIZATION ROUTER
-  // ============================================
-
-  /**
-   * Determine current page and run page-specific initialization
-   * Note: Checks for both with/without .html extension to support clean URLs
-   */
-  function initCurrentPage() {
-    const path = window.location.pathname;
-
-    // Helper to check if path matches a page (with or without .html)
-    const isPage = (pageName) => path.includes(pageName + '.html') || path.endsWith('/' + pageName) || path.endsWith('/pages/' + pageName);
-
-    // Page-specific initialization
-    if (path.endsWith('/') || path.endsWith('index.html') || path === '' || path === '/index') {
-      // Landing page init
-      initLandingPage();
-    } else if (isPage('shop')) {
-      // Shop page init
-      initShopPage();
-    } else if (isPage('product')) {
-      // Product page init
-      initProductPage();
-    } else if (isPage('cart')) {
-      // Cart page init
-      initCartPage();
-    } else if (isPage('checkout')) {
-      // Checkout page init
-      initCheckoutPage();
-    } else if (isPage('confirmation')) {
-      // Confirmation page init
-      initConfirmationPage();
-    }
-  }
-
-  // ============================================
-  // LANDING PAGE INITIALIZATION
-  // ============================================
-
-  /**
-   * Initialize landing page functionality
-   */
-  async function initLandingPage() {
-    // Load featured products
-    await loadFeaturedProducts();
-
-    // Initialize newsletter form
-    initNewsletterForm();
-
-    // Initialize promo code copy button
-    initPromoCopyButton();
-  }
-
-  /**
-   * Load and display featured products (4 best sellers)
-   */
-  async function loadFeaturedProducts() {
-    const grid = document.getElementById('featured-products-grid');
-    if (!grid) return;
-
-    try {
-      // Load products using ProductsModule
-      if (typeof ProductsModule !== 'undefined') {
-        await ProductsModule.loadProducts();
-        // Get featured products (sorted by sales count - best sellers)
-        const featuredProducts = await ProductsModule.getFeaturedProducts(4);
-
-        if (featuredProducts && featuredProducts.length > 0) {
-          grid.innerHTML = featuredProducts.map(product => createProductCard(product)).join('');
-        } else {
-          grid.innerHTML = '<p class="text-center text-muted">No products available</p>';
-        }
-      }
-    } catch (error) {
-      console.error('Error loading featured products:', error);
-      grid.innerHTML = '<p class="text-center text-muted">Unable to load products</p>';
-    }
-  }
-
-  /**
-   * Initialize newsletter form submission
-   */
-  function initNewsletterForm() {
-    const form = document.getElementById('newsletter-form');
-    const successMessage = document.getElementById('newsletter-success');
-
-    if (!form || !successMessage) return;
-
-    form.addEventListener('submit', function(e) {
-      e.preventDefault();
-
-      // Hide form and show success message
-      form.hidden = true;
-      successMessage.hidden = false;
-
-      // Optional: Store that user "subscribed" in localStorage
-      localStorage.setItem('mh_newsletter_subscribed', 'true');
-    });
-  }
-
-  /**
-   * Initialize promo code copy button
-   */
-  function initPromoCopyButton() {
-    const copyBtn = document.querySelector('[data-copy]');
-    if (!copyBtn) return;
-
-    copyBtn.addEventListener('click', async function() {
-      const code = this.getAttribute('data-copy');
-
-      try {
-        await navigator.clipboard.writeText(code);
-
-        // Show feedback
-        showToast({
-          title: 'Copied!',
-          message: 'Promo code copied to clipboard',
-          type: 'success',
-          duration: 2000
-        });
-
-        // Visual feedback on button
-        const originalHTML = this.innerHTML;
-        this.innerHTML = `
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <polyline points="20 6 9 17 4 12"></polyline>
-          </svg>
-        `;
-        setTimeout(() => {
-          this.innerHTML = originalHTML;
-        }, 2000);
-      } catch (error) {
-        console.error('Failed to copy:', error);
-        showToast({
-          title: 'Error',
-          message: 'Failed to copy code',
-          type: 'error'
-        });
-      }
-    });
-  }
-
-  // ============================================
-  // SHOP PAGE INITIALIZATION
-  // ============================================
-
-  // Shop page state
-  let shopState = {
-    allProducts: [],
-    filteredProducts: [],
-    filters: null,
-    filterOptions: null
-  };
-
-  /**
-   * Initialize shop page functionality
-   */
-  async function initShopPage() {
-    // Load products
-    await loadShopProducts();
-
-    // Initialize filter options
-    await initShopFilterOptions();
-
-    // Parse initial filters from URL
-    shopState.filters = FiltersModule.parseFiltersFromURL();
-
-    // Apply initial filters and render
-    applyShopFilters();
-
-    // Set up filter event listeners
-    initShopFilterListeners();
-
-    // Set up sort listeners
-    initShopSortListeners();
-
-    // Set up mobile filter toggle
-    initMobileFilterToggle();
-
-    // Set up history listener for back/forward
-    FiltersModule.setupHistoryListener(handleHistoryNavigation);
-  }
-
-  /**
-   * Load all products for shop page
-   */
-  async function loadShopProducts() {
-    try {
-      if (typeof ProductsModule !== 'undefined') {
-        shopState.allProducts = await ProductsModule.loadProducts();
-      }
-    } catch (error) {
-      console.error('Error loading shop products:', error);
-      shopState.allProducts = [];
-    }
-  }
-
-  /**
-   * Initialize filter options from product data
-   */
-  async function initShopFilterOptions() {
-    if (typeof FiltersModule === 'undefined' || typeof ProductsModule === 'undefined') {
-      return;
-    }
-
-    try {
-      shopState.filterOptions = await FiltersModule.getAvailableFilterOptions();
-
-      // Populate category filters
-      const categoryContainer = document.getElementById('category-filters');
-      if (categoryContainer && shopState.filterOptions.categories) {
-        const categoryCounts = FiltersModule.getCategoryProductCounts(shopState.allProducts);
-        categoryContainer.innerHTML = shopState.filterOptions.categories.map(category => `
-          <label class="filter-checkbox">
-            <input type="checkbox" name="category" value="${category}">
-            <span class="checkbox-custom"></span>
-            <span class="checkbox-label">${category}</span>
-            <span class="checkbox-count">(${categoryCounts[category] || 0})</span>
-          </label>
-        `).join('');
-      }
-
-      // Populate color filters
-      const colorContainer = document.getElementById('color-filters');
-      if (colorContainer && shopState.filterOptions.colors) {
-        colorContainer.innerHTML = shopState.filterOptions.colors.map(color => `
-          <label class="filter-color" title="${color}">
-            <input type="checkbox" name="color" value="${color}">
-            <span class="filter-color-swatch" style="background-color: ${getColorHex(color)}"></span>
-          </label>
-        `).join('');
-      }
-
-      // Populate size filters
-      const sizeContainer = document.getElementById('size-filters');
-      if (sizeContainer && shopState.filterOptions.sizes) {
-        sizeContainer.innerHTML = shopState.filterOptions.sizes.map(size => `
-          <label class="filter-size">
-            <input type="checkbox" name="size" value="${size}">
-            <span class="filter-size-label">${size}</span>
-          </label>
-        `).join('');
-      }
-    } catch (error) {
-      console.error('Error initializing filter options:', error);
-    }
-  }
-
-  /**
-   * Get hex color code from color name
-   */
-  function getColorHex(colorName) {
-    const colorMap = {
-      'Black': '#1a1a1a',
-      'Mahogany': '#4e2528',
-      'Silver': '#c0c0c0',
-      'Onyx': '#353839',
-      'Walnut': '#5d432c',
-      'Chrome': '#dbe4eb',
-      'Matte Black': '#28282B',
-      'Rose Gold': '#b76e79',
-      'Classic Black': '#1a1a1a',
-      'Racing Red': '#d12836',
-      'Ocean Blue': '#006994',
-      'Neon Green': '#39ff14',
-      'White': '#ffffff',
-      'Pink': '#ffc0cb',
-      'Camo': '#78866b',
-      'Tie-Dye': 'linear-gradient(135deg, #ff6b6b, #feca57, #48dbfb, #ff9ff3)',
-      'Yellow': '#ffd93d',
-      'Orange': '#ff6b35',
-      'Professional Black': '#1a1a1a',
-      'Executive Brown': '#654321',
-      'Stealth Black': '#1a1a1a',
-      'Champagne': '#f7e7ce',
-      'Tan': '#d2b48c',
-      'Gray': '#808080',
-      'Midnight Blue': '#191970',
-      'Lavender': '#e6e6fa',
-      'Charcoal': '#36454f',
-      'Navy': '#000080',
-      'Silk White': '#fffff0',
-      'Blush': '#de5d83',
-      'Slate': '#708090'
-    };
-    return colorMap[colorName] || '#808080';
-  }
-
-  /**
-   * Initialize filter event listeners
-   */
-  function initShopFilterListeners() {
-    const filterForm = document.getElementById('filter-form');
-    if (!filterForm) return;
-
-    // Handle checkbox changes
-    filterForm.addEventListener('change', function(e) {
-      if (e.target.type === 'checkbox') {
-        updateFiltersFromForm();
-        applyShopFilters();
-      }
-    });
-
-    // Handle clear filters button
-    const clearBtn = document.getElementById('clear-filters');
-    if (clearBtn) {
-      clearBtn.addEventListener('click', clearShopFilters);
-    }
-
-    // Handle reset button in empty state
-    const resetBtn = document.getElementById('reset-filters-btn');
-    if (resetBtn) {
-      resetBtn.addEventListener('click', clearShopFilters);
-    }
-  }
-
-  /**
-   * Initialize sort dropdown listeners
-   */
-  function initShopSortListeners() {
-    const sortDesktop = document.getElementById('sort-desktop');
-    const sortMobile = document.getElementById('sort-mobile');
-
-    function handleSortChange(e) {
-      shopState.filters.sort = e.target.value;
-
-      // Sync both dropdowns
-      if (sortDesktop) sortDesktop.value = e.target.value;
-      if (sortMobile) sortMobile.value = e.target.value;
-
-      applyShopFilters();
-    }
-
-    if (sortDesktop) {
-      sortDesktop.addEventListener('change', handleSortChange);
-    }
-    if (sortMobile) {
-      sortMobile.addEventListener('change', handleSortChange);
-    }
-  }
-
-  /**
-   * Initialize mobile filter toggle
-   */
-  function initMobileFilterToggle() {
-    const filterToggle = document.getElementById('filter-toggle');
-    const filterSidebar = document.getElementById('filter-sidebar');
-    const sidebarClose = document.getElementById('sidebar-close');
-
-    if (!filterToggle || !filterSidebar) return;
-
-    // Create overlay if it doesn't exist
-    let overlay = document.querySelector('.sidebar-overlay');
-    if (!overlay) {
-      overlay = document.createElement('div');
-      overlay.className = 'sidebar-overlay';
-      document.body.appendChild(overlay);
-    }
-
-    function openSidebar() {
-      filterSidebar.classList.add('is-open');
-      overlay.classList.add('is-visible');
-      filterToggle.setAttribute('aria-expanded', 'true');
-      document.body.style.overflow = 'hidden';
-    }
-
-    function closeSidebar() {
-      filterSidebar.classList.remove('is-open');
-      overlay.classList.remove('is-visible');
-      filterToggle.setAttribute('aria-expanded', 'false');
-      document.body.style.overflow = '';
-    }
-
-    filterToggle.addEventListener('click', openSidebar);
-
-    if (sidebarClose) {
-      sidebarClose.addEventListener('click', closeSidebar);
-    }
-
-    overlay.addEventListener('click', closeSidebar);
-
-    // Close on escape key
-    document.addEventListener('keydown', function(e) {
-      if (e.key === 'Escape' && filterSidebar.classList.contains('is-open')) {
-        closeSidebar();
-      }
-    });
-  }
-
-  /**
-   * Update filters state from form inputs
-   */
-  function updateFiltersFromForm() {
-    const filterForm = document.getElementById('filter-form');
-    if (!filterForm) return;
-
-    // Reset filter arrays
-    shopState.filters.categories = [];
-    shopState.filters.colors = [];
-    shopState.filters.sizes = [];
-    shopState.filters.minPrice = null;
-    shopState.filters.maxPrice = null;
-    shopState.filters.inStockOnly = false;
-
-    // Get all checked category checkboxes
-    const categoryChecks = filterForm.querySelectorAll('input[name="category"]:checked');
-    categoryChecks.forEach(check => {
-      shopState.filters.categories.push(check.value);
-    });
-
-    // Get price range selections
-    const priceChecks = filterForm.querySelectorAll('input[name="priceRange"]:checked');
-    if (priceChecks.length > 0) {
-      let minPrices = [];
-      let maxPrices = [];
-      priceChecks.forEach(check => {
-        const [min, max] = check.value.split('-').map(Number);
-        minPrices.push(min);
-        maxPrices.push(max);
-      });
-      shopState.filters.minPrice = Math.min(...minPrices);
-      shopState.filters.maxPrice = Math.max(...maxPrices);
-    }
-
-    // Get color selections
-    const colorChecks = filterForm.querySelectorAll('input[name="color"]:checked');
-    colorChecks.forEach(check => {
-      shopState.filters.colors.push(check.value);
-    });
-
-    // Get size selections
-    const sizeChecks = filterForm.querySelectorAll('input[name="size"]:checked');
-    sizeChecks.forEach(check => {
-      shopState.filters.sizes.push(check.value);
-    });
-
-    // Get in-stock only
-    const inStockCheck = document.getElementById('in-stock-filter');
-    if (inStockCheck) {
-      shopState.filters.inStockOnly = inStockCheck.checked;
-    }
-  }
-
-  /**
-   * Apply current filters and render products
-   */
-  function applyShopFilters() {
-    if (typeof FiltersModule === 'undefined') return;
-
-    // Apply filters to products
-    shopState.filteredProducts = FiltersModule.applyFiltersToProducts(
-      shopState.allProducts,
-      shopState.filters
-    );
-
-    // Update URL
-    FiltersModule.updateURLWithFilters(shopState.filters, true);
-
-    // Render products
-    renderShopProducts();
-
-    // Update UI elements
-    updateResultsCount();
-    updateActiveFiltersDisplay();
-    updateFilterCountBadge();
-    syncFormWithFilters();
-  }
-
-  /**
-   * Render products to the grid
-   */
-  function renderShopProducts() {
-    const grid = document.getElementById('product-grid');
-    const emptyState = document.getElementById('shop-empty');
-
-    if (!grid) return;
-
-    if (shopState.filteredProducts.length === 0) {
-      grid.hidden = true;
-      if (emptyState) emptyState.hidden = false;
-      return;
-    }
-
-    grid.hidden = false;
-    if (emptyState) emptyState.hidden = true;
-
-    grid.innerHTML = shopState.filteredProducts.map(product => createProductCardShop(product)).join('');
-  }
-
-  /**
-   * Create a product card HTML for shop page
-   * Uses relative paths since we're in /pages/
-   */
-  function createProductCardShop(product) {
-    const badges = [];
-    if (product.isNew) {
-      badges.push('<span class="badge badge-new">New</span>');
-    }
-    if (product.salesCount > 50) {
-      badges.push('<span class="badge badge-bestseller">Bestseller</span>');
-    }
-
-    const outOfStockOverlay = !product.inStock ? `
-      <div class="product-card-overlay">
-        <span class="product-card-overlay-text">Out of Stock</span>
-      </div>
-    ` : '';
-
-    const quickAddBtn = product.inStock ? `
-      <div class="product-card-quick-add">
-        <button class="btn btn-primary" data-quick-add="${product.id}">Add to Cart</button>
-      </div>
-    ` : '';
-
-    // Use relative image path for pages folder
-    const imagePath = product.images[0].startsWith('../') ? product.images[0] : '../' + product.images[0];
-
-    return `
-      <article class="product-card" data-product-id="${product.id}">
-        <div class="product-card-image">
-          ${badges.length ? `<div class="product-card-badges">${badges.join('')}</div>` : ''}
-          <a href="product.html?id=${product.id}">
-            <img src="${imagePath}" alt="${product.name}" loading="lazy">
-          </a>
-          ${outOfStockOverlay}
-          ${quickAddBtn}
-        </div>
-        <div class="product-card-body">
-          <span class="product-card-category">${product.category}</span>
-          <h3 class="product-card-title">
-            <a href="product.html?id=${product.id}">${product.name}</a>
-          </h3>
-          <div class="product-card-rating">
-            ${createStarRating(product.rating, 'sm')}
-            <span class="product-card-rating-count">(${product.reviewCount})</span>
-          </div>
-          <div class="product-card-price">
-            <span class="price">${formatCurrency(product.price)}</span>
-          </div>
-        </div>
-      </article>
-    `;
-  }
-
-  /**
-   * Update results count display
-   */
-  function updateResultsCount() {
-    const countEl = document.getElementById('results-count');
-    if (!countEl) return;
-
-    const count = shopState.filteredProducts.length;
-    const total = shopState.allProducts.length;
-
-    if (count === total) {
-      countEl.textContent = `Showing all ${total} products`;
-    } else {
-      countEl.textContent = `Showing ${count} of ${total} products`;
-    }
-  }
-
-  /**
-   * Update active filters display
-   */
-  function updateActiveFiltersDisplay() {
-    const container = document.getElementById('active-filters');
-    const list = document.getElementById('active-filters-list');
-
-    if (!container || !list) return;
-
-    if (!FiltersModule.hasActiveFilters(shopState.filters)) {
-      container.hidden = true;
-      return;
-    }
-
-    container.hidden = false;
-    const tags = [];
-
-    // Categories
-    shopState.filters.categories.forEach(category => {
-      tags.push(createActiveFilterTag('category', category, category));
-    });
-
-    // Price range
-    if (shopState.filters.minPrice !== null || shopState.filters.maxPrice !== null) {
-      const priceLabel = `$${shopState.filters.minPrice || 0} - $${shopState.filters.maxPrice || '∞'}`;
-      tags.push(createActiveFilterTag('price', 'price', priceLabel));
-    }
-
-    // Colors
-    shopState.filters.colors.forEach(color => {
-      tags.push(createActiveFilterTag('color', color, color));
-    });
-
-    // Sizes
-    shopState.filters.sizes.forEach(size => {
-      tags.push(createActiveFilterTag('size', size, size));
-    });
-
-    // In stock only
-    if (shopState.filters.inStockOnly) {
-      tags.push(createActiveFilterTag('inStock', 'inStock', 'In Stock Only'));
-    }
-
-    list.innerHTML = tags.join('');
-
-    // Add click handlers for removing filters
-    list.querySelectorAll('.active-filter-remove').forEach(btn => {
-      btn.addEventListener('click', function() {
-        const filterType = this.getAttribute('data-filter-type');
-        const filterValue = this.getAttribute('data-filter-value');
-        removeFilter(filterType, filterValue);
-      });
-    });
-  }
-
-  /**
-   * Create active filter tag HTML
-   */
-  function createActiveFilterTag(type, value, label) {
-    return `
-      <span class="active-filter-tag">
-        ${label}
-        <button class="active-filter-remove" data-filter-type="${type}" data-filter-value="${value}" aria-label="Remove filter">
-          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <line x1="18" y1="6" x2="6" y2="18"></line>
-            <line x1="6" y1="6" x2="18" y2="18"></line>
-          </svg>
-        </button>
-      </span>
-    `;
-  }
-
-  /**
-   * Remove a specific filter
-   */
-  function removeFilter(type, value) {
-    switch (type) {
-      case 'category':
-        shopState.filters.categories = shopState.filters.categories.filter(c => c !== value);
-        break;
-      case 'price':
-        shopState.filters.minPrice = null;
-        shopState.filters.maxPrice = null;
-        break;
-      case 'color':
-        shopState.filters.colors = shopState.filters.colors.filter(c => c !== value);
-        break;
-      case 'size':
-        shopState.filters.sizes = shopState.filters.sizes.filter(s => s !== value);
-        break;
-      case 'inStock':
-        shopState.filters.inStockOnly = false;
-        break;
-    }
-
-    applyShopFilters();
-  }
-
-  /**
-   * Update filter count badge on mobile toggle
-   */
-  function updateFilterCountBadge() {
-    const badge = document.getElementById('filter-count');
-    if (!badge) return;
-
-    const count = FiltersModule.getActiveFilterCount(shopState.filters);
-    if (count > 0) {
-      badge.textContent = count;
-      badge.hidden = false;
-    } else {
-      badge.hidden = true;
-    }
-  }
-
-  /**
-   * Sync form checkboxes with current filter state
-   */
-  function syncFormWithFilters() {
-    const filterForm = document.getElementById('filter-form');
-    if (!filterForm) return;
-
-    // Reset all checkboxes first
-    filterForm.querySelectorAll('input[type="checkbox"]').forEach(check => {
-      check.checked = false;
-    });
-
-    // Check category boxes
-    shopState.filters.categories.forEach(category => {
-      const check = filterForm.querySelector(`input[name="category"][value="${category}"]`);
-      if (check) check.checked = true;
-    });
-
-    // Check color boxes
-    shopState.filters.colors.forEach(color => {
-      const check = filterForm.querySelector(`input[name="color"][value="${color}"]`);
-      if (check) check.checked = true;
-    });
-
-    // Check size boxes
-    shopState.filters.sizes.forEach(size => {
-      const check = filterForm.querySelector(`input[name="size"][value="${size}"]`);
-      if (check) check.checked = true;
-    });
-
-    // Check in-stock
-    const inStockCheck = document.getElementById('in-stock-filter');
-    if (inStockCheck) {
-      inStockCheck.checked = shopState.filters.inStockOnly;
-    }
-
-    // Sync sort dropdowns
-    const sortDesktop = document.getElementById('sort-desktop');
-    const sortMobile = document.getElementById('sort-mobile');
-    if (sortDesktop) sortDesktop.value = shopState.filters.sort;
-    if (sortMobile) sortMobile.value = shopState.filters.sort;
-  }
-
-  /**
-   * Clear all filters
-   */
-  function clearShopFilters() {
-    shopState.filters = FiltersModule.getDefaultFilters();
-    applyShopFilters();
-  }
-
-  /**
-   * Handle browser back/forward navigation
-   */
-  function handleHistoryNavigation(filters) {
-    shopState.filters = filters;
-    applyShopFilters();
-  }
-
-  // ============================================
-  // PRODUCT PAGE INITIALIZATION
-  // ============================================
-
-  // Product page state
-  let productState = {
-    product: null,
-    selectedColor: null,
-    selectedSize: null,
-    quantity: 1,
-    activeTab: 'description'
-  };
-
-  /**
-   * Initialize product page functionality
-   */
-  async function initProductPage() {
-    // Get product ID from URL
-    const productId = getQueryParam('id');
-
-    if (!productId) {
-      showProductError();
-      return;
-    }
-
-    try {
-      // Load product data
-      await loadProductData(productId);
-
-      if (!productState.product) {
-        showProductError();
-        return;
-      }
-
-      // Render product content
-      renderProductPage();
-
-      // Initialize product interactions
-      initProductInteractions();
-
-      // Load related products
-      await loadRelatedProducts();
-
-    } catch (error) {
-      console.error('Error initializing product page:', error);
-      showProductError();
-    }
-  }
-
-  /**
-   * Load product data by ID
-   */
-  async function loadProductData(productId) {
-    if (typeof ProductsModule !== 'undefined') {
-      await ProductsModule.loadProducts();
-      productState.product = await ProductsModule.getProductById(productId);
-
-      if (productState.product) {
-        // Set defaults
-        productState.selectedColor = productState.product.colors[0];
-        productState.selectedSize = productState.product.sizes[0];
-        productState.quantity = 1;
-      }
-    }
-  }
-
-  /**
-   * Show product error state
-   */
-  function showProductError() {
-    const loading = document.getElementById('product-loading');
-    const error = document.getElementById('product-error');
-    const content = document.getElementById('product-content');
-
-    if (loading) loading.hidden = true;
-    if (error) error.hidden = false;
-    if (content) content.hidden = true;
-  }
-
-  /**
-   * Render the product page content
-   */
-  function renderProductPage() {
-    const product = productState.product;
-    const loading = document.getElementById('product-loading');
-    const error = document.getElementById('product-error');
-    const content = document.getElementById('product-content');
-
-    // Hide loading and error, show content
-    if (loading) loading.hidden = true;
-    if (error) error.hidden = true;
-    if (content) content.hidden = false;
-
-    // Update page title
-    document.title = `${product.name} | Mustache Harnesses Co.`;
-
-    // Update breadcrumb
-    const breadcrumb = document.getElementById('breadcrumb-product');
-    if (breadcrumb) breadcrumb.textContent = product.name;
-
-    // Render images
-    renderProductImages();
-
-    // Render product info
-    renderProductInfo();
-
-    // Render options
-    renderColorOptions();
-    renderSizeOptions();
-
-    // Render tabs content
-    renderProductTabs();
-  }
-
-  /**
-   * Render product images and thumbnails
-   */
-  function renderProductImages() {
-    const product = productState.product;
-    const mainImage = document.getElementById('main-image');
-    const thumbnailContainer = document.getElementById('product-thumbnails');
-
-    // Set main image (use relative path)
-    const mainImagePath = product.images[0].startsWith('/') ? '..' + product.images[0] : '../' + product.images[0];
-    mainImage.src = mainImagePath;
-    mainImage.alt = product.name;
-
-    // Render thumbnails
-    if (thumbnailContainer && product.images.length > 1) {
-      thumbnailContainer.innerHTML = product.images.map((img, index) => {
-        const imgPath = img.startsWith('/') ? '..' + img : '../' + img;
-        return `
-          <button class="product-thumbnail ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="View image ${index + 1}">
-            <img src="${imgPath}" alt="${product.name} - Image ${index + 1}" loading="lazy">
-          </button>
-        `;
-      }).join('');
-    } else if (thumbnailContainer) {
-      thumbnailContainer.style.display = 'none';
-    }
-  }
-
-  /**
-   * Render product info section
-   */
-  function renderProductInfo() {
-    const product = productState.product;
-
-    // Category
-    const categoryEl = document.getElementById('product-category');
-    if (categoryEl) categoryEl.textContent = product.category;
-
-    // Title
-    const titleEl = document.getElementById('product-title');
-    if (titleEl) titleEl.textContent = product.name;
-
-    // Rating
-    const ratingEl = document.getElementById('product-rating');
-    if (ratingEl) ratingEl.innerHTML = createStarRating(product.rating, 'lg');
-
-    // Review count
-    const reviewCountEl = document.getElementById('product-review-count');
-    if (reviewCountEl) reviewCountEl.textContent = `${product.reviewCount} reviews`;
-
-    // Price
-    const priceEl = document.getElementById('product-price');
-    if (priceEl) {
-      priceEl.innerHTML = `<span class="price-current">${formatCurrency(product.price)}</span>`;
-    }
-
-    // Short description (first 150 chars)
-    const shortDescEl = document.getElementById('product-description-short');
-    if (shortDescEl) {
-      const shortDesc = product.description.length > 150
-        ? product.description.substring(0, 150) + '...'
-        : product.description;
-      shortDescEl.textContent = shortDesc;
-    }
-
-    // Stock status
-    renderStockStatus();
-  }
-
-  /**
-   * Render stock status indicator
-   */
-  function renderStockStatus() {
-    const product = productState.product;
-    const stockEl = document.getElementById('product-stock');
-    const addToCartBtn = document.getElementById('add-to-cart-btn');
-
-    if (!stockEl) return;
-
-    if (!product.inStock) {
-      stockEl.className = 'product-stock out-of-stock';
-      stockEl.innerHTML = '<span class="product-stock-dot"></span> Out of Stock';
-      if (addToCartBtn) {
-        addToCartBtn.disabled = true;
-        addToCartBtn.textContent = 'Out of Stock';
-      }
-    } else if (product.stockCount <= 5) {
-      stockEl.className = 'product-stock low-stock';
-      stockEl.innerHTML = `<span class="product-stock-dot"></span> Only ${product.stockCount} left in stock`;
-    } else {
-      stockEl.className = 'product-stock in-stock';
-      stockEl.innerHTML = '<span class="product-stock-dot"></span> In Stock';
-    }
-  }
-
-  /**
-   * Render color selection options
-   */
-  function renderColorOptions() {
-    const product = productState.product;
-    const colorSwatches = document.getElementById('color-swatches');
-    const selectedColorEl = document.getElementById('selected-color');
-
-    if (!colorSwatches) return;
-
-    colorSwatches.innerHTML = product.colors.map(color => `
-      <button
-        class="product-color-swatch ${color === productState.selectedColor ? 'active' : ''}"
-        data-color="${color}"
-        style="background-color: ${getColorHex(color)}"
-        aria-label="${color}"
-        title="${color}">
-      </button>
-    `).join('');
-
-    if (selectedColorEl) {
-      selectedColorEl.textContent = productState.selectedColor;
-    }
-  }
-
-  /**
-   * Render size selection options
-   */
-  function renderSizeOptions() {
-    const product = productState.product;
-    const sizeButtons = document.getElementById('size-buttons');
-    const selectedSizeEl = document.getElementById('selected-size');
-
-    if (!sizeButtons) return;
-
-    sizeButtons.innerHTML = product.sizes.map(size => `
-      <button
-        class="product-size-btn ${size === productState.selectedSize ? 'active' : ''}"
-        data-size="${size}">
-        ${size}
-      </button>
-    `).join('');
-
-    if (selectedSizeEl) {
-      selectedSizeEl.textContent = productState.selectedSize;
-    }
-  }
-
-  /**
-   * Render product tabs content
-   */
-  function renderProductTabs() {
-    const product = productState.product;
-
-    // Full description
-    const descEl = document.getElementById('product-description-full');
-    if (descEl) {
-      descEl.innerHTML = `<p>${product.description}</p>`;
-    }
-
-    // Specifications
-    const specsBody = document.getElementById('specifications-tbody');
-    if (specsBody) {
-      specsBody.innerHTML = `
-        <tr>
-          <th>Category</th>
-          <td>${product.category}</td>
-        </tr>
-        <tr>
-          <th>Available Sizes</th>
-          <td>${product.sizes.join(', ')}</td>
-        </tr>
-        <tr>
-          <th>Available Colors</th>
-          <td>${product.colors.join(', ')}</td>
-        </tr>
-        <tr>
-          <th>Materials</th>
-          <td>Premium-grade polymer composite, medical-grade silicone, stainless steel hardware</td>
-        </tr>
-        <tr>
-          <th>Care Instructions</th>
-          <td>Wipe clean with a soft cloth. Do not submerge in water. Store in a cool, dry place.</td>
-        </tr>
-        <tr>
-          <th>Warranty</th>
-          <td>90-day manufacturer warranty against defects</td>
-        </tr>
-      `;
-    }
-
-    // Reviews tab count
-    const reviewsTabCount = document.getElementById('reviews-tab-count');
-    if (reviewsTabCount) {
-      reviewsTabCount.textContent = `(${product.reviewCount})`;
-    }
-
-    // Reviews summary
-    renderReviewsSummary();
-
-    // Reviews list
-    renderReviewsList();
-  }
-
-  /**
-   * Render reviews summary with rating breakdown
-   */
-  function renderReviewsSummary() {
-    const product = productState.product;
-
-    // Rating number
-    const ratingNumber = document.getElementById('reviews-rating-number');
-    if (ratingNumber) ratingNumber.textContent = product.rating.toFixed(1);
-
-    // Rating stars
-    const ratingStars = document.getElementById('reviews-rating-stars');
-    if (ratingStars) ratingStars.innerHTML = createStarRating(product.rating, 'lg');
-
-    // Total reviews
-    const totalReviews = document.getElementById('reviews-total');
-    if (totalReviews) totalReviews.textContent = `Based on ${product.reviewCount} reviews`;
-
-    // Rating breakdown (simulate distribution based on actual reviews)
-    const breakdown = document.getElementById('reviews-breakdown');
-    if (breakdown) {
-      // Calculate distribution from actual reviews
-      const reviews = product.reviews || [];
-      const counts = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
-      reviews.forEach(r => {
-        if (counts[r.rating] !== undefined) counts[r.rating]++;
-      });
-
-      // Scale to total review count
-      const reviewedCount = reviews.length;
-      const scale = reviewedCount > 0 ? product.reviewCount / reviewedCount : 1;
-
-      breakdown.innerHTML = [5, 4, 3, 2, 1].map(rating => {
-        const count = Math.round(counts[rating] * scale);
-        const percentage = product.reviewCount > 0 ? (count / product.reviewCount) * 100 : 0;
-        return `
-          <div class="review-bar">
-            <span class="review-bar-label">${rating} stars</span>
-            <div class="review-bar-track">
-              <div class="review-bar-fill" style="width: ${percentage}%"></div>
-            </div>
-            <span class="review-bar-count">${count}</span>
-          </div>
-        `;
-      }).join('');
-    }
-  }
-
-  /**
-   * Render individual reviews list
-   */
-  function renderReviewsList() {
-    const product = productState.product;
-    const reviewsList = document.getElementById('reviews-list');
-
-    if (!reviewsList || !product.reviews) return;
-
-    reviewsList.innerHTML = product.reviews.map(review => {
-      const date = new Date(review.date);
-      const formattedDate = date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-
-      return `
-        <article class="review-card">
-          <div class="review-header">
-            <div>
-              <h4 class="review-author">${review.name}</h4>
-              <span class="review-date">${formattedDate}</span>
-            </div>
-            <div class="review-rating">
-              ${createStarRating(review.rating, 'sm')}
-            </div>
-          </div>
-          <p class="review-text">${review.text}</p>
-        </article>
-      `;
-    }).join('');
-  }
-
-  /**
-   * Load and render related products
-   */
-  async function loadRelatedProducts() {
-    const product = productState.product;
-    const grid = document.getElementById('related-products-grid');
-
-    if (!grid || typeof ProductsModule === 'undefined') return;
-
-    try {
-      const related = await ProductsModule.getRelatedProducts(product.id, 4);
-
-      if (related && related.length > 0) {
-        grid.innerHTML = related.map(p => createProductCardShop(p)).join('');
-      } else {
-        // Hide related products section if none found
-        const section = document.getElementById('related-products');
-        if (section) section.style.display = 'none';
-      }
-    } catch (error) {
-      console.error('Error loading related products:', error);
-    }
-  }
-
-  /**
-   * Initialize product page interactions
-   */
-  function initProductInteractions() {
-    // Thumbnail clicks
-    initThumbnailClicks();
-
-    // Color swatch clicks
-    initColorSwatchClicks();
-
-    // Size button clicks
-    initSizeButtonClicks();
-
-    // Quantity selector
-    initQuantitySelector(document.querySelector('.product-info'));
-
-    // Add to cart button
-    initAddToCartButton();
-
-    // Tab navigation
-    initProductTabs();
-  }
-
-  /**
-   * Initialize thumbnail image switching
-   */
-  function initThumbnailClicks() {
-    const thumbnailContainer = document.getElementById('product-thumbnails');
-    if (!thumbnailContainer) return;
-
-    thumbnailContainer.addEventListener('click', function(e) {
-      const thumbnail = e.target.closest('.product-thumbnail');
-      if (!thumbnail) return;
-
-      const index = parseInt(thumbnail.dataset.index);
-      const product = productState.product;
-
-      // Update main image
-      const mainImage = document.getElementById('main-image');
-      if (mainImage && product.images[index]) {
-        const imgPath = product.images[index].startsWith('/')
-          ? '..' + product.images[index]
-          : '../' + product.images[index];
-        mainImage.src = imgPath;
-      }
-
-      // Update active thumbnail
-      thumbnailContainer.querySelectorAll('.product-thumbnail').forEach(t => t.classList.remove('active'));
-      thumbnail.classList.add('active');
-    });
-  }
-
-  /**
-   * Initialize color swatch selection
-   */
-  function initColorSwatchClicks() {
-    const colorSwatches = document.getElementById('color-swatches');
-    if (!colorSwatches) return;
-
-    colorSwatches.addEventListener('click', function(e) {
-      const swatch = e.target.closest('.product-color-swatch');
-      if (!swatch) return;
-
-      const color = swatch.dataset.color;
-      productState.selectedColor = color;
-
-      // Update active state
-      colorSwatches.querySelectorAll('.product-color-swatch').forEach(s => s.classList.remove('active'));
-      swatch.classList.add('active');
-
-      // Update selected color text
-      const selectedColorEl = document.getElementById('selected-color');
-      if (selectedColorEl) selectedColorEl.textContent = color;
-    });
-  }
-
-  /**
-   * Initialize size button selection
-   */
-  function initSizeButtonClicks() {
-    const sizeButtons = document.getElementById('size-buttons');
-    if (!sizeButtons) return;
-
-    sizeButtons.addEventListener('click', function(e) {
-      const btn = e.target.closest('.product-size-btn');
-      if (!btn) return;
-
-      const size = btn.dataset.size;
-      productState.selectedSize = size;
-
-      // Update active state
-      sizeButtons.querySelectorAll('.product-size-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-
-      // Update selected size text
-      const selectedSizeEl = document.getElementById('selected-size');
-      if (selectedSizeEl) selectedSizeEl.textContent = size;
-    });
-  }
-
-  /**
-   * Initialize add to cart button
-   */
-  function initAddToCartButton() {
-    const addToCartBtn = document.getElementById('add-to-cart-btn');
-    if (!addToCartBtn) return;
-
-    addToCartBtn.addEventListener('click', async function() {
-      const product = productState.product;
-
-      if (!product || !product.inStock) return;
-
-      // Disable button and show loading
-      addToCartBtn.disabled = true;
-      const originalText = addToCartBtn.textContent;
-      addToCartBtn.innerHTML = '<span class="spinner spinner-sm"></span> Adding...';
-
-      // Get quantity
-      const quantityInput = document.querySelector('#product-quantity .quantity-input');
-      const quantity = quantityInput ? parseInt(quantityInput.value) : 1;
-
-      try {
-        if (typeof CartModule !== 'undefined') {
-          // Get image path (use relative path)
-          const imagePath = product.images[0].startsWith('/')
-            ? '..' + product.images[0]
-            : '../' + product.images[0];
-
-          CartModule.addToCart({
-            productId: product.id,
-            name: product.name,
-            price: product.price,
-            size: productState.selectedSize,
-            color: productState.selectedColor,
-            quantity: quantity,
-            image: imagePath
-          });
-
-          // Update cart badge
-          updateCartBadge();
-
-          // Show toast
-          showAddedToCartToast({
-            name: product.name,
-            image: imagePath,
-            size: productState.selectedSize,
-            color: productState.selectedColor,
-            quantity: quantity
-          });
-
-          // Dispatch cart updated event
-          document.dispatchEvent(new CustomEvent('cartUpdated'));
-        }
-      } catch (error) {
-        console.error('Error adding to cart:', error);
-        showToast({ title: 'Error', message: 'Could not add item to cart', type: 'error' });
-      } finally {
-        addToCartBtn.disabled = false;
-        addToCartBtn.textContent = originalText;
-      }
-    });
-  }
-
-  /**
-   * Initialize product tabs
-   */
-  function initProductTabs() {
-    const tabButtons = document.querySelectorAll('.product-tab-btn');
-    const tabPanels = document.querySelectorAll('.product-tab-panel');
-
-    tabButtons.forEach(btn => {
-      btn.addEventListener('click', function() {
-        const tabId = this.getAttribute('aria-controls');
-
-        // Update button states
-        tabButtons.forEach(b => {
-          b.classList.remove('active');
-          b.setAttribute('aria-selected', 'false');
-        });
-        this.classList.add('active');
-        this.setAttribute('aria-selected', 'true');
-
-        // Update panel visibility
-        tabPanels.forEach(panel => {
-          panel.classList.remove('active');
-          panel.hidden = true;
-        });
-
-        const activePanel = document.getElementById(tabId);
-        if (activePanel) {
-          activePanel.classList.add('active');
-          activePanel.hidden = false;
-        }
-      });
-    });
-
-    // Handle anchor link to reviews tab
-    if (window.location.hash === '#product-reviews') {
-      const reviewsBtn = document.getElementById('tab-btn-reviews');
-      if (reviewsBtn) reviewsBtn.click();
-    }
-  }
-
-  // ============================================
-  // CART PAGE INITIALIZATION
-  // ============================================
-
-  /**
-   * Initialize cart page functionality
-   */
-  function initCartPage() {
-    // Render cart items
-    renderCartPage();
-
-    // Initialize promo code functionality
-    initPromoCode();
-
-    // Listen for cart updates
-    document.addEventListener('cartUpdated', renderCartPage);
-  }
-
-  /**
-   * Render the entire cart page
-   */
-  function renderCartPage() {
-    const loading = document.getElementById('cart-loading');
-    const emptyState = document.getElementById('cart-empty');
-    const itemsContainer = document.getElementById('cart-items');
-    const summarySection = document.getElementById('cart-summary');
-    const continueSection = document.getElementById('cart-continue');
-
-    // Get cart data
-    if (typeof CartModule === 'undefined') {
-      if (loading) loading.hidden = true;
-      if (emptyState) emptyState.hidden = false;
-      return;
-    }
-
-    const cart = CartModule.getCart();
-    const summary = CartModule.getCartSummary();
-
-    // Hide loading
-    if (loading) loading.hidden = true;
-
-    // Update header count
-    const headerCount = document.getElementById('cart-header-count');
-    if (headerCount) {
-      const itemCount = summary.itemCount;
-      headerCount.textContent = itemCount === 1 ? '1 item' : `${itemCount} items`;
-    }
-
-    // Show empty state or cart items
-    if (cart.length === 0) {
-      if (emptyState) emptyState.hidden = false;
-      if (itemsContainer) itemsContainer.hidden = true;
-      if (summarySection) summarySection.hidden = true;
-      if (continueSection) continueSection.hidden = true;
-      return;
-    }
-
-    // Show cart items
-    if (emptyState) emptyState.hidden = true;
-    if (itemsContainer) itemsContainer.hidden = false;
-    if (summarySection) summarySection.hidden = false;
-    if (continueSection) continueSection.hidden = false;
-
-    // Render cart items
-    renderCartItems(cart);
-
-    // Render summary
-    renderCartSummary(summary);
-
-    // Update promo display
-    updatePromoDisplay();
-  }
-
-  /**
-   * Render cart items list
-   * @param {Array} cart - Cart items array
-   */
-  function renderCartItems(cart) {
-    const container = document.getElementById('cart-items');
-    if (!container) return;
-
-    container.innerHTML = cart.map(item => createCartItemHTML(item)).join('');
-
-    // Initialize quantity selectors
-    container.querySelectorAll('.quantity-selector').forEach(selector => {
-      initCartItemQuantity(selector);
-    });
-
-    // Initialize remove buttons
-    container.querySelectorAll('.cart-item-remove').forEach(btn => {
-      btn.addEventListener('click', handleRemoveItem);
-    });
-  }
-
-  /**
-   * Create HTML for a single cart item
-   * @param {Object} item - Cart item data
-   * @returns {string} HTML string
-   */
-  function createCartItemHTML(item) {
-    const lineTotal = item.price * item.quantity;
-
-    // Adjust image path for pages directory
-    let imagePath = item.image;
-    if (!imagePath.startsWith('../') && !imagePath.startsWith('http')) {
-      imagePath = '../' + imagePath;
-    }
-
-    return `
-      <article class="cart-item" data-cart-id="${item.cartId}">
-        <div class="cart-item-image">
-          <a href="product.html?id=${item.productId}">
-            <img src="${imagePath}" alt="${item.name}" loading="lazy">
-          </a>
-        </div>
-        <div class="cart-item-details">
-          <h3 class="cart-item-name">
-            <a href="product.html?id=${item.productId}">${item.name}</a>
-          </h3>
-          <p class="cart-item-variant">${item.color} / ${item.size}</p>
-          <p class="cart-item-price-mobile">${formatCurrency(item.price)}</p>
-          <div class="cart-item-actions">
-            <div class="cart-item-quantity">
-              <div class="quantity-selector quantity-selector-sm" data-cart-id="${item.cartId}">
-                <button type="button" class="quantity-btn" data-action="decrease" aria-label="Decrease quantity" ${item.quantity <= 1 ? 'disabled' : ''}>−</button>
-                <input type="number" class="quantity-input" value="${item.quantity}" min="1" max="99" aria-label="Quantity">
-                <button type="button" class="quantity-btn" data-action="increase" aria-label="Increase quantity">+</button>
-              </div>
-            </div>
-            <button type="button" class="cart-item-remove" data-cart-id="${item.cartId}" aria-label="Remove ${item.name} from cart">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <polyline points="3 6 5 6 21 6"></polyline>
-                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-              </svg>
-              Remove
-            </button>
-          </div>
-        </div>
-        <div class="cart-item-pricing">
-          <span class="cart-item-line-price">${formatCurrency(lineTotal)}</span>
-          ${item.quantity > 1 ? `<span class="cart-item-unit-price">${formatCurrency(item.price)} each</span>` : ''}
-        </div>
-      </article>
-    `;
-  }
-
-  /**
-   * Initialize quantity selector for cart item
-   * @param {HTMLElement} selector - Quantity selector element
-   */
-  function initCartItemQuantity(selector) {
-    const minusBtn = selector.querySelector('[data-action="decrease"]');
-    const plusBtn = selector.querySelector('[data-action="increase"]');
-    const input = selector.querySelector('.quantity-input');
-    const cartId = selector.dataset.cartId;
-
-    if (!minusBtn || !plusBtn || !input || !cartId) return;
-
-    function updateCartQuantity(newValue) {
-      const value = Math.max(1, Math.min(99, parseInt(newValue) || 1));
-      input.value = value;
-      minusBtn.disabled = value <= 1;
-      plusBtn.disabled = value >= 99;
-
-      // Update cart
-      if (typeof CartModule !== 'undefined') {
-        CartModule.updateQuantity(cartId, value);
-        updateCartBadge();
-        renderCartSummary(CartModule.getCartSummary());
-
-        // Update line price for this item
-        const cartItem = selector.closest('.cart-item');
-        if (cartItem) {
-          const item = CartModule.getCart().find(i => i.cartId === cartId);
-          if (item) {
-            const linePrice = cartItem.querySelector('.cart-item-line-price');
-            const unitPrice = cartItem.querySelector('.cart-item-unit-price');
-            if (linePrice) linePrice.textContent = formatCurrency(item.price * value);
-            if (unitPrice) {
-              if (value > 1) {
-                unitPrice.textContent = `${formatCurrency(item.price)} each`;
-                unitPrice.style.display = '';
-              } else {
-                unitPrice.style.display = 'none';
-              }
-            }
-          }
-        }
-      }
-    }
-
-    minusBtn.addEventListener('click', () => {
-      updateCartQuantity(parseInt(input.value) - 1);
-    });
-
-    plusBtn.addEventListener('click', () => {
-      updateCartQuantity(parseInt(input.value) + 1);
-    });
-
-    input.addEventListener('change', () => {
-      updateCartQuantity(input.value);
-    });
-
-    input.addEventListener('blur', () => {
-      if (input.value === '' || isNaN(parseInt(input.value))) {
-        updateCartQuantity(1);
-      }
-    });
-  }
-
-  /**
-   * Handle remove item button click
-   * @param {Event} e - Click event
-   */
-  function handleRemoveItem(e) {
-    const btn = e.currentTarget;
-    const cartId = btn.dataset.cartId;
-    const cartItem = btn.closest('.cart-item');
-
-    if (!cartId || typeof CartModule === 'undefined') return;
-
-    // Add exit animation
-    if (cartItem) {
-      cartItem.style.transition = 'opacity 0.2s ease, transform 0.2s ease';
-      cartItem.style.opacity = '0';
-      cartItem.style.transform = 'translateX(-20px)';
-    }
-
-    setTimeout(() => {
-      CartModule.removeFromCart(cartId);
-      updateCartBadge();
-      renderCartPage();
-    }, 200);
-  }
-
-  /**
-   * Render cart summary section
-   * @param {Object} summary - Cart summary data
-   */
-  function renderCartSummary(summary) {
-    const subtotalEl = document.getElementById('cart-subtotal');
-    const discountRow = document.getElementById('discount-row');
-    const discountEl = document.getElementById('cart-discount');
-    const totalEl = document.getElementById('cart-total');
-    const headerCount = document.getElementById('cart-header-count');
-
-    if (subtotalEl) subtotalEl.textContent = formatCurrency(summary.subtotal);
-
-    if (discountRow && discountEl) {
-      if (summary.discount > 0) {
-        discountRow.hidden = false;
-        discountEl.textContent = `-${formatCurrency(summary.discount)}`;
-      } else {
-        discountRow.hidden = true;
-      }
-    }
-
-    if (totalEl) totalEl.textContent = formatCurrency(summary.total);
-
-    if (headerCount) {
-      headerCount.textContent = summary.itemCount === 1 ? '1 item' : `${summary.itemCount} items`;
-    }
-  }
-
-  /**
-   * Initialize promo code functionality
-   */
-  function initPromoCode() {
-    const input = document.getElementById('promo-code');
-    const applyBtn = document.getElementById('apply-promo');
-    const removeBtn = document.getElementById('remove-promo');
-
-    if (applyBtn) {
-      applyBtn.addEventListener('click', handleApplyPromo);
-    }
-
-    if (input) {
-      input.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-          e.preventDefault();
-          handleApplyPromo();
-        }
-      });
-    }
-
-    if (removeBtn) {
-      removeBtn.addEventListener('click', handleRemovePromo);
-    }
-  }
-
-  /**
-   * Handle apply promo code
-   */
-  function handleApplyPromo() {
-    const input = document.getElementById('promo-code');
-    const messageEl = document.getElementById('promo-message');
-
-    if (!input || typeof CartModule === 'undefined') return;
-
-    const code = input.value.trim();
-    if (!code) {
-      showPromoMessage('Please enter a promo code', 'error');
-      return;
-    }
-
-    const result = CartModule.applyPromoCode(code);
-
-    if (result.success) {
-      showPromoMessage('', '');
-      updatePromoDisplay();
-      renderCartSummary(CartModule.getCartSummary());
-      input.value = '';
-    } else {
-      showPromoMessage(result.message || 'Invalid promo code', 'error');
-    }
-  }
-
-  /**
-   * Handle remove promo code
-   */
-  function handleRemovePromo() {
-    if (typeof CartModule === 'undefined') return;
-
-    CartModule.removePromoCode();
-    updatePromoDisplay();
-    renderCartSummary(CartModule.getCartSummary());
-    showPromoMessage('', '');
-  }
-
-  /**
-   * Show promo code message
-   * @param {string} message - Message text
-   * @param {string} type - 'success' or 'error'
-   */
-  function showPromoMessage(message, type) {
-    const messageEl = document.getElementById('promo-message');
-    if (!messageEl) return;
-
-    messageEl.textContent = message;
-    messageEl.className = 'cart-promo-message';
-    if (type) {
-      messageEl.classList.add(type);
-    }
-  }
-
-  /**
-   * Update promo display based on applied promo
-   */
-  function updatePromoDisplay() {
-    const inputGroup = document.querySelector('.cart-promo-input-group');
-    const appliedSection = document.getElementById('promo-applied');
-    const appliedCodeText = document.getElementById('applied-code-text');
-
-    if (typeof CartModule === 'undefined') return;
-
-    const promo = CartModule.getAppliedPromo();
-
-    if (promo) {
-      if (inputGroup) inputGroup.style.display = 'none';
-      if (appliedSection) appliedSection.hidden = false;
-      if (appliedCodeText) appliedCodeText.textContent = promo.toUpperCase();
-    } else {
-      if (inputGroup) inputGroup.style.display = 'flex';
-      if (appliedSection) appliedSection.hidden = true;
-    }
-  }
-
-  // ============================================
-  // CHECKOUT PAGE INITIALIZATION
-  // ============================================
-
-  // Checkout page state
-  let checkoutState = {
-    cartItems: [],
-    summary: null
-  };
-
-  const checkoutRequiredFields = [
-    'email',
-    'firstName',
-    'lastName',
-    'address1',
-    'city',
-    'state',
-    'zipCode',
-    'country'
-  ];
-
-  /**
-   * Initialize checkout page functionality
-   */
-  function initCheckoutPage() {
-    const emptyState = document.getElementById('checkout-empty');
-    const layout = document.getElementById('checkout-layout');
-    const form = document.getElementById('checkout-form');
-
-    if (!form) return;
-
-    if (typeof CartModule === 'undefined') {
-      if (emptyState) emptyState.hidden = false;
-      if (layout) layout.hidden = true;
-      return;
-    }
-
-    checkoutState.cartItems = CartModule.getCart();
-    checkoutState.summary = CartModule.getCartSummary();
-
-    if (!checkoutState.cartItems.length) {
-      if (emptyState) emptyState.hidden = false;
-      if (layout) layout.hidden = true;
-      return;
-    }
-
-    if (emptyState) emptyState.hidden = true;
-    if (layout) layout.hidden = false;
-
-    renderCheckoutSummary(checkoutState.cartItems, checkoutState.summary);
-    initCheckoutForm(form);
-    updateCheckoutSubmitState(getCheckoutFormData());
-  }
-
-  /**
-   * Initialize checkout form listeners
-   * @param {HTMLFormElement} form - Checkout form element
-   */
-  function initCheckoutForm(form) {
-    form.addEventListener('input', handleCheckoutFieldChange);
-    form.addEventListener('change', handleCheckoutFieldChange);
-    form.addEventListener('submit', handleCheckoutSubmit);
-  }
-
-  /**
-   * Handle live field validation
-   * @param {Event} event - Input/change event
-   */
-  function handleCheckoutFieldChange(event) {
-    const target = event.target;
-    if (!target || !target.name) return;
-
-    const formData = getCheckoutFormData();
-    validateCheckoutField(target.name, formData, true);
-    updateCheckoutSubmitState(formData);
-  }
-
-  /**
-   * Handle checkout form submission
-   * @param {Event} event - Submit event
-   */
-  function handleCheckoutSubmit(event) {
-    event.preventDefault();
-
-    const formData = getCheckoutFormData();
-    const isValid = validateCheckoutFormData(formData, true);
-
-    if (!isValid) {
-      const firstInvalid = document.querySelector('.checkout-form .is-invalid');
-      if (firstInvalid) firstInvalid.focus();
-      return;
-    }
-
-    processCheckoutOrder(formData);
-  }
-
-  /**
-   * Get checkout form data
-   * @returns {Object} Form data object
-   */
-  function getCheckoutFormData() {
-    return {
-      email: document.getElementById('email')?.value || '',
-      phone: document.getElementById('phone')?.value || '',
-      firstName: document.getElementById('firstName')?.value || '',
-      lastName: document.getElementById('lastName')?.value || '',
-      address1: document.getElementById('address1')?.value || '',
-      address2: document.getElementById('address2')?.value || '',
-      city: document.getElementById('city')?.value || '',
-      state: document.getElementById('state')?.value || '',
-      zipCode: document.getElementById('zipCode')?.value || '',
-      country: document.getElementById('country')?.value || '',
-      deliveryNotes: document.getElementById('deliveryNotes')?.value || ''
-    };
-  }
-
-  /**
-   * Validate the entire checkout form
-   * @param {Object} formData - Form data object
-   * @param {boolean} showErrors - Whether to display errors
-   * @returns {boolean} Whether the form is valid
-   */
-  function validateCheckoutFormData(formData, showErrors) {
-    let isValid = true;
-
-    checkoutRequiredFields.forEach(field => {
-      const fieldValid = validateCheckoutField(field, formData, showErrors);
-      if (!fieldValid) isValid = false;
-    });
-
-    // Optional phone field validation
-    const phoneValid = validateCheckoutField('phone', formData, showErrors);
-    if (!phoneValid) isValid = false;
-
-    return isValid;
-  }
-
-  /**
-   * Validate a single checkout field
-   * @param {string} fieldName - Field name
-   * @param {Object} formData - Form data
-   * @param {boolean} showErrors - Whether to show error messages
-   * @returns {boolean} Whether the field is valid
-   */
-  function validateCheckoutField(fieldName, formData, showErrors) {
-    const input = document.getElementById(fieldName);
-    if (!input || typeof CheckoutModule === 'undefined') return true;
-
-    let result = { valid: true, message: '' };
-
-    switch (fieldName) {
-      case 'email':
-        result = CheckoutModule.validateEmail(formData.email);
-        break;
-      case 'phone':
-        result = CheckoutModule.validatePhone(formData.phone, false);
-        break;
-      case 'firstName':
-        result = CheckoutModule.validateRequired(formData.firstName, 'First name');
-        break;
-      case 'lastName':
-        result = CheckoutModule.validateRequired(formData.lastName, 'Last name');
-        break;
-      case 'address1':
-        result = CheckoutModule.validateRequired(formData.address1, 'Address');
-        break;
-      case 'city':
-        result = CheckoutModule.validateRequired(formData.city, 'City');
-        break;
-      case 'state':
-        result = CheckoutModule.validateRequired(formData.state, 'State/Province');
-        break;
-      case 'zipCode':
-        result = CheckoutModule.validateZipCode(formData.zipCode, formData.country);
-        break;
-      case 'country':
-        result = CheckoutModule.validateRequired(formData.country, 'Country');
-        break;
-      default:
-        result = { valid: true, message: '' };
-    }
-
-    if (showErrors) {
-      updateCheckoutFieldUI(input, fieldName, result);
-    }
-
-    return result.valid;
-  }
-
-  /**
-   * Update field UI with validation state
-   * @param {HTMLElement} input - Input element
-   * @param {string} fieldName - Field name
-   * @param {Object} result - Validation result
-   */
-  function updateCheckoutFieldUI(input, fieldName, result) {
-    const errorEl = document.getElementById(`error-${fieldName}`);
-
-    if (result.valid) {
-      input.classList.remove('is-invalid');
-      input.classList.add('is-valid');
-      if (errorEl) errorEl.textContent = '';
-    } else {
-      input.classList.remove('is-valid');
-      input.classList.add('is-invalid');
-      if (errorEl) errorEl.textContent = result.message || 'This field is required.';
-    }
-  }
-
-  /**
-   * Update submit button state
-   * @param {Object} formData - Form data
-   */
-  function updateCheckoutSubmitState(formData) {
-    const submitBtn = document.getElementById('place-order-btn');
-    if (!submitBtn) return;
-
-    const isValid = validateCheckoutFormData(formData, false);
-    submitBtn.disabled = !isValid;
-  }
-
-  /**
-   * Render checkout summary sidebar
-   * @param {Array} items - Cart items
-   * @param {Object} summary - Cart summary
-   */
-  function renderCheckoutSummary(items, summary) {
-    const itemsContainer = document.getElementById('checkout-items');
-    if (itemsContainer) {
-      itemsContainer.innerHTML = items.map(item => createCheckoutItemHTML(item)).join('');
-    }
-
-    const subtotalEl = document.getElementById('checkout-subtotal');
-    const totalEl = document.getElementById('checkout-total');
-    const discountRow = document.getElementById('checkout-discount-row');
-    const discountEl = document.getElementById('checkout-discount');
-
-    if (subtotalEl) subtotalEl.textContent = formatCurrency(summary.subtotal);
-    if (totalEl) totalEl.textContent = formatCurrency(summary.total);
-
-    if (discountRow && discountEl) {
-      if (summary.discount > 0) {
-        discountRow.hidden = false;
-        discountEl.textContent = `-${formatCurrency(summary.discount)}`;
-      } else {
-        discountRow.hidden = true;
-      }
-    }
-  }
-
-  /**
-   * Create checkout summary item HTML
-   * @param {Object} item - Cart item
-   * @returns {string} HTML string
-   */
-  function createCheckoutItemHTML(item) {
-    let imagePath = item.image;
-    if (!imagePath.startsWith('../') && !imagePath.startsWith('http')) {
-      imagePath = '../' + imagePath;
-    }
-
-    return `
-      <div class="checkout-item">
-        <div class="checkout-item-image">
-          <img src="${imagePath}" alt="${item.name}" loading="lazy">
-        </div>
-        <div class="checkout-item-details">
-          <div class="checkout-item-name">${item.name}</div>
-          <div class="checkout-item-meta">${item.color} / ${item.size}</div>
-          <div class="checkout-item-qty">Qty: ${item.quantity}</div>
-        </div>
-        <div class="checkout-item-price">${formatCurrency(item.price * item.quantity)}</div>
-      </div>
-    `;
-  }
-
-  /**
-   * Process checkout order and redirect to confirmation
-   * @param {Object} formData - Form data
-   */
-  function processCheckoutOrder(formData) {
-    const submitBtn = document.getElementById('place-order-btn');
-    const originalText = submitBtn ? submitBtn.textContent : '';
-
-    if (submitBtn) {
-      submitBtn.disabled = true;
-      submitBtn.innerHTML = '<span class="spinner spinner-sm"></span> Processing...';
-    }
-
-    try {
-      const cartItems = checkoutState.cartItems || [];
-      const summary = checkoutState.summary || (CartModule ? CartModule.getCartSummary() : null);
-
-      if (!summary || cartItems.length === 0) {
-        showToast({ title: 'Cart Empty', message: 'Please add items to your cart.', type: 'warning' });
-        return;
-      }
-
-      const order = {
-        items: cartItems.map(item => ({
-          productId: item.productId,
-          name: item.name,
-          price: item.price,
-          size: item.size,
-          color: item.color,
-          quantity: item.quantity,
-          image: item.image
-        })),
-        shipping: {
-          firstName: formData.firstName.trim(),
-          lastName: formData.lastName.trim(),
-          address1: formData.address1.trim(),
-          address2: formData.address2 ? formData.address2.trim() : '',
-          city: formData.city.trim(),
-          state: formData.state.trim(),
-          zipCode: formData.zipCode.trim(),
-          country: formData.country.trim(),
-          notes: formData.deliveryNotes ? formData.deliveryNotes.trim() : ''
-        },
-        contact: {
-          email: formData.email.trim(),
-          phone: formData.phone ? formData.phone.trim() : ''
-        },
-        payment: {
-          method: 'Invoice on Delivery',
-          cardLast4: '0000',
-          cardName: 'Invoice on Delivery'
-        },
-        totals: {
-          subtotal: summary.subtotal,
-          discount: summary.discount,
-          promoCode: summary.promoCode,
-          shipping: summary.shipping,
-          total: summary.total
-        }
-      };
-
-      let savedOrder = order;
-      if (window.CheckoutModule && typeof window.CheckoutModule.saveOrder === 'function') {
-        savedOrder = window.CheckoutModule.saveOrder(order);
-      }
-
-      if (window.CartModule && typeof window.CartModule.clearCart === 'function') {
-        window.CartModule.clearCart();
-      }
-
-      updateCartBadge();
-
-      const orderNumber = savedOrder.orderNumber || '';
-      const targetUrl = orderNumber ? `confirmation.html?order=${encodeURIComponent(orderNumber)}` : 'confirmation.html';
-      window.location.href = targetUrl;
-    } catch (error) {
-      console.error('Checkout error:', error);
-      showToast({ title: 'Checkout failed', message: 'Please try again.', type: 'error' });
-    } finally {
-      if (submitBtn) {
-        submitBtn.textContent = originalText;
-        submitBtn.disabled = false;
-      }
-    }
-  }
-
-  // ============================================
-  // CONFIRMATION PAGE INITIALIZATION
-  // ============================================
-
-  /**
-   * Initialize confirmation page functionality
-   */
-  function initConfirmationPage() {
-    const loadingEl = document.getElementById('confirmation-loading');
-    const errorEl = document.getElementById('confirmation-error');
-    const contentEl = document.getElementById('confirmation-content');
-
-    if (!loadingEl || !errorEl || !contentEl) return;
-
-    // Get order number from URL
-    const urlParams = new URLSearchParams(window.location.search);
-    const orderNumber = urlParams.get('order');
-
-    if (!orderNumber) {
-      showConfirmationError(loadingEl, errorEl, contentEl);
-      return;
-    }
-
-    // Try to get order from localStorage
-    if (typeof CheckoutModule === 'undefined' || !CheckoutModule.getOrderByNumber) {
-      showConfirmationError(loadingEl, errorEl, contentEl);
-      return;
-    }
-
-    const order = CheckoutModule.getOrderByNumber(orderNumber);
-
-    if (!order) {
-      showConfirmationError(loadingEl, errorEl, contentEl);
-      return;
-    }
-
-    // Render order details
-    renderConfirmationPage(order, loadingEl, errorEl, contentEl);
-  }
-
-  /**
-   * Show confirmation error state
-   * @param {HTMLElement} loadingEl - Loading element
-   * @param {HTMLElement} errorEl - Error element
-   * @param {HTMLElement} contentEl - Content element
-   */
-  function showConfirmationError(loadingEl, errorEl, contentEl) {
-    loadingEl.hidden = true;
-    errorEl.hidden = false;
-    contentEl.hidden = true;
-  }
-
-  /**
-   * Render confirmation page with order data
-   * @param {Object} order - Order object
-   * @param {HTMLElement} loadingEl - Loading element
-   * @param {HTMLElement} errorEl - Error element
-   * @param {HTMLElement} contentEl - Content element
-   */
-  function renderConfirmationPage(order, loadingEl, errorEl, contentEl) {
-    // Hide loading, show content
-    loadingEl.hidden = true;
-    errorEl.hidden = true;
-    contentEl.hidden = false;
-
-    // Populate order number
-    const orderNumberEl = document.getElementById('order-number');
-    if (orderNumberEl) {
-      orderNumberEl.textContent = order.orderNumber;
-    }
-
-    // Populate email
-    const orderEmailEl = document.getElementById('order-email');
-    if (orderEmailEl && order.contact) {
-      orderEmailEl.textContent = order.contact.email;
-    }
-
-    // Populate shipping address
-    const shippingAddressEl = document.getElementById('shipping-address');
-    if (shippingAddressEl && order.shipping) {
-      const s = order.shipping;
-      shippingAddressEl.innerHTML = `
-        <div class="confirmation-address-name">${s.firstName} ${s.lastName}</div>
-        <div>${s.address1}</div>
-        ${s.address2 ? `<div>${s.address2}</div>` : ''}
-        <div>${s.city}, ${s.state} ${s.zipCode}</div>
-        <div>${getCountryName(s.country)}</div>
-      `;
-    }
-
-    // Populate payment method
-    const paymentMethodEl = document.getElementById('payment-method');
-    if (paymentMethodEl && order.payment) {
-      const p = order.payment;
-      if (p.method === 'Invoice on Delivery' || p.cardLast4 === '0000') {
-        paymentMethodEl.innerHTML = `
-          <div class="confirmation-payment-method">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="1" y="4" width="22" height="16" rx="2" ry="2"></rect>
-              <line x1="1" y1="10" x2="23" y2="10"></line>
-            </svg>
-            Invoice on Delivery
-          </div>
-          <div class="confirmation-payment-card">Payment due upon receipt</div>
-        `;
-      } else {
-        paymentMethodEl.innerHTML = `
-          <div class="confirmation-payment-method">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="1" y="4" width="22" height="16" rx="2" ry="2"></rect>
-              <line x1="1" y1="10" x2="23" y2="10"></line>
-            </svg>
-            Credit Card
-          </div>
-          <div class="confirmation-payment-card">**** **** **** ${p.cardLast4}</div>
-        `;
-      }
-    }
-
-    // Populate order items
-    const orderItemsEl = document.getElementById('order-items');
-    if (orderItemsEl && order.items) {
-      orderItemsEl.innerHTML = order.items.map(item => createConfirmationItemHTML(item)).join('');
-    }
-
-    // Populate totals
-    if (order.totals) {
-      const subtotalEl = document.getElementById('order-subtotal');
-      const totalEl = document.getElementById('order-total');
-      const discountRow = document.getElementById('discount-row');
-      const discountEl = document.getElementById('order-discount');
-      const promoCodeEl = document.getElementById('order-promo-code');
-
-      if (subtotalEl) subtotalEl.textContent = formatCurrency(order.totals.subtotal);
-      if (totalEl) totalEl.textContent = formatCurrency(order.totals.total);
-
-      if (discountRow && order.totals.discount > 0) {
-        discountRow.hidden = false;
-        if (discountEl) discountEl.textContent = `-${formatCurrency(order.totals.discount)}`;
-        if (promoCodeEl) promoCodeEl.textContent = order.totals.promoCode || 'PROMO';
-      }
-    }
-  }
-
-  /**
-   * Create confirmation item HTML
-   * @param {Object} item - Order item
-   * @returns {string} HTML string
-   */
-  function createConfirmationItemHTML(item) {
-    let imagePath = item.image || '';
-    if (imagePath && !imagePath.startsWith('../') && !imagePath.startsWith('http')) {
-      imagePath = '../' + imagePath;
-    }
-
-    return `
-      <div class="confirmation-item">
-        <div class="confirmation-item-image">
-          <img src="${imagePath}" alt="${item.name}" loading="lazy">
-        </div>
-        <div class="confirmation-item-details">
-          <div class="confirmation-item-name">${item.name}</div>
-          <div class="confirmation-item-meta">${item.color} / ${item.size}</div>
-          <div class="confirmation-item-qty">Qty: ${item.quantity}</div>
-        </div>
-        <div class="confirmation-item-price">${formatCurrency(item.price * item.quantity)}</div>
-      </div>
-    `;
-  }
-
-  /**
-   * Get country name from country code
-   * @param {string} code - Country code
-   * @returns {string} Country name
-   */
-  function getCountryName(code) {
-    const countries = {
-      'US': 'United States',
-      'CA': 'Canada',
-      'UK': 'United Kingdom',
-      'AU': 'Australia',
-      'DE': 'Germany',
-      'FR': 'France',
-      'NL': 'Netherlands',
-      'OTHER': 'International'
-    };
-    return countries[code] || code || 'United States';
-  }
-
-  // ============================================
-  // STAR RATING COMPONENT
-  // ============================================
-
-  /**
-   * Create a star rating HTML string
-   * @param {number} rating - Rating value (0-5)
-   * @param {string} [size=''] - Size class: '', 'sm', 'lg', 'xl'
-   * @returns {string} HTML string for star rating
-   */
-  function createStarRating(rating, size = '') {
-    const sizeClass = size ? `star-rating-${size}` : '';
-    const fullStars = Math.floor(rating);
-    const hasHalf = rating % 1 >= 0.5;
-    const emptyStars = 5 - fullStars - (hasHalf ? 1 : 0);
-
-    const starSVG = `<svg class="star-rating-star" viewBox="0 0 20 20" fill="currentColor">
-      <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
-    </svg>`;
-
-    let stars = '';
-    for (let i = 0; i < fullStars; i++) {
-      stars += starSVG.replace('star-rating-star', 'star-rating-star filled');
-    }
-    if (hasHalf) {
-      stars += starSVG.replace('star-rating-star', 'star-rating-star filled half');
-    }
-    for (let i = 0; i < emptyStars; i++) {
-      stars += starSVG;
-    }
-
-    return `<div class="star-rating ${sizeClass}" aria-label="Rating: ${rating} out of 5 stars">${stars}</div>`;
-  }
-
-  // ============================================
-  // QUANTITY SELECTOR COMPONENT
-  // ============================================
-
-  /**
-   * Initialize quantity selector functionality
-   * @param {HTMLElement} container - Container element or selector
-   */
-  function initQuantitySelector(container) {
-    const selectors = container ?
-      container.querySelectorAll('.quantity-selector') :
-      document.querySelectorAll('.quantity-selector');
-
-    selectors.forEach(selector => {
-      const minusBtn = selector.querySelector('[data-action="decrease"]');
-      const plusBtn = selector.querySelector('[data-action="increase"]');
-      const input = selector.querySelector('.quantity-input');
-
-      if (!minusBtn || !plusBtn || !input) return;
-
-      const min = parseInt(input.getAttribute('min')) || 1;
-      const max = parseInt(input.getAttribute('max')) || 99;
-
-      function updateValue(newValue) {
-        const value = Math.max(min, Math.min(max, parseInt(newValue) || min));
-        input.value = value;
-        minusBtn.disabled = value <= min;
-        plusBtn.disabled = value >= max;
-
-        // Dispatch custom event
-        const event = new CustomEvent('quantityChange', {
-          detail: { value, element: selector },
-          bubbles: true
-        });
-        selector.dispatchEvent(event);
-      }
-
-      minusBtn.addEventListener('click', () => {
-        updateValue(parseInt(input.value) - 1);
-      });
-
-      plusBtn.addEventListener('click', () => {
-        updateValue(parseInt(input.value) + 1);
-      });
-
-      input.addEventListener('change', () => {
-        updateValue(input.value);
-      });
-
-      input.addEventListener('blur', () => {
-        if (input.value === '' || isNaN(parseInt(input.value))) {
-          updateValue(min);
-        }
-      });
-
-      // Initialize button states
-      updateValue(input.value);
-    });
-  }
-
-  /**
-   * Create quantity selector HTML
-   * @param {number} [value=1] - Initial value
-   * @param {number} [min=1] - Minimum value
-   * @param {number} [max=99] - Maximum value
-   * @param {string} [size=''] - Size class: '', 'sm', 'lg'
-   * @returns {string} HTML string for quantity selector
-   */
-  function createQuantitySelector(value = 1, min = 1, max = 99, size = '') {
-    const sizeClass = size ? `quantity-selector-${size}` : '';
-    return `
-      <div class="quantity-selector ${sizeClass}">
-        <button type="button" class="quantity-btn" data-action="decrease" aria-label="Decrease quantity" ${value <= min ? 'disabled' : ''}>−</button>
-        <input type="number" class="quantity-input" value="${value}" min="${min}" max="${max}" aria-label="Quantity">
-        <button type="button" class="quantity-btn" data-action="increase" aria-label="Increase quantity" ${value >= max ? 'disabled' : ''}>+</button>
-      </div>
-    `;
-  }
-
-  // ============================================
-  // TOAST NOTIFICATION COMPONENT
-  // ============================================
-
-  // Toast container reference
-  let toastContainer = null;
-
-  /**
-   * Ensure toast container exists
-   */
-  function ensureToastContainer() {
-    if (!toastContainer) {
-      toastContainer = document.getElementById('toast-container');
-      if (!toastContainer) {
-        toastContainer = document.createElement('div');
-        toastContainer.id = 'toast-container';
-        toastContainer.className = 'toast-container';
-        toastContainer.setAttribute('aria-live', 'polite');
-        document.body.appendChild(toastContainer);
-      }
-    }
-    return toastContainer;
-  }
-
-  /**
-   * Show a toast notification
-   * @param {Object} options - Toast options
-   * @param {string} options.title - Toast title
-   * @param {string} [options.message] - Toast message
-   * @param {string} [options.type='success'] - Type: 'success', 'error', 'warning', 'info'
-   * @param {number} [options.duration=4000] - Duration in ms (0 = no auto-dismiss)
-   * @returns {HTMLElement} Toast element
-   */
-  function showToast({ title, message = '', type = 'success', duration = 4000 }) {
-    const container = ensureToastContainer();
-
-    const icons = {
-      success: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
-        <polyline points="22 4 12 14.01 9 11.01"></polyline>
-      </svg>`,
-      error: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <circle cx="12" cy="12" r="10"></circle>
-        <line x1="15" y1="9" x2="9" y2="15"></line>
-        <line x1="9" y1="9" x2="15" y2="15"></line>
-      </svg>`,
-      warning: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path>
-        <line x1="12" y1="9" x2="12" y2="13"></line>
-        <line x1="12" y1="17" x2="12.01" y2="17"></line>
-      </svg>`,
-      info: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <circle cx="12" cy="12" r="10"></circle>
-        <line x1="12" y1="16" x2="12" y2="12"></line>
-        <line x1="12" y1="8" x2="12.01" y2="8"></line>
-      </svg>`
-    };
-
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.innerHTML = `
-      ${icons[type] || icons.info}
-      <div class="toast-content">
-        <div class="toast-title">${title}</div>
-        ${message ? `<div class="toast-message">${message}</div>` : ''}
-      </div>
-      <button class="toast-close" aria-label="Close notification">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <line x1="18" y1="6" x2="6" y2="18"></line>
-          <line x1="6" y1="6" x2="18" y2="18"></line>
-        </svg>
-      </button>
-    `;
-
-    container.appendChild(toast);
-
-    // Close button handler
-    const closeBtn = toast.querySelector('.toast-close');
-    closeBtn.addEventListener('click', () => dismissToast(toast));
-
-    // Auto dismiss
-    if (duration > 0) {
-      setTimeout(() => dismissToast(toast), duration);
-    }
-
-    return toast;
-  }
-
-  /**
-   * Show "Added to cart" toast with product info
-   * @param {Object} product - Product information
-   * @param {string} product.name - Product name
-   * @param {string} product.image - Product image URL
-   * @param {string} [product.size] - Selected size
-   * @param {string} [product.color] - Selected color
-   * @param {number} [product.quantity=1] - Quantity added
-   */
-  function showAddedToCartToast(product) {
-    const container = ensureToastContainer();
-
-    const details = [];
-    if (product.size) details.push(product.size);
-    if (product.color) details.push(product.color);
-    if (product.quantity && product.quantity > 1) details.push(`Qty: ${product.quantity}`);
-
-    const toast = document.createElement('div');
-    toast.className = 'toast toast-product';
-    toast.innerHTML = `
-      <img src="${product.image}" alt="${product.name}" class="toast-product-image">
-      <div class="toast-product-info">
-        <div class="toast-product-name">${product.name}</div>
-        <div class="toast-product-details">Added to cart${details.length ? ' • ' + details.join(', ') : ''}</div>
-      </div>
-      <div class="toast-product-action">
-        <a href="cart.html" class="btn btn-sm btn-primary">View Cart</a>
-      </div>
-      <button class="toast-close" aria-label="Close notification">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <line x1="18" y1="6" x2="6" y2="18"></line>
-          <line x1="6" y1="6" x2="18" y2="18"></line>
-        </svg>
-      </button>
-    `;
-
-    container.appendChild(toast);
-
-    const closeBtn = toast.querySelector('.toast-close');
-    closeBtn.addEventListener('click', () => dismissToast(toast));
-
-    setTimeout(() => dismissToast(toast), 5000);
-
-    return toast;
-  }
-
-  /**
-   * Dismiss a toast with animation
-   * @param {HTMLElement} toast - Toast element to dismiss
-   */
-  function dismissToast(toast) {
-    if (!toast || toast.classList.contains('toast-exit')) return;
-
-    toast.classList.add('toast-exit');
-    setTimeout(() => {
-      toast.remove();
-    }, 200);
-  }
-
-  // ============================================
-  // MODAL COMPONENT
-  // ============================================
-
-  /**
-   * Open a modal
-   * @param {string|HTMLElement} modal - Modal element or selector
-   */
-  function openModal(modal) {
-    const modalEl = typeof modal === 'string' ? document.querySelector(modal) : modal;
-    if (!modalEl) return;
-
-    const backdrop = modalEl.closest('.modal-backdrop') || modalEl;
-    backdrop.classList.add('is-open');
-    document.body.style.overflow = 'hidden';
-
-    // Focus first focusable element
-    const focusable = modalEl.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-    if (focusable) focusable.focus();
-
-    // Trap focus inside modal
-    modalEl.addEventListener('keydown', trapFocus);
-  }
-
-  /**
-   * Close a modal
-   * @param {string|HTMLElement} modal - Modal element or selector
-   */
-  function closeModal(modal) {
-    const modalEl = typeof modal === 'string' ? document.querySelector(modal) : modal;
-    if (!modalEl) return;
-
-    const backdrop = modalEl.closest('.modal-backdrop') || modalEl;
-    backdrop.classList.remove('is-open');
-    document.body.style.overflow = '';
-
-    modalEl.removeEventListener('keydown', trapFocus);
-  }
-
-  /**
-   * Trap focus inside modal
-   * @param {KeyboardEvent} e - Keyboard event
-   */
-  function trapFocus(e) {
-    if (e.key !== 'Tab') return;
-
-    const modal = e.currentTarget;
-    const focusableElements = modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
-
-    if (e.shiftKey && document.activeElement === firstElement) {
-      e.preventDefault();
-      lastElement.focus();
-    } else if (!e.shiftKey && document.activeElement === lastElement) {
-      e.preventDefault();
-      firstElement.focus();
-    }
-  }
-
-  /**
-   * Initialize modal event listeners
-   */
-  function initModals() {
-    // Handle modal open triggers
-    document.addEventListener('click', function(e) {
-      const trigger = e.target.closest('[data-modal-open]');
-      if (trigger) {
-        e.preventDefault();
-        const modalId = trigger.getAttribute('data-modal-open');
-        openModal(document.getElementById(modalId));
-      }
-
-      // Handle modal close buttons
-      const closeBtn = e.target.closest('[data-modal-close]');
-      if (closeBtn) {
-        e.preventDefault();
-        const modal = closeBtn.closest('.modal-backdrop');
-        closeModal(modal);
-      }
-
-      // Handle backdrop click
-      if (e.target.classList.contains('modal-backdrop')) {
-        closeModal(e.target);
-      }
-    });
-
-    // Handle escape key
-    document.addEventListener('keydown', function(e) {
-      if (e.key === 'Escape') {
-        const openModals = document.querySelectorAll('.modal-backdrop.is-open');
-        openModals.forEach(modal => closeModal(modal));
-      }
-    });
-  }
-
-  /**
-   * Create size guide modal HTML
-   * @returns {string} HTML string for size guide modal
-   */
-  function createSizeGuideModal() {
-    return `
-      <div class="modal-backdrop" id="size-guide-modal">
-        <div class="modal">
-          <div class="modal-header">
-            <h3 class="modal-title">Size Guide</h3>
-            <button class="modal-close" data-modal-close aria-label="Close">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <line x1="18" y1="6" x2="6" y2="18"></line>
-                <line x1="6" y1="6" x2="18" y2="18"></line>
-              </svg>
-            </button>
-          </div>
-          <div class="modal-body">
-            <p class="mb-4">Select your size based on the upper lip width measurement below:</p>
-            <table class="size-guide-table">
-              <thead>
-                <tr>
-                  <th>Size</th>
-                  <th>Upper Lip Width</th>
-                  <th>Mustache Span</th>
-                  <th>Best For</th>
-                </tr>
-              </thead>
-              <tbody>
-                <tr>
-                  <td><strong>S</strong></td>
-                  <td>4.0 - 4.5 cm</td>
-                  <td>Up to 6 cm</td>
-                  <td>Pencil, Petite</td>
-                </tr>
-                <tr>
-                  <td><strong>M</strong></td>
-                  <td>4.5 - 5.0 cm</td>
-                  <td>6 - 8 cm</td>
-                  <td>Classic, Natural</td>
-                </tr>
-                <tr>
-                  <td><strong>L</strong></td>
-                  <td>5.0 - 5.5 cm</td>
-                  <td>8 - 10 cm</td>
-                  <td>Chevron, Walrus</td>
-                </tr>
-                <tr>
-                  <td><strong>XL</strong></td>
-                  <td>5.5+ cm</td>
-                  <td>10+ cm</td>
-                  <td>Handlebar, Imperial</td>
-                </tr>
-                <tr>
-                  <td><strong>One Size</strong></td>
-                  <td>Adjustable</td>
-                  <td>4 - 12 cm</td>
-                  <td>Universal fit</td>
-                </tr>
-              </tbody>
-            </table>
-            <div class="size-guide-note">
-              <strong>How to measure:</strong> Using a soft measuring tape, measure the width of your upper lip from corner to corner. For mustache span, measure from tip to tip at the widest point of your mustache.
-            </div>
-          </div>
-          <div class="modal-footer">
-            <button class="btn btn-primary" data-modal-close>Got It</button>
-          </div>
-        </div>
-      </div>
-    `;
-  }
-
-  // ============================================
-  // PRODUCT CARD COMPONENT
-  // ============================================
-
-  /**
-   * Create a product card HTML
-   * @param {Object} product - Product data
-   * @returns {string} HTML string for product card
-   */
-  function createProductCard(product) {
-    const badges = [];
-    if (product.isNew) {
-      badges.push('<span class="badge badge-new">New</span>');
-    }
-    if (product.salesCount > 50) {
-      badges.push('<span class="badge badge-bestseller">Bestseller</span>');
-    }
-
-    const outOfStockOverlay = !product.inStock ? `
-      <div class="product-card-overlay">
-        <span class="product-card-overlay-text">Out of Stock</span>
-      </div>
-    ` : '';
-
-    const quickAddBtn = product.inStock ? `
-      <div class="product-card-quick-add">
-        <button class="btn btn-primary" data-quick-add="${product.id}">Add to Cart</button>
-      </div>
-    ` : '';
-
-    return `
-      <article class="product-card" data-product-id="${product.id}">
-        <div class="product-card-image">
-          ${badges.length ? `<div class="product-card-badges">${badges.join('')}</div>` : ''}
-          <a href="pages/product.html?id=${product.id}">
-            <img src="${product.images[0]}" alt="${product.name}" loading="lazy">
-          </a>
-          ${outOfStockOverlay}
-          ${quickAddBtn}
-        </div>
-        <div class="product-card-body">
-          <span class="product-card-category">${product.category}</span>
-          <h3 class="product-card-title">
-            <a href="pages/product.html?id=${product.id}">${product.name}</a>
-          </h3>
-          <div class="product-card-rating">
-            ${createStarRating(product.rating, 'sm')}
-            <span class="product-card-rating-count">(${product.reviewCount})</span>
-          </div>
-          <div class="product-card-price">
-            <span class="price">${formatCurrency(product.price)}</span>
-          </div>
-        </div>
-      </article>
-    `;
-  }
-
-  /**
-   * Initialize quick add to cart functionality
-   */
-  function initQuickAddToCart() {
-    document.addEventListener('click', async function(e) {
-      const btn = e.target.closest('[data-quick-add]');
-      if (!btn) return;
-
-      e.preventDefault();
-      const productId = btn.getAttribute('data-quick-add');
-
-      // Disable button and show loading
-      btn.disabled = true;
-      const originalText = btn.textContent;
-      btn.innerHTML = '<span class="spinner spinner-sm"></span> Adding...';
-
-      try {
-        // Get product data
-        if (typeof ProductsModule !== 'undefined') {
-          const product = await ProductsModule.getProductById(productId);
-          if (product && typeof CartModule !== 'undefined') {
-            // Add with default options
-            CartModule.addToCart({
-              productId: product.id,
-              name: product.name,
-              price: product.price,
-              size: product.sizes[0],
-              color: product.colors[0],
-              quantity: 1,
-              image: product.images[0]
-            });
-
-            // Update cart badge
-            updateCartBadge();
-
-            // Show toast
-            showAddedToCartToast({
-              name: product.name,
-              image: product.images[0],
-              size: product.sizes[0],
-              color: product.colors[0]
-            });
-
-            // Dispatch cart updated event
-            document.dispatchEvent(new CustomEvent('cartUpdated'));
-          }
-        }
-      } catch (error) {
-        console.error('Error adding to cart:', error);
-        showToast({ title: 'Error', message: 'Could not add item to cart', type: 'error' });
-      } finally {
-        btn.disabled = false;
-        btn.textContent = originalText;
-      }
-    });
-  }
-
-  // ============================================
-  // UTILITY FUNCTIONS
-  // ============================================
-
-  /**
-   * Debounce function to limit rapid function calls
-   * @param {Function} func - Function to debounce
-   * @param {number} wait - Wait time in milliseconds
-   * @returns {Function} Debounced function
-   */
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
-  }
-
-  /**
-   * Throttle function to limit function calls over time
-   * @param {Function} func - Function to throttle
-   * @param {number} limit - Minimum time between calls in milliseconds
-   * @returns {Function} Throttled function
-   */
-  function throttle(func, limit) {
-    let inThrottle;
-    return function executedFunction(...args) {
-      if (!inThrottle) {
-        func(...args);
-        inThrottle = true;
-        setTimeout(() => inThrottle = false, limit);
-      }
-    };
-  }
-
-  /**
-   * Format a number as currency
-   * @param {number} amount - Amount to format
-   * @returns {string} Formatted currency string
-   */
-  function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount);
-  }
-
-  /**
-   * Get URL query parameter value
-   * @param {string} param - Parameter name
-   * @returns {string|null} Parameter value or null
-   */
-  function getQueryParam(param) {
-    const urlParams = new URLSearchParams(window.location.search);
-    return urlParams.get(param);
-  }
-
-  /**
-   * Set URL query parameter
-   * @param {string} param - Parameter name
-   * @param {string} value - Parameter value
-   * @param {boolean} [pushState=true] - Whether to push to history
-   */
-  function setQueryParam(param, value, pushState = true) {
-    const url = new URL(window.location.href);
-    if (value === null || value === undefined || value === '') {
-      url.searchParams.delete(param);
-    } else {
-      url.searchParams.set(param, value);
-    }
-
-    if (pushState) {
-      window.history.pushState({}, '', url.toString());
-    } else {
-      window.history.replaceState({}, '', url.toString());
-    }
-  }
-
-  // ============================================
-  // MAIN INITIALIZATION
-  // ============================================
-
-  /**
-   * Main initialization function
-   * Runs when DOM is fully loaded
-   */
-  function init() {
-    // Initialize mobile menu
-    initMobileMenu();
-
-    // Initialize FAQ accordion
-    initFaqAccordion();
-
-    // Update cart badge
-    updateCartBadge();
-
-    // Set active nav link
-    setActiveNavLink();
-
-    // Initialize modals
-    initModals();
-
-    // Initialize quantity selectors
-    initQuantitySelector();
-
-    // Initialize quick add to cart
-    initQuickAddToCart();
-
-    // Initialize current page
-    initCurrentPage();
-
-    console.log('Mustache Harnesses Co. initialized');
-  }
-
-  // ============================================
-  // EVENT LISTENERS
-  // ============================================
-
-  // Initialize on DOM ready
-  document.addEventListener('DOMContentLoaded', init);
-
-  // Listen for custom cart update events
-  document.addEventListener('cartUpdated', updateCartBadge);
-
-  // ============================================
-  // EXPORT TO GLOBAL SCOPE
-  // ============================================
-
-  window.MainModule = {
-    // Cart badge
-    updateCartBadge: updateCartBadge,
-    // Utilities
-    debounce: debounce,
-    throttle: throttle,
-    formatCurrency: formatCurrency,
-    getQueryParam: getQueryParam,
-    setQueryParam: setQueryParam,
-    // Star rating
-    createStarRating: createStarRating,
-    // Quantity selector
-    createQuantitySelector: createQuantitySelector,
-    initQuantitySelector: initQuantitySelector,
-    // Toast notifications
-    showToast: showToast,
-    showAddedToCartToast: showAddedToCartToast,
-    dismissToast: dismissToast,
-    // Modal
-    openModal: openModal,
-    closeModal: closeModal,
-    createSizeGuideModal: createSizeGuideModal,
-    // Product card
-    createProductCard: createProductCard,
-    // Landing page
-    initLandingPage: initLandingPage,
-    loadFeaturedProducts: loadFeaturedProducts,
-    // Shop page
-    initShopPage: initShopPage,
-    // Product page
-    initProductPage: initProductPage,
-    // Cart page
-    initCartPage: initCartPage
-  };
-
-})();
+// Main JavaScript - Core functionality
+// Mustache Harnesses Co.
+
+/**
+ * Main Module - Core functionality for header, navigation, and cart updates
+ * Provides: mobile menu toggle, cart badge updates, page initialization
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // MOBILE MENU TOGGLE
+  // ============================================
+
+  /**
+   * Initialize mobile menu toggle functionality
+   */
+  function initMobileMenu() {
+    const toggle = document.getElementById('mobile-menu-toggle');
+    const navMobile = document.getElementById('nav-mobile');
+
+    if (!toggle || !navMobile) return;
+
+    toggle.addEventListener('click', function() {
+      const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', !isExpanded);
+      navMobile.classList.toggle('is-open', !isExpanded);
+    });
+
+    // Close mobile menu when clicking outside
+    document.addEventListener('click', function(event) {
+      if (!toggle.contains(event.target) && !navMobile.contains(event.target)) {
+        toggle.setAttribute('aria-expanded', 'false');
+        navMobile.classList.remove('is-open');
+      }
+    });
+
+    // Close mobile menu on escape key
+    document.addEventListener('keydown', function(event) {
+      if (event.key === 'Escape') {
+        toggle.setAttribute('aria-expanded', 'false');
+        navMobile.classList.remove('is-open');
+      }
+    });
+  }
+
+  // ============================================
+  // FAQ ACCORDION
+  // ============================================
+
+  /**
+   * Initialize FAQ accordion functionality
+   */
+  function initFaqAccordion() {
+    const faqQuestions = document.querySelectorAll('.faq-question');
+
+    if (!faqQuestions.length) return;
+
+    faqQuestions.forEach(function(question) {
+      question.addEventListener('click', function() {
+        const faqItem = this.closest('.faq-item');
+        const isExpanded = this.getAttribute('aria-expanded') === 'true';
+
+        // Close all other accordions in the same section
+        const parent = this.closest('.faq-accordion');
+        if (parent) {
+          parent.querySelectorAll('.faq-item').forEach(function(item) {
+            if (item !== faqItem) {
+              item.classList.remove('is-open');
+              item.querySelector('.faq-question').setAttribute('aria-expanded', 'false');
+            }
+          });
+        }
+
+        // Toggle current accordion
+        this.setAttribute('aria-expanded', !isExpanded);
+        if (faqItem) {
+          faqItem.classList.toggle('is-open', !isExpanded);
+        }
+      });
+    });
+  }
+
+  // ============================================
+  // CART BADGE UPDATE
+  // ============================================
+
+  /**
+   * Update the cart badge count in the header
+   * Uses CartModule if available
+   */
+  function updateCartBadge() {
+    const cartBadge = document.getElementById('cart-badge');
+    const mobileCartCount = document.querySelector('.mobile-cart-count');
+
+    let count = 0;
+
+    // Use CartModule if available
+    if (typeof CartModule !== 'undefined' && CartModule.getCartItemCount) {
+      count = CartModule.getCartItemCount();
+    }
+
+    // Update desktop cart badge
+    if (cartBadge) {
+      cartBadge.textContent = count;
+      cartBadge.setAttribute('data-count', count);
+      cartBadge.setAttribute('aria-label', count + ' items in cart');
+    }
+
+    // Update mobile cart count
+    if (mobileCartCount) {
+      mobileCartCount.textContent = count;
+    }
+  }
+
+  /**
+   * Update the wishlist badge count in the header
+   * Uses WishlistModule if available
+   */
+  function updateWishlistBadge() {
+    const wishlistBadge = document.getElementById('wishlist-badge');
+    const mobileWishlistCount = document.querySelector('.mobile-wishlist-count');
+    const count = typeof WishlistModule !== 'undefined' ? WishlistModule.getWishlistCount() : 0;
+
+    if (wishlistBadge) {
+      wishlistBadge.textContent = count;
+      wishlistBadge.setAttribute('data-count', count);
+      wishlistBadge.setAttribute('aria-label', count + ' items in wishlist');
+    }
+
+    if (mobileWishlistCount) {
+      mobileWishlistCount.textContent = count;
+    }
+  }
+
+  // ============================================
+  // HEADER SEARCH AUTOCOMPLETE
+  // ============================================
+
+  const RECENT_SEARCHES_KEY = 'mh_recent_searches';
+  const MAX_RECENT_SEARCHES = 5;
+  const MAX_PRODUCT_SUGGESTIONS = 5;
+
+  // Header search state
+  let headerSearchState = {
+    options: [],
+    activeIndex: -1,
+    requestId: 0
+  };
+
+  /**
+   * Get recent search queries from localStorage
+   * @returns {Array<string>} Most recent first
+   */
+  function getRecentSearches() {
+    try {
+      const stored = localStorage.getItem(RECENT_SEARCHES_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading recent searches from localStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add a query to the recent searches (deduplicated, most recent first)
+   * @param {string} query - Search query
+   */
+  function saveRecentSearch(query) {
+    const search = query.trim();
+    if (!search) return;
+
+    const recent = getRecentSearches().filter(item => item.toLowerCase() !== search.toLowerCase());
+    recent.unshift(search);
+
+    try {
+      localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+    } catch (error) {
+      console.error('Error saving recent searches to localStorage:', error);
+    }
+  }
+
+  /**
+   * Check whether the current page lives in /pages/
+   * @returns {boolean} True for pages/*.html, false for the landing page
+   */
+  function isInPagesDir() {
+    return window.location.pathname.includes('/pages/');
+  }
+
+  /**
+   * Build the shop page URL for a filter state
+   * @param {Object} filters - Partial filter state (merged over the defaults)
+   * @returns {string} Relative URL to shop.html
+   */
+  function buildShopURL(filters) {
+    const shopPath = isInPagesDir() ? 'shop.html' : 'pages/shop.html';
+    const state = { ...FiltersModule.getDefaultFilters(), ...filters };
+    state.sort = FiltersModule.getDefaultSort(state);
+
+    const queryString = FiltersModule.buildURLFromFilters(state);
+    return queryString ? `${shopPath}?${queryString}` : shopPath;
+  }
+
+  /**
+   * Initialize the header search combobox
+   */
+  function initHeaderSearch() {
+    const form = document.getElementById('header-search-form');
+    const input = document.getElementById('header-search-input');
+    const listbox = document.getElementById('header-search-listbox');
+    const container = document.getElementById('header-search');
+
+    if (!form || !input || !listbox || typeof ProductsModule === 'undefined') return;
+
+    // Keep the current search visible on the shop page
+    if (typeof FiltersModule !== 'undefined') {
+      input.value = FiltersModule.parseFiltersFromURL().search;
+    }
+
+    const handleInput = debounce(() => updateHeaderSuggestions(input, listbox), 150);
+
+    input.addEventListener('input', handleInput);
+
+    input.addEventListener('focus', function() {
+      updateHeaderSuggestions(input, listbox);
+    });
+
+    input.addEventListener('keydown', function(e) {
+      const isOpen = input.getAttribute('aria-expanded') === 'true';
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          if (!isOpen) {
+            updateHeaderSuggestions(input, listbox);
+          } else {
+            setActiveHeaderOption(input, listbox, headerSearchState.activeIndex + 1);
+          }
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          if (isOpen) {
+            setActiveHeaderOption(input, listbox, headerSearchState.activeIndex - 1);
+          }
+          break;
+        case 'Enter':
+          if (isOpen && headerSearchState.activeIndex >= 0) {
+            e.preventDefault();
+            selectHeaderOption(input, headerSearchState.options[headerSearchState.activeIndex]);
+          }
+          break;
+        case 'Escape':
+          if (isOpen) {
+            e.preventDefault();
+            closeHeaderSuggestions(input, listbox);
+          } else if (input.value) {
+            e.preventDefault();
+            input.value = '';
+          }
+          break;
+        case 'Tab':
+          closeHeaderSuggestions(input, listbox);
+          break;
+      }
+    });
+
+    // Options are chosen with mousedown so the input keeps focus
+    listbox.addEventListener('mousedown', function(e) {
+      const optionEl = e.target.closest('[role="option"]');
+      if (!optionEl) return;
+
+      e.preventDefault();
+      const index = parseInt(optionEl.getAttribute('data-index'), 10);
+      selectHeaderOption(input, headerSearchState.options[index]);
+    });
+
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      submitHeaderSearch(input.value);
+    });
+
+    // Close when clicking outside
+    document.addEventListener('click', function(e) {
+      if (container && !container.contains(e.target)) {
+        closeHeaderSuggestions(input, listbox);
+      }
+    });
+  }
+
+  /**
+   * Rebuild the suggestion list for the current input value
+   * An empty input shows recent searches; otherwise matching categories and products
+   * @param {HTMLInputElement} input - Combobox input
+   * @param {HTMLElement} listbox - Listbox element
+   */
+  async function updateHeaderSuggestions(input, listbox) {
+    const query = input.value.trim();
+    const requestId = ++headerSearchState.requestId;
+    const options = [];
+
+    if (!query) {
+      getRecentSearches().forEach(search => {
+        options.push({ type: 'recent', group: 'Recent searches', label: search, query: search });
+      });
+    } else {
+      const [categories, products] = await Promise.all([
+        ProductsModule.getCategories(),
+        ProductsModule.searchProducts(query)
+      ]);
+
+      // Ignore responses to older keystrokes
+      if (requestId !== headerSearchState.requestId) return;
+
+      const queryTerms = typeof SearchModule !== 'undefined' ? SearchModule.tokenize(query) : [query.toLowerCase()];
+      const productCategories = new Set(products.map(product => product.category));
+
+      categories
+        .filter(category => {
+          const lowerCategory = category.toLowerCase();
+          return productCategories.has(category) && queryTerms.some(term => lowerCategory.includes(term));
+        })
+        .forEach(category => {
+          options.push({ type: 'category', group: 'Categories', label: category, category });
+        });
+
+      products.slice(0, MAX_PRODUCT_SUGGESTIONS).forEach(product => {
+        options.push({ type: 'product', group: 'Products', label: product.name, product });
+      });
+
+      options.push({ type: 'search', group: null, label: `See all results for “${query}”`, query });
+    }
+
+    headerSearchState.options = options;
+    headerSearchState.activeIndex = -1;
+    renderHeaderSuggestions(input, listbox);
+  }
+
+  /**
+   * Render suggestion options into the listbox
+   * @param {HTMLInputElement} input - Combobox input
+   * @param {HTMLElement} listbox - Listbox element
+   */
+  function renderHeaderSuggestions(input, listbox) {
+    const options = headerSearchState.options;
+
+    if (options.length === 0) {
+      closeHeaderSuggestions(input, listbox);
+      return;
+    }
+
+    let currentGroup = null;
+    const html = [];
+
+    options.forEach((option, index) => {
+      if (option.group && option.group !== currentGroup) {
+        currentGroup = option.group;
+        html.push(`<li class="header-search-group" role="presentation">${option.group}</li>`);
+      }
+      html.push(createHeaderOptionHTML(option, index));
+    });
+
+    listbox.innerHTML = html.join('');
+    listbox.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Create HTML for a single suggestion option
+   * @param {Object} option - Suggestion option
+   * @param {number} index - Option index
+   * @returns {string} HTML string
+   */
+  function createHeaderOptionHTML(option, index) {
+    const id = `header-search-option-${index}`;
+
+    if (option.type === 'product') {
+      const product = option.product;
+      const image = product.images[0];
+      const imagePath = isInPagesDir() ? (image.startsWith('/') ? '..' + image : '../' + image) : image;
+      const name = product.searchHighlights ? product.searchHighlights.name : escapeHTML(product.name);
+
+      return `
+        <li class="header-search-option header-search-option-product" id="${id}" role="option" aria-selected="false" data-index="${index}">
+          <img class="header-search-thumb" src="${imagePath}" alt="" loading="lazy">
+          <span class="header-search-option-text">
+            <span class="header-search-option-name">${name}</span>
+            <span class="header-search-option-meta">${escapeHTML(product.category)}</span>
+          </span>
+          <span class="header-search-option-price">${formatProductPrice(product.price, product.taxClass)}</span>
+        </li>
+      `;
+    }
+
+    const icon = option.type === 'recent'
+      ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>'
+      : option.type === 'category'
+        ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"></path><line x1="7" y1="7" x2="7.01" y2="7"></line></svg>'
+        : '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>';
+
+    return `
+      <li class="header-search-option header-search-option-${option.type}" id="${id}" role="option" aria-selected="false" data-index="${index}">
+        ${icon}
+        <span class="header-search-option-text">${escapeHTML(option.label)}</span>
+      </li>
+    `;
+  }
+
+  /**
+   * Move the active option (wraps around at either end)
+   * @param {HTMLInputElement} input - Combobox input
+   * @param {HTMLElement} listbox - Listbox element
+   * @param {number} index - New active index
+   */
+  function setActiveHeaderOption(input, listbox, index) {
+    const count = headerSearchState.options.length;
+    if (count === 0) return;
+
+    const activeIndex = (index + count) % count;
+    headerSearchState.activeIndex = activeIndex;
+
+    listbox.querySelectorAll('[role="option"]').forEach(optionEl => {
+      const isActive = parseInt(optionEl.getAttribute('data-index'), 10) === activeIndex;
+      optionEl.classList.toggle('is-active', isActive);
+      optionEl.setAttribute('aria-selected', isActive);
+      if (isActive) {
+        input.setAttribute('aria-activedescendant', optionEl.id);
+        optionEl.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Close the suggestion list
+   * @param {HTMLInputElement} input - Combobox input
+   * @param {HTMLElement} listbox - Listbox element
+   */
+  function closeHeaderSuggestions(input, listbox) {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    headerSearchState.activeIndex = -1;
+  }
+
+  /**
+   * Act on a chosen suggestion
+   * @param {HTMLInputElement} input - Combobox input
+   * @param {Object} option - Suggestion option
+   */
+  function selectHeaderOption(input, option) {
+    if (!option) return;
+
+    switch (option.type) {
+      case 'product':
+        saveRecentSearch(input.value);
+        window.location.href = `${isInPagesDir() ? '' : 'pages/'}product.html?id=${option.product.id}`;
+        break;
+      case 'category':
+        window.location.href = buildShopURL({ categories: [option.category] });
+        break;
+      case 'recent':
+      case 'search':
+        input.value = option.query;
+        submitHeaderSearch(option.query);
+        break;
+    }
+  }
+
+  /**
+   * Go to the shop page with the search filter set
+   * @param {string} query - Search query
+   */
+  function submitHeaderSearch(query) {
+    const search = query.trim();
+    if (!search) return;
+
+    saveRecentSearch(search);
+    window.location.href = buildShopURL({ search });
+  }
+
+  // ============================================
+  // CURRENCY SELECTOR
+  // ============================================
+
+  /**
+   * Initialize the header currency selector
+   * Changing currency re-prices the cart and reloads so every price on the page is redrawn
+   */
+  function initCurrencySelector() {
+    const select = document.getElementById('currency-select');
+    if (!select || typeof CurrencyModule === 'undefined') return;
+
+    select.innerHTML = CurrencyModule.getCurrencies()
+      .map(currency => `<option value="${currency.code}">${currency.code} ${currency.symbol}</option>`)
+      .join('');
+    select.value = CurrencyModule.getCurrency();
+
+    select.addEventListener('change', function() {
+      if (!CurrencyModule.setCurrency(this.value)) return;
+
+      if (typeof CartModule !== 'undefined') {
+        CartModule.repriceCart();
+      }
+      window.location.reload();
+    });
+  }
+
+  // ============================================
+  // ACTIVE NAV LINK HIGHLIGHTING
+  // ============================================
+
+  /**
+   * Highlight the current page in navigation
+   */
+  function setActiveNavLink() {
+    const currentPath = window.location.pathname;
+    const navLinks = document.querySelectorAll('.nav-link, .nav-mobile-link');
+
+    navLinks.forEach(link => {
+      const href = link.getAttribute('href');
+      if (!href) return;
+
+      // Check if current path matches or contains the href
+      const linkPath = href.replace(/^\.\.\//, '').replace(/^\.\//, '');
+      if (currentPath.includes(linkPath) ||
+          (currentPath.endsWith('/') && linkPath === 'index.html') ||
+          (currentPath === '/' && linkPath === 'index.html')) {
+        link.classList.add('active');
+      }
+    });
+  }
+
+  // ============================================
+  // PAGE INITIALIZATION ROUTER
+  // ============================================
+
+  /**
+   * Determine current page and run page-specific initialization
+   * Note: Checks for both with/without .html extension to support clean URLs
+   */
+  function initCurrentPage() {
+    const path = window.location.pathname;
+
+    // Helper to check if path matches a page (with or without .html)
+    const isPage = (pageName) => path.includes(pageName + '.html') || path.endsWith('/' + pageName) || path.endsWith('/pages/' + pageName);
+
+    // Page-specific initialization
+    if (path.endsWith('/') || path.endsWith('index.html') || path === '' || path === '/index') {
+      // Landing page init
+      initLandingPage();
+    } else if (isPage('shop')) {
+      // Shop page init
+      initShopPage();
+    } else if (isPage('product')) {
+      // Product page init
+      initProductPage();
+    } else if (isPage('cart')) {
+      // Cart page init
+      initCartPage();
+    } else if (isPage('checkout')) {
+      // Checkout page init
+      initCheckoutPage();
+    } else if (isPage('confirmation')) {
+      // Confirmation page init
+      initConfirmationPage();
+    } else if (isPage('orders')) {
+      // My Orders page init
+      initOrdersPage();
+    } else if (isPage('returns')) {
+      // Return Policy page init
+      initReturnsPage();
+    } else if (isPage('contact')) {
+      // Contact page init
+      initContactPage();
+    } else if (isPage('newsletter')) {
+      // Newsletter page init
+      initNewsletterPage();
+    } else if (isPage('wishlist')) {
+      // Wishlist page init
+      initWishlistPage();
+    } else if (isPage('compare')) {
+      // Compare page init
+      initComparePage();
+    }
+  }
+
+  // ============================================
+  // LANDING PAGE INITIALIZATION
+  // ============================================
+
+  /**
+   * Initialize landing page functionality
+   */
+  async function initLandingPage() {
+    // Load featured products
+    await loadFeaturedProducts();
+
+    // Show recently viewed products
+    initRecentlyViewed();
+
+    // Initialize newsletter form
+    initNewsletterForm();
+
+    // Initialize promo code copy button
+    initPromoCopyButton();
+  }
+
+  /**
+   * Load and display featured products (4 best sellers)
+   */
+  async function loadFeaturedProducts() {
+    const grid = document.getElementById('featured-products-grid');
+    if (!grid) return;
+
+    try {
+      // Load products using ProductsModule
+      if (typeof ProductsModule !== 'undefined') {
+        await ProductsModule.loadProducts();
+        // Get featured products (sorted by sales count - best sellers)
+        const featuredProducts = await ProductsModule.getFeaturedProducts(4);
+
+        if (featuredProducts && featuredProducts.length > 0) {
+          grid.innerHTML = featuredProducts.map(product => createProductCard(product)).join('');
+        } else {
+          grid.innerHTML = '<p class="text-center text-muted">No products available</p>';
+        }
+
+        // Personalized row for returning shoppers
+        await loadPersonalizedProducts(featuredProducts.map(product => product.id));
+      }
+    } catch (error) {
+      console.error('Error loading featured products:', error);
+      grid.innerHTML = '<p class="text-center text-muted">Unable to load products</p>';
+    }
+  }
+
+  /**
+   * Load and display products picked for this shopper
+   * The row stays hidden for shoppers with no views, wishlist or orders yet
+   * @param {Array<string>} featuredIds - Products already shown as favorites
+   */
+  async function loadPersonalizedProducts(featuredIds) {
+    const section = document.getElementById('personalized-products');
+    const grid = document.getElementById('personalized-products-grid');
+    if (!section || !grid || typeof RecommendationsModule === 'undefined') return;
+
+    try {
+      const picks = await RecommendationsModule.getPersonalizedProducts({ exclude: featuredIds, limit: 4 });
+
+      if (picks.length > 0) {
+        grid.innerHTML = picks.map(product => createProductCard(product)).join('');
+        section.hidden = false;
+      }
+    } catch (error) {
+      console.error('Error loading personalized products:', error);
+    }
+  }
+
+  /**
+   * Create newsletter topic checkboxes HTML
+   * @param {Array} selected - Topic IDs to check
+   * @returns {string} HTML string
+   */
+  function createNewsletterTopicsHTML(selected) {
+    return Object.keys(NewsletterModule.NEWSLETTER_TOPICS).map(topic => `
+      <label class="newsletter-topic">
+        <input type="checkbox" name="topics" value="${topic}" ${selected.includes(topic) ? 'checked' : ''}>
+        <span>${NewsletterModule.NEWSLETTER_TOPICS[topic]}</span>
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Get the topics checked in a container
+   * @param {HTMLElement} container - Element holding topic checkboxes
+   * @returns {Array} Topic IDs
+   */
+  function getCheckedNewsletterTopics(container) {
+    return Array.from(container.querySelectorAll('input[name="topics"]:checked')).map(input => input.value);
+  }
+
+  /**
+   * Initialize newsletter form submission
+   * Visitors who already subscribed from this device see their subscription instead of the form
+   */
+  function initNewsletterForm() {
+    const form = document.getElementById('newsletter-form');
+    const successMessage = document.getElementById('newsletter-success');
+
+    if (!form || !successMessage || typeof NewsletterModule === 'undefined') return;
+
+    const topicsEl = document.getElementById('newsletter-topics');
+    if (topicsEl) {
+      topicsEl.insertAdjacentHTML('beforeend', createNewsletterTopicsHTML(Object.keys(NewsletterModule.NEWSLETTER_TOPICS)));
+    }
+
+    form.addEventListener('submit', async function(e) {
+      e.preventDefault();
+
+      const emailInput = document.getElementById('newsletter-email');
+      const submitBtn = document.getElementById('newsletter-submit');
+      const errorEl = document.getElementById('newsletter-error');
+      if (submitBtn.disabled) return;
+
+      if (errorEl) errorEl.textContent = '';
+      submitBtn.disabled = true;
+
+      try {
+        const result = await NewsletterModule.subscribe(emailInput.value, getCheckedNewsletterTopics(form));
+
+        emailInput.classList.toggle('is-invalid', Boolean(result.errors && result.errors.email));
+        if (!result.success) {
+          if (errorEl) errorEl.textContent = result.message;
+          return;
+        }
+
+        showNewsletterSubscription(NewsletterModule.getVisitorSubscription());
+      } finally {
+        submitBtn.disabled = false;
+      }
+    });
+
+    const resendBtn = document.getElementById('newsletter-resend');
+    if (resendBtn) {
+      resendBtn.addEventListener('click', async () => {
+        const visitor = NewsletterModule.getVisitorSubscription();
+        const subscriber = visitor ? await NewsletterModule.getSubscriberByToken(visitor.token) : null;
+        if (!subscriber) return;
+
+        const result = await NewsletterModule.subscribe(subscriber.email, subscriber.topics);
+        showToast(result.success
+          ? { title: 'Confirmation sent', message: `Check ${subscriber.email} for the link.`, type: 'success' }
+          : { title: 'Could not resend', message: result.message, type: 'error' });
+      });
+    }
+
+    const changeBtn = document.getElementById('newsletter-change');
+    if (changeBtn) {
+      changeBtn.addEventListener('click', () => {
+        successMessage.hidden = true;
+        form.hidden = false;
+        document.getElementById('newsletter-email').focus();
+      });
+    }
+
+    const visitor = NewsletterModule.getVisitorSubscription();
+    if (visitor && visitor.status !== 'unsubscribed') {
+      showNewsletterSubscription(visitor);
+    }
+  }
+
+  /**
+   * Replace the newsletter form with the visitor's subscription status
+   * @param {Object} visitor - Subscription from NewsletterModule.getVisitorSubscription()
+   */
+  function showNewsletterSubscription(visitor) {
+    const form = document.getElementById('newsletter-form');
+    const successMessage = document.getElementById('newsletter-success');
+    const textEl = document.getElementById('newsletter-success-text');
+    const manageLink = document.getElementById('newsletter-manage');
+    const resendBtn = document.getElementById('newsletter-resend');
+    if (!visitor) return;
+
+    const pending = visitor.status === 'pending';
+    // Subscribed before double opt-in: no address on file to confirm or manage
+    const legacy = visitor.status === 'legacy';
+    if (textEl) {
+      if (legacy) {
+        textEl.textContent = "You're subscribed! Enter your email again to choose which emails you get.";
+      } else {
+        textEl.textContent = pending
+          ? `Almost there! We've sent a confirmation link to ${visitor.email}. Click it to start receiving our emails.`
+          : `You're subscribed as ${visitor.email}. Your mustache journey continues.`;
+      }
+    }
+    if (manageLink) {
+      if (!legacy) manageLink.href = NewsletterModule.getNewsletterLink('preferences', visitor.token);
+      manageLink.hidden = pending || legacy;
+    }
+    if (resendBtn) resendBtn.hidden = !pending;
+
+    form.hidden = true;
+    successMessage.hidden = false;
+  }
+
+  /**
+   * Initialize promo code copy button
+   */
+  function initPromoCopyButton() {
+    const copyBtn = document.querySelector('[data-copy]');
+    if (!copyBtn) return;
+
+    copyBtn.addEventListener('click', async function() {
+      const code = this.getAttribute('data-copy');
+
+      try {
+        await navigator.clipboard.writeText(code);
+
+        // Show feedback
+        showToast({
+          title: 'Copied!',
+          message: 'Promo code copied to clipboard',
+          type: 'success',
+          duration: 2000
+        });
+
+        // Visual feedback on button
+        const originalHTML = this.innerHTML;
+        this.innerHTML = `
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="20 6 9 17 4 12"></polyline>
+          </svg>
+        `;
+        setTimeout(() => {
+          this.innerHTML = originalHTML;
+        }, 2000);
+      } catch (error) {
+        console.error('Failed to copy:', error);
+        showToast({
+          title: 'Error',
+          message: 'Failed to copy code',
+          type: 'error'
+        });
+      }
+    });
+  }
+
+  // ============================================
+  // SHOP PAGE INITIALIZATION
+  // ============================================
+
+  // Shop page state
+  let shopState = {
+    allProducts: [],
+    filteredProducts: [],
+    filters: null,
+    filterOptions: null
+  };
+
+  /**
+   * Initialize shop page functionality
+   */
+  async function initShopPage() {
+    // Load products
+    await loadShopProducts();
+
+    // Initialize filter options
+    await initShopFilterOptions();
+
+    // Parse initial filters from URL
+    shopState.filters = FiltersModule.parseFiltersFromURL();
+
+    // Apply initial filters and render
+    applyShopFilters();
+
+    // Set up filter event listeners
+    initShopFilterListeners();
+
+    // Set up sort listeners
+    initShopSortListeners();
+
+    // Set up search box
+    initShopSearch();
+
+    // Set up mobile filter toggle
+    initMobileFilterToggle();
+
+    // Set up history listener for back/forward
+    FiltersModule.setupHistoryListener(handleHistoryNavigation);
+  }
+
+  /**
+   * Load all products for shop page
+   */
+  async function loadShopProducts() {
+    try {
+      if (typeof ProductsModule !== 'undefined') {
+        shopState.allProducts = await ProductsModule.loadProducts();
+      }
+    } catch (error) {
+      console.error('Error loading shop products:', error);
+      shopState.allProducts = [];
+    }
+  }
+
+  /**
+   * Initialize filter options from product data
+   */
+  async function initShopFilterOptions() {
+    if (typeof FiltersModule === 'undefined' || typeof ProductsModule === 'undefined') {
+      return;
+    }
+
+    try {
+      shopState.filterOptions = await FiltersModule.getAvailableFilterOptions();
+
+      // Populate category filters
+      const categoryContainer = document.getElementById('category-filters');
+      if (categoryContainer && shopState.filterOptions.categories) {
+        const categoryCounts = FiltersModule.getCategoryProductCounts(shopState.allProducts);
+        categoryContainer.innerHTML = shopState.filterOptions.categories.map(category => `
+          <label class="filter-checkbox">
+            <input type="checkbox" name="category" value="${category}">
+            <span class="checkbox-custom"></span>
+            <span class="checkbox-label">${category}</span>
+            <span class="checkbox-count">(${categoryCounts[category] || 0})</span>
+          </label>
+        `).join('');
+      }
+
+      // Populate color filters
+      const colorContainer = document.getElementById('color-filters');
+      if (colorContainer && shopState.filterOptions.colors) {
+        colorContainer.innerHTML = shopState.filterOptions.colors.map(color => `
+          <label class="filter-color" title="${color}">
+            <input type="checkbox" name="color" value="${color}">
+            <span class="filter-color-swatch" style="background-color: ${getColorHex(color)}"></span>
+          </label>
+        `).join('');
+      }
+
+      // Populate size filters
+      const sizeContainer = document.getElementById('size-filters');
+      if (sizeContainer && shopState.filterOptions.sizes) {
+        sizeContainer.innerHTML = shopState.filterOptions.sizes.map(size => `
+          <label class="filter-size">
+            <input type="checkbox" name="size" value="${size}">
+            <span class="filter-size-label">${size}</span>
+          </label>
+        `).join('');
+      }
+
+      // Populate material filters
+      const materialContainer = document.getElementById('material-filters');
+      if (materialContainer && shopState.filterOptions.materials) {
+        materialContainer.innerHTML = shopState.filterOptions.materials.map(material => `
+          <label class="filter-checkbox">
+            <input type="checkbox" name="material" value="${material}">
+            <span class="checkbox-custom"></span>
+            <span class="checkbox-label">${material}</span>
+          </label>
+        `).join('');
+      }
+
+      // Populate tension filters
+      const tensionContainer = document.getElementById('tension-filters');
+      if (tensionContainer && shopState.filterOptions.tensionLevels) {
+        tensionContainer.innerHTML = shopState.filterOptions.tensionLevels.map(level => `
+          <label class="filter-checkbox">
+            <input type="checkbox" name="tension" value="${level.key}">
+            <span class="checkbox-custom"></span>
+            <span class="checkbox-label">${level.label}</span>
+          </label>
+        `).join('');
+      }
+    } catch (error) {
+      console.error('Error initializing filter options:', error);
+    }
+  }
+
+  /**
+   * Get hex color code from color name
+   */
+  function getColorHex(colorName) {
+    const colorMap = {
+      'Black': '#1a1a1a',
+      'Mahogany': '#4e2528',
+      'Silver': '#c0c0c0',
+      'Onyx': '#353839',
+      'Walnut': '#5d432c',
+      'Chrome': '#dbe4eb',
+      'Matte Black': '#28282B',
+      'Rose Gold': '#b76e79',
+      'Classic Black': '#1a1a1a',
+      'Racing Red': '#d12836',
+      'Ocean Blue': '#006994',
+      'Neon Green': '#39ff14',
+      'White': '#ffffff',
+      'Pink': '#ffc0cb',
+      'Camo': '#78866b',
+      'Tie-Dye': 'linear-gradient(135deg, #ff6b6b, #feca57, #48dbfb, #ff9ff3)',
+      'Yellow': '#ffd93d',
+      'Orange': '#ff6b35',
+      'Professional Black': '#1a1a1a',
+      'Executive Brown': '#654321',
+      'Stealth Black': '#1a1a1a',
+      'Champagne': '#f7e7ce',
+      'Tan': '#d2b48c',
+      'Gray': '#808080',
+      'Midnight Blue': '#191970',
+      'Lavender': '#e6e6fa',
+      'Charcoal': '#36454f',
+      'Navy': '#000080',
+      'Silk White': '#fffff0',
+      'Blush': '#de5d83',
+      'Slate': '#708090'
+    };
+    return colorMap[colorName] || '#808080';
+  }
+
+  /**
+   * Initialize filter event listeners
+   */
+  function initShopFilterListeners() {
+    const filterForm = document.getElementById('filter-form');
+    if (!filterForm) return;
+
+    // Handle checkbox changes
+    filterForm.addEventListener('change', function(e) {
+      if (e.target.type === 'checkbox') {
+        updateFiltersFromForm();
+        applyShopFilters();
+      }
+    });
+
+    // Handle clear filters button
+    const clearBtn = document.getElementById('clear-filters');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', clearShopFilters);
+    }
+
+    // Handle reset button in empty state
+    const resetBtn = document.getElementById('reset-filters-btn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', clearShopFilters);
+    }
+  }
+
+  /**
+   * Initialize sort dropdown listeners
+   */
+  function initShopSortListeners() {
+    const sortDesktop = document.getElementById('sort-desktop');
+    const sortMobile = document.getElementById('sort-mobile');
+
+    function handleSortChange(e) {
+      shopState.filters.sort = e.target.value;
+
+      // Sync both dropdowns
+      if (sortDesktop) sortDesktop.value = e.target.value;
+      if (sortMobile) sortMobile.value = e.target.value;
+
+      applyShopFilters();
+    }
+
+    if (sortDesktop) {
+      sortDesktop.addEventListener('change', handleSortChange);
+    }
+    if (sortMobile) {
+      sortMobile.addEventListener('change', handleSortChange);
+    }
+  }
+
+  /**
+   * Initialize the live search box
+   * Searching switches the sort to relevance unless the shopper picked another sort
+   */
+  function initShopSearch() {
+    const searchInput = document.getElementById('shop-search');
+    if (!searchInput) return;
+
+    searchInput.value = shopState.filters.search;
+
+    const handleSearch = debounce(() => {
+      setShopSearch(searchInput.value);
+    }, 250);
+
+    searchInput.addEventListener('input', handleSearch);
+
+    searchInput.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        setShopSearch(searchInput.value);
+      }
+    });
+  }
+
+  /**
+   * Update the search query and re-apply filters
+   * @param {string} query - New search query
+   */
+  function setShopSearch(query) {
+    const search = query.trim();
+    if (search === shopState.filters.search) return;
+
+    const previousDefaultSort = FiltersModule.getDefaultSort(shopState.filters);
+    shopState.filters.search = search;
+
+    if (shopState.filters.sort === previousDefaultSort) {
+      shopState.filters.sort = FiltersModule.getDefaultSort(shopState.filters);
+    }
+
+    applyShopFilters();
+  }
+
+  /**
+   * Initialize mobile filter toggle
+   */
+  function initMobileFilterToggle() {
+    const filterToggle = document.getElementById('filter-toggle');
+    const filterSidebar = document.getElementById('filter-sidebar');
+    const sidebarClose = document.getElementById('sidebar-close');
+
+    if (!filterToggle || !filterSidebar) return;
+
+    // Create overlay if it doesn't exist
+    let overlay = document.querySelector('.sidebar-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.className = 'sidebar-overlay';
+      document.body.appendChild(overlay);
+    }
+
+    function openSidebar() {
+      filterSidebar.classList.add('is-open');
+      overlay.classList.add('is-visible');
+      filterToggle.setAttribute('aria-expanded', 'true');
+      document.body.style.overflow = 'hidden';
+    }
+
+    function closeSidebar() {
+      filterSidebar.classList.remove('is-open');
+      overlay.classList.remove('is-visible');
+      filterToggle.setAttribute('aria-expanded', 'false');
+      document.body.style.overflow = '';
+    }
+
+    filterToggle.addEventListener('click', openSidebar);
+
+    if (sidebarClose) {
+      sidebarClose.addEventListener('click', closeSidebar);
+    }
+
+    overlay.addEventListener('click', closeSidebar);
+
+    // Close on escape key
+    document.addEventListener('keydown', function(e) {
+      if (e.key === 'Escape' && filterSidebar.classList.contains('is-open')) {
+        closeSidebar();
+      }
+    });
+  }
+
+  /**
+   * Update filters state from form inputs
+   */
+  function updateFiltersFromForm() {
+    const filterForm = document.getElementById('filter-form');
+    if (!filterForm) return;
+
+    // Reset filter arrays
+    shopState.filters.categories = [];
+    shopState.filters.colors = [];
+    shopState.filters.sizes = [];
+    shopState.filters.minPrice = null;
+    shopState.filters.maxPrice = null;
+    shopState.filters.inStockOnly = false;
+    shopState.filters.materials = [];
+    shopState.filters.tensionLevels = [];
+    shopState.filters.hypoallergenicOnly = false;
+    shopState.filters.nightUseOnly = false;
+
+    // Get all checked category checkboxes
+    const categoryChecks = filterForm.querySelectorAll('input[name="category"]:checked');
+    categoryChecks.forEach(check => {
+      shopState.filters.categories.push(check.value);
+    });
+
+    // Get price range selections
+    const priceChecks = filterForm.querySelectorAll('input[name="priceRange"]:checked');
+    if (priceChecks.length > 0) {
+      let minPrices = [];
+      let maxPrices = [];
+      priceChecks.forEach(check => {
+        const [min, max] = check.value.split('-').map(Number);
+        minPrices.push(min);
+        maxPrices.push(max);
+      });
+      shopState.filters.minPrice = Math.min(...minPrices);
+      shopState.filters.maxPrice = Math.max(...maxPrices);
+    }
+
+    // Get color selections
+    const colorChecks = filterForm.querySelectorAll('input[name="color"]:checked');
+    colorChecks.forEach(check => {
+      shopState.filters.colors.push(check.value);
+    });
+
+    // Get size selections
+    const sizeChecks = filterForm.querySelectorAll('input[name="size"]:checked');
+    sizeChecks.forEach(check => {
+      shopState.filters.sizes.push(check.value);
+    });
+
+    // Get in-stock only
+    const inStockCheck = document.getElementById('in-stock-filter');
+    if (inStockCheck) {
+      shopState.filters.inStockOnly = inStockCheck.checked;
+    }
+
+    // Get material selections
+    const materialChecks = filterForm.querySelectorAll('input[name="material"]:checked');
+    materialChecks.forEach(check => {
+      shopState.filters.materials.push(check.value);
+    });
+
+    // Get tension selections
+    const tensionChecks = filterForm.querySelectorAll('input[name="tension"]:checked');
+    tensionChecks.forEach(check => {
+      shopState.filters.tensionLevels.push(check.value);
+    });
+
+    // Get hypoallergenic and night-use only
+    const hypoallergenicCheck = document.getElementById('hypoallergenic-filter');
+    if (hypoallergenicCheck) {
+      shopState.filters.hypoallergenicOnly = hypoallergenicCheck.checked;
+    }
+    const nightUseCheck = document.getElementById('night-use-filter');
+    if (nightUseCheck) {
+      shopState.filters.nightUseOnly = nightUseCheck.checked;
+    }
+  }
+
+  /**
+   * Apply current filters and render products
+   */
+  function applyShopFilters() {
+    if (typeof FiltersModule === 'undefined') return;
+
+    // Apply filters to products
+    shopState.filteredProducts = FiltersModule.applyFiltersToProducts(
+      shopState.allProducts,
+      shopState.filters
+    );
+
+    // Update URL
+    FiltersModule.updateURLWithFilters(shopState.filters, true);
+
+    // Render products
+    renderShopProducts();
+
+    // Update UI elements
+    updateResultsCount();
+    updateActiveFiltersDisplay();
+    updateFilterCountBadge();
+    syncFormWithFilters();
+  }
+
+  /**
+   * Render products to the grid
+   */
+  function renderShopProducts() {
+    const grid = document.getElementById('product-grid');
+    const emptyState = document.getElementById('shop-empty');
+
+    if (!grid) return;
+
+    if (shopState.filteredProducts.length === 0) {
+      grid.hidden = true;
+      if (emptyState) emptyState.hidden = false;
+      return;
+    }
+
+    grid.hidden = false;
+    if (emptyState) emptyState.hidden = true;
+
+    grid.innerHTML = shopState.filteredProducts.map(product => createProductCardShop(product)).join('');
+  }
+
+  /**
+   * Create a product card HTML for shop page
+   * Uses relative paths since we're in /pages/
+   */
+  function createProductCardShop(product) {
+    const badges = [];
+    if (product.isNew) {
+      badges.push('<span class="badge badge-new">New</span>');
+    }
+    if (product.salesCount > 50) {
+      badges.push('<span class="badge badge-bestseller">Bestseller</span>');
+    }
+
+    const outOfStockOverlay = !product.inStock ? `
+      <div class="product-card-overlay">
+        <span class="product-card-overlay-text">Out of Stock</span>
+      </div>
+    ` : '';
+
+    const quickAddBtn = product.inStock ? `
+      <div class="product-card-quick-add">
+        <button class="btn btn-primary" data-quick-add="${product.id}">Add to Cart</button>
+      </div>
+    ` : '';
+
+    // Use relative image path for pages folder
+    const imagePath = product.images[0].startsWith('../') ? product.images[0] : '../' + product.images[0];
+
+    // Highlight search matches in the title and show where the query matched
+    const highlights = product.searchHighlights;
+    const titleHTML = highlights ? highlights.name : product.name;
+    const snippetHTML = highlights && highlights.snippet ? `
+          <p class="product-card-snippet">
+            ${highlights.source === 'reviews' ? '<span class="product-card-snippet-label">From a review:</span> ' : ''}${highlights.snippet}
+          </p>
+    ` : '';
+
+    return `
+      <article class="product-card" data-product-id="${product.id}">
+        <div class="product-card-image">
+          ${badges.length ? `<div class="product-card-badges">${badges.join('')}</div>` : ''}
+          ${createWishlistToggleHTML(product)}
+          <a href="product.html?id=${product.id}">
+            <img src="${imagePath}" alt="${product.name}" loading="lazy">
+          </a>
+          ${outOfStockOverlay}
+          ${quickAddBtn}
+        </div>
+        <div class="product-card-body">
+          <span class="product-card-category">${product.category}</span>
+          <h3 class="product-card-title">
+            <a href="product.html?id=${product.id}">${titleHTML}</a>
+          </h3>
+          ${snippetHTML}
+          <div class="product-card-rating">
+            ${createStarRating(product.rating, 'sm')}
+            <span class="product-card-rating-count">(${product.reviewCount})</span>
+          </div>
+          <div class="product-card-price">
+            <span class="price">${formatProductPrice(product.price, product.taxClass)}</span>
+          </div>
+          ${createCompareToggleHTML(product)}
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Update results count display
+   */
+  function updateResultsCount() {
+    const countEl = document.getElementById('results-count');
+    if (!countEl) return;
+
+    const count = shopState.filteredProducts.length;
+    const total = shopState.allProducts.length;
+    const search = shopState.filters.search;
+
+    if (search) {
+      countEl.textContent = `${count} ${count === 1 ? 'result' : 'results'} for “${search}”`;
+    } else if (count === total) {
+      countEl.textContent = `Showing all ${total} products`;
+    } else {
+      countEl.textContent = `Showing ${count} of ${total} products`;
+    }
+  }
+
+  /**
+   * Update active filters display
+   */
+  function updateActiveFiltersDisplay() {
+    const container = document.getElementById('active-filters');
+    const list = document.getElementById('active-filters-list');
+
+    if (!container || !list) return;
+
+    if (!FiltersModule.hasActiveFilters(shopState.filters)) {
+      container.hidden = true;
+      return;
+    }
+
+    container.hidden = false;
+    const tags = [];
+
+    // Search query
+    if (shopState.filters.search) {
+      const search = escapeHTML(shopState.filters.search);
+      tags.push(createActiveFilterTag('search', search, `Search: “${search}”`));
+    }
+
+    // Categories
+    shopState.filters.categories.forEach(category => {
+      tags.push(createActiveFilterTag('category', category, category));
+    });
+
+    // Price range
+    if (shopState.filters.minPrice !== null || shopState.filters.maxPrice !== null) {
+      const priceLabel = `$${shopState.filters.minPrice || 0} - $${shopState.filters.maxPrice || '∞'}`;
+      tags.push(createActiveFilterTag('price', 'price', priceLabel));
+    }
+
+    // Colors
+    shopState.filters.colors.forEach(color => {
+      tags.push(createActiveFilterTag('color', color, color));
+    });
+
+    // Sizes
+    shopState.filters.sizes.forEach(size => {
+      tags.push(createActiveFilterTag('size', size, size));
+    });
+
+    // In stock only
+    if (shopState.filters.inStockOnly) {
+      tags.push(createActiveFilterTag('inStock', 'inStock', 'In Stock Only'));
+    }
+
+    // Materials
+    shopState.filters.materials.forEach(material => {
+      tags.push(createActiveFilterTag('material', material, material));
+    });
+
+    // Tension levels
+    const tensionLevels = typeof ProductsModule !== 'undefined' ? ProductsModule.TENSION_LEVELS : [];
+    shopState.filters.tensionLevels.forEach(key => {
+      const level = tensionLevels.find(item => item.key === key);
+      tags.push(createActiveFilterTag('tension', key, level ? `${level.label} tension` : key));
+    });
+
+    // Hypoallergenic and night-use only
+    if (shopState.filters.hypoallergenicOnly) {
+      tags.push(createActiveFilterTag('hypoallergenic', 'hypoallergenic', 'Hypoallergenic'));
+    }
+    if (shopState.filters.nightUseOnly) {
+      tags.push(createActiveFilterTag('nightUse', 'nightUse', 'Night-Use Rated'));
+    }
+
+    list.innerHTML = tags.join('');
+
+    // Add click handlers for removing filters
+    list.querySelectorAll('.active-filter-remove').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const filterType = this.getAttribute('data-filter-type');
+        const filterValue = this.getAttribute('data-filter-value');
+        removeFilter(filterType, filterValue);
+      });
+    });
+  }
+
+  /**
+   * Create active filter tag HTML
+   */
+  function createActiveFilterTag(type, value, label) {
+    return `
+      <span class="active-filter-tag">
+        ${label}
+        <button class="active-filter-remove" data-filter-type="${type}" data-filter-value="${value}" aria-label="Remove filter">
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </span>
+    `;
+  }
+
+  /**
+   * Remove a specific filter
+   */
+  function removeFilter(type, value) {
+    switch (type) {
+      case 'search':
+        setShopSearch('');
+        return;
+      case 'category':
+        shopState.filters.categories = shopState.filters.categories.filter(c => c !== value);
+        break;
+      case 'price':
+        shopState.filters.minPrice = null;
+        shopState.filters.maxPrice = null;
+        break;
+      case 'color':
+        shopState.filters.colors = shopState.filters.colors.filter(c => c !== value);
+        break;
+      case 'size':
+        shopState.filters.sizes = shopState.filters.sizes.filter(s => s !== value);
+        break;
+      case 'inStock':
+        shopState.filters.inStockOnly = false;
+        break;
+      case 'material':
+        shopState.filters.materials = shopState.filters.materials.filter(m => m !== value);
+        break;
+      case 'tension':
+        shopState.filters.tensionLevels = shopState.filters.tensionLevels.filter(t => t !== value);
+        break;
+      case 'hypoallergenic':
+        shopState.filters.hypoallergenicOnly = false;
+        break;
+      case 'nightUse':
+        shopState.filters.nightUseOnly = false;
+        break;
+    }
+
+    applyShopFilters();
+  }
+
+  /**
+   * Update filter count badge on mobile toggle
+   */
+  function updateFilterCountBadge() {
+    const badge = document.getElementById('filter-count');
+    if (!badge) return;
+
+    const count = FiltersModule.getActiveFilterCount(shopState.filters);
+    if (count > 0) {
+      badge.textContent = count;
+      badge.hidden = false;
+    } else {
+      badge.hidden = true;
+    }
+  }
+
+  /**
+   * Sync form checkboxes with current filter state
+   */
+  function syncFormWithFilters() {
+    const filterForm = document.getElementById('filter-form');
+    if (!filterForm) return;
+
+    // Reset all checkboxes first
+    filterForm.querySelectorAll('input[type="checkbox"]').forEach(check => {
+      check.checked = false;
+    });
+
+    // Check category boxes
+    shopState.filters.categories.forEach(category => {
+      const check = filterForm.querySelector(`input[name="category"][value="${category}"]`);
+      if (check) check.checked = true;
+    });
+
+    // Check color boxes
+    shopState.filters.colors.forEach(color => {
+      const check = filterForm.querySelector(`input[name="color"][value="${color}"]`);
+      if (check) check.checked = true;
+    });
+
+    // Check size boxes
+    shopState.filters.sizes.forEach(size => {
+      const check = filterForm.querySelector(`input[name="size"][value="${size}"]`);
+      if (check) check.checked = true;
+    });
+
+    // Check in-stock
+    const inStockCheck = document.getElementById('in-stock-filter');
+    if (inStockCheck) {
+      inStockCheck.checked = shopState.filters.inStockOnly;
+    }
+
+    // Check material boxes
+    shopState.filters.materials.forEach(material => {
+      const check = filterForm.querySelector(`input[name="material"][value="${material}"]`);
+      if (check) check.checked = true;
+    });
+
+    // Check tension boxes
+    shopState.filters.tensionLevels.forEach(level => {
+      const check = filterForm.querySelector(`input[name="tension"][value="${level}"]`);
+      if (check) check.checked = true;
+    });
+
+    // Check hypoallergenic and night-use
+    const hypoallergenicCheck = document.getElementById('hypoallergenic-filter');
+    if (hypoallergenicCheck) {
+      hypoallergenicCheck.checked = shopState.filters.hypoallergenicOnly;
+    }
+    const nightUseCheck = document.getElementById('night-use-filter');
+    if (nightUseCheck) {
+      nightUseCheck.checked = shopState.filters.nightUseOnly;
+    }
+
+    // Sync search box (leave it alone while the shopper is typing)
+    const searchInput = document.getElementById('shop-search');
+    if (searchInput && document.activeElement !== searchInput) {
+      searchInput.value = shopState.filters.search;
+    }
+
+    // Sync sort dropdowns (relevance only applies to searches)
+    const sortDesktop = document.getElementById('sort-desktop');
+    const sortMobile = document.getElementById('sort-mobile');
+    [sortDesktop, sortMobile].forEach(select => {
+      if (!select) return;
+      const relevanceOption = select.querySelector('option[value="relevance"]');
+      if (relevanceOption) relevanceOption.disabled = !shopState.filters.search;
+      select.value = shopState.filters.sort;
+    });
+  }
+
+  /**
+   * Clear all filters
+   */
+  function clearShopFilters() {
+    shopState.filters = FiltersModule.getDefaultFilters();
+    applyShopFilters();
+  }
+
+  /**
+   * Handle browser back/forward navigation
+   */
+  function handleHistoryNavigation(filters) {
+    shopState.filters = filters;
+    applyShopFilters();
+  }
+
+  // ============================================
+  // PRODUCT PAGE INITIALIZATION
+  // ============================================
+
+  // Product page state
+  let productState = {
+    product: null,
+    selectedColor: null,
+    selectedSize: null,
+    quantity: 1,
+    activeTab: 'description'
+  };
+
+  // Review list state: sort, star filter, keyword search and pages loaded
+  let reviewsState = {
+    sort: 'newest',
+    rating: 0,
+    query: '',
+    page: 1
+  };
+
+  /**
+   * Initialize product page functionality
+   */
+  async function initProductPage() {
+    // Get product ID from URL
+    const productId = getQueryParam('id');
+
+    if (!productId) {
+      showProductError();
+      return;
+    }
+
+    try {
+      // Load product data
+      await loadProductData(productId);
+
+      if (!productState.product) {
+        showProductError();
+        return;
+      }
+
+      // Render product content
+      renderProductPage();
+
+      // Initialize product interactions
+      initProductInteractions();
+
+      // Remember the view, then show the other products viewed before it
+      if (typeof HistoryModule !== 'undefined') {
+        HistoryModule.recordProductView(productState.product.id);
+      }
+
+      // Load recommendations and related products
+      await loadAlsoBought();
+      await loadRelatedProducts();
+
+      // Show recently viewed products
+      await initRecentlyViewed(productState.product.id);
+
+    } catch (error) {
+      console.error('Error initializing product page:', error);
+      showProductError();
+    }
+  }
+
+  /**
+   * Load product data by ID
+   */
+  async function loadProductData(productId) {
+    if (typeof ProductsModule !== 'undefined') {
+      await ProductsModule.loadProducts();
+      productState.product = await ProductsModule.getProductById(productId);
+
+      if (productState.product) {
+        // Set defaults (first variant that is in stock)
+        const defaultVariant = ProductsModule.getDefaultVariant(productState.product);
+        productState.selectedColor = defaultVariant ? defaultVariant.color : productState.product.colors[0];
+        productState.selectedSize = defaultVariant ? defaultVariant.size : productState.product.sizes[0];
+        productState.quantity = 1;
+      }
+    }
+  }
+
+  /**
+   * Show product error state
+   */
+  function showProductError() {
+    const loading = document.getElementById('product-loading');
+    const error = document.getElementById('product-error');
+    const content = document.getElementById('product-content');
+
+    if (loading) loading.hidden = true;
+    if (error) error.hidden = false;
+    if (content) content.hidden = true;
+  }
+
+  /**
+   * Render the product page content
+   */
+  function renderProductPage() {
+    const product = productState.product;
+    const loading = document.getElementById('product-loading');
+    const error = document.getElementById('product-error');
+    const content = document.getElementById('product-content');
+
+    // Hide loading and error, show content
+    if (loading) loading.hidden = true;
+    if (error) error.hidden = true;
+    if (content) content.hidden = false;
+
+    // Update page title
+    document.title = `${product.name} | Mustache Harnesses Co.`;
+
+    // Update breadcrumb
+    const breadcrumb = document.getElementById('breadcrumb-product');
+    if (breadcrumb) breadcrumb.textContent = product.name;
+
+    // Render images
+    renderProductImages();
+
+    // Render product info
+    renderProductInfo();
+
+    // Render options
+    renderColorOptions();
+    renderSizeOptions();
+
+    // Point the wishlist heart at this product
+    const wishlistBtn = document.getElementById('product-wishlist-btn');
+    if (wishlistBtn) {
+      wishlistBtn.setAttribute('data-wishlist-toggle', product.id);
+      wishlistBtn.setAttribute('aria-label', `Save ${product.name} to wishlist`);
+      updateWishlistToggles();
+    }
+
+    // Point the compare checkbox at this product
+    const compareBtn = document.getElementById('product-compare-btn');
+    if (compareBtn) {
+      compareBtn.setAttribute('data-compare-toggle', product.id);
+      compareBtn.setAttribute('aria-label', `Compare ${product.name}`);
+      updateCompareToggles();
+    }
+
+    // Render tabs content
+    renderProductTabs();
+  }
+
+  /**
+   * Render product images and thumbnails
+   */
+  function renderProductImages() {
+    const product = productState.product;
+    const mainImage = document.getElementById('main-image');
+    const thumbnailContainer = document.getElementById('product-thumbnails');
+
+    // Set main image (use relative path)
+    const mainImagePath = product.images[0].startsWith('/') ? '..' + product.images[0] : '../' + product.images[0];
+    mainImage.src = mainImagePath;
+    mainImage.alt = product.name;
+
+    // Render thumbnails
+    if (thumbnailContainer && product.images.length > 1) {
+      thumbnailContainer.innerHTML = product.images.map((img, index) => {
+        const imgPath = img.startsWith('/') ? '..' + img : '../' + img;
+        return `
+          <button class="product-thumbnail ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="View image ${index + 1}">
+            <img src="${imgPath}" alt="${product.name} - Image ${index + 1}" loading="lazy">
+          </button>
+        `;
+      }).join('');
+    } else if (thumbnailContainer) {
+      thumbnailContainer.style.display = 'none';
+    }
+  }
+
+  /**
+   * Render product info section
+   */
+  function renderProductInfo() {
+    const product = productState.product;
+
+    // Category
+    const categoryEl = document.getElementById('product-category');
+    if (categoryEl) categoryEl.textContent = product.category;
+
+    // Title
+    const titleEl = document.getElementById('product-title');
+    if (titleEl) titleEl.textContent = product.name;
+
+    // Rating
+    const ratingEl = document.getElementById('product-rating');
+    if (ratingEl) ratingEl.innerHTML = createStarRating(product.rating, 'lg');
+
+    // Review count
+    const reviewCountEl = document.getElementById('product-review-count');
+    if (reviewCountEl) reviewCountEl.textContent = `${product.reviewCount} reviews`;
+
+    // Price
+    renderProductPrice();
+
+    // Short description (first 150 chars)
+    const shortDescEl = document.getElementById('product-description-short');
+    if (shortDescEl) {
+      const shortDesc = product.description.length > 150
+        ? product.description.substring(0, 150) + '...'
+        : product.description;
+      shortDescEl.textContent = shortDesc;
+    }
+
+    // Stock status
+    renderStockStatus();
+  }
+
+  /**
+   * Get the variant matching the selected size and color
+   * @returns {Object|null} Selected variant or null
+   */
+  function getSelectedVariant() {
+    return ProductsModule.findVariant(productState.product, productState.selectedSize, productState.selectedColor);
+  }
+
+  /**
+   * Render the price of the selected variant
+   */
+  function renderProductPrice() {
+    const product = productState.product;
+    const priceEl = document.getElementById('product-price');
+    if (!priceEl) return;
+
+    const variant = getSelectedVariant();
+    const price = variant ? variant.price : product.price;
+    const taxNote = typeof TaxModule !== 'undefined' && TaxModule.isTaxInclusive()
+      ? `<span class="price-tax-note">incl. ${TaxModule.getTaxJurisdiction().label}</span>`
+      : '';
+    priceEl.innerHTML = `<span class="price-current">${formatProductPrice(price, product.taxClass)}</span>${taxNote}`;
+  }
+
+  /**
+   * Render stock status indicator for the selected variant
+   */
+  function renderStockStatus() {
+    const product = productState.product;
+    const variant = getSelectedVariant();
+    const stock = variant || product;
+    const stockEl = document.getElementById('product-stock');
+    const skuEl = document.getElementById('product-sku');
+    const addToCartBtn = document.getElementById('add-to-cart-btn');
+
+    if (skuEl) {
+      skuEl.textContent = variant ? `SKU: ${variant.sku}` : '';
+    }
+
+    if (!stockEl) return;
+
+    if (!product.inStock || !stock.inStock) {
+      stockEl.className = 'product-stock out-of-stock';
+      stockEl.innerHTML = '<span class="product-stock-dot"></span> Out of Stock';
+      if (addToCartBtn) {
+        addToCartBtn.disabled = true;
+        addToCartBtn.textContent = 'Out of Stock';
+      }
+      return;
+    }
+
+    if (addToCartBtn) {
+      addToCartBtn.disabled = false;
+      addToCartBtn.textContent = 'Add to Cart';
+    }
+
+    if (stock.stockCount <= 5) {
+      stockEl.className = 'product-stock low-stock';
+      stockEl.innerHTML = `<span class="product-stock-dot"></span> Only ${stock.stockCount} left in stock`;
+    } else {
+      stockEl.className = 'product-stock in-stock';
+      stockEl.innerHTML = '<span class="product-stock-dot"></span> In Stock';
+    }
+  }
+
+  /**
+   * Render color selection options
+   * Colors with no variant in stock in any size are disabled
+   */
+  function renderColorOptions() {
+    const product = productState.product;
+    const colorSwatches = document.getElementById('color-swatches');
+    const selectedColorEl = document.getElementById('selected-color');
+
+    if (!colorSwatches) return;
+
+    const variants = ProductsModule.getVariants(product);
+
+    colorSwatches.innerHTML = product.colors.map(color => {
+      const available = variants.some(v => v.color === color && v.inStock);
+      return `
+        <button
+          class="product-color-swatch ${color === productState.selectedColor ? 'active' : ''} ${available ? '' : 'is-unavailable'}"
+          data-color="${color}"
+          style="background-color: ${getColorHex(color)}"
+          aria-label="${color}${available ? '' : ' (sold out)'}"
+          title="${color}${available ? '' : ' - Sold out'}"
+          ${available ? '' : 'disabled'}>
+        </button>
+      `;
+    }).join('');
+
+    if (selectedColorEl) {
+      selectedColorEl.textContent = productState.selectedColor;
+    }
+  }
+
+  /**
+   * Render size selection options
+   * Sizes that are unavailable in the selected color are disabled
+   */
+  function renderSizeOptions() {
+    const product = productState.product;
+    const sizeButtons = document.getElementById('size-buttons');
+    const selectedSizeEl = document.getElementById('selected-size');
+
+    if (!sizeButtons) return;
+
+    sizeButtons.innerHTML = product.sizes.map(size => {
+      const available = ProductsModule.isVariantAvailable(product, size, productState.selectedColor);
+      return `
+        <button
+          class="product-size-btn ${size === productState.selectedSize ? 'active' : ''} ${available ? '' : 'is-unavailable'}"
+          data-size="${size}"
+          ${available ? '' : 'disabled aria-disabled="true"'}>
+          ${size}
+        </button>
+      `;
+    }).join('');
+
+    if (selectedSizeEl) {
+      selectedSizeEl.textContent = productState.selectedSize;
+    }
+  }
+
+  /**
+   * Render product tabs content
+   */
+  function renderProductTabs() {
+    const product = productState.product;
+
+    // Full description
+    const descEl = document.getElementById('product-description-full');
+    if (descEl) {
+      descEl.innerHTML = `<p>${product.description}</p>`;
+    }
+
+    // Specifications: catalog details, then the product's own specifications block
+    const specsBody = document.getElementById('specifications-tbody');
+    if (specsBody) {
+      const specs = typeof ProductsModule !== 'undefined' ? ProductsModule.getSpecifications(product) : [];
+      specsBody.innerHTML = `
+        <tr>
+          <th>Category</th>
+          <td>${product.category}</td>
+        </tr>
+        <tr>
+          <th>Available Sizes</th>
+          <td>${product.sizes.join(', ')}</td>
+        </tr>
+        <tr>
+          <th>Available Colors</th>
+          <td>${product.colors.join(', ')}</td>
+        </tr>
+        ${specs.map(spec => `
+          <tr>
+            <th>${spec.label}</th>
+            <td>${escapeHTML(spec.display)}</td>
+          </tr>
+        `).join('')}
+        <tr>
+          <th>Warranty</th>
+          <td>90-day manufacturer warranty against defects</td>
+        </tr>
+      `;
+    }
+
+    // Reviews tab count
+    const reviewsTabCount = document.getElementById('reviews-tab-count');
+    if (reviewsTabCount) {
+      reviewsTabCount.textContent = `(${product.reviewCount})`;
+    }
+
+    // Reviews summary
+    renderReviewsSummary();
+
+    // Reviews list
+    renderReviewsList();
+  }
+
+  /**
+   * Render reviews summary with rating breakdown
+   */
+  function renderReviewsSummary() {
+    const product = productState.product;
+
+    // Rating number
+    const ratingNumber = document.getElementById('reviews-rating-number');
+    if (ratingNumber) ratingNumber.textContent = product.rating.toFixed(1);
+
+    // Rating stars
+    const ratingStars = document.getElementById('reviews-rating-stars');
+    if (ratingStars) ratingStars.innerHTML = createStarRating(product.rating, 'lg');
+
+    // Total reviews
+    const totalReviews = document.getElementById('reviews-total');
+    if (totalReviews) totalReviews.textContent = `Based on ${product.reviewCount} reviews`;
+
+    if (typeof RatingsModule === 'undefined') return;
+    const stats = RatingsModule.getRatingStats(product);
+
+    // Recent trend, when there are enough recent reviews to call one
+    const trend = document.getElementById('reviews-trend');
+    if (trend) {
+      const recent = stats.trend.recentAverage !== null ? stats.trend.recentAverage.toFixed(1) : '';
+      const trendText = {
+        up: `Trending up: recent reviews average ${recent} stars`,
+        down: `Trending down: recent reviews average ${recent} stars`,
+        steady: `Recent reviews average ${recent} stars`
+      }[stats.trend.direction];
+      trend.hidden = !trendText;
+      trend.textContent = trendText || '';
+      trend.dataset.direction = stats.trend.direction || '';
+    }
+
+    // Rating breakdown from the product's per-star counts
+    const breakdown = document.getElementById('reviews-breakdown');
+    if (breakdown) {
+      // Each bar filters the list to its star level
+      breakdown.innerHTML = [5, 4, 3, 2, 1].map(rating => {
+        const count = stats.distribution[rating];
+        const percentage = stats.percentages[rating];
+        return `
+          <button type="button" class="review-bar" data-rating="${rating}" aria-pressed="false" aria-label="Show ${rating}-star reviews (${count})">
+            <span class="review-bar-label">${rating} stars</span>
+            <span class="review-bar-track">
+              <span class="review-bar-fill" style="width: ${percentage}%"></span>
+            </span>
+            <span class="review-bar-count">${count}</span>
+          </button>
+        `;
+      }).join('');
+      updateReviewBarStates();
+    }
+  }
+
+  /**
+   * Mark the breakdown bar for the active star filter
+   */
+  function updateReviewBarStates() {
+    document.querySelectorAll('#reviews-breakdown .review-bar').forEach(bar => {
+      const isActive = Number(bar.dataset.rating) === reviewsState.rating;
+      bar.classList.toggle('is-active', isActive);
+      bar.setAttribute('aria-pressed', isActive);
+    });
+  }
+
+  /**
+   * Render the reviews list for the current sort, filter, search and page
+   */
+  function renderReviewsList() {
+    const product = productState.product;
+    const reviewsList = document.getElementById('reviews-list');
+
+    if (!reviewsList || !product.reviews || typeof ReviewsModule === 'undefined') return;
+
+    const result = ReviewsModule.queryReviews(product, reviewsState);
+
+    reviewsList.innerHTML = result.reviews.length > 0
+      ? result.reviews.map(review => createReviewCardHTML(review, result.matchedTerms)).join('')
+      : `<p class="reviews-empty">${result.total > 0 ? 'No reviews match your filters.' : 'No written reviews yet.'}</p>`;
+
+    // Nothing to sort or search without any written reviews
+    const toolbar = document.getElementById('reviews-toolbar');
+    if (toolbar) toolbar.hidden = result.total === 0;
+
+    const resultsText = document.getElementById('reviews-results');
+    if (resultsText) {
+      const filters = [
+        reviewsState.rating && `with ${reviewsState.rating} star${reviewsState.rating === 1 ? '' : 's'}`,
+        reviewsState.query.trim() && `matching “${reviewsState.query.trim()}”`
+      ].filter(Boolean).join(' ');
+      resultsText.textContent = result.total === 0
+        ? ''
+        : `Showing ${result.reviews.length} of ${result.matching} review${result.matching === 1 ? '' : 's'}${filters ? ` ${filters}` : ''}`;
+    }
+
+    const clearBtn = document.getElementById('reviews-clear');
+    if (clearBtn) clearBtn.hidden = !reviewsState.rating && !reviewsState.query.trim();
+
+    const loadMore = document.getElementById('reviews-load-more-wrapper');
+    if (loadMore) loadMore.hidden = !result.hasMore;
+
+    updateReviewBarStates();
+  }
+
+  /**
+   * Create review card HTML
+   * @param {Object} review - Review from ReviewsModule.queryReviews (with key and votes)
+   * @param {Array<string>} matchedTerms - Search terms to highlight
+   * @returns {string} HTML string
+   */
+  function createReviewCardHTML(review, matchedTerms) {
+    const date = new Date(review.date);
+    const formattedDate = date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    // Highlight search matches (highlight escapes the text)
+    const mark = text => SearchModule.highlight(text, matchedTerms);
+
+    // Customer reviews can say which size and color they bought
+    const variant = [review.color && `Color: ${escapeHTML(review.color)}`, review.size && `Size: ${escapeHTML(review.size)}`]
+      .filter(Boolean)
+      .join(' · ');
+
+    return `
+      <article class="review-card">
+        <div class="review-header">
+          <div>
+            <h4 class="review-author">${mark(review.name)}</h4>
+            <span class="review-date">${formattedDate}</span>
+            ${review.verifiedPurchase ? '<span class="review-verified">Verified Purchase</span>' : ''}
+          </div>
+          <div class="review-rating">
+            ${createStarRating(review.rating, 'sm')}
+          </div>
+        </div>
+        ${review.title ? `<h5 class="review-title">${mark(review.title)}</h5>` : ''}
+        ${variant ? `<p class="review-variant">${variant}</p>` : ''}
+        <p class="review-text">${mark(review.text)}</p>
+        <div class="review-helpful" data-review-key="${escapeHTML(review.key)}">
+          ${createReviewHelpfulHTML(review.votes)}
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Create the "Was this helpful?" buttons for a review
+   * @param {Object} votes - Votes { helpful, notHelpful, mine }
+   * @returns {string} HTML string
+   */
+  function createReviewHelpfulHTML(votes) {
+    const button = (vote, label, count) => `
+      <button type="button" class="review-helpful-btn${votes.mine === vote ? ' is-active' : ''}" data-review-vote="${vote}" aria-pressed="${votes.mine === vote}">
+        ${label} (${count})
+      </button>
+    `;
+
+    return `
+      <span class="review-helpful-label">Was this helpful?</span>
+      ${button('helpful', 'Yes', votes.helpful)}
+      ${button('not_helpful', 'No', votes.notHelpful)}
+    `;
+  }
+
+  /**
+   * Initialize review sorting, star filters, search, paging and helpful votes
+   */
+  function initReviewBrowsing() {
+    const reviewsList = document.getElementById('reviews-list');
+    if (!reviewsList || typeof ReviewsModule === 'undefined') return;
+
+    const sortSelect = document.getElementById('reviews-sort');
+    const filterSelect = document.getElementById('reviews-filter');
+    const searchInput = document.getElementById('reviews-search');
+
+    // Any change of sort, filter or search starts again from the first page
+    const update = changes => {
+      Object.assign(reviewsState, changes, { page: 1 });
+      if (filterSelect) filterSelect.value = reviewsState.rating || '';
+      renderReviewsList();
+    };
+
+    if (sortSelect) {
+      sortSelect.innerHTML = Object.entries(ReviewsModule.REVIEW_SORT_OPTIONS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+      sortSelect.value = reviewsState.sort;
+      sortSelect.addEventListener('change', () => update({ sort: sortSelect.value }));
+    }
+
+    if (filterSelect) {
+      filterSelect.addEventListener('change', () => update({ rating: Number(filterSelect.value) || 0 }));
+    }
+
+    if (searchInput) {
+      searchInput.addEventListener('input', debounce(() => update({ query: searchInput.value }), 250));
+    }
+
+    // Clicking a breakdown bar filters to that star level; clicking it again shows every review
+    document.getElementById('reviews-breakdown')?.addEventListener('click', event => {
+      const bar = event.target.closest('.review-bar');
+      if (!bar) return;
+      const rating = Number(bar.dataset.rating);
+      update({ rating: reviewsState.rating === rating ? 0 : rating });
+    });
+
+    document.getElementById('reviews-clear')?.addEventListener('click', () => {
+      if (searchInput) searchInput.value = '';
+      update({ rating: 0, query: '' });
+    });
+
+    document.getElementById('reviews-load-more')?.addEventListener('click', () => {
+      reviewsState.page++;
+      renderReviewsList();
+    });
+
+    // Votes update in place, so the list doesn't reorder under the shopper
+    reviewsList.addEventListener('click', event => {
+      const button = event.target.closest('[data-review-vote]');
+      if (!button) return;
+
+      const container = button.closest('.review-helpful');
+      const result = ReviewsModule.voteOnReview(container.dataset.reviewKey, button.dataset.reviewVote);
+      if (!result.success) {
+        showToast({ title: 'Vote not saved', message: result.message, type: 'error' });
+        return;
+      }
+
+      container.innerHTML = createReviewHelpfulHTML(result.votes);
+      container.querySelector(`[data-review-vote="${button.dataset.reviewVote}"]`)?.focus();
+    });
+  }
+
+  // Review form inputs, keyed by the field names ReviewsModule validates
+  const reviewFields = {
+    rating: 'review-rating',
+    title: 'review-title',
+    text: 'review-text',
+    size: 'review-size',
+    color: 'review-color',
+    name: 'review-name',
+    email: 'review-email'
+  };
+
+  /**
+   * Initialize the "Write a review" form
+   */
+  function initReviewForm() {
+    const form = document.getElementById('review-form');
+    const toggleBtn = document.getElementById('write-review-btn');
+    const cancelBtn = document.getElementById('review-cancel');
+    const product = productState.product;
+    if (!form || !toggleBtn || typeof ReviewsModule === 'undefined') return;
+
+    // Offer the product's own sizes and colors
+    const sizeSelect = document.getElementById('review-size');
+    const colorSelect = document.getElementById('review-color');
+    if (sizeSelect) {
+      sizeSelect.insertAdjacentHTML('beforeend', product.sizes.map(size => `<option value="${size}">${size}</option>`).join(''));
+    }
+    if (colorSelect) {
+      colorSelect.insertAdjacentHTML('beforeend', product.colors.map(color => `<option value="${color}">${color}</option>`).join(''));
+    }
+
+    const setFormOpen = open => {
+      form.hidden = !open;
+      toggleBtn.setAttribute('aria-expanded', open);
+      if (open) document.getElementById('review-submitted').hidden = true;
+    };
+
+    toggleBtn.addEventListener('click', () => {
+      setFormOpen(form.hidden);
+      if (!form.hidden) form.querySelector('input[name="rating"]').focus();
+    });
+    if (cancelBtn) cancelBtn.addEventListener('click', () => setFormOpen(false));
+
+    form.addEventListener('submit', handleReviewSubmit);
+  }
+
+  /**
+   * Read the review form
+   * @returns {Object} Form data { rating, title, text, size, color, name, email }
+   */
+  function getReviewFormData() {
+    const value = id => document.getElementById(id)?.value || '';
+    const checked = document.querySelector('#review-rating input[name="rating"]:checked');
+
+    return {
+      rating: checked ? checked.value : '',
+      title: value('review-title'),
+      text: value('review-text'),
+      size: value('review-size'),
+      color: value('review-color'),
+      name: value('review-name'),
+      email: value('review-email')
+    };
+  }
+
+  /**
+   * Handle the review form: validate, submit for moderation and show what happens next
+   * @param {Event} event - Submit event
+   */
+  async function handleReviewSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const submitBtn = document.getElementById('review-submit');
+    const formError = document.getElementById('review-form-error');
+    if (!submitBtn || submitBtn.disabled) return;
+
+    if (formError) formError.hidden = true;
+
+    submitBtn.disabled = true;
+    const originalText = submitBtn.textContent;
+    submitBtn.innerHTML = '<span class="spinner spinner-sm"></span> Submitting...';
+
+    try {
+      const result = await ReviewsModule.submitReview(productState.product.id, getReviewFormData());
+
+      if (!result.success) {
+        const errors = result.errors || {};
+        Object.keys(reviewFields).forEach(field => {
+          const input = document.getElementById(reviewFields[field]);
+          if (input && (errors[field] || input.value || field === 'rating')) {
+            updateCheckoutFieldUI(input, reviewFields[field], { valid: !errors[field], message: errors[field] });
+          }
+        });
+
+        if (result.code !== 'validation_failed' && formError) {
+          formError.textContent = result.message;
+          formError.hidden = false;
+        }
+
+        // The star rating is a group of radios, so focus its first star
+        const firstInvalid = form.querySelector('.is-invalid');
+        if (firstInvalid) (firstInvalid.querySelector('input') || firstInvalid).focus();
+        return;
+      }
+
+      // Obvious spam is turned away at once, so the shopper can edit and try again
+      if (result.review.status === 'rejected') {
+        if (formError) {
+          formError.textContent = "We couldn't accept this review because it looks like spam. Please remove any links or promotional text and try again.";
+          formError.hidden = false;
+        }
+        return;
+      }
+
+      const submittedText = document.getElementById('review-submitted-text');
+      if (submittedText) {
+        submittedText.textContent = result.review.verifiedPurchase
+          ? 'It will appear with a Verified Purchase badge once our team has checked it, usually within two business days.'
+          : 'It will appear once our team has checked it, usually within two business days.';
+      }
+
+      resetReviewForm();
+      document.getElementById('review-submitted').hidden = false;
+    } catch (error) {
+      console.error('Error submitting review:', error);
+      showToast({ title: 'Review not submitted', message: 'Please try again.', type: 'error' });
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+    }
+  }
+
+  /**
+   * Clear and close the review form
+   */
+  function resetReviewForm() {
+    const form = document.getElementById('review-form');
+    if (!form) return;
+
+    form.reset();
+    Object.values(reviewFields).forEach(id => {
+      document.getElementById(id)?.classList.remove('is-valid', 'is-invalid');
+    });
+    form.querySelectorAll('.form-error').forEach(el => {
+      el.textContent = '';
+    });
+
+    const formError = document.getElementById('review-form-error');
+    if (formError) formError.hidden = true;
+
+    form.hidden = true;
+    document.getElementById('write-review-btn')?.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Load and render related products
+   */
+  async function loadRelatedProducts() {
+    const product = productState.product;
+    const grid = document.getElementById('related-products-grid');
+
+    if (!grid || typeof ProductsModule === 'undefined') return;
+
+    try {
+      const related = await ProductsModule.getRelatedProducts(product.id, 4);
+
+      if (related && related.length > 0) {
+        grid.innerHTML = related.map(p => createProductCardShop(p)).join('');
+      } else {
+        // Hide related products section if none found
+        const section = document.getElementById('related-products');
+        if (section) section.style.display = 'none';
+      }
+    } catch (error) {
+      console.error('Error loading related products:', error);
+    }
+  }
+
+  /**
+   * Load and display "Customers also bought" recommendations
+   */
+  async function loadAlsoBought() {
+    const section = document.getElementById('also-bought');
+    const grid = document.getElementById('also-bought-grid');
+    if (!section || !grid || typeof RecommendationsModule === 'undefined') return;
+
+    try {
+      const products = await RecommendationsModule.getAlsoBought(productState.product.id, 4);
+
+      if (products.length > 0) {
+        grid.innerHTML = products.map(p => createProductCardShop(p)).join('');
+        section.hidden = false;
+      }
+    } catch (error) {
+      console.error('Error loading recommendations:', error);
+    }
+  }
+
+  /**
+   * Initialize product page interactions
+   */
+  function initProductInteractions() {
+    // Thumbnail clicks
+    initThumbnailClicks();
+
+    // Color swatch clicks
+    initColorSwatchClicks();
+
+    // Size button clicks
+    initSizeButtonClicks();
+
+    // Quantity selector
+    initQuantitySelector(document.querySelector('.product-info'));
+
+    // Add to cart button
+    initAddToCartButton();
+
+    // Tab navigation
+    initProductTabs();
+
+    // Review sorting, filters, search and votes
+    initReviewBrowsing();
+
+    // Review form
+    initReviewForm();
+  }
+
+  /**
+   * Initialize thumbnail image switching
+   */
+  function initThumbnailClicks() {
+    const thumbnailContainer = document.getElementById('product-thumbnails');
+    if (!thumbnailContainer) return;
+
+    thumbnailContainer.addEventListener('click', function(e) {
+      const thumbnail = e.target.closest('.product-thumbnail');
+      if (!thumbnail) return;
+
+      const index = parseInt(thumbnail.dataset.index);
+      const product = productState.product;
+
+      // Update main image
+      const mainImage = document.getElementById('main-image');
+      if (mainImage && product.images[index]) {
+        const imgPath = product.images[index].startsWith('/')
+          ? '..' + product.images[index]
+          : '../' + product.images[index];
+        mainImage.src = imgPath;
+      }
+
+      // Update active thumbnail
+      thumbnailContainer.querySelectorAll('.product-thumbnail').forEach(t => t.classList.remove('active'));
+      thumbnail.classList.add('active');
+    });
+  }
+
+  /**
+   * Initialize color swatch selection
+   */
+  function initColorSwatchClicks() {
+    const colorSwatches = document.getElementById('color-swatches');
+    if (!colorSwatches) return;
+
+    colorSwatches.addEventListener('click', function(e) {
+      const swatch = e.target.closest('.product-color-swatch');
+      if (!swatch) return;
+
+      const color = swatch.dataset.color;
+      productState.selectedColor = color;
+
+      // Keep the size selection on a combination that can be bought
+      const product = productState.product;
+      if (!ProductsModule.isVariantAvailable(product, productState.selectedSize, color)) {
+        const availableSize = product.sizes.find(size => ProductsModule.isVariantAvailable(product, size, color));
+        if (availableSize) productState.selectedSize = availableSize;
+      }
+
+      // Update active state
+      colorSwatches.querySelectorAll('.product-color-swatch').forEach(s => s.classList.remove('active'));
+      swatch.classList.add('active');
+
+      // Update selected color text
+      const selectedColorEl = document.getElementById('selected-color');
+      if (selectedColorEl) selectedColorEl.textContent = color;
+
+      renderSizeOptions();
+      handleVariantChange();
+    });
+  }
+
+  /**
+   * Initialize size button selection
+   */
+  function initSizeButtonClicks() {
+    const sizeButtons = document.getElementById('size-buttons');
+    if (!sizeButtons) return;
+
+    sizeButtons.addEventListener('click', function(e) {
+      const btn = e.target.closest('.product-size-btn');
+      if (!btn || btn.disabled) return;
+
+      const size = btn.dataset.size;
+      productState.selectedSize = size;
+
+      // Update active state
+      sizeButtons.querySelectorAll('.product-size-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+
+      // Update selected size text
+      const selectedSizeEl = document.getElementById('selected-size');
+      if (selectedSizeEl) selectedSizeEl.textContent = size;
+
+      handleVariantChange();
+    });
+  }
+
+  /**
+   * Update price, stock and image after the selected variant changes
+   */
+  function handleVariantChange() {
+    renderProductPrice();
+    renderStockStatus();
+
+    const variant = getSelectedVariant();
+    const mainImage = document.getElementById('main-image');
+    if (!variant || !mainImage) return;
+
+    mainImage.src = variant.image.startsWith('/') ? '..' + variant.image : '../' + variant.image;
+
+    // Highlight the matching thumbnail, if the variant image is one of the gallery images
+    const index = productState.product.images.indexOf(variant.image);
+    const thumbnailContainer = document.getElementById('product-thumbnails');
+    if (thumbnailContainer && index !== -1) {
+      thumbnailContainer.querySelectorAll('.product-thumbnail').forEach(t => {
+        t.classList.toggle('active', parseInt(t.dataset.index) === index);
+      });
+    }
+  }
+
+  /**
+   * Initialize add to cart button
+   */
+  function initAddToCartButton() {
+    const addToCartBtn = document.getElementById('add-to-cart-btn');
+    if (!addToCartBtn) return;
+
+    addToCartBtn.addEventListener('click', async function() {
+      const product = productState.product;
+      const variant = getSelectedVariant();
+
+      if (!product || !product.inStock || !variant || !variant.inStock) return;
+
+      // Disable button and show loading
+      addToCartBtn.disabled = true;
+      const originalText = addToCartBtn.textContent;
+      addToCartBtn.innerHTML = '<span class="spinner spinner-sm"></span> Adding...';
+
+      // Get quantity
+      const quantityInput = document.querySelector('#product-quantity .quantity-input');
+      const quantity = quantityInput ? parseInt(quantityInput.value) : 1;
+
+      try {
+        if (typeof CartModule !== 'undefined') {
+          // Get image path (use relative path)
+          const imagePath = variant.image.startsWith('/')
+            ? '..' + variant.image
+            : '../' + variant.image;
+
+          CartModule.addToCart({
+            productId: product.id,
+            sku: variant.sku,
+            name: product.name,
+            price: variant.price,
+            size: productState.selectedSize,
+            color: productState.selectedColor,
+            quantity: quantity,
+            image: imagePath,
+            category: product.category,
+            taxClass: product.taxClass
+          });
+
+          // Update cart badge
+          updateCartBadge();
+
+          // Show toast
+          showAddedToCartToast({
+            name: product.name,
+            image: imagePath,
+            size: productState.selectedSize,
+            color: productState.selectedColor,
+            quantity: quantity
+          });
+
+          // Dispatch cart updated event
+          document.dispatchEvent(new CustomEvent('cartUpdated'));
+        }
+      } catch (error) {
+        console.error('Error adding to cart:', error);
+        showToast({ title: 'Error', message: error.message || 'Could not add item to cart', type: 'error' });
+      } finally {
+        addToCartBtn.disabled = false;
+        addToCartBtn.textContent = originalText;
+
+        // Refresh stock now that the cart holds a reservation
+        productState.product = await ProductsModule.getProductById(product.id) || product;
+        renderColorOptions();
+        renderSizeOptions();
+        renderStockStatus();
+      }
+    });
+  }
+
+  /**
+   * Initialize product tabs
+   */
+  function initProductTabs() {
+    const tabButtons = document.querySelectorAll('.product-tab-btn');
+    const tabPanels = document.querySelectorAll('.product-tab-panel');
+
+    tabButtons.forEach(btn => {
+      btn.addEventListener('click', function() {
+        const tabId = this.getAttribute('aria-controls');
+
+        // Update button states
+        tabButtons.forEach(b => {
+          b.classList.remove('active');
+          b.setAttribute('aria-selected', 'false');
+        });
+        this.classList.add('active');
+        this.setAttribute('aria-selected', 'true');
+
+        // Update panel visibility
+        tabPanels.forEach(panel => {
+          panel.classList.remove('active');
+          panel.hidden = true;
+        });
+
+        const activePanel = document.getElementById(tabId);
+        if (activePanel) {
+          activePanel.classList.add('active');
+          activePanel.hidden = false;
+        }
+      });
+    });
+
+    // Handle anchor link to reviews tab
+    if (window.location.hash === '#product-reviews') {
+      const reviewsBtn = document.getElementById('tab-btn-reviews');
+      if (reviewsBtn) reviewsBtn.click();
+    }
+  }
+
+  // ============================================
+  // CART PAGE INITIALIZATION
+  // ============================================
+
+  /**
+   * Initialize cart page functionality
+   */
+  async function initCartPage() {
+    // Load products so stock limits are known for quantity changes
+    if (typeof ProductsModule !== 'undefined') {
+      await ProductsModule.loadProducts();
+    }
+
+    // Renew the cart's stock reservations, which lapse while the cart sits idle
+    notifyStockAdjustments(CartModule.refreshReservations());
+
+    // Render cart items
+    renderCartPage();
+
+    // Initialize promo code functionality
+    initPromoCode();
+
+    // Initialize shipping destination selector
+    initCartDestination();
+
+    // Show recently viewed products
+    initRecentlyViewed();
+
+    // Listen for cart updates
+    document.addEventListener('cartUpdated', renderCartPage);
+  }
+
+  /**
+   * Tell the shopper about cart lines cut back because their stock sold while the cart sat idle
+   * @param {Array} adjusted - Lines from CartModule.refreshReservations()
+   */
+  function notifyStockAdjustments(adjusted) {
+    adjusted.forEach(line => {
+      const variant = [line.size, line.color].filter(Boolean).join(' / ');
+      const name = variant ? `${line.name} (${variant})` : line.name;
+      showToast(line.available > 0
+        ? { title: 'Limited stock', message: `Only ${line.available} of ${name} left, so we updated your cart.`, type: 'warning' }
+        : { title: 'Out of stock', message: `${name} sold out and was removed from your cart.`, type: 'warning' });
+    });
+  }
+
+  /**
+   * Render the entire cart page
+   */
+  function renderCartPage() {
+    const loading = document.getElementById('cart-loading');
+    const emptyState = document.getElementById('cart-empty');
+    const itemsContainer = document.getElementById('cart-items');
+    const summarySection = document.getElementById('cart-summary');
+    const continueSection = document.getElementById('cart-continue');
+
+    // Get cart data
+    if (typeof CartModule === 'undefined') {
+      if (loading) loading.hidden = true;
+      if (emptyState) emptyState.hidden = false;
+      return;
+    }
+
+    const cart = CartModule.getCart();
+    const summary = CartModule.getCartSummary();
+
+    // Hide loading
+    if (loading) loading.hidden = true;
+
+    // Update header count
+    const headerCount = document.getElementById('cart-header-count');
+    if (headerCount) {
+      const itemCount = summary.itemCount;
+      headerCount.textContent = itemCount === 1 ? '1 item' : `${itemCount} items`;
+    }
+
+    // Recommendations follow what is in the cart
+    renderCompleteTheLook(cart);
+
+    // Show empty state or cart items
+    if (cart.length === 0) {
+      if (emptyState) emptyState.hidden = false;
+      if (itemsContainer) itemsContainer.hidden = true;
+      if (summarySection) summarySection.hidden = true;
+      if (continueSection) continueSection.hidden = true;
+      return;
+    }
+
+    // Show cart items
+    if (emptyState) emptyState.hidden = true;
+    if (itemsContainer) itemsContainer.hidden = false;
+    if (summarySection) summarySection.hidden = false;
+    if (continueSection) continueSection.hidden = false;
+
+    // Render cart items
+    renderCartItems(cart);
+
+    // Render summary
+    renderCartSummary(summary);
+
+    // Update promo display
+    updatePromoDisplay();
+  }
+
+  /**
+   * Render "Complete the look" recommendations for the cart (hidden for an empty cart)
+   * @param {Array} cart - Cart items array
+   */
+  async function renderCompleteTheLook(cart) {
+    const section = document.getElementById('complete-the-look');
+    const grid = document.getElementById('complete-the-look-grid');
+    if (!section || !grid || typeof RecommendationsModule === 'undefined') return;
+
+    try {
+      const products = cart.length > 0 ? await RecommendationsModule.getCompleteTheLook(cart, 4) : [];
+
+      grid.innerHTML = products.map(product => createProductCardShop(product)).join('');
+      section.hidden = products.length === 0;
+    } catch (error) {
+      console.error('Error loading recommendations:', error);
+      section.hidden = true;
+    }
+  }
+
+  /**
+   * Render cart items list
+   * @param {Array} cart - Cart items array
+   */
+  function renderCartItems(cart) {
+    const container = document.getElementById('cart-items');
+    if (!container) return;
+
+    container.innerHTML = cart.map(item => createCartItemHTML(item)).join('');
+
+    // Initialize quantity selectors
+    container.querySelectorAll('.quantity-selector').forEach(selector => {
+      initCartItemQuantity(selector);
+    });
+
+    // Initialize remove buttons
+    container.querySelectorAll('.cart-item-remove').forEach(btn => {
+      btn.addEventListener('click', handleRemoveItem);
+    });
+
+    // Initialize save for later buttons
+    container.querySelectorAll('.cart-item-save').forEach(btn => {
+      btn.addEventListener('click', handleSaveForLater);
+    });
+  }
+
+  /**
+   * Create HTML for a single cart item
+   * @param {Object} item - Cart item data
+   * @returns {string} HTML string
+   */
+  function createCartItemHTML(item) {
+    const unitPrice = getItemDisplayPrice(item);
+    const lineTotal = unitPrice * item.quantity;
+
+    // Adjust image path for pages directory
+    let imagePath = item.image;
+    if (!imagePath.startsWith('../') && !imagePath.startsWith('http')) {
+      imagePath = '../' + imagePath;
+    }
+
+    return `
+      <article class="cart-item" data-cart-id="${item.cartId}">
+        <div class="cart-item-image">
+          <a href="product.html?id=${item.productId}">
+            <img src="${imagePath}" alt="${item.name}" loading="lazy">
+          </a>
+        </div>
+        <div class="cart-item-details">
+          <h3 class="cart-item-name">
+            <a href="product.html?id=${item.productId}">${item.name}</a>
+          </h3>
+          <p class="cart-item-variant">${item.color} / ${item.size}</p>
+          ${item.sku ? `<p class="cart-item-sku">SKU: ${item.sku}</p>` : ''}
+          <p class="cart-item-price-mobile">${formatMoney(unitPrice)}</p>
+          <div class="cart-item-actions">
+            <div class="cart-item-quantity">
+              <div class="quantity-selector quantity-selector-sm" data-cart-id="${item.cartId}">
+                <button type="button" class="quantity-btn" data-action="decrease" aria-label="Decrease quantity" ${item.quantity <= 1 ? 'disabled' : ''}>−</button>
+                <input type="number" class="quantity-input" value="${item.quantity}" min="1" max="99" aria-label="Quantity">
+                <button type="button" class="quantity-btn" data-action="increase" aria-label="Increase quantity">+</button>
+              </div>
+            </div>
+            <button type="button" class="cart-item-save" data-cart-id="${item.cartId}" aria-label="Save ${item.name} for later">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+              </svg>
+              Save for later
+            </button>
+            <button type="button" class="cart-item-remove" data-cart-id="${item.cartId}" aria-label="Remove ${item.name} from cart">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="3 6 5 6 21 6"></polyline>
+                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+              </svg>
+              Remove
+            </button>
+          </div>
+        </div>
+        <div class="cart-item-pricing">
+          <span class="cart-item-line-price">${formatMoney(lineTotal)}</span>
+          ${item.quantity > 1 ? `<span class="cart-item-unit-price">${formatMoney(unitPrice)} each</span>` : ''}
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Initialize quantity selector for cart item
+   * @param {HTMLElement} selector - Quantity selector element
+   */
+  function initCartItemQuantity(selector) {
+    const minusBtn = selector.querySelector('[data-action="decrease"]');
+    const plusBtn = selector.querySelector('[data-action="increase"]');
+    const input = selector.querySelector('.quantity-input');
+    const cartId = selector.dataset.cartId;
+
+    if (!minusBtn || !plusBtn || !input || !cartId) return;
+
+    function updateCartQuantity(newValue) {
+      let value = Math.max(1, Math.min(99, parseInt(newValue) || 1));
+      input.value = value;
+      minusBtn.disabled = value <= 1;
+      plusBtn.disabled = value >= 99;
+
+      // Update cart
+      if (typeof CartModule !== 'undefined') {
+        CartModule.updateQuantity(cartId, value);
+
+        // The cart caps quantities at the available stock, and drops lines that have sold out
+        const updated = CartModule.getCart().find(i => i.cartId === cartId);
+        if (!updated) {
+          showToast({ title: 'Out of stock', message: 'This item sold out and was removed from your cart.', type: 'warning' });
+          updateCartBadge();
+          renderCartPage();
+          return;
+        }
+        if (updated.quantity < value) {
+          value = updated.quantity;
+          input.value = value;
+          minusBtn.disabled = value <= 1;
+          plusBtn.disabled = true;
+          showToast({ title: 'Limited stock', message: `Only ${value} available for ${updated.name}.`, type: 'warning' });
+        }
+
+        updateCartBadge();
+        renderCartSummary(CartModule.getCartSummary());
+        updatePromoDisplay();
+
+        // Update line price for this item
+        const cartItem = selector.closest('.cart-item');
+        if (cartItem) {
+          const item = CartModule.getCart().find(i => i.cartId === cartId);
+          if (item) {
+            const linePrice = cartItem.querySelector('.cart-item-line-price');
+            const unitPrice = cartItem.querySelector('.cart-item-unit-price');
+            if (linePrice) linePrice.textContent = formatMoney(getItemDisplayPrice(item) * value);
+            if (unitPrice) {
+              if (value > 1) {
+                unitPrice.textContent = `${formatMoney(getItemDisplayPrice(item))} each`;
+                unitPrice.style.display = '';
+              } else {
+                unitPrice.style.display = 'none';
+              }
+            }
+          }
+        }
+      }
+    }
+
+    minusBtn.addEventListener('click', () => {
+      updateCartQuantity(parseInt(input.value) - 1);
+    });
+
+    plusBtn.addEventListener('click', () => {
+      updateCartQuantity(parseInt(input.value) + 1);
+    });
+
+    input.addEventListener('change', () => {
+      updateCartQuantity(input.value);
+    });
+
+    input.addEventListener('blur', () => {
+      if (input.value === '' || isNaN(parseInt(input.value))) {
+        updateCartQuantity(1);
+      }
+    });
+  }
+
+  /**
+   * Handle remove item button click
+   * @param {Event} e - Click event
+   */
+  function handleRemoveItem(e) {
+    const btn = e.currentTarget;
+    const cartId = btn.dataset.cartId;
+    const cartItem = btn.closest('.cart-item');
+
+    if (!cartId || typeof CartModule === 'undefined') return;
+
+    // Add exit animation
+    if (cartItem) {
+      cartItem.style.transition = 'opacity 0.2s ease, transform 0.2s ease';
+      cartItem.style.opacity = '0';
+      cartItem.style.transform = 'translateX(-20px)';
+    }
+
+    setTimeout(() => {
+      CartModule.removeFromCart(cartId);
+      updateCartBadge();
+      renderCartPage();
+    }, 200);
+  }
+
+  /**
+   * Handle save for later button click (moves the line to the wishlist)
+   * @param {Event} e - Click event
+   */
+  function handleSaveForLater(e) {
+    const btn = e.currentTarget;
+    const cartId = btn.dataset.cartId;
+    const cartItem = btn.closest('.cart-item');
+
+    if (!cartId || typeof WishlistModule === 'undefined') return;
+
+    if (cartItem) {
+      cartItem.style.transition = 'opacity 0.2s ease, transform 0.2s ease';
+      cartItem.style.opacity = '0';
+      cartItem.style.transform = 'translateX(-20px)';
+    }
+
+    setTimeout(() => {
+      const entry = WishlistModule.saveForLater(cartId);
+      updateCartBadge();
+      renderCartPage();
+
+      if (entry) {
+        showToast({
+          title: 'Saved for later',
+          message: 'Find it on your wishlist when you are ready to buy.',
+          type: 'success'
+        });
+        document.dispatchEvent(new CustomEvent('wishlistUpdated'));
+      }
+    }, 200);
+  }
+
+  /**
+   * Initialize the "Ship to" selector used for shipping estimates in the cart
+   */
+  function initCartDestination() {
+    const select = document.getElementById('cart-destination');
+    if (!select || typeof ShippingModule === 'undefined') return;
+
+    select.value = ShippingModule.getDestination().country;
+
+    select.addEventListener('change', function() {
+      ShippingModule.saveDestination({ ...ShippingModule.getDestination(), country: this.value });
+      // Line prices change too when switching to or from a tax-inclusive destination
+      CartModule.repriceCart();
+      renderCartPage();
+    });
+  }
+
+  /**
+   * Render a shipping line (label, cost and delivery estimate)
+   * @param {Object} shipping - Shipping { method, label, cost, estimate }, or a plain cost on older orders
+   * @param {Object} elements - { labelEl, costEl, estimateEl } (any may be null)
+   * @param {Object} display - Display amounts from getDisplayTotals (the cost shown is display.shipping)
+   */
+  function renderShippingLine(shipping, { labelEl, costEl, estimateEl }, display) {
+    const details = typeof shipping === 'object' && shipping !== null
+      ? shipping
+      : { label: '', cost: shipping || 0, estimate: '' };
+
+    if (labelEl) {
+      labelEl.textContent = details.label ? `Shipping (${details.label})` : 'Shipping';
+    }
+
+    if (costEl) {
+      costEl.textContent = display.shipping > 0 ? formatMoney(display.shipping, display.currency) : 'FREE';
+      costEl.classList.toggle('is-free', !(display.shipping > 0));
+    }
+
+    if (estimateEl) {
+      estimateEl.textContent = details.estimate || '';
+      estimateEl.hidden = !details.estimate;
+    }
+  }
+
+  /**
+   * Get the amounts to show in a summary, in the currency the shopper sees
+   * Tax-inclusive (VAT) totals show each amount with its tax included
+   * @param {Object} totals - Cart summary or order totals
+   * @returns {Object} Amounts { currency, subtotal, discount, shipping, tax, total }
+   */
+  function getDisplayTotals(totals) {
+    if (totals.presentment) return totals.presentment;
+
+    // Orders placed before multi-currency support were shown in USD
+    const shipping = totals.shipping;
+    const display = totals.tax && totals.tax.inclusive ? totals.tax.display : {
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      shipping: typeof shipping === 'object' && shipping !== null ? shipping.cost : shipping || 0
+    };
+
+    return {
+      currency: 'USD',
+      subtotal: display.subtotal,
+      discount: display.discount,
+      shipping: display.shipping,
+      tax: totals.tax ? totals.tax.amount : 0,
+      total: totals.total
+    };
+  }
+
+  /**
+   * Render the tax row of a summary
+   * Sales tax is shown as an added line; VAT as the amount included in the total
+   * @param {Object} tax - Tax result from the cart summary or order totals
+   * @param {Object} elements - Summary elements
+   * @param {HTMLElement} elements.rowEl - Tax row
+   * @param {HTMLElement} elements.labelEl - Tax label
+   * @param {HTMLElement} elements.amountEl - Tax amount
+   * @param {Object} display - Display amounts from getDisplayTotals
+   * @param {string} [pendingText='Calculated at checkout'] - Text while the destination is incomplete
+   */
+  function renderTaxLine(tax, { rowEl, labelEl, amountEl }, display, pendingText = 'Calculated at checkout') {
+    if (!rowEl) return;
+
+    if (!tax || (!tax.pending && tax.amount === 0 && tax.rate === 0)) {
+      rowEl.hidden = true;
+      return;
+    }
+
+    rowEl.hidden = false;
+    rowEl.classList.toggle('is-inclusive', Boolean(tax.inclusive));
+
+    if (labelEl) {
+      labelEl.textContent = typeof TaxModule !== 'undefined' ? TaxModule.getTaxLabel(tax) : tax.label;
+    }
+    if (amountEl) {
+      amountEl.textContent = tax.pending ? pendingText : formatMoney(display.tax, display.currency);
+    }
+  }
+
+  /**
+   * Render cart summary section
+   * @param {Object} summary - Cart summary data
+   */
+  function renderCartSummary(summary) {
+    const subtotalEl = document.getElementById('cart-subtotal');
+    const discountRow = document.getElementById('discount-row');
+    const discountEl = document.getElementById('cart-discount');
+    const totalEl = document.getElementById('cart-total');
+    const headerCount = document.getElementById('cart-header-count');
+    const display = getDisplayTotals(summary);
+
+    if (subtotalEl) subtotalEl.textContent = formatMoney(display.subtotal, display.currency);
+
+    if (discountRow && discountEl) {
+      if (summary.discount > 0) {
+        discountRow.hidden = false;
+        discountEl.textContent = `-${formatMoney(display.discount, display.currency)}`;
+      } else {
+        discountRow.hidden = true;
+      }
+    }
+
+    renderPromotionBreakdown(document.getElementById('cart-promo-breakdown'), summary.promotions);
+    renderPromotionNudge(document.getElementById('cart-promo-nudge'), summary.nudges);
+
+    renderShippingLine(summary.shipping, {
+      labelEl: document.getElementById('cart-shipping-label'),
+      costEl: document.getElementById('cart-shipping'),
+      estimateEl: document.getElementById('cart-shipping-estimate')
+    }, display);
+
+    renderTaxLine(summary.tax, {
+      rowEl: document.getElementById('cart-tax-row'),
+      labelEl: document.getElementById('cart-tax-label'),
+      amountEl: document.getElementById('cart-tax')
+    }, display);
+
+    if (totalEl) totalEl.textContent = formatMoney(display.total, display.currency);
+
+    if (headerCount) {
+      headerCount.textContent = summary.itemCount === 1 ? '1 item' : `${summary.itemCount} items`;
+    }
+  }
+
+  /**
+   * Render the per-promotion breakdown of discounted lines
+   * @param {HTMLElement} container - Breakdown list element
+   * @param {Array} promotions - Applied promotion results from the cart summary
+   */
+  function renderPromotionBreakdown(container, promotions) {
+    if (!container) return;
+
+    if (!promotions || promotions.length === 0) {
+      container.hidden = true;
+      container.innerHTML = '';
+      return;
+    }
+
+    container.hidden = false;
+    container.innerHTML = promotions.map(promotion => `
+      <li class="promo-breakdown-item">
+        <div class="promo-breakdown-header">
+          <span class="promo-breakdown-code">${promotion.automatic ? 'Offer' : promotion.code}</span>
+          <span class="promo-breakdown-description">${promotion.description}</span>
+        </div>
+        ${promotion.lines.length ? `
+          <ul class="promo-breakdown-lines">
+            ${promotion.lines.map(line => `
+              <li class="promo-breakdown-line">
+                <span>${line.name} &times; ${line.quantity}</span>
+                <span>-${formatCurrency(line.amount)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Initialize promo code functionality
+   */
+  function initPromoCode() {
+    const input = document.getElementById('promo-code');
+    const applyBtn = document.getElementById('apply-promo');
+
+    if (applyBtn) {
+      applyBtn.addEventListener('click', handleApplyPromo);
+    }
+
+    if (input) {
+      input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          handleApplyPromo();
+        }
+      });
+    }
+
+    // Applied codes are re-rendered, so listen on the list
+    const appliedList = document.getElementById('promo-applied');
+    if (appliedList) {
+      appliedList.addEventListener('click', function(e) {
+        const removeBtn = e.target.closest('.promo-remove-btn');
+        if (removeBtn) {
+          handleRemovePromo(removeBtn.getAttribute('data-code'));
+        }
+      });
+    }
+  }
+
+  /**
+   * Handle apply promo code
+   */
+  function handleApplyPromo() {
+    const input = document.getElementById('promo-code');
+    const messageEl = document.getElementById('promo-message');
+
+    if (!input || typeof CartModule === 'undefined') return;
+
+    const code = input.value.trim();
+    if (!code) {
+      showPromoMessage('Please enter a promo code', 'error');
+      return;
+    }
+
+    const result = CartModule.applyPromoCode(code);
+
+    if (result.success) {
+      updatePromoDisplay();
+      showPromoMessage(result.message, 'success');
+      renderCartSummary(CartModule.getCartSummary());
+      input.value = '';
+    } else {
+      showPromoMessage(result.message || 'Invalid promo code', 'error');
+    }
+  }
+
+  /**
+   * Handle remove promo code
+   * @param {string} code - Code to remove
+   */
+  function handleRemovePromo(code) {
+    if (typeof CartModule === 'undefined') return;
+
+    CartModule.removePromoCode(code);
+    updatePromoDisplay();
+    renderCartSummary(CartModule.getCartSummary());
+    showPromoMessage('', '');
+  }
+
+  /**
+   * Show promo code message
+   * @param {string} message - Message text
+   * @param {string} type - 'success' or 'error'
+   */
+  function showPromoMessage(message, type) {
+    const messageEl = document.getElementById('promo-message');
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = 'cart-promo-message';
+    if (type) {
+      messageEl.classList.add(type);
+    }
+  }
+
+  /**
+   * Update promo display based on applied promo codes
+   * Codes that are applied but not currently saving anything show why
+   */
+  function updatePromoDisplay() {
+    const appliedList = document.getElementById('promo-applied');
+
+    if (!appliedList || typeof CartModule === 'undefined') return;
+
+    const summary = CartModule.getCartSummary();
+
+    if (summary.promoCodes.length === 0) {
+      appliedList.hidden = true;
+      appliedList.innerHTML = '';
+      return;
+    }
+
+    appliedList.hidden = false;
+    appliedList.innerHTML = summary.promoCodes.map(code => {
+      const rejection = summary.rejectedPromos.find(item => item.code === code);
+      return `
+        <li class="cart-promo-applied${rejection ? ' is-inactive' : ''}">
+          <span class="promo-applied-text">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              ${rejection
+                ? '<circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line>'
+                : '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline>'}
+            </svg>
+            <span>
+              <span class="promo-applied-code">${code}</span> ${rejection ? 'not applied' : 'applied'}
+              ${rejection ? `<span class="promo-applied-reason">${rejection.message}</span>` : ''}
+            </span>
+          </span>
+          <button type="button" class="promo-remove-btn" data-code="${code}" aria-label="Remove promo code ${code}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Show the closest "add $X more to unlock" nudge
+   * @param {HTMLElement} nudgeEl - Nudge element
+   * @param {Array} nudges - Nudges from the cart summary (closest first)
+   */
+  function renderPromotionNudge(nudgeEl, nudges) {
+    if (!nudgeEl) return;
+
+    if (!nudges || nudges.length === 0) {
+      nudgeEl.hidden = true;
+      return;
+    }
+
+    nudgeEl.hidden = false;
+    nudgeEl.textContent = nudges[0].message;
+  }
+
+  // ============================================
+  // CHECKOUT PAGE INITIALIZATION
+  // ============================================
+
+  // Checkout page state
+  let checkoutState = {
+    cartItems: [],
+    summary: null,
+    // Transaction and form data waiting on a payment challenge
+    challenge: null,
+    // Key for this checkout attempt, so a resubmission cannot place a second order
+    idempotencyKey: null,
+    submitting: false
+  };
+
+  const checkoutRequiredFields = [
+    'email',
+    'firstName',
+    'lastName',
+    'address1',
+    'city',
+    'state',
+    'zipCode',
+    'country'
+  ];
+
+  const checkoutCardFields = [
+    'cardNumber',
+    'cardName',
+    'expiry',
+    'cvv'
+  ];
+
+  /**
+   * Initialize checkout page functionality
+   */
+  async function initCheckoutPage() {
+    const emptyState = document.getElementById('checkout-empty');
+    const layout = document.getElementById('checkout-layout');
+    const form = document.getElementById('checkout-form');
+
+    if (!form) return;
+
+    if (typeof CartModule === 'undefined') {
+      if (emptyState) emptyState.hidden = false;
+      if (layout) layout.hidden = true;
+      return;
+    }
+
+    // Load products so parcel weights are known for shipping rates
+    if (typeof ProductsModule !== 'undefined') {
+      await ProductsModule.loadProducts();
+    }
+
+    // Renew the cart's stock reservations before taking the order
+    notifyStockAdjustments(CartModule.refreshReservations());
+    updateCartBadge();
+
+    checkoutState.cartItems = CartModule.getCart();
+    checkoutState.summary = CartModule.getCartSummary();
+
+    if (!checkoutState.cartItems.length) {
+      if (emptyState) emptyState.hidden = false;
+      if (layout) layout.hidden = true;
+      return;
+    }
+
+    if (emptyState) emptyState.hidden = true;
+    if (layout) layout.hidden = false;
+
+    // Start from the destination chosen in the cart
+    const countrySelect = document.getElementById('country');
+    if (countrySelect && typeof ShippingModule !== 'undefined' && !countrySelect.value) {
+      countrySelect.value = ShippingModule.getDestination().country;
+    }
+    const stateInput = document.getElementById('state');
+    if (stateInput && typeof ShippingModule !== 'undefined' && !stateInput.value) {
+      stateInput.value = ShippingModule.getDestination().state || '';
+    }
+
+    renderCheckoutSummary(checkoutState.cartItems, checkoutState.summary);
+    renderShippingMethods();
+    renderPaymentMethods();
+    checkoutState.idempotencyKey = CheckoutModule.generateIdempotencyKey();
+    initCheckoutForm(form);
+    initPaymentChallenge();
+    updateCheckoutSubmitState(getCheckoutFormData());
+  }
+
+  /**
+   * Recalculate the checkout totals (after the destination or shipping method changes)
+   */
+  function refreshCheckoutSummary() {
+    checkoutState.cartItems = CartModule.getCart();
+    checkoutState.summary = CartModule.getCartSummary();
+    renderCheckoutSummary(checkoutState.cartItems, checkoutState.summary);
+    renderShippingMethods();
+  }
+
+  /**
+   * Render the shipping method choices for the current destination
+   */
+  function renderShippingMethods() {
+    const container = document.getElementById('shipping-methods');
+    if (!container || typeof ShippingModule === 'undefined') return;
+
+    const summary = checkoutState.summary;
+    const methods = ShippingModule.getShippingMethods(
+      checkoutState.cartItems,
+      ShippingModule.getDestination(),
+      { merchandiseTotal: summary.subtotal - summary.discount, freeShipping: summary.freeShipping }
+    );
+
+    container.innerHTML = methods.map(option => `
+      <label class="shipping-method${option.method === summary.shipping.method ? ' is-selected' : ''}">
+        <input type="radio" name="shippingMethod" value="${option.method}" ${option.method === summary.shipping.method ? 'checked' : ''}>
+        <span class="shipping-method-info">
+          <span class="shipping-method-label">${option.label}</span>
+          <span class="shipping-method-estimate">${option.estimate}</span>
+        </span>
+        <span class="shipping-method-cost">${option.free ? 'FREE' : formatCurrency(getShippingDisplayCost(option.cost, summary.tax))}</span>
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Get a shipping charge as shown to the shopper (VAT included for tax-inclusive destinations)
+   * @param {number} cost - Shipping cost before tax
+   * @param {Object} tax - Tax result from the cart summary
+   * @returns {number} Display cost
+   */
+  function getShippingDisplayCost(cost, tax) {
+    if (!tax || !tax.inclusive || typeof TaxModule === 'undefined') return cost;
+    return TaxModule.getDisplayPrice(cost);
+  }
+
+  /**
+   * Render the payment method choices
+   */
+  function renderPaymentMethods() {
+    const container = document.getElementById('payment-methods');
+    if (!container || typeof PaymentsModule === 'undefined') return;
+
+    const providers = PaymentsModule.getPaymentProviders();
+    const selected = document.querySelector('input[name="paymentMethod"]:checked')?.value || providers[0].id;
+
+    container.innerHTML = providers.map(provider => `
+      <label class="payment-method${provider.id === selected ? ' is-selected' : ''}">
+        <input type="radio" name="paymentMethod" value="${provider.id}" ${provider.id === selected ? 'checked' : ''}>
+        <span class="payment-method-info">
+          <span class="payment-method-label">${provider.label}</span>
+          <span class="payment-method-description">${provider.description}</span>
+        </span>
+      </label>
+    `).join('');
+
+    updateCardFieldsVisibility(selected);
+  }
+
+  /**
+   * Show the card fields only for methods that take a card
+   * @param {string} paymentMethod - Selected payment provider ID
+   */
+  function updateCardFieldsVisibility(paymentMethod) {
+    const cardFields = document.getElementById('card-fields');
+    if (!cardFields) return;
+
+    const requiresCard = CheckoutModule.paymentMethodRequiresCard(paymentMethod);
+    cardFields.hidden = !requiresCard;
+    cardFields.querySelectorAll('input').forEach(input => {
+      input.disabled = !requiresCard;
+    });
+  }
+
+  /**
+   * Switch payment method
+   * @param {Event} event - Change event
+   */
+  function handlePaymentMethodChange(event) {
+    const target = event.target;
+    if (!target || target.name !== 'paymentMethod') return;
+
+    document.querySelectorAll('.payment-method').forEach(option => {
+      option.classList.toggle('is-selected', option.contains(target));
+    });
+
+    const errorEl = document.getElementById('error-paymentMethod');
+    if (errorEl) errorEl.textContent = '';
+
+    updateCardFieldsVisibility(target.value);
+    updateCheckoutSubmitState(getCheckoutFormData());
+  }
+
+  /**
+   * Format card number and expiry as they are typed, and show the detected card brand
+   * @param {Event} event - Input event
+   */
+  function handleCardInput(event) {
+    const target = event.target;
+    if (!target) return;
+
+    if (target.name === 'cardNumber') {
+      target.value = CheckoutModule.formatCardNumber(target.value);
+
+      const badge = document.getElementById('card-brand');
+      const brand = typeof PaymentsModule !== 'undefined' ? PaymentsModule.detectCardBrand(target.value) : null;
+      if (badge) {
+        badge.textContent = brand ? brand.label : '';
+        badge.hidden = !brand;
+      }
+    } else if (target.name === 'expiry' && event.inputType !== 'deleteContentBackward') {
+      target.value = CheckoutModule.formatExpiry(target.value);
+    }
+  }
+
+  /**
+   * Show a failed order result against the form fields it relates to
+   * @param {Object} result - Result from CheckoutModule.createOrder { code, message, errors }
+   */
+  function showCheckoutErrors(result) {
+    let firstInput = null;
+
+    Object.keys(result.errors || {}).forEach(field => {
+      const input = document.getElementById(field);
+      if (input) {
+        updateCheckoutFieldUI(input, field, { valid: false, message: result.errors[field] });
+        if (!firstInput) firstInput = input;
+      } else {
+        const errorEl = document.getElementById(`error-${field}`);
+        if (errorEl) errorEl.textContent = result.errors[field];
+      }
+    });
+
+    if (firstInput) firstInput.focus();
+
+    const titles = {
+      payment_declined: 'Payment declined',
+      cart_empty: 'Cart Empty',
+      validation_failed: 'Check your details'
+    };
+    showToast({ title: titles[result.code] || 'Checkout failed', message: result.message, type: 'error' });
+  }
+
+  /**
+   * Ask the shopper to complete a payment challenge
+   * @param {Object} transaction - Transaction awaiting action
+   * @param {Object} formData - Checkout form data to resubmit once the challenge is passed
+   */
+  function openPaymentChallenge(transaction, formData) {
+    const modal = document.getElementById('payment-challenge-modal');
+    if (!modal) return;
+
+    checkoutState.challenge = { transactionId: transaction.id, formData };
+
+    const messageEl = document.getElementById('payment-challenge-message');
+    if (messageEl && transaction.challenge) messageEl.textContent = transaction.challenge.message;
+
+    const amountEl = document.getElementById('payment-challenge-amount');
+    if (amountEl) amountEl.textContent = formatMoney(transaction.amount, transaction.currency);
+
+    openModal(modal);
+  }
+
+  /**
+   * Initialize the payment challenge modal buttons
+   */
+  function initPaymentChallenge() {
+    const modal = document.getElementById('payment-challenge-modal');
+    if (!modal) return;
+
+    modal.querySelectorAll('[data-challenge-result]').forEach(button => {
+      button.addEventListener('click', () => {
+        const pending = checkoutState.challenge;
+        if (!pending) return;
+
+        checkoutState.challenge = null;
+        closeModal(modal);
+
+        const approved = button.getAttribute('data-challenge-result') === 'approve';
+        const result = PaymentsModule.completePaymentChallenge(pending.transactionId, approved);
+
+        // Once verified, placing the order again reuses the authorization under the same idempotency key
+        if (result.success) {
+          processCheckoutOrder(pending.formData);
+        } else {
+          showCheckoutErrors({
+            code: 'payment_declined',
+            message: result.error.message,
+            errors: { [result.error.field || 'general']: result.error.message }
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Initialize checkout form listeners
+   * @param {HTMLFormElement} form - Checkout form element
+   */
+  function initCheckoutForm(form) {
+    form.addEventListener('input', handleCheckoutFieldChange);
+    form.addEventListener('change', handleCheckoutFieldChange);
+    form.addEventListener('change', handleShippingChange);
+    form.addEventListener('change', handlePaymentMethodChange);
+    form.addEventListener('input', handleCardInput);
+    form.addEventListener('submit', handleCheckoutSubmit);
+  }
+
+  /**
+   * Re-price shipping when the destination country or shipping method changes
+   * @param {Event} event - Change event
+   */
+  function handleShippingChange(event) {
+    const target = event.target;
+    if (!target || typeof ShippingModule === 'undefined') return;
+
+    if (target.name === 'country' && target.value) {
+      ShippingModule.saveDestination({ ...ShippingModule.getDestination(), country: target.value });
+      CartModule.repriceCart();
+      refreshCheckoutSummary();
+    } else if (target.name === 'state') {
+      // The state sets the sales tax rate for US orders
+      ShippingModule.saveDestination({ ...ShippingModule.getDestination(), state: target.value.trim() });
+      refreshCheckoutSummary();
+    } else if (target.name === 'shippingMethod') {
+      ShippingModule.saveSelectedShippingMethod(target.value);
+      refreshCheckoutSummary();
+    }
+  }
+
+  /**
+   * Handle live field validation
+   * @param {Event} event - Input/change event
+   */
+  function handleCheckoutFieldChange(event) {
+    const target = event.target;
+    if (!target || !target.name) return;
+
+    const formData = getCheckoutFormData();
+    validateCheckoutField(target.name, formData, true);
+    updateCheckoutSubmitState(formData);
+  }
+
+  /**
+   * Handle checkout form submission
+   * @param {Event} event - Submit event
+   */
+  function handleCheckoutSubmit(event) {
+    event.preventDefault();
+
+    const formData = getCheckoutFormData();
+    const isValid = validateCheckoutFormData(formData, true);
+
+    if (!isValid) {
+      const firstInvalid = document.querySelector('.checkout-form .is-invalid');
+      if (firstInvalid) firstInvalid.focus();
+      return;
+    }
+
+    processCheckoutOrder(formData);
+  }
+
+  /**
+   * Get checkout form data
+   * @returns {Object} Form data object
+   */
+  function getCheckoutFormData() {
+    return {
+      email: document.getElementById('email')?.value || '',
+      phone: document.getElementById('phone')?.value || '',
+      firstName: document.getElementById('firstName')?.value || '',
+      lastName: document.getElementById('lastName')?.value || '',
+      address1: document.getElementById('address1')?.value || '',
+      address2: document.getElementById('address2')?.value || '',
+      city: document.getElementById('city')?.value || '',
+      state: document.getElementById('state')?.value || '',
+      zipCode: document.getElementById('zipCode')?.value || '',
+      country: document.getElementById('country')?.value || '',
+      deliveryNotes: document.getElementById('deliveryNotes')?.value || '',
+      paymentMethod: document.querySelector('input[name="paymentMethod"]:checked')?.value || '',
+      cardNumber: document.getElementById('cardNumber')?.value || '',
+      cardName: document.getElementById('cardName')?.value || '',
+      expiry: document.getElementById('expiry')?.value || '',
+      cvv: document.getElementById('cvv')?.value || ''
+    };
+  }
+
+  /**
+   * Validate the entire checkout form
+   * @param {Object} formData - Form data object
+   * @param {boolean} showErrors - Whether to display errors
+   * @returns {boolean} Whether the form is valid
+   */
+  function validateCheckoutFormData(formData, showErrors) {
+    let isValid = true;
+
+    checkoutRequiredFields.forEach(field => {
+      const fieldValid = validateCheckoutField(field, formData, showErrors);
+      if (!fieldValid) isValid = false;
+    });
+
+    // Optional phone field validation
+    const phoneValid = validateCheckoutField('phone', formData, showErrors);
+    if (!phoneValid) isValid = false;
+
+    // Card fields only apply to card payments
+    if (CheckoutModule.paymentMethodRequiresCard(formData.paymentMethod)) {
+      checkoutCardFields.forEach(field => {
+        const fieldValid = validateCheckoutField(field, formData, showErrors);
+        if (!fieldValid) isValid = false;
+      });
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Validate a single checkout field
+   * @param {string} fieldName - Field name
+   * @param {Object} formData - Form data
+   * @param {boolean} showErrors - Whether to show error messages
+   * @returns {boolean} Whether the field is valid
+   */
+  function validateCheckoutField(fieldName, formData, showErrors) {
+    const input = document.getElementById(fieldName);
+    if (!input || typeof CheckoutModule === 'undefined') return true;
+
+    let result = { valid: true, message: '' };
+
+    switch (fieldName) {
+      case 'email':
+        result = CheckoutModule.validateEmail(formData.email);
+        break;
+      case 'phone':
+        result = CheckoutModule.validatePhone(formData.phone, false);
+        break;
+      case 'firstName':
+        result = CheckoutModule.validateRequired(formData.firstName, 'First name');
+        break;
+      case 'lastName':
+        result = CheckoutModule.validateRequired(formData.lastName, 'Last name');
+        break;
+      case 'address1':
+        result = CheckoutModule.validateRequired(formData.address1, 'Address');
+        break;
+      case 'city':
+        result = CheckoutModule.validateRequired(formData.city, 'City');
+        break;
+      case 'state':
+        result = CheckoutModule.validateRequired(formData.state, 'State/Province');
+        break;
+      case 'zipCode':
+        result = CheckoutModule.validateZipCode(formData.zipCode, formData.country);
+        break;
+      case 'country':
+        result = CheckoutModule.validateRequired(formData.country, 'Country');
+        break;
+      case 'cardNumber':
+      case 'cardName':
+      case 'expiry':
+      case 'cvv': {
+        if (typeof PaymentsModule === 'undefined') break;
+        const cardErrors = PaymentsModule.validateCardDetails({
+          number: formData.cardNumber,
+          name: formData.cardName,
+          expiry: formData.expiry,
+          cvv: formData.cvv
+        }).errors;
+        result = { valid: !cardErrors[fieldName], message: cardErrors[fieldName] || '' };
+        break;
+      }
+      default:
+        result = { valid: true, message: '' };
+    }
+
+    if (showErrors) {
+      updateCheckoutFieldUI(input, fieldName, result);
+    }
+
+    return result.valid;
+  }
+
+  /**
+   * Update field UI with validation state
+   * @param {HTMLElement} input - Input element
+   * @param {string} fieldName - Field name
+   * @param {Object} result - Validation result
+   */
+  function updateCheckoutFieldUI(input, fieldName, result) {
+    const errorEl = document.getElementById(`error-${fieldName}`);
+
+    if (result.valid) {
+      input.classList.remove('is-invalid');
+      input.classList.add('is-valid');
+      if (errorEl) errorEl.textContent = '';
+    } else {
+      input.classList.remove('is-valid');
+      input.classList.add('is-invalid');
+      if (errorEl) errorEl.textContent = result.message || 'This field is required.';
+    }
+  }
+
+  /**
+   * Update submit button state
+   * @param {Object} formData - Form data
+   */
+  function updateCheckoutSubmitState(formData) {
+    const submitBtn = document.getElementById('place-order-btn');
+    if (!submitBtn) return;
+
+    const isValid = validateCheckoutFormData(formData, false);
+    submitBtn.disabled = !isValid;
+  }
+
+  /**
+   * Render checkout summary sidebar
+   * @param {Array} items - Cart items
+   * @param {Object} summary - Cart summary
+   */
+  function renderCheckoutSummary(items, summary) {
+    const itemsContainer = document.getElementById('checkout-items');
+    if (itemsContainer) {
+      itemsContainer.innerHTML = items.map(item => createCheckoutItemHTML(item)).join('');
+    }
+
+    const subtotalEl = document.getElementById('checkout-subtotal');
+    const totalEl = document.getElementById('checkout-total');
+    const discountRow = document.getElementById('checkout-discount-row');
+    const discountEl = document.getElementById('checkout-discount');
+    const display = getDisplayTotals(summary);
+
+    if (subtotalEl) subtotalEl.textContent = formatMoney(display.subtotal, display.currency);
+    if (totalEl) totalEl.textContent = formatMoney(display.total, display.currency);
+
+    if (discountRow && discountEl) {
+      if (summary.discount > 0) {
+        discountRow.hidden = false;
+        discountEl.textContent = `-${formatMoney(display.discount, display.currency)}`;
+      } else {
+        discountRow.hidden = true;
+      }
+    }
+
+    renderPromotionBreakdown(document.getElementById('checkout-promo-breakdown'), summary.promotions);
+    renderPromotionNudge(document.getElementById('checkout-promo-nudge'), summary.nudges);
+
+    renderShippingLine(summary.shipping, {
+      labelEl: document.getElementById('checkout-shipping-label'),
+      costEl: document.getElementById('checkout-shipping'),
+      estimateEl: null
+    }, display);
+
+    renderTaxLine(summary.tax, {
+      rowEl: document.getElementById('checkout-tax-row'),
+      labelEl: document.getElementById('checkout-tax-label'),
+      amountEl: document.getElementById('checkout-tax')
+    }, display, 'Enter your state');
+  }
+
+  /**
+   * Create checkout summary item HTML
+   * @param {Object} item - Cart item
+   * @returns {string} HTML string
+   */
+  function createCheckoutItemHTML(item) {
+    let imagePath = item.image;
+    if (!imagePath.startsWith('../') && !imagePath.startsWith('http')) {
+      imagePath = '../' + imagePath;
+    }
+
+    return `
+      <div class="checkout-item">
+        <div class="checkout-item-image">
+          <img src="${imagePath}" alt="${item.name}" loading="lazy">
+        </div>
+        <div class="checkout-item-details">
+          <div class="checkout-item-name">${item.name}</div>
+          <div class="checkout-item-meta">${item.color} / ${item.size}</div>
+          <div class="checkout-item-qty">Qty: ${item.quantity}</div>
+        </div>
+        <div class="checkout-item-price">${formatMoney(getItemDisplayPrice(item) * item.quantity)}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Place the order through the order service and redirect to confirmation
+   * @param {Object} formData - Form data
+   */
+  function processCheckoutOrder(formData) {
+    // Ignore repeat clicks while an order is being placed
+    if (checkoutState.submitting) return;
+
+    const submitBtn = document.getElementById('place-order-btn');
+    const originalText = submitBtn ? submitBtn.textContent : '';
+
+    checkoutState.submitting = true;
+    if (submitBtn) {
+      submitBtn.disabled = true;
+      submitBtn.innerHTML = '<span class="spinner spinner-sm"></span> Processing...';
+    }
+
+    try {
+      // Price shipping and tax for the address actually submitted
+      if (typeof ShippingModule !== 'undefined') {
+        ShippingModule.saveDestination({ country: formData.country.trim(), state: formData.state.trim() });
+        CartModule.repriceCart();
+        refreshCheckoutSummary();
+      }
+
+      const result = CheckoutModule.createOrder(formData, checkoutState.cartItems || [], checkoutState.summary, {
+        idempotencyKey: checkoutState.idempotencyKey
+      });
+
+      if (result.requiresAction) {
+        openPaymentChallenge(result.transaction, formData);
+        return;
+      }
+
+      if (!result.success) {
+        showCheckoutErrors(result);
+        return;
+      }
+
+      updateCartBadge();
+
+      const orderNumber = result.order.orderNumber;
+      window.location.href = `confirmation.html?order=${encodeURIComponent(orderNumber)}`;
+    } catch (error) {
+      console.error('Checkout error:', error);
+      showToast({ title: 'Checkout failed', message: 'Please try again.', type: 'error' });
+    } finally {
+      checkoutState.submitting = false;
+      if (submitBtn) {
+        submitBtn.textContent = originalText;
+        submitBtn.disabled = false;
+      }
+    }
+  }
+
+  // ============================================
+  // CONFIRMATION PAGE INITIALIZATION
+  // ============================================
+
+  /**
+   * Initialize confirmation page functionality
+   */
+  function initConfirmationPage() {
+    const loadingEl = document.getElementById('confirmation-loading');
+    const errorEl = document.getElementById('confirmation-error');
+    const contentEl = document.getElementById('confirmation-content');
+
+    if (!loadingEl || !errorEl || !contentEl) return;
+
+    // Get order number from URL
+    const urlParams = new URLSearchParams(window.location.search);
+    const orderNumber = urlParams.get('order');
+
+    if (!orderNumber) {
+      showConfirmationError(loadingEl, errorEl, contentEl);
+      return;
+    }
+
+    // Try to get order from localStorage
+    if (typeof CheckoutModule === 'undefined' || !CheckoutModule.getOrderByNumber) {
+      showConfirmationError(loadingEl, errorEl, contentEl);
+      return;
+    }
+
+    const order = CheckoutModule.getOrderByNumber(orderNumber);
+
+    if (!order) {
+      showConfirmationError(loadingEl, errorEl, contentEl);
+      return;
+    }
+
+    // Render order details
+    renderConfirmationPage(order, loadingEl, errorEl, contentEl);
+  }
+
+  /**
+   * Show confirmation error state
+   * @param {HTMLElement} loadingEl - Loading element
+   * @param {HTMLElement} errorEl - Error element
+   * @param {HTMLElement} contentEl - Content element
+   */
+  function showConfirmationError(loadingEl, errorEl, contentEl) {
+    loadingEl.hidden = true;
+    errorEl.hidden = false;
+    contentEl.hidden = true;
+  }
+
+  /**
+   * Render confirmation page with order data
+   * @param {Object} order - Order object
+   * @param {HTMLElement} loadingEl - Loading element
+   * @param {HTMLElement} errorEl - Error element
+   * @param {HTMLElement} contentEl - Content element
+   */
+  function renderConfirmationPage(order, loadingEl, errorEl, contentEl) {
+    // Hide loading, show content
+    loadingEl.hidden = true;
+    errorEl.hidden = true;
+    contentEl.hidden = false;
+
+    // Populate order number
+    const orderNumberEl = document.getElementById('order-number');
+    if (orderNumberEl) {
+      orderNumberEl.textContent = order.orderNumber;
+    }
+
+    // Populate email
+    const orderEmailEl = document.getElementById('order-email');
+    if (orderEmailEl && order.contact) {
+      orderEmailEl.textContent = order.contact.email;
+    }
+
+    // Populate status timeline
+    const timelineEl = document.getElementById('order-timeline');
+    if (timelineEl && typeof CheckoutModule !== 'undefined') {
+      timelineEl.innerHTML = createOrderTimelineHTML(order);
+    }
+
+    // Populate shipping address
+    const shippingAddressEl = document.getElementById('shipping-address');
+    if (shippingAddressEl && order.shipping) {
+      shippingAddressEl.innerHTML = createAddressHTML(order.shipping);
+    }
+
+    // Populate payment method
+    const paymentMethodEl = document.getElementById('payment-method');
+    if (paymentMethodEl && order.payment) {
+      paymentMethodEl.innerHTML = createPaymentMethodHTML(order.payment);
+    }
+
+    // Populate order items
+    const orderItemsEl = document.getElementById('order-items');
+    if (orderItemsEl && order.items) {
+      orderItemsEl.innerHTML = order.items.map(item => createConfirmationItemHTML(item)).join('');
+    }
+
+    // Populate totals
+    renderOrderTotals(order, {
+      subtotalEl: document.getElementById('order-subtotal'),
+      totalEl: document.getElementById('order-total'),
+      discountRow: document.getElementById('discount-row'),
+      discountEl: document.getElementById('order-discount'),
+      promoCodeEl: document.getElementById('order-promo-code'),
+      shippingLabelEl: document.getElementById('order-shipping-label'),
+      shippingEl: document.getElementById('order-shipping'),
+      shippingEstimateEl: document.getElementById('order-shipping-estimate'),
+      taxRowEl: document.getElementById('order-tax-row'),
+      taxLabelEl: document.getElementById('order-tax-label'),
+      taxEl: document.getElementById('order-tax')
+    });
+  }
+
+  /**
+   * Render the totals of a placed order
+   * @param {Object} order - Order
+   * @param {Object} els - Totals elements (any may be null)
+   */
+  function renderOrderTotals(order, els) {
+    if (!order.totals) return;
+
+    const display = getDisplayTotals(order.totals);
+
+    if (els.subtotalEl) els.subtotalEl.textContent = formatMoney(display.subtotal, display.currency);
+    if (els.totalEl) els.totalEl.textContent = formatMoney(display.total, display.currency);
+
+    renderShippingLine(order.totals.shipping, {
+      labelEl: els.shippingLabelEl,
+      costEl: els.shippingEl,
+      estimateEl: els.shippingEstimateEl
+    }, display);
+
+    renderTaxLine(order.totals.tax, {
+      rowEl: els.taxRowEl,
+      labelEl: els.taxLabelEl,
+      amountEl: els.taxEl
+    }, display);
+
+    if (els.discountRow) {
+      els.discountRow.hidden = !(order.totals.discount > 0);
+    }
+    if (order.totals.discount > 0) {
+      if (els.discountEl) els.discountEl.textContent = `-${formatMoney(display.discount, display.currency)}`;
+      if (els.promoCodeEl) {
+        const promotions = order.totals.promotions || [];
+        els.promoCodeEl.textContent = promotions.length
+          ? promotions.map(promotion => promotion.automatic ? promotion.description : promotion.code).join(', ')
+          : order.totals.promoCode || 'PROMO';
+      }
+    }
+  }
+
+  /**
+   * Create shipping address HTML
+   * @param {Object} shipping - Order shipping details
+   * @returns {string} HTML string
+   */
+  function createAddressHTML(shipping) {
+    return `
+      <div class="confirmation-address-name">${shipping.firstName} ${shipping.lastName}</div>
+      <div>${shipping.address1}</div>
+      ${shipping.address2 ? `<div>${shipping.address2}</div>` : ''}
+      <div>${shipping.city}, ${shipping.state} ${shipping.zipCode}</div>
+      <div>${getCountryName(shipping.country)}</div>
+    `;
+  }
+
+  /**
+   * Create payment method HTML
+   * @param {Object} payment - Order payment summary
+   * @returns {string} HTML string
+   */
+  function createPaymentMethodHTML(payment) {
+    const icon = `
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="1" y="4" width="22" height="16" rx="2" ry="2"></rect>
+        <line x1="1" y1="10" x2="23" y2="10"></line>
+      </svg>
+    `;
+
+    if (payment.provider === 'invoice') {
+      return `
+        <div class="confirmation-payment-method">
+          ${icon}
+          Invoice on Delivery
+        </div>
+        <div class="confirmation-payment-card">${payment.status === 'captured' ? 'Paid on delivery' : 'Payment due upon receipt'}</div>
+      `;
+    }
+
+    return `
+      <div class="confirmation-payment-method">
+        ${icon}
+        ${payment.brand || 'Credit Card'}
+      </div>
+      <div class="confirmation-payment-card">**** **** **** ${payment.cardLast4}</div>
+    `;
+  }
+
+  /**
+   * Create order status timeline HTML
+   * @param {Object} order - Order
+   * @returns {string} HTML string of timeline steps
+   */
+  function createOrderTimelineHTML(order) {
+    return CheckoutModule.getOrderTimeline(order).map(step => {
+      const date = step.at ? new Date(step.at) : null;
+      const formattedDate = date ? date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+      }) : '';
+
+      return `
+        <li class="order-timeline-step is-${step.state}"${step.state === 'current' ? ' aria-current="step"' : ''}>
+          <span class="order-timeline-marker" aria-hidden="true"></span>
+          <div class="order-timeline-content">
+            <span class="order-timeline-label">${step.label}</span>
+            ${date ? `<time class="order-timeline-date" datetime="${step.at}">${formattedDate}</time>` : ''}
+            ${step.note ? `<span class="order-timeline-note">${escapeHTML(step.note)}</span>` : ''}
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Create confirmation item HTML
+   * @param {Object} item - Order item
+   * @returns {string} HTML string
+   */
+  function createConfirmationItemHTML(item) {
+    // Lines remember the price and currency the shopper was charged in; older orders were in USD
+    const currency = item.currency || 'USD';
+    const unitPrice = typeof item.currencyPrice === 'number' ? item.currencyPrice : item.price;
+
+    let imagePath = item.image || '';
+    if (imagePath && !imagePath.startsWith('../') && !imagePath.startsWith('http')) {
+      imagePath = '../' + imagePath;
+    }
+
+    return `
+      <div class="confirmation-item">
+        <div class="confirmation-item-image">
+          <img src="${imagePath}" alt="${item.name}" loading="lazy">
+        </div>
+        <div class="confirmation-item-details">
+          <div class="confirmation-item-name">${item.name}</div>
+          <div class="confirmation-item-meta">${item.color} / ${item.size}</div>
+          <div class="confirmation-item-qty">Qty: ${item.quantity}</div>
+        </div>
+        <div class="confirmation-item-price">${formatMoney(unitPrice * item.quantity, currency)}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get country name from country code
+   * @param {string} code - Country code
+   * @returns {string} Country name
+   */
+  function getCountryName(code) {
+    const countries = {
+      'US': 'United States',
+      'CA': 'Canada',
+      'UK': 'United Kingdom',
+      'AU': 'Australia',
+      'DE': 'Germany',
+      'FR': 'France',
+      'NL': 'Netherlands',
+      'OTHER': 'International'
+    };
+    return countries[code] || code || 'United States';
+  }
+
+  // ============================================
+  // ORDERS PAGE INITIALIZATION
+  // ============================================
+
+  const ordersState = {
+    orders: []
+  };
+
+  /**
+   * Initialize the My Orders page
+   */
+  function initOrdersPage() {
+    const overview = document.getElementById('orders-overview');
+    if (!overview || typeof CheckoutModule === 'undefined') return;
+
+    ordersState.orders = CheckoutModule.getOrderHistory();
+
+    const statusSelect = document.getElementById('orders-status');
+    if (statusSelect) {
+      statusSelect.innerHTML += Object.keys(CheckoutModule.ORDER_STATUSES)
+        .map(status => `<option value="${status}">${CheckoutModule.getOrderStatusLabel(status)}</option>`)
+        .join('');
+      statusSelect.addEventListener('change', renderOrdersList);
+    }
+
+    const dateSelect = document.getElementById('orders-date');
+    if (dateSelect) dateSelect.addEventListener('change', renderOrdersList);
+
+    const searchInput = document.getElementById('orders-search');
+    if (searchInput) searchInput.addEventListener('input', debounce(renderOrdersList, 200));
+
+    const list = document.getElementById('orders-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const reorderBtn = e.target.closest('[data-reorder]');
+        if (reorderBtn) {
+          handleReorder(reorderBtn.getAttribute('data-reorder'), reorderBtn);
+          return;
+        }
+
+        const button = e.target.closest('[data-order-number]');
+        if (!button) return;
+
+        const order = CheckoutModule.getOrderByNumber(button.getAttribute('data-order-number'));
+        if (order) showOrderDetail(order);
+      });
+    }
+
+    const backBtn = document.getElementById('order-detail-back');
+    if (backBtn) backBtn.addEventListener('click', () => showOrdersOverview());
+
+    const detailReorderBtn = document.getElementById('detail-reorder');
+    if (detailReorderBtn) {
+      detailReorderBtn.addEventListener('click', () => {
+        handleReorder(detailReorderBtn.getAttribute('data-order'), detailReorderBtn);
+      });
+    }
+
+    const reportEl = document.getElementById('reorder-report');
+    if (reportEl) {
+      reportEl.addEventListener('click', (e) => {
+        if (e.target.closest('.reorder-report-close')) reportEl.hidden = true;
+      });
+    }
+
+    const lookupForm = document.getElementById('order-lookup-form');
+    if (lookupForm) lookupForm.addEventListener('submit', handleOrderLookup);
+
+    // Keep the view in step with the browser's back and forward buttons
+    window.addEventListener('popstate', showOrderFromURL);
+
+    renderOrdersList();
+    showOrderFromURL();
+  }
+
+  /**
+   * Show the order named in the URL (?order=), or the order list
+   */
+  function showOrderFromURL() {
+    const orderNumber = getQueryParam('order');
+    const order = orderNumber ? CheckoutModule.getOrderByNumber(orderNumber) : null;
+
+    if (order) {
+      showOrderDetail(order, false);
+    } else {
+      showOrdersOverview(false);
+    }
+  }
+
+  /**
+   * Render the order list with the current search and filters
+   */
+  function renderOrdersList() {
+    const list = document.getElementById('orders-list');
+    const countEl = document.getElementById('orders-count');
+    const emptyEl = document.getElementById('orders-empty');
+    const emptyText = document.getElementById('orders-empty-text');
+    const emptyShop = document.getElementById('orders-empty-shop');
+    if (!list) return;
+
+    const orders = CheckoutModule.filterOrders(ordersState.orders, {
+      query: document.getElementById('orders-search')?.value || '',
+      status: document.getElementById('orders-status')?.value || 'all',
+      days: parseInt(document.getElementById('orders-date')?.value, 10) || 0
+    });
+
+    list.innerHTML = orders.map(order => createOrderCardHTML(order)).join('');
+
+    if (countEl) {
+      countEl.textContent = ordersState.orders.length
+        ? `Showing ${orders.length} of ${ordersState.orders.length} order${ordersState.orders.length !== 1 ? 's' : ''}`
+        : '';
+    }
+
+    if (emptyEl) {
+      emptyEl.hidden = orders.length > 0;
+      if (emptyText) {
+        emptyText.textContent = ordersState.orders.length
+          ? 'No orders match your search.'
+          : "You haven't placed any orders on this device yet.";
+      }
+      if (emptyShop) emptyShop.hidden = ordersState.orders.length > 0;
+    }
+  }
+
+  /**
+   * Create order list card HTML
+   * @param {Object} order - Order
+   * @returns {string} HTML string
+   */
+  function createOrderCardHTML(order) {
+    const items = order.items || [];
+    const itemCount = items.reduce((count, item) => count + item.quantity, 0);
+    const display = getDisplayTotals(order.totals || {});
+    const date = new Date(order.orderDate).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+
+    return `
+      <article class="order-card">
+        <div class="order-card-info">
+          <span class="order-card-number">${order.orderNumber}</span>
+          <span class="order-card-meta">Placed ${date} &middot; ${itemCount} item${itemCount !== 1 ? 's' : ''}</span>
+          <span class="order-card-items">${items.map(item => item.name).join(', ')}</span>
+        </div>
+        <span class="order-status-badge is-${order.status}">${CheckoutModule.getOrderStatusLabel(order.status)}</span>
+        <span class="order-card-total">${formatMoney(display.total, display.currency)}</span>
+        <button type="button" class="btn btn-ghost btn-sm" data-reorder="${order.orderNumber}">Reorder</button>
+        <button type="button" class="btn btn-secondary btn-sm" data-order-number="${order.orderNumber}">View Details</button>
+      </article>
+    `;
+  }
+
+  /**
+   * Show an order's details
+   * @param {Object} order - Order
+   * @param {boolean} [pushState=true] - Whether to add the order to the URL history
+   */
+  function showOrderDetail(order, pushState = true) {
+    const overview = document.getElementById('orders-overview');
+    const detail = document.getElementById('order-detail');
+    if (!overview || !detail) return;
+
+    const numberEl = document.getElementById('detail-order-number');
+    if (numberEl) numberEl.textContent = order.orderNumber;
+
+    const dateEl = document.getElementById('detail-order-date');
+    if (dateEl) {
+      dateEl.textContent = new Date(order.orderDate).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+    }
+
+    const reorderBtn = document.getElementById('detail-reorder');
+    if (reorderBtn) reorderBtn.setAttribute('data-order', order.orderNumber);
+
+    const returnLink = document.getElementById('detail-return');
+    if (returnLink) {
+      returnLink.hidden = typeof ReturnsModule === 'undefined' || !ReturnsModule.checkReturnEligibility(order).eligible;
+      returnLink.href = `returns.html?order=${encodeURIComponent(order.orderNumber)}#rma-flow`;
+    }
+
+    const statusEl = document.getElementById('detail-order-status');
+    if (statusEl) {
+      statusEl.className = `order-status-badge is-${order.status}`;
+      statusEl.textContent = CheckoutModule.getOrderStatusLabel(order.status);
+    }
+
+    const timelineEl = document.getElementById('detail-timeline');
+    if (timelineEl) timelineEl.innerHTML = createOrderTimelineHTML(order);
+
+    const addressEl = document.getElementById('detail-shipping-address');
+    if (addressEl && order.shipping) addressEl.innerHTML = createAddressHTML(order.shipping);
+
+    const paymentEl = document.getElementById('detail-payment-method');
+    if (paymentEl && order.payment) paymentEl.innerHTML = createPaymentMethodHTML(order.payment);
+
+    const itemsEl = document.getElementById('detail-items');
+    if (itemsEl) itemsEl.innerHTML = (order.items || []).map(item => createConfirmationItemHTML(item)).join('');
+
+    renderOrderTotals(order, {
+      subtotalEl: document.getElementById('detail-subtotal'),
+      totalEl: document.getElementById('detail-total'),
+      discountRow: document.getElementById('detail-discount-row'),
+      discountEl: document.getElementById('detail-discount'),
+      promoCodeEl: null,
+      shippingLabelEl: document.getElementById('detail-shipping-label'),
+      shippingEl: document.getElementById('detail-shipping'),
+      shippingEstimateEl: null,
+      taxRowEl: document.getElementById('detail-tax-row'),
+      taxLabelEl: document.getElementById('detail-tax-label'),
+      taxEl: document.getElementById('detail-tax')
+    });
+
+    overview.hidden = true;
+    detail.hidden = false;
+
+    if (pushState) {
+      setQueryParam('order', order.orderNumber);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  }
+
+  /**
+   * Return from an order's details to the order list
+   * @param {boolean} [pushState=true] - Whether to remove the order from the URL history
+   */
+  function showOrdersOverview(pushState = true) {
+    const overview = document.getElementById('orders-overview');
+    const detail = document.getElementById('order-detail');
+    if (!overview || !detail) return;
+
+    detail.hidden = true;
+    overview.hidden = false;
+
+    if (pushState) setQueryParam('order', null);
+  }
+
+  /**
+   * Add a past order's lines back to the cart and report what changed
+   * @param {string} orderNumber - Order number
+   * @param {HTMLButtonElement} button - Button that was clicked
+   */
+  async function handleReorder(orderNumber, button) {
+    const order = CheckoutModule.getOrderByNumber(orderNumber);
+    if (!order || typeof CartModule === 'undefined') return;
+
+    button.disabled = true;
+    const originalText = button.textContent;
+    button.innerHTML = '<span class="spinner spinner-sm"></span> Adding...';
+
+    try {
+      const report = await CartModule.reorderItems(order);
+
+      updateCartBadge();
+      document.dispatchEvent(new CustomEvent('cartUpdated'));
+      renderReorderReport(report);
+    } catch (error) {
+      console.error('Error reordering:', error);
+      showToast({ title: 'Reorder failed', message: 'Please try again.', type: 'error' });
+    } finally {
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+
+  /**
+   * Show which lines of a reorder were added, changed price or could not be added
+   * @param {Object} report - Report from CartModule.reorderItems()
+   */
+  function renderReorderReport(report) {
+    const reportEl = document.getElementById('reorder-report');
+    if (!reportEl) return;
+
+    const describe = line => `${escapeHTML(line.name)} (${escapeHTML(line.color)} / ${escapeHTML(line.size)})`;
+    const addedCount = report.added.reduce((count, line) => count + line.quantity, 0);
+    const issues = [
+      ...report.priceChanged.map(line =>
+        `<li>${describe(line)}: price changed from ${formatProductPrice(line.previousPrice, line.taxClass)} to ${formatProductPrice(line.price, line.taxClass)}</li>`),
+      ...report.limited.map(line =>
+        `<li>${describe(line)}: only ${line.quantity} of ${line.requested} available</li>`),
+      ...report.outOfStock.map(line => `<li>${describe(line)}: out of stock</li>`),
+      ...report.discontinued.map(line => `<li>${describe(line)}: no longer available</li>`)
+    ];
+
+    reportEl.innerHTML = `
+      <div class="reorder-report-header">
+        <span class="reorder-report-title">
+          ${addedCount > 0
+            ? `${addedCount} item${addedCount !== 1 ? 's' : ''} added to your cart`
+            : 'None of these items could be added to your cart'}
+        </span>
+        ${addedCount > 0 ? '<a href="cart.html" class="btn btn-primary btn-sm">View Cart</a>' : ''}
+        <button type="button" class="reorder-report-close" aria-label="Dismiss">&times;</button>
+      </div>
+      ${issues.length ? `<ul class="reorder-report-list">${issues.join('')}</ul>` : ''}
+    `;
+    reportEl.classList.toggle('has-issues', issues.length > 0);
+    reportEl.hidden = false;
+    reportEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  /**
+   * Handle the guest order lookup form
+   * @param {Event} event - Submit event
+   */
+  function handleOrderLookup(event) {
+    event.preventDefault();
+
+    const numberInput = document.getElementById('lookup-order-number');
+    const emailInput = document.getElementById('lookup-email');
+    const errorEl = document.getElementById('order-lookup-error');
+
+    const numberResult = CheckoutModule.validateRequired(numberInput.value, 'Order number');
+    const emailResult = CheckoutModule.validateEmail(emailInput.value);
+
+    updateCheckoutFieldUI(numberInput, 'lookup-order-number', numberResult);
+    updateCheckoutFieldUI(emailInput, 'lookup-email', emailResult);
+    if (errorEl) errorEl.textContent = '';
+
+    if (!numberResult.valid || !emailResult.valid) return;
+
+    const result = CheckoutModule.lookupOrder(numberInput.value, emailInput.value);
+    if (!result.success) {
+      if (errorEl) errorEl.textContent = result.message;
+      return;
+    }
+
+    event.target.reset();
+    [numberInput, emailInput].forEach(input => input.classList.remove('is-valid'));
+    showOrderDetail(result.order);
+  }
+
+  // ============================================
+  // RETURNS PAGE INITIALIZATION
+  // ============================================
+
+  const returnsState = {
+    order: null,
+    exchangeOptions: {}
+  };
+
+  /**
+   * Initialize the returns flow on the Return Policy page
+   */
+  function initReturnsPage() {
+    const lookupForm = document.getElementById('rma-lookup-form');
+    if (!lookupForm || typeof ReturnsModule === 'undefined' || typeof CheckoutModule === 'undefined') return;
+
+    lookupForm.addEventListener('submit', handleReturnLookup);
+
+    // Arriving from an order's details pre-fills its number
+    const orderNumber = getQueryParam('order');
+    const numberInput = document.getElementById('rma-order-number');
+    if (orderNumber && numberInput) numberInput.value = orderNumber;
+
+    const requestForm = document.getElementById('rma-request-form');
+    if (requestForm) {
+      requestForm.addEventListener('submit', handleReturnSubmit);
+      requestForm.addEventListener('change', (e) => {
+        const lineEl = e.target.closest('.rma-line');
+        if (lineEl) updateReturnLine(lineEl);
+        updateReturnRefundEstimate();
+      });
+    }
+
+    const changeOrderBtn = document.getElementById('rma-change-order');
+    if (changeOrderBtn) changeOrderBtn.addEventListener('click', resetReturnFlow);
+
+    const startOverBtn = document.getElementById('rma-start-over');
+    if (startOverBtn) startOverBtn.addEventListener('click', resetReturnFlow);
+
+    const printBtn = document.getElementById('rma-print-label');
+    if (printBtn) printBtn.addEventListener('click', printReturnLabel);
+
+    window.addEventListener('afterprint', () => document.body.classList.remove('is-printing-label'));
+  }
+
+  /**
+   * Handle the return lookup form: find the order and show its returnable lines
+   * @param {Event} event - Submit event
+   */
+  async function handleReturnLookup(event) {
+    event.preventDefault();
+
+    const numberInput = document.getElementById('rma-order-number');
+    const emailInput = document.getElementById('rma-email');
+    const errorEl = document.getElementById('rma-lookup-error');
+
+    const numberResult = CheckoutModule.validateRequired(numberInput.value, 'Order number');
+    const emailResult = CheckoutModule.validateEmail(emailInput.value);
+
+    updateCheckoutFieldUI(numberInput, 'rma-order-number', numberResult);
+    updateCheckoutFieldUI(emailInput, 'rma-email', emailResult);
+    if (errorEl) errorEl.textContent = '';
+
+    if (!numberResult.valid || !emailResult.valid) return;
+
+    const result = CheckoutModule.lookupOrder(numberInput.value, emailInput.value);
+    if (!result.success) {
+      if (errorEl) errorEl.textContent = result.message;
+      return;
+    }
+
+    const eligibility = ReturnsModule.checkReturnEligibility(result.order);
+    if (!eligibility.eligible) {
+      if (errorEl) errorEl.textContent = eligibility.message;
+      return;
+    }
+
+    await showReturnRequestForm(result.order, eligibility.deadline);
+  }
+
+  /**
+   * Show the lines of an order that can be returned
+   * @param {Object} order - Order
+   * @param {Date} deadline - Last day of the return window
+   */
+  async function showReturnRequestForm(order, deadline) {
+    const lookupForm = document.getElementById('rma-lookup-form');
+    const requestForm = document.getElementById('rma-request-form');
+    const linesEl = document.getElementById('rma-lines');
+    if (!requestForm || !linesEl) return;
+
+    returnsState.order = order;
+    returnsState.exchangeOptions = {};
+
+    const items = order.items || [];
+    for (let index = 0; index < items.length; index++) {
+      returnsState.exchangeOptions[index] = await ReturnsModule.getExchangeOptions(items[index]);
+    }
+
+    linesEl.innerHTML = items
+      .map((item, index) => createReturnLineHTML(item, index, ReturnsModule.getReturnableQuantity(order, index)))
+      .join('');
+
+    const labelEl = document.getElementById('rma-order-label');
+    if (labelEl) labelEl.textContent = order.orderNumber;
+
+    const windowEl = document.getElementById('rma-window');
+    if (windowEl) {
+      windowEl.textContent = `Returnable until ${deadline.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
+    }
+
+    const notesInput = document.getElementById('rma-notes');
+    if (notesInput) notesInput.value = '';
+
+    const linesError = document.getElementById('error-rma-lines');
+    if (linesError) linesError.textContent = '';
+
+    updateReturnRefundEstimate();
+
+    lookupForm.hidden = true;
+    requestForm.hidden = false;
+    requestForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Create the HTML for one order line in the return form
+   * @param {Object} item - Order line
+   * @param {number} index - Index into order.items
+   * @param {number} returnable - Units that can still be returned
+   * @returns {string} HTML string
+   */
+  function createReturnLineHTML(item, index, returnable) {
+    const options = returnsState.exchangeOptions[index] || [];
+    const disabled = returnable === 0;
+
+    const quantityOptions = Array.from({ length: returnable }, (_, i) => i + 1)
+      .map(quantity => `<option value="${quantity}">${quantity}</option>`)
+      .join('');
+
+    const reasonOptions = Object.keys(ReturnsModule.RETURN_REASONS)
+      .map(reason => `<option value="${reason}">${ReturnsModule.RETURN_REASONS[reason].label}</option>`)
+      .join('');
+
+    const exchangeOptions = options
+      .map(option => `<option value="${escapeHTML(option.size)}|${escapeHTML(option.color)}">${escapeHTML(option.color)} / ${escapeHTML(option.size)}</option>`)
+      .join('');
+
+    return `
+      <fieldset class="rma-line${disabled ? ' is-disabled' : ''}" data-line="${index}" ${disabled ? 'disabled' : ''}>
+        <label class="rma-line-select">
+          <input type="checkbox" name="line" value="${index}">
+          <span class="rma-line-name">${escapeHTML(item.name)}</span>
+          <span class="rma-line-meta">${escapeHTML(item.color)} / ${escapeHTML(item.size)} &middot; Qty ${item.quantity}${disabled ? ' &middot; already returned' : ''}</span>
+        </label>
+        <div class="rma-line-fields" hidden>
+          <div class="form-group">
+            <label for="rma-quantity-${index}" class="form-label">Quantity</label>
+            <select id="rma-quantity-${index}" name="quantity" class="form-select">${quantityOptions}</select>
+          </div>
+          <div class="form-group">
+            <label for="rma-reason-${index}" class="form-label">Reason</label>
+            <select id="rma-reason-${index}" name="reason" class="form-select">
+              <option value="">Choose a reason</option>
+              ${reasonOptions}
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="rma-resolution-${index}" class="form-label">I'd like</label>
+            <select id="rma-resolution-${index}" name="resolution" class="form-select">
+              <option value="refund">A refund</option>
+              ${options.length ? '<option value="exchange">An exchange</option>' : ''}
+            </select>
+          </div>
+          <div class="form-group rma-exchange-field" hidden>
+            <label for="rma-exchange-${index}" class="form-label">Exchange for</label>
+            <select id="rma-exchange-${index}" name="exchange" class="form-select">${exchangeOptions}</select>
+          </div>
+        </div>
+        <span class="form-error" id="error-rma-line-${index}"></span>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Show or hide a return line's fields to match its checkbox and resolution
+   * @param {HTMLElement} lineEl - Line fieldset
+   */
+  function updateReturnLine(lineEl) {
+    const selected = lineEl.querySelector('input[name="line"]').checked;
+    const fields = lineEl.querySelector('.rma-line-fields');
+    const exchangeField = lineEl.querySelector('.rma-exchange-field');
+
+    lineEl.classList.toggle('is-selected', selected);
+    fields.hidden = !selected;
+    exchangeField.hidden = lineEl.querySelector('[name="resolution"]').value !== 'exchange';
+  }
+
+  /**
+   * Read the return request from the form
+   * @returns {Object} Request for ReturnsModule.createReturn()
+   */
+  function getReturnRequestFromForm() {
+    const lines = Array.from(document.querySelectorAll('#rma-lines .rma-line.is-selected')).map(lineEl => {
+      const [size, color] = (lineEl.querySelector('[name="exchange"]').value || '|').split('|');
+      const resolution = lineEl.querySelector('[name="resolution"]').value;
+
+      return {
+        line: parseInt(lineEl.getAttribute('data-line'), 10),
+        quantity: parseInt(lineEl.querySelector('[name="quantity"]').value, 10),
+        reason: lineEl.querySelector('[name="reason"]').value,
+        resolution,
+        exchange: resolution === 'exchange' ? { size, color } : null
+      };
+    });
+
+    return {
+      lines,
+      notes: document.getElementById('rma-notes')?.value || ''
+    };
+  }
+
+  /**
+   * Format a USD amount in the currency and at the rate an order was placed in
+   * @param {number} amount - Amount in USD
+   * @param {Object} order - Order
+   * @returns {string} Formatted amount
+   */
+  function formatOrderAmount(amount, order) {
+    const currency = order.currency || { display: 'USD', rate: 1 };
+    if (typeof CurrencyModule !== 'undefined') {
+      return formatMoney(CurrencyModule.convertAmount(amount, currency.display, currency.rate), currency.display);
+    }
+    return formatMoney(amount, 'USD');
+  }
+
+  /**
+   * Show the refund the selected lines would receive
+   */
+  function updateReturnRefundEstimate() {
+    const estimateEl = document.getElementById('rma-refund-estimate');
+    const order = returnsState.order;
+    if (!estimateEl || !order) return;
+
+    const refund = getReturnRequestFromForm().lines
+      .filter(line => line.resolution === 'refund')
+      .reduce((sum, line) => sum + ReturnsModule.calculateLineRefund(order, line.line, line.quantity), 0);
+
+    estimateEl.textContent = refund > 0 ? `Estimated refund: ${formatOrderAmount(refund, order)}` : '';
+  }
+
+  /**
+   * Handle the return request form
+   * @param {Event} event - Submit event
+   */
+  async function handleReturnSubmit(event) {
+    event.preventDefault();
+
+    const order = returnsState.order;
+    const submitBtn = document.getElementById('rma-submit');
+    if (!order || !submitBtn || submitBtn.disabled) return;
+
+    document.querySelectorAll('#rma-request-form .form-error').forEach(el => {
+      el.textContent = '';
+    });
+
+    submitBtn.disabled = true;
+    const originalText = submitBtn.textContent;
+    submitBtn.innerHTML = '<span class="spinner spinner-sm"></span> Submitting...';
+
+    try {
+      const result = await ReturnsModule.createReturn(order.orderNumber, getReturnRequestFromForm());
+
+      if (!result.success) {
+        Object.keys(result.errors || {}).forEach(key => {
+          const errorEl = document.getElementById(key === 'lines' ? 'error-rma-lines' : `error-rma-${key}`);
+          if (errorEl) errorEl.textContent = result.errors[key];
+        });
+        showToast({ title: 'Return not submitted', message: result.message, type: 'error' });
+        return;
+      }
+
+      showReturnResult(result.rma, order);
+    } catch (error) {
+      console.error('Error creating return:', error);
+      showToast({ title: 'Return not submitted', message: 'Please try again.', type: 'error' });
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+    }
+  }
+
+  /**
+   * Show the RMA number, what is coming back and the return label
+   * @param {Object} rma - Return from ReturnsModule.createReturn()
+   * @param {Object} order - Order being returned
+   */
+  function showReturnResult(rma, order) {
+    const requestForm = document.getElementById('rma-request-form');
+    const resultEl = document.getElementById('rma-result');
+    if (!resultEl) return;
+
+    const numberEl = document.getElementById('rma-number');
+    if (numberEl) numberEl.textContent = rma.rmaNumber;
+
+    const linesEl = document.getElementById('rma-result-lines');
+    if (linesEl) {
+      linesEl.innerHTML = rma.lines.map(line => {
+        const outcome = line.exchange
+          ? `exchange for ${escapeHTML(line.exchange.color)} / ${escapeHTML(line.exchange.size)}`
+          : `refund of ${formatOrderAmount(line.refundAmount, order)}`;
+        return `<li>${line.quantity} &times; ${escapeHTML(line.name)} (${escapeHTML(line.color)} / ${escapeHTML(line.size)}): ${outcome}</li>`;
+      }).join('');
+    }
+
+    const labelEl = document.getElementById('return-label');
+    if (labelEl) labelEl.innerHTML = createReturnLabelHTML(rma.label);
+
+    requestForm.hidden = true;
+    resultEl.hidden = false;
+    resultEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Create printable return label HTML
+   * @param {Object} label - Label from the RMA
+   * @returns {string} HTML string
+   */
+  function createReturnLabelHTML(label) {
+    const address = party => `
+      <div class="return-label-name">${escapeHTML(party.name)}</div>
+      <div>${escapeHTML(party.address1)}</div>
+      ${party.address2 ? `<div>${escapeHTML(party.address2)}</div>` : ''}
+      <div>${escapeHTML(party.city)}, ${escapeHTML(party.state)} ${escapeHTML(party.zipCode)}</div>
+      <div>${getCountryName(party.country)}</div>
+    `;
+
+    return `
+      <div class="return-label-header">
+        <span class="return-label-carrier">${label.carrier}</span>
+        <span class="return-label-service">${label.service}</span>
+      </div>
+      <div class="return-label-from">
+        <span class="return-label-heading">From</span>
+        ${address(label.from)}
+      </div>
+      <div class="return-label-to">
+        <span class="return-label-heading">Ship to</span>
+        ${address(label.to)}
+      </div>
+      <div class="return-label-tracking">
+        <div class="return-label-barcode" aria-hidden="true"></div>
+        <span>${label.trackingNumber}</span>
+      </div>
+      <div class="return-label-footer">
+        <span>RMA <strong>${label.rmaNumber}</strong></span>
+        <span>${label.weightKg} kg</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Print only the return label
+   */
+  function printReturnLabel() {
+    document.body.classList.add('is-printing-label');
+    window.print();
+  }
+
+  /**
+   * Go back to the order lookup form
+   */
+  function resetReturnFlow() {
+    const lookupForm = document.getElementById('rma-lookup-form');
+    const requestForm = document.getElementById('rma-request-form');
+    const resultEl = document.getElementById('rma-result');
+
+    returnsState.order = null;
+    returnsState.exchangeOptions = {};
+
+    if (requestForm) requestForm.hidden = true;
+    if (resultEl) resultEl.hidden = true;
+    if (lookupForm) {
+      lookupForm.hidden = false;
+      lookupForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  // ============================================
+  // CONTACT PAGE INITIALIZATION
+  // ============================================
+
+  // Contact form inputs, keyed by the field names SupportModule validates
+  const contactFields = {
+    name: 'contact-name',
+    email: 'contact-email',
+    subject: 'contact-subject',
+    orderNumber: 'contact-order',
+    message: 'contact-message'
+  };
+
+  /**
+   * Initialize the contact form
+   */
+  function initContactPage() {
+    const form = document.getElementById('contact-form');
+    if (!form || typeof SupportModule === 'undefined') return;
+
+    form.addEventListener('submit', handleContactSubmit);
+
+    // Validate each field as the shopper leaves it
+    Object.keys(contactFields).forEach(field => {
+      const input = document.getElementById(contactFields[field]);
+      if (!input) return;
+
+      input.addEventListener('blur', () => {
+        if (!input.value && field === 'orderNumber') return;
+        const { errors } = SupportModule.validateContactForm(getContactFormData());
+        updateCheckoutFieldUI(input, contactFields[field], { valid: !errors[field], message: errors[field] });
+      });
+    });
+
+    const sendAnotherBtn = document.getElementById('send-another');
+    if (sendAnotherBtn) sendAnotherBtn.addEventListener('click', resetContactForm);
+  }
+
+  /**
+   * Read the contact form
+   * @returns {Object} Form data { name, email, subject, orderNumber, message, website }
+   */
+  function getContactFormData() {
+    const value = id => document.getElementById(id)?.value || '';
+
+    return {
+      name: value('contact-name'),
+      email: value('contact-email'),
+      subject: value('contact-subject'),
+      orderNumber: value('contact-order'),
+      message: value('contact-message'),
+      website: value('contact-website')
+    };
+  }
+
+  /**
+   * Handle the contact form: validate, file a support ticket and show the confirmation
+   * @param {Event} event - Submit event
+   */
+  async function handleContactSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const submitBtn = document.getElementById('contact-submit');
+    const formError = document.getElementById('contact-form-error');
+    if (!submitBtn || submitBtn.disabled) return;
+
+    if (formError) formError.hidden = true;
+
+    submitBtn.disabled = true;
+    const originalText = submitBtn.textContent;
+    submitBtn.innerHTML = '<span class="spinner spinner-sm"></span> Sending...';
+
+    try {
+      const result = await SupportModule.submitContactForm(getContactFormData());
+
+      if (!result.success) {
+        const errors = result.errors || {};
+        Object.keys(contactFields).forEach(field => {
+          const input = document.getElementById(contactFields[field]);
+          if (input && (errors[field] || input.value)) {
+            updateCheckoutFieldUI(input, contactFields[field], { valid: !errors[field], message: errors[field] });
+          }
+        });
+
+        if (result.code !== 'validation_failed' && formError) {
+          formError.textContent = result.message;
+          formError.hidden = false;
+        }
+
+        const firstInvalid = form.querySelector('.is-invalid');
+        if (firstInvalid) firstInvalid.focus();
+        return;
+      }
+
+      const ticketEl = document.getElementById('contact-success-ticket');
+      const ticketIdEl = document.getElementById('contact-ticket-id');
+      if (ticketEl && ticketIdEl) {
+        ticketIdEl.textContent = result.ticket ? result.ticket.id : '';
+        ticketEl.hidden = !result.ticket;
+      }
+
+      form.hidden = true;
+      document.getElementById('contact-success').hidden = false;
+    } catch (error) {
+      console.error('Error sending contact form:', error);
+      showToast({ title: 'Message not sent', message: 'Please try again.', type: 'error' });
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+    }
+  }
+
+  /**
+   * Clear the contact form for another message
+   */
+  function resetContactForm() {
+    const form = document.getElementById('contact-form');
+    if (!form) return;
+
+    form.reset();
+    form.querySelectorAll('.form-input, .form-select, .form-textarea').forEach(input => {
+      input.classList.remove('is-valid', 'is-invalid');
+    });
+    form.querySelectorAll('.form-error').forEach(el => {
+      el.textContent = '';
+    });
+
+    const formError = document.getElementById('contact-form-error');
+    if (formError) formError.hidden = true;
+
+    document.getElementById('contact-success').hidden = true;
+    form.hidden = false;
+    document.getElementById('contact-name')?.focus();
+  }
+
+  // ============================================
+  // NEWSLETTER PAGE INITIALIZATION
+  // ============================================
+
+  /**
+   * Initialize the newsletter page: confirm, unsubscribe or manage preferences from an email link
+   * Without a link token, the subscription made from this device is used
+   */
+  async function initNewsletterPage() {
+    const loading = document.getElementById('newsletter-page-loading');
+    if (!loading || typeof NewsletterModule === 'undefined') return;
+
+    const visitor = NewsletterModule.getVisitorSubscription();
+    const token = getQueryParam('token') || (visitor ? visitor.token : null);
+    const action = getQueryParam('action') || 'preferences';
+
+    const prefsForm = document.getElementById('newsletter-preferences');
+    if (prefsForm) prefsForm.addEventListener('submit', (e) => handleNewsletterPreferencesSave(e, token));
+
+    const unsubscribeBtn = document.getElementById('newsletter-unsubscribe');
+    if (unsubscribeBtn) {
+      unsubscribeBtn.addEventListener('click', async () => {
+        unsubscribeBtn.disabled = true;
+        showNewsletterPageResult(await NewsletterModule.unsubscribe(token), 'unsubscribe');
+        unsubscribeBtn.disabled = false;
+      });
+    }
+
+    if (!token) {
+      showNewsletterStatus(
+        'Manage Your Subscription',
+        'Use the link at the bottom of any of our emails to change your preferences or unsubscribe.',
+        true
+      );
+    } else if (action === 'confirm') {
+      showNewsletterPageResult(await NewsletterModule.confirmSubscription(token), 'confirm');
+    } else if (action === 'unsubscribe') {
+      showNewsletterPageResult(await NewsletterModule.unsubscribe(token), 'unsubscribe');
+    } else {
+      const subscriber = await NewsletterModule.getSubscriberByToken(token);
+      showNewsletterPageResult(subscriber
+        ? { success: true, subscriber }
+        : { success: false, message: 'This link is invalid or has expired.' }, 'preferences');
+    }
+
+    loading.hidden = true;
+  }
+
+  /**
+   * Show the outcome of a newsletter link
+   * @param {Object} result - Result from NewsletterModule
+   * @param {string} action - 'confirm', 'unsubscribe' or 'preferences'
+   */
+  function showNewsletterPageResult(result, action) {
+    if (!result.success) {
+      showNewsletterStatus("This Link Doesn't Work", result.message, true);
+      return;
+    }
+
+    const subscriber = result.subscriber;
+
+    if (subscriber.status === 'unsubscribed') {
+      showNewsletterStatus(
+        "You've Been Unsubscribed",
+        `${subscriber.email} won't receive any more emails from us. Changed your mind? You can sign up again any time.`,
+        true
+      );
+    } else if (subscriber.status === 'pending') {
+      showNewsletterStatus(
+        'Please Confirm Your Subscription',
+        `We've sent a confirmation link to ${subscriber.email}. Click it to start receiving our emails.`,
+        false
+      );
+    } else {
+      showNewsletterStatus(
+        action === 'confirm' ? "You're Subscribed!" : 'Your Subscription',
+        action === 'confirm'
+          ? 'Thanks for confirming. Choose what you would like to hear about below.'
+          : 'Choose what you would like to hear about.',
+        false
+      );
+      showNewsletterPreferences(subscriber);
+      return;
+    }
+
+    const prefsForm = document.getElementById('newsletter-preferences');
+    if (prefsForm) prefsForm.hidden = true;
+  }
+
+  /**
+   * Show a status heading and message on the newsletter page
+   * @param {string} title - Heading
+   * @param {string} text - Message
+   * @param {boolean} showSignup - Whether to offer the sign-up link
+   */
+  function showNewsletterStatus(title, text, showSignup) {
+    const statusEl = document.getElementById('newsletter-status');
+    if (!statusEl) return;
+
+    document.getElementById('newsletter-status-title').textContent = title;
+    document.getElementById('newsletter-status-text').textContent = text;
+    statusEl.hidden = false;
+
+    const signupLink = document.getElementById('newsletter-signup-link');
+    if (signupLink) signupLink.hidden = !showSignup;
+  }
+
+  /**
+   * Show the preferences form for a confirmed subscriber
+   * @param {Object} subscriber - Subscriber
+   */
+  function showNewsletterPreferences(subscriber) {
+    const prefsForm = document.getElementById('newsletter-preferences');
+    const topicsEl = document.getElementById('newsletter-pref-topics');
+    if (!prefsForm || !topicsEl) return;
+
+    document.getElementById('newsletter-pref-email').textContent = subscriber.email;
+    topicsEl.querySelectorAll('.newsletter-topic').forEach(el => el.remove());
+    topicsEl.insertAdjacentHTML('beforeend', createNewsletterTopicsHTML(subscriber.topics));
+    prefsForm.hidden = false;
+  }
+
+  /**
+   * Save newsletter topic preferences
+   * @param {Event} event - Submit event
+   * @param {string} token - Subscriber token
+   */
+  async function handleNewsletterPreferencesSave(event, token) {
+    event.preventDefault();
+
+    const form = event.target;
+    const errorEl = document.getElementById('newsletter-pref-error');
+    const saveBtn = document.getElementById('newsletter-pref-save');
+    if (errorEl) errorEl.textContent = '';
+
+    saveBtn.disabled = true;
+    const result = await NewsletterModule.updatePreferences(token, getCheckedNewsletterTopics(form));
+    saveBtn.disabled = false;
+
+    if (!result.success) {
+      if (errorEl) errorEl.textContent = result.message;
+      return;
+    }
+
+    showToast({ title: 'Preferences saved', message: "We'll only send you what you asked for.", type: 'success' });
+  }
+
+  // ============================================
+  // WISHLIST PAGE
+  // ============================================
+
+  const wishlistState = {
+    // Entries from a shared link, or null when showing the shopper's own wishlist
+    shared: null
+  };
+
+  /**
+   * Initialize the wishlist page
+   * A `shared` query parameter shows someone else's wishlist read-only, with an option to save it
+   */
+  async function initWishlistPage() {
+    if (typeof WishlistModule === 'undefined') return;
+
+    const sharedParam = getQueryParam('shared');
+    wishlistState.shared = sharedParam !== null ? WishlistModule.parseSharedWishlist(sharedParam) : null;
+
+    const shareBtn = document.getElementById('wishlist-share');
+    const importBtn = document.getElementById('wishlist-import');
+    const copyBtn = document.getElementById('wishlist-share-copy');
+    const itemsContainer = document.getElementById('wishlist-items');
+
+    if (wishlistState.shared) {
+      document.getElementById('wishlist-title').textContent = 'Shared Wishlist';
+      document.title = 'Shared Wishlist | Mustache Harnesses Co.';
+      if (importBtn) {
+        importBtn.hidden = wishlistState.shared.length === 0;
+        importBtn.addEventListener('click', handleWishlistImport);
+      }
+    } else {
+      if (shareBtn) shareBtn.addEventListener('click', showWishlistShareLink);
+      if (copyBtn) copyBtn.addEventListener('click', copyWishlistShareLink);
+      document.addEventListener('wishlistUpdated', renderWishlistPage);
+    }
+
+    if (itemsContainer) {
+      itemsContainer.addEventListener('click', function(e) {
+        const moveBtn = e.target.closest('[data-wishlist-move]');
+        const removeBtn = e.target.closest('[data-wishlist-remove]');
+
+        if (moveBtn) {
+          handleWishlistMoveToCart(moveBtn);
+        } else if (removeBtn) {
+          WishlistModule.removeFromWishlist(removeBtn.getAttribute('data-wishlist-remove'));
+          document.dispatchEvent(new CustomEvent('wishlistUpdated'));
+        }
+      });
+    }
+
+    await renderWishlistPage();
+  }
+
+  /**
+   * Render the wishlist (or the shared wishlist)
+   */
+  async function renderWishlistPage() {
+    const loading = document.getElementById('wishlist-loading');
+    const emptyState = document.getElementById('wishlist-empty');
+    const itemsContainer = document.getElementById('wishlist-items');
+    const subtitle = document.getElementById('wishlist-subtitle');
+    const shareBtn = document.getElementById('wishlist-share');
+    const shared = wishlistState.shared;
+
+    const items = await WishlistModule.getWishlistItems(shared || WishlistModule.getWishlist());
+
+    if (loading) loading.hidden = true;
+
+    if (subtitle) {
+      const count = items.length === 1 ? '1 product' : `${items.length} products`;
+      subtitle.textContent = shared ? `Someone shared ${count} with you.` : `${count} saved for later.`;
+    }
+    if (shareBtn && !shared) {
+      shareBtn.hidden = items.length === 0;
+    }
+
+    if (items.length === 0) {
+      if (shared) {
+        document.getElementById('wishlist-empty-title').textContent = 'This wishlist is empty';
+        document.getElementById('wishlist-empty-message').textContent = 'The link you followed has no products in it. It may have been cut short when it was copied.';
+      }
+      const sharePanel = document.getElementById('wishlist-share-panel');
+      if (sharePanel) sharePanel.hidden = true;
+      if (emptyState) emptyState.hidden = false;
+      if (itemsContainer) itemsContainer.hidden = true;
+      return;
+    }
+
+    if (emptyState) emptyState.hidden = true;
+    if (itemsContainer) {
+      itemsContainer.innerHTML = items.map(item => createWishlistItemHTML(item, Boolean(shared))).join('');
+      itemsContainer.hidden = false;
+    }
+  }
+
+  /**
+   * Create HTML for a wishlist item
+   * @param {Object} item - Item { entry, product, variant } from WishlistModule.getWishlistItems()
+   * @param {boolean} shared - Whether the item is on someone else's wishlist
+   * @returns {string} HTML string
+   */
+  function createWishlistItemHTML({ entry, product, variant }, shared) {
+    const removeBtn = shared ? '' : `
+      <button type="button" class="btn btn-ghost btn-sm" data-wishlist-remove="${entry.id}">Remove</button>
+    `;
+
+    if (!product || !variant) {
+      return `
+        <article class="wishlist-item is-unavailable">
+          <div class="wishlist-item-details">
+            <h3 class="wishlist-item-name">No longer available</h3>
+            <p class="wishlist-item-variant">This product has been discontinued.</p>
+          </div>
+          <div class="wishlist-item-actions">${removeBtn}</div>
+        </article>
+      `;
+    }
+
+    const imagePath = variant.image.startsWith('../') ? variant.image : '../' + variant.image;
+    const optionsText = entry.sku
+      ? `${variant.color} / ${variant.size}`
+      : `${variant.color} / ${variant.size} <span class="wishlist-item-note">(change on the product page)</span>`;
+    const priceDrop = entry.price !== null && variant.price < entry.price ? `
+      <span class="wishlist-item-price-drop">Was ${formatProductPrice(entry.price, product.taxClass)}</span>
+    ` : '';
+
+    return `
+      <article class="wishlist-item${variant.inStock ? '' : ' is-out-of-stock'}" data-wishlist-id="${entry.id}">
+        <div class="wishlist-item-image">
+          <a href="product.html?id=${product.id}">
+            <img src="${imagePath}" alt="${product.name}" loading="lazy">
+          </a>
+        </div>
+        <div class="wishlist-item-details">
+          <h3 class="wishlist-item-name">
+            <a href="product.html?id=${product.id}">${product.name}</a>
+          </h3>
+          <p class="wishlist-item-variant">${optionsText}</p>
+          ${entry.quantity > 1 ? `<p class="wishlist-item-quantity">Qty: ${entry.quantity}</p>` : ''}
+          <p class="wishlist-item-price">
+            <span class="price">${formatProductPrice(variant.price, product.taxClass)}</span>
+            ${priceDrop}
+          </p>
+          ${variant.inStock ? '' : '<p class="wishlist-item-stock">Out of stock</p>'}
+        </div>
+        <div class="wishlist-item-actions">
+          <button type="button" class="btn btn-primary btn-sm" data-wishlist-move="${entry.id}" ${variant.inStock ? '' : 'disabled'}>
+            ${shared ? 'Add to Cart' : 'Move to Cart'}
+          </button>
+          ${removeBtn}
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Add a wishlist item to the cart (moving it off the shopper's own wishlist)
+   * @param {HTMLElement} btn - Move to cart button
+   */
+  async function handleWishlistMoveToCart(btn) {
+    const entryId = btn.getAttribute('data-wishlist-move');
+    const shared = wishlistState.shared;
+    const options = shared ? { keep: true, entry: shared.find(entry => entry.id === entryId) } : {};
+
+    btn.disabled = true;
+
+    let result;
+    try {
+      result = await WishlistModule.moveToCart(entryId, options);
+    } catch (error) {
+      console.error('Error adding to cart:', error);
+      result = { success: false, message: error.message || 'Could not add item to cart' };
+    }
+
+    btn.disabled = false;
+
+    if (!result.success) {
+      showToast({ title: 'Could not add to cart', message: result.message, type: 'error' });
+      return;
+    }
+
+    const item = result.item;
+    updateCartBadge();
+    showAddedToCartToast({
+      name: item.name,
+      image: item.image.startsWith('../') ? item.image : '../' + item.image,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity
+    });
+
+    if (result.limited) {
+      showToast({ title: 'Limited stock', message: `Only ${item.quantity} available for ${item.name}.`, type: 'warning' });
+    }
+
+    document.dispatchEvent(new CustomEvent('cartUpdated'));
+    if (!shared) {
+      document.dispatchEvent(new CustomEvent('wishlistUpdated'));
+    }
+  }
+
+  /**
+   * Show the shareable link for the shopper's wishlist
+   */
+  function showWishlistShareLink() {
+    const panel = document.getElementById('wishlist-share-panel');
+    const input = document.getElementById('wishlist-share-url');
+    if (!panel || !input) return;
+
+    input.value = WishlistModule.getWishlistShareUrl();
+    panel.hidden = false;
+    input.select();
+  }
+
+  /**
+   * Copy the wishlist share link to the clipboard
+   */
+  async function copyWishlistShareLink() {
+    const input = document.getElementById('wishlist-share-url');
+    if (!input) return;
+
+    try {
+      await navigator.clipboard.writeText(input.value);
+      showToast({
+        title: 'Copied!',
+        message: 'Wishlist link copied to clipboard',
+        type: 'success',
+        duration: 2000
+      });
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      input.select();
+      showToast({
+        title: 'Error',
+        message: 'Could not copy the link. Select it and copy it manually.',
+        type: 'error'
+      });
+    }
+  }
+
+  /**
+   * Save every product on a shared wishlist to the shopper's own wishlist
+   */
+  function handleWishlistImport() {
+    const added = WishlistModule.importSharedWishlist(wishlistState.shared);
+
+    showToast({
+      title: added > 0 ? 'Saved to your wishlist' : 'Already saved',
+      message: added > 0
+        ? `${added} product${added !== 1 ? 's' : ''} added to your wishlist.`
+        : 'Everything here is already on your wishlist.',
+      type: added > 0 ? 'success' : 'info'
+    });
+
+    document.dispatchEvent(new CustomEvent('wishlistUpdated'));
+  }
+
+  // ============================================
+  // COMPARE PAGE
+  // ============================================
+
+  // Compare page state: the products on screen, in column order
+  let compareState = {
+    ids: []
+  };
+
+  /**
+   * Initialize compare page
+   * A compare link's ids win over the shopper's own compare tray
+   */
+  async function initComparePage() {
+    if (typeof CompareModule === 'undefined') return;
+
+    const param = getQueryParam('ids');
+    compareState.ids = param !== null ? CompareModule.parseCompareIds(param) : CompareModule.getCompareList();
+
+    const table = document.getElementById('compare-table');
+    const differencesOnly = document.getElementById('compare-differences-only');
+    if (differencesOnly && table) {
+      differencesOnly.addEventListener('change', () => {
+        table.classList.toggle('is-differences-only', differencesOnly.checked);
+      });
+    }
+
+    if (table) {
+      table.addEventListener('click', e => {
+        const removeBtn = e.target.closest('[data-compare-column-remove]');
+        if (!removeBtn) return;
+
+        const productId = removeBtn.getAttribute('data-compare-column-remove');
+        compareState.ids = compareState.ids.filter(id => id !== productId);
+        CompareModule.removeFromCompare(productId);
+        renderComparePage();
+      });
+    }
+
+    document.getElementById('compare-copy-link')?.addEventListener('click', copyCompareLink);
+
+    await renderComparePage();
+  }
+
+  /**
+   * Render the comparison table
+   */
+  async function renderComparePage() {
+    const loading = document.getElementById('compare-loading');
+    const empty = document.getElementById('compare-empty');
+    const wrapper = document.getElementById('compare-table-wrapper');
+    const table = document.getElementById('compare-table');
+    const actions = document.getElementById('compare-actions');
+    const subtitle = document.getElementById('compare-subtitle');
+    if (!table) return;
+
+    const { products, rows } = await CompareModule.getComparison(compareState.ids);
+    compareState.ids = products.map(product => product.id);
+
+    // Keep the address shareable: it always lists the products on screen
+    setQueryParam('ids', compareState.ids.join(','), false);
+
+    if (loading) loading.hidden = true;
+
+    if (products.length === 0) {
+      if (empty) empty.hidden = false;
+      if (wrapper) wrapper.hidden = true;
+      if (actions) actions.hidden = true;
+      return;
+    }
+
+    if (subtitle) {
+      subtitle.textContent = products.length < CompareModule.MIN_COMPARE_ITEMS
+        ? 'Add at least one more product to compare.'
+        : `Comparing ${products.length} products. Rows that differ are highlighted.`;
+    }
+
+    const headerCells = products.map(product => {
+      const imagePath = product.images[0].startsWith('../') ? product.images[0] : '../' + product.images[0];
+      return `
+        <th scope="col" class="compare-product">
+          <button type="button" class="compare-product-remove" data-compare-column-remove="${product.id}" aria-label="Remove ${escapeHTML(product.name)} from comparison">&times;</button>
+          <a href="product.html?id=${product.id}" class="compare-product-link">
+            <img src="${imagePath}" alt="" class="compare-product-image" loading="lazy">
+            <span class="compare-product-name">${escapeHTML(product.name)}</span>
+          </a>
+          ${product.inStock ? `<button class="btn btn-primary btn-sm" data-quick-add="${product.id}">Add to Cart</button>` : ''}
+        </th>
+      `;
+    }).join('');
+
+    const bodyRows = rows.map(row => `
+      <tr class="compare-row${row.differs ? ' is-different' : ''}">
+        <th scope="row" class="compare-row-label">${row.label}</th>
+        ${row.values.map((value, index) => `<td>${formatCompareValue(row, value, products[index])}</td>`).join('')}
+      </tr>
+    `).join('');
+
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <td class="compare-corner"></td>
+          ${headerCells}
+        </tr>
+      </thead>
+      <tbody>${bodyRows}</tbody>
+    `;
+
+    if (empty) empty.hidden = true;
+    if (wrapper) wrapper.hidden = false;
+    if (actions) actions.hidden = false;
+  }
+
+  /**
+   * Format one cell of the comparison table
+   * @param {Object} row - Row from CompareModule.buildComparison
+   * @param {*} value - The product's value for the row
+   * @param {Object} product - Product data
+   * @returns {string} HTML string
+   */
+  function formatCompareValue(row, value, product) {
+    if (value === null || value === undefined) {
+      return '<span class="compare-none">—</span>';
+    }
+
+    if (row.spec) {
+      return escapeHTML(ProductsModule.formatSpecValue(row.spec, value));
+    }
+
+    switch (row.key) {
+      case 'price':
+        return formatProductPrice(value, product.taxClass);
+      case 'rating':
+        return `
+          ${createStarRating(value.rating, 'sm')}
+          <span class="compare-rating-text">${value.rating.toFixed(1)} (${value.reviewCount})</span>
+        `;
+      case 'sizes':
+      case 'colors':
+        // Entries the other products don't all have are highlighted
+        return `<ul class="compare-chips">${value.map(entry => `
+          <li class="compare-chip${row.shared.includes(entry) ? '' : ' is-different'}">${escapeHTML(entry)}</li>
+        `).join('')}</ul>`;
+      case 'stock': {
+        const labels = {
+          in_stock: 'In stock',
+          low_stock: `Only ${product.stockCount} left`,
+          out_of_stock: 'Out of stock'
+        };
+        return `<span class="compare-stock ${value.replace(/_/g, '-')}">${labels[value]}</span>`;
+      }
+      case 'dimensions':
+        return `${value.length} × ${value.width} × ${value.height} cm`;
+      default:
+        return escapeHTML(String(value));
+    }
+  }
+
+  /**
+   * Copy a link to this comparison
+   */
+  async function copyCompareLink() {
+    try {
+      await navigator.clipboard.writeText(CompareModule.getCompareUrl(compareState.ids));
+      showToast({
+        title: 'Copied!',
+        message: 'Comparison link copied to clipboard',
+        type: 'success',
+        duration: 2000
+      });
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      showToast({
+        title: 'Error',
+        message: 'Could not copy the link. Copy it from the address bar instead.',
+        type: 'error'
+      });
+    }
+  }
+
+  // ============================================
+  // STAR RATING COMPONENT
+  // ============================================
+
+  /**
+   * Create a star rating HTML string
+   * @param {number} rating - Rating value (0-5)
+   * @param {string} [size=''] - Size class: '', 'sm', 'lg', 'xl'
+   * @returns {string} HTML string for star rating
+   */
+  function createStarRating(rating, size = '') {
+    const sizeClass = size ? `star-rating-${size}` : '';
+    const fullStars = Math.floor(rating);
+    const hasHalf = rating % 1 >= 0.5;
+    const emptyStars = 5 - fullStars - (hasHalf ? 1 : 0);
+
+    const starSVG = `<svg class="star-rating-star" viewBox="0 0 20 20" fill="currentColor">
+      <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
+    </svg>`;
+
+    let stars = '';
+    for (let i = 0; i < fullStars; i++) {
+      stars += starSVG.replace('star-rating-star', 'star-rating-star filled');
+    }
+    if (hasHalf) {
+      stars += starSVG.replace('star-rating-star', 'star-rating-star filled half');
+    }
+    for (let i = 0; i < emptyStars; i++) {
+      stars += starSVG;
+    }
+
+    return `<div class="star-rating ${sizeClass}" aria-label="Rating: ${rating} out of 5 stars">${stars}</div>`;
+  }
+
+  // ============================================
+  // QUANTITY SELECTOR COMPONENT
+  // ============================================
+
+  /**
+   * Initialize quantity selector functionality
+   * @param {HTMLElement} container - Container element or selector
+   */
+  function initQuantitySelector(container) {
+    const selectors = container ?
+      container.querySelectorAll('.quantity-selector') :
+      document.querySelectorAll('.quantity-selector');
+
+    selectors.forEach(selector => {
+      const minusBtn = selector.querySelector('[data-action="decrease"]');
+      const plusBtn = selector.querySelector('[data-action="increase"]');
+      const input = selector.querySelector('.quantity-input');
+
+      if (!minusBtn || !plusBtn || !input) return;
+
+      const min = parseInt(input.getAttribute('min')) || 1;
+      const max = parseInt(input.getAttribute('max')) || 99;
+
+      function updateValue(newValue) {
+        const value = Math.max(min, Math.min(max, parseInt(newValue) || min));
+        input.value = value;
+        minusBtn.disabled = value <= min;
+        plusBtn.disabled = value >= max;
+
+        // Dispatch custom event
+        const event = new CustomEvent('quantityChange', {
+          detail: { value, element: selector },
+          bubbles: true
+        });
+        selector.dispatchEvent(event);
+      }
+
+      minusBtn.addEventListener('click', () => {
+        updateValue(parseInt(input.value) - 1);
+      });
+
+      plusBtn.addEventListener('click', () => {
+        updateValue(parseInt(input.value) + 1);
+      });
+
+      input.addEventListener('change', () => {
+        updateValue(input.value);
+      });
+
+      input.addEventListener('blur', () => {
+        if (input.value === '' || isNaN(parseInt(input.value))) {
+          updateValue(min);
+        }
+      });
+
+      // Initialize button states
+      updateValue(input.value);
+    });
+  }
+
+  /**
+   * Create quantity selector HTML
+   * @param {number} [value=1] - Initial value
+   * @param {number} [min=1] - Minimum value
+   * @param {number} [max=99] - Maximum value
+   * @param {string} [size=''] - Size class: '', 'sm', 'lg'
+   * @returns {string} HTML string for quantity selector
+   */
+  function createQuantitySelector(value = 1, min = 1, max = 99, size = '') {
+    const sizeClass = size ? `quantity-selector-${size}` : '';
+    return `
+      <div class="quantity-selector ${sizeClass}">
+        <button type="button" class="quantity-btn" data-action="decrease" aria-label="Decrease quantity" ${value <= min ? 'disabled' : ''}>−</button>
+        <input type="number" class="quantity-input" value="${value}" min="${min}" max="${max}" aria-label="Quantity">
+        <button type="button" class="quantity-btn" data-action="increase" aria-label="Increase quantity" ${value >= max ? 'disabled' : ''}>+</button>
+      </div>
+    `;
+  }
+
+  // ============================================
+  // TOAST NOTIFICATION COMPONENT
+  // ============================================
+
+  // Toast container reference
+  let toastContainer = null;
+
+  /**
+   * Ensure toast container exists
+   */
+  function ensureToastContainer() {
+    if (!toastContainer) {
+      toastContainer = document.getElementById('toast-container');
+      if (!toastContainer) {
+        toastContainer = document.createElement('div');
+        toastContainer.id = 'toast-container';
+        toastContainer.className = 'toast-container';
+        toastContainer.setAttribute('aria-live', 'polite');
+        document.body.appendChild(toastContainer);
+      }
+    }
+    return toastContainer;
+  }
+
+  /**
+   * Show a toast notification
+   * @param {Object} options - Toast options
+   * @param {string} options.title - Toast title
+   * @param {string} [options.message] - Toast message
+   * @param {string} [options.type='success'] - Type: 'success', 'error', 'warning', 'info'
+   * @param {number} [options.duration=4000] - Duration in ms (0 = no auto-dismiss)
+   * @returns {HTMLElement} Toast element
+   */
+  function showToast({ title, message = '', type = 'success', duration = 4000 }) {
+    const container = ensureToastContainer();
+
+    const icons = {
+      success: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
+        <polyline points="22 4 12 14.01 9 11.01"></polyline>
+      </svg>`,
+      error: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"></circle>
+        <line x1="15" y1="9" x2="9" y2="15"></line>
+        <line x1="9" y1="9" x2="15" y2="15"></line>
+      </svg>`,
+      warning: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path>
+        <line x1="12" y1="9" x2="12" y2="13"></line>
+        <line x1="12" y1="17" x2="12.01" y2="17"></line>
+      </svg>`,
+      info: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"></circle>
+        <line x1="12" y1="16" x2="12" y2="12"></line>
+        <line x1="12" y1="8" x2="12.01" y2="8"></line>
+      </svg>`
+    };
+
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.innerHTML = `
+      ${icons[type] || icons.info}
+      <div class="toast-content">
+        <div class="toast-title">${title}</div>
+        ${message ? `<div class="toast-message">${message}</div>` : ''}
+      </div>
+      <button class="toast-close" aria-label="Close notification">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>
+    `;
+
+    container.appendChild(toast);
+
+    // Close button handler
+    const closeBtn = toast.querySelector('.toast-close');
+    closeBtn.addEventListener('click', () => dismissToast(toast));
+
+    // Auto dismiss
+    if (duration > 0) {
+      setTimeout(() => dismissToast(toast), duration);
+    }
+
+    return toast;
+  }
+
+  /**
+   * Show "Added to cart" toast with product info
+   * @param {Object} product - Product information
+   * @param {string} product.name - Product name
+   * @param {string} product.image - Product image URL
+   * @param {string} [product.size] - Selected size
+   * @param {string} [product.color] - Selected color
+   * @param {number} [product.quantity=1] - Quantity added
+   */
+  function showAddedToCartToast(product) {
+    const container = ensureToastContainer();
+
+    const details = [];
+    if (product.size) details.push(product.size);
+    if (product.color) details.push(product.color);
+    if (product.quantity && product.quantity > 1) details.push(`Qty: ${product.quantity}`);
+
+    const toast = document.createElement('div');
+    toast.className = 'toast toast-product';
+    toast.innerHTML = `
+      <img src="${product.image}" alt="${product.name}" class="toast-product-image">
+      <div class="toast-product-info">
+        <div class="toast-product-name">${product.name}</div>
+        <div class="toast-product-details">Added to cart${details.length ? ' • ' + details.join(', ') : ''}</div>
+      </div>
+      <div class="toast-product-action">
+        <a href="cart.html" class="btn btn-sm btn-primary">View Cart</a>
+      </div>
+      <button class="toast-close" aria-label="Close notification">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>
+    `;
+
+    container.appendChild(toast);
+
+    const closeBtn = toast.querySelector('.toast-close');
+    closeBtn.addEventListener('click', () => dismissToast(toast));
+
+    setTimeout(() => dismissToast(toast), 5000);
+
+    return toast;
+  }
+
+  /**
+   * Dismiss a toast with animation
+   * @param {HTMLElement} toast - Toast element to dismiss
+   */
+  function dismissToast(toast) {
+    if (!toast || toast.classList.contains('toast-exit')) return;
+
+    toast.classList.add('toast-exit');
+    setTimeout(() => {
+      toast.remove();
+    }, 200);
+  }
+
+  // ============================================
+  // MODAL COMPONENT
+  // ============================================
+
+  /**
+   * Open a modal
+   * @param {string|HTMLElement} modal - Modal element or selector
+   */
+  function openModal(modal) {
+    const modalEl = typeof modal === 'string' ? document.querySelector(modal) : modal;
+    if (!modalEl) return;
+
+    const backdrop = modalEl.closest('.modal-backdrop') || modalEl;
+    backdrop.classList.add('is-open');
+    document.body.style.overflow = 'hidden';
+
+    // Focus first focusable element
+    const focusable = modalEl.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
+    if (focusable) focusable.focus();
+
+    // Trap focus inside modal
+    modalEl.addEventListener('keydown', trapFocus);
+  }
+
+  /**
+   * Close a modal
+   * @param {string|HTMLElement} modal - Modal element or selector
+   */
+  function closeModal(modal) {
+    const modalEl = typeof modal === 'string' ? document.querySelector(modal) : modal;
+    if (!modalEl) return;
+
+    const backdrop = modalEl.closest('.modal-backdrop') || modalEl;
+    backdrop.classList.remove('is-open');
+    document.body.style.overflow = '';
+
+    modalEl.removeEventListener('keydown', trapFocus);
+  }
+
+  /**
+   * Trap focus inside modal
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  function trapFocus(e) {
+    if (e.key !== 'Tab') return;
+
+    const modal = e.currentTarget;
+    const focusableElements = modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    if (e.shiftKey && document.activeElement === firstElement) {
+      e.preventDefault();
+      lastElement.focus();
+    } else if (!e.shiftKey && document.activeElement === lastElement) {
+      e.preventDefault();
+      firstElement.focus();
+    }
+  }
+
+  /**
+   * Initialize modal event listeners
+   */
+  function initModals() {
+    // Handle modal open triggers
+    document.addEventListener('click', function(e) {
+      const trigger = e.target.closest('[data-modal-open]');
+      if (trigger) {
+        e.preventDefault();
+        const modalId = trigger.getAttribute('data-modal-open');
+        openModal(document.getElementById(modalId));
+      }
+
+      // Handle modal close buttons
+      const closeBtn = e.target.closest('[data-modal-close]');
+      if (closeBtn) {
+        e.preventDefault();
+        const modal = closeBtn.closest('.modal-backdrop');
+        closeModal(modal);
+      }
+
+      // Handle backdrop click
+      if (e.target.classList.contains('modal-backdrop')) {
+        closeModal(e.target);
+      }
+    });
+
+    // Handle escape key
+    document.addEventListener('keydown', function(e) {
+      if (e.key === 'Escape') {
+        const openModals = document.querySelectorAll('.modal-backdrop.is-open');
+        openModals.forEach(modal => closeModal(modal));
+      }
+    });
+  }
+
+  /**
+   * Create size guide modal HTML
+   * @returns {string} HTML string for size guide modal
+   */
+  function createSizeGuideModal() {
+    return `
+      <div class="modal-backdrop" id="size-guide-modal">
+        <div class="modal">
+          <div class="modal-header">
+            <h3 class="modal-title">Size Guide</h3>
+            <button class="modal-close" data-modal-close aria-label="Close">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+              </svg>
+            </button>
+          </div>
+          <div class="modal-body">
+            <p class="mb-4">Select your size based on the upper lip width measurement below:</p>
+            <table class="size-guide-table">
+              <thead>
+                <tr>
+                  <th>Size</th>
+                  <th>Upper Lip Width</th>
+                  <th>Mustache Span</th>
+                  <th>Best For</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td><strong>S</strong></td>
+                  <td>4.0 - 4.5 cm</td>
+                  <td>Up to 6 cm</td>
+                  <td>Pencil, Petite</td>
+                </tr>
+                <tr>
+                  <td><strong>M</strong></td>
+                  <td>4.5 - 5.0 cm</td>
+                  <td>6 - 8 cm</td>
+                  <td>Classic, Natural</td>
+                </tr>
+                <tr>
+                  <td><strong>L</strong></td>
+                  <td>5.0 - 5.5 cm</td>
+                  <td>8 - 10 cm</td>
+                  <td>Chevron, Walrus</td>
+                </tr>
+                <tr>
+                  <td><strong>XL</strong></td>
+                  <td>5.5+ cm</td>
+                  <td>10+ cm</td>
+                  <td>Handlebar, Imperial</td>
+                </tr>
+                <tr>
+                  <td><strong>One Size</strong></td>
+                  <td>Adjustable</td>
+                  <td>4 - 12 cm</td>
+                  <td>Universal fit</td>
+                </tr>
+              </tbody>
+            </table>
+            <div class="size-guide-note">
+              <strong>How to measure:</strong> Using a soft measuring tape, measure the width of your upper lip from corner to corner. For mustache span, measure from tip to tip at the widest point of your mustache.
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-primary" data-modal-close>Got It</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // ============================================
+  // PRODUCT CARD COMPONENT
+  // ============================================
+
+  /**
+   * Create a product card HTML
+   * @param {Object} product - Product data
+   * @returns {string} HTML string for product card
+   */
+  function createProductCard(product) {
+    const badges = [];
+    if (product.isNew) {
+      badges.push('<span class="badge badge-new">New</span>');
+    }
+    if (product.salesCount > 50) {
+      badges.push('<span class="badge badge-bestseller">Bestseller</span>');
+    }
+
+    const outOfStockOverlay = !product.inStock ? `
+      <div class="product-card-overlay">
+        <span class="product-card-overlay-text">Out of Stock</span>
+      </div>
+    ` : '';
+
+    const quickAddBtn = product.inStock ? `
+      <div class="product-card-quick-add">
+        <button class="btn btn-primary" data-quick-add="${product.id}">Add to Cart</button>
+      </div>
+    ` : '';
+
+    return `
+      <article class="product-card" data-product-id="${product.id}">
+        <div class="product-card-image">
+          ${badges.length ? `<div class="product-card-badges">${badges.join('')}</div>` : ''}
+          ${createWishlistToggleHTML(product)}
+          <a href="pages/product.html?id=${product.id}">
+            <img src="${product.images[0]}" alt="${product.name}" loading="lazy">
+          </a>
+          ${outOfStockOverlay}
+          ${quickAddBtn}
+        </div>
+        <div class="product-card-body">
+          <span class="product-card-category">${product.category}</span>
+          <h3 class="product-card-title">
+            <a href="pages/product.html?id=${product.id}">${product.name}</a>
+          </h3>
+          <div class="product-card-rating">
+            ${createStarRating(product.rating, 'sm')}
+            <span class="product-card-rating-count">(${product.reviewCount})</span>
+          </div>
+          <div class="product-card-price">
+            <span class="price">${formatProductPrice(product.price, product.taxClass)}</span>
+          </div>
+          ${createCompareToggleHTML(product)}
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Initialize quick add to cart functionality
+   */
+  function initQuickAddToCart() {
+    document.addEventListener('click', async function(e) {
+      const btn = e.target.closest('[data-quick-add]');
+      if (!btn) return;
+
+      e.preventDefault();
+      const productId = btn.getAttribute('data-quick-add');
+
+      // Disable button and show loading
+      btn.disabled = true;
+      const originalText = btn.textContent;
+      btn.innerHTML = '<span class="spinner spinner-sm"></span> Adding...';
+
+      try {
+        // Get product data
+        if (typeof ProductsModule !== 'undefined') {
+          const product = await ProductsModule.getProductById(productId);
+          const variant = ProductsModule.getDefaultVariant(product);
+          if (product && variant && typeof CartModule !== 'undefined') {
+            // Add with default options (first in-stock variant)
+            CartModule.addToCart({
+              productId: product.id,
+              sku: variant.sku,
+              name: product.name,
+              price: variant.price,
+              size: variant.size,
+              color: variant.color,
+              quantity: 1,
+              image: variant.image,
+              category: product.category,
+              taxClass: product.taxClass
+            });
+
+            // Update cart badge
+            updateCartBadge();
+
+            // Show toast
+            showAddedToCartToast({
+              name: product.name,
+              image: variant.image,
+              size: variant.size,
+              color: variant.color
+            });
+
+            // Dispatch cart updated event
+            document.dispatchEvent(new CustomEvent('cartUpdated'));
+          }
+        }
+      } catch (error) {
+        console.error('Error adding to cart:', error);
+        showToast({ title: 'Error', message: error.message || 'Could not add item to cart', type: 'error' });
+      } finally {
+        btn.disabled = false;
+        btn.textContent = originalText;
+      }
+    });
+  }
+
+  // ============================================
+  // RECENTLY VIEWED CAROUSEL
+  // ============================================
+
+  /**
+   * Initialize the "Recently viewed" carousel (landing, product and cart pages)
+   * @param {string} [excludeId] - Product to leave out (the product being viewed)
+   */
+  async function initRecentlyViewed(excludeId) {
+    const section = document.getElementById('recently-viewed');
+    const track = document.getElementById('recently-viewed-track');
+    if (!section || !track || typeof HistoryModule === 'undefined') return;
+
+    const prevBtn = document.getElementById('recently-viewed-prev');
+    const nextBtn = document.getElementById('recently-viewed-next');
+    const clearBtn = document.getElementById('recently-viewed-clear');
+
+    // Scroll by most of a screen of cards at a time
+    const scrollTrack = direction => {
+      track.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: 'smooth' });
+    };
+
+    if (prevBtn) prevBtn.addEventListener('click', () => scrollTrack(-1));
+    if (nextBtn) nextBtn.addEventListener('click', () => scrollTrack(1));
+    track.addEventListener('scroll', debounce(updateRecentlyViewedControls, 100));
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', function() {
+        HistoryModule.clearHistory();
+        section.hidden = true;
+        track.innerHTML = '';
+        showToast({ title: 'History cleared', message: 'Your recently viewed products have been cleared.', type: 'info' });
+      });
+    }
+
+    await renderRecentlyViewed(excludeId);
+  }
+
+  /**
+   * Render recently viewed products into the carousel, hiding it when there are none
+   * @param {string} [excludeId] - Product to leave out
+   */
+  async function renderRecentlyViewed(excludeId) {
+    const section = document.getElementById('recently-viewed');
+    const track = document.getElementById('recently-viewed-track');
+    if (!section || !track) return;
+
+    try {
+      const products = await HistoryModule.getRecentlyViewedProducts({ exclude: excludeId, limit: 12 });
+
+      if (products.length === 0) {
+        section.hidden = true;
+        return;
+      }
+
+      // Cards link relative to the page, so pages in /pages/ use the shop card
+      const createCard = window.location.pathname.includes('/pages/') ? createProductCardShop : createProductCard;
+      track.innerHTML = products.map(product => createCard(product)).join('');
+      section.hidden = false;
+      updateRecentlyViewedControls();
+    } catch (error) {
+      console.error('Error loading recently viewed products:', error);
+      section.hidden = true;
+    }
+  }
+
+  /**
+   * Enable the carousel arrows only when there is more to scroll to
+   */
+  function updateRecentlyViewedControls() {
+    const track = document.getElementById('recently-viewed-track');
+    const prevBtn = document.getElementById('recently-viewed-prev');
+    const nextBtn = document.getElementById('recently-viewed-next');
+    if (!track) return;
+
+    if (prevBtn) prevBtn.disabled = track.scrollLeft <= 0;
+    if (nextBtn) nextBtn.disabled = track.scrollLeft + track.clientWidth >= track.scrollWidth - 1;
+  }
+
+  // ============================================
+  // WISHLIST HEART TOGGLE
+  // ============================================
+
+  /**
+   * Create the heart button that saves a product to the wishlist
+   * @param {Object} product - Product data
+   * @returns {string} HTML string
+   */
+  function createWishlistToggleHTML(product) {
+    const saved = typeof WishlistModule !== 'undefined' && WishlistModule.isInWishlist(product.id);
+
+    return `
+      <button type="button" class="wishlist-toggle${saved ? ' is-active' : ''}" data-wishlist-toggle="${product.id}" aria-pressed="${saved}" aria-label="Save ${escapeHTML(product.name)} to wishlist">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+        </svg>
+      </button>
+    `;
+  }
+
+  /**
+   * Sync every heart on the page with the wishlist
+   */
+  function updateWishlistToggles() {
+    if (typeof WishlistModule === 'undefined') return;
+
+    document.querySelectorAll('[data-wishlist-toggle]').forEach(btn => {
+      const productId = btn.getAttribute('data-wishlist-toggle');
+      const saved = Boolean(productId) && WishlistModule.isInWishlist(productId);
+      btn.classList.toggle('is-active', saved);
+      btn.setAttribute('aria-pressed', saved);
+    });
+  }
+
+  /**
+   * Initialize wishlist heart buttons (product cards and the product page)
+   */
+  function initWishlistToggles() {
+    document.addEventListener('click', async function(e) {
+      const btn = e.target.closest('[data-wishlist-toggle]');
+      if (!btn || typeof WishlistModule === 'undefined') return;
+
+      e.preventDefault();
+      const productId = btn.getAttribute('data-wishlist-toggle');
+      if (!productId) return;
+
+      const product = typeof ProductsModule !== 'undefined' ? await ProductsModule.getProductById(productId) : null;
+      const saved = WishlistModule.toggleWishlist(productId, product ? product.price : undefined);
+      const name = product ? product.name : 'Item';
+
+      showToast({
+        title: saved ? 'Saved to wishlist' : 'Removed from wishlist',
+        message: saved ? `${name} is on your wishlist.` : `${name} was removed from your wishlist.`,
+        type: saved ? 'success' : 'info'
+      });
+
+      document.dispatchEvent(new CustomEvent('wishlistUpdated'));
+    });
+  }
+
+  // ============================================
+  // COMPARE TRAY
+  // ============================================
+
+  /**
+   * Create the "Compare" checkbox that adds a product to the compare tray
+   * @param {Object} product - Product data
+   * @returns {string} HTML string
+   */
+  function createCompareToggleHTML(product) {
+    const added = typeof CompareModule !== 'undefined' && CompareModule.isInCompare(product.id);
+
+    return `
+      <button type="button" class="compare-toggle${added ? ' is-active' : ''}" data-compare-toggle="${product.id}" aria-pressed="${added}" aria-label="Compare ${escapeHTML(product.name)}">
+        <span class="compare-toggle-box" aria-hidden="true"></span>
+        Compare
+      </button>
+    `;
+  }
+
+  /**
+   * Sync every "Compare" checkbox on the page with the compare tray
+   */
+  function updateCompareToggles() {
+    if (typeof CompareModule === 'undefined') return;
+
+    document.querySelectorAll('[data-compare-toggle]').forEach(btn => {
+      const productId = btn.getAttribute('data-compare-toggle');
+      const added = Boolean(productId) && CompareModule.isInCompare(productId);
+      btn.classList.toggle('is-active', added);
+      btn.setAttribute('aria-pressed', added);
+    });
+  }
+
+  /**
+   * Get the compare tray, creating it the first time
+   * @returns {HTMLElement} Tray element
+   */
+  function ensureCompareTray() {
+    let tray = document.getElementById('compare-tray');
+    if (!tray) {
+      tray = document.createElement('div');
+      tray.id = 'compare-tray';
+      tray.className = 'compare-tray';
+      tray.setAttribute('role', 'region');
+      tray.setAttribute('aria-label', 'Compare products');
+      tray.hidden = true;
+      tray.innerHTML = `
+        <div class="container compare-tray-inner">
+          <ul class="compare-tray-items" id="compare-tray-items"></ul>
+          <div class="compare-tray-actions">
+            <button type="button" class="btn btn-ghost btn-sm" data-compare-clear>Clear</button>
+            <a href="#" class="btn btn-primary btn-sm compare-tray-link" id="compare-tray-link"></a>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(tray);
+    }
+    return tray;
+  }
+
+  /**
+   * Render the compare tray (hidden while it is empty, and on the compare page itself)
+   */
+  async function updateCompareTray() {
+    if (typeof CompareModule === 'undefined' || window.location.pathname.includes('compare')) return;
+
+    const ids = CompareModule.getCompareList();
+    if (ids.length === 0) {
+      const existing = document.getElementById('compare-tray');
+      if (existing) existing.hidden = true;
+      document.body.classList.remove('has-compare-tray');
+      return;
+    }
+
+    const tray = ensureCompareTray();
+    const { products } = await CompareModule.getComparison(ids);
+    const inPages = window.location.pathname.includes('/pages/');
+
+    const slots = products.map(product => {
+      const imagePath = inPages && !product.images[0].startsWith('../') ? '../' + product.images[0] : product.images[0];
+      return `
+        <li class="compare-tray-item">
+          <img src="${imagePath}" alt="" class="compare-tray-image">
+          <span class="compare-tray-name">${escapeHTML(product.name)}</span>
+          <button type="button" class="compare-tray-remove" data-compare-remove="${product.id}" aria-label="Remove ${escapeHTML(product.name)} from compare">&times;</button>
+        </li>
+      `;
+    });
+    for (let i = products.length; i < CompareModule.MAX_COMPARE_ITEMS; i++) {
+      slots.push('<li class="compare-tray-item is-empty">Add a product</li>');
+    }
+    tray.querySelector('#compare-tray-items').innerHTML = slots.join('');
+
+    // A single product has nothing to be compared with yet
+    const link = tray.querySelector('#compare-tray-link');
+    const ready = products.length >= CompareModule.MIN_COMPARE_ITEMS;
+    link.href = CompareModule.getCompareUrl(products.map(product => product.id));
+    link.textContent = ready ? `Compare (${products.length})` : 'Add another to compare';
+    link.classList.toggle('is-disabled', !ready);
+    link.setAttribute('aria-disabled', !ready);
+
+    tray.hidden = false;
+    document.body.classList.add('has-compare-tray');
+  }
+
+  /**
+   * Initialize "Compare" checkboxes and the compare tray buttons
+   */
+  function initCompareToggles() {
+    document.addEventListener('click', function(e) {
+      if (typeof CompareModule === 'undefined') return;
+
+      const toggle = e.target.closest('[data-compare-toggle]');
+      if (toggle) {
+        e.preventDefault();
+        const productId = toggle.getAttribute('data-compare-toggle');
+        if (!productId) return;
+
+        const result = CompareModule.toggleCompare(productId);
+        if (!result.success) {
+          showToast({ title: 'Compare tray is full', message: result.message, type: 'warning' });
+          return;
+        }
+        document.dispatchEvent(new CustomEvent('compareUpdated'));
+        return;
+      }
+
+      const removeBtn = e.target.closest('[data-compare-remove]');
+      if (removeBtn) {
+        CompareModule.removeFromCompare(removeBtn.getAttribute('data-compare-remove'));
+        document.dispatchEvent(new CustomEvent('compareUpdated'));
+        return;
+      }
+
+      if (e.target.closest('[data-compare-clear]')) {
+        CompareModule.clearCompare();
+        document.dispatchEvent(new CustomEvent('compareUpdated'));
+        return;
+      }
+
+      if (e.target.closest('#compare-tray-link.is-disabled')) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Debounce function to limit rapid function calls
+   * @param {Function} func - Function to debounce
+   * @param {number} wait - Wait time in milliseconds
+   * @returns {Function} Debounced function
+   */
+  function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+
+  /**
+   * Escape text for safe insertion into HTML
+   * Uses the search module's escaper so search snippets and the rest of the page escape the same way
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeHTML(text) {
+    return SearchModule.escapeHTML(text);
+  }
+
+  /**
+   * Throttle function to limit function calls over time
+   * @param {Function} func - Function to throttle
+   * @param {number} limit - Minimum time between calls in milliseconds
+   * @returns {Function} Throttled function
+   */
+  function throttle(func, limit) {
+    let inThrottle;
+    return function executedFunction(...args) {
+      if (!inThrottle) {
+        func(...args);
+        inThrottle = true;
+        setTimeout(() => inThrottle = false, limit);
+      }
+    };
+  }
+
+  /**
+   * Format a USD amount in the shopper's display currency
+   * @param {number} amount - Amount to format (USD)
+   * @returns {string} Formatted currency string
+   */
+  function formatCurrency(amount) {
+    if (typeof CurrencyModule !== 'undefined') {
+      return CurrencyModule.formatAmount(amount);
+    }
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  }
+
+  /**
+   * Format an amount that is already in the given currency
+   * @param {number} amount - Amount to format
+   * @param {string} [currency] - Currency code (defaults to the display currency)
+   * @returns {string} Formatted currency string
+   */
+  function formatMoney(amount, currency) {
+    if (typeof CurrencyModule !== 'undefined') {
+      return CurrencyModule.formatMoney(amount, currency);
+    }
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency || 'USD'
+    }).format(amount);
+  }
+
+  /**
+   * Format a catalog price as shown to the shopper: in their currency, with its price ending,
+   * and tax included for VAT destinations
+   * @param {number} price - Price in USD before tax
+   * @param {string} [taxClass] - Product tax class
+   * @returns {string} Formatted price
+   */
+  function formatProductPrice(price, taxClass) {
+    const displayPrice = typeof TaxModule !== 'undefined' ? TaxModule.getDisplayPrice(price, taxClass) : price;
+    if (typeof CurrencyModule !== 'undefined') {
+      return CurrencyModule.formatCatalogPrice(displayPrice);
+    }
+    return formatCurrency(displayPrice);
+  }
+
+  /**
+   * Get the unit price of a cart line in the shopper's display currency
+   * @param {Object} item - Cart item
+   * @returns {number} Display price
+   */
+  function getItemDisplayPrice(item) {
+    if (typeof CartModule === 'undefined') return item.price;
+    return CartModule.getLineDisplayPrice(item);
+  }
+
+  /**
+   * Get URL query parameter value
+   * @param {string} param - Parameter name
+   * @returns {string|null} Parameter value or null
+   */
+  function getQueryParam(param) {
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get(param);
+  }
+
+  /**
+   * Set URL query parameter
+   * @param {string} param - Parameter name
+   * @param {string} value - Parameter value
+   * @param {boolean} [pushState=true] - Whether to push to history
+   */
+  function setQueryParam(param, value, pushState = true) {
+    const url = new URL(window.location.href);
+    if (value === null || value === undefined || value === '') {
+      url.searchParams.delete(param);
+    } else {
+      url.searchParams.set(param, value);
+    }
+
+    if (pushState) {
+      window.history.pushState({}, '', url.toString());
+    } else {
+      window.history.replaceState({}, '', url.toString());
+    }
+  }
+
+  // ============================================
+  // MAIN INITIALIZATION
+  // ============================================
+
+  /**
+   * Main initialization function
+   * Runs when DOM is fully loaded
+   */
+  function init() {
+    // Initialize mobile menu
+    initMobileMenu();
+
+    // Initialize FAQ accordion
+    initFaqAccordion();
+
+    // Update cart and wishlist badges
+    updateCartBadge();
+    updateWishlistBadge();
+
+    // Set active nav link
+    setActiveNavLink();
+
+    // Initialize header search
+    initHeaderSearch();
+
+    // Initialize currency selector
+    initCurrencySelector();
+
+    // Initialize modals
+    initModals();
+
+    // Initialize quantity selectors
+    initQuantitySelector();
+
+    // Initialize quick add to cart
+    initQuickAddToCart();
+
+    // Initialize wishlist hearts
+    initWishlistToggles();
+
+    // Initialize compare checkboxes and tray
+    initCompareToggles();
+    updateCompareTray();
+
+    // Initialize current page
+    initCurrentPage();
+
+    console.log('Mustache Harnesses Co. initialized');
+  }
+
+  // ============================================
+  // EVENT LISTENERS
+  // ============================================
+
+  // Initialize on DOM ready
+  document.addEventListener('DOMContentLoaded', init);
+
+  // Listen for custom cart update events
+  document.addEventListener('cartUpdated', updateCartBadge);
+
+  // Listen for wishlist changes
+  document.addEventListener('wishlistUpdated', function() {
+    updateWishlistBadge();
+    updateWishlistToggles();
+  });
+
+  // Listen for compare tray changes
+  document.addEventListener('compareUpdated', function() {
+    updateCompareToggles();
+    updateCompareTray();
+  });
+
+  // ============================================
+  // EXPORT TO GLOBAL SCOPE
+  // ============================================
+
+  window.MainModule = {
+    // Cart badge
+    updateCartBadge: updateCartBadge,
+    updateWishlistBadge: updateWishlistBadge,
+    // Utilities
+    debounce: debounce,
+    throttle: throttle,
+    formatCurrency: formatCurrency,
+    formatMoney: formatMoney,
+    formatProductPrice: formatProductPrice,
+    getQueryParam: getQueryParam,
+    setQueryParam: setQueryParam,
+    // Star rating
+    createStarRating: createStarRating,
+    // Quantity selector
+    createQuantitySelector: createQuantitySelector,
+    initQuantitySelector: initQuantitySelector,
+    // Toast notifications
+    showToast: showToast,
+    showAddedToCartToast: showAddedToCartToast,
+    dismissToast: dismissToast,
+    // Modal
+    openModal: openModal,
+    closeModal: closeModal,
+    createSizeGuideModal: createSizeGuideModal,
+    // Product card
+    createProductCard: createProductCard,
+    // Landing page
+    initLandingPage: initLandingPage,
+    loadFeaturedProducts: loadFeaturedProducts,
+    // Shop page
+    initShopPage: initShopPage,
+    // Product page
+    initProductPage: initProductPage,
+    // Cart page
+    initCartPage: initCartPage
+  };
+
+})();
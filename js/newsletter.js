@@ -0,0 +1,437 @@
+// Newsletter Module
+// Double opt-in subscriptions, topic preferences, unsubscribe links and pluggable subscriber stores
+
+const NEWSLETTER_SUBSCRIBERS_STORAGE_KEY = 'mh_newsletter_subscribers';
+const NEWSLETTER_OUTBOX_STORAGE_KEY = 'mh_newsletter_outbox';
+const NEWSLETTER_VISITOR_STORAGE_KEY = 'mh_newsletter_subscription';
+
+// Flag written before double opt-in; it holds no email address, so it migrates to a 'legacy' subscription
+const LEGACY_NEWSLETTER_STORAGE_KEY = 'mh_newsletter_subscribed';
+
+// Store used unless another is chosen with setSubscriberStore()
+const DEFAULT_SUBSCRIBER_STORE = 'local';
+
+// Topics a subscriber can choose; everything is selected by default
+const NEWSLETTER_TOPICS = {
+  new_products: 'New products',
+  promotions: 'Promotions & offers'
+};
+
+// Registered subscriber stores, keyed by store ID
+const subscriberStores = {};
+
+let activeSubscriberStore = DEFAULT_SUBSCRIBER_STORE;
+
+/**
+ * Register a subscriber store
+ * A store keeps subscriber records and sends their emails (a mailing list service, an API, etc.)
+ * Every method returns a Promise.
+ * @param {string} id - Store ID
+ * @param {Object} store - Store {
+ *   label,
+ *   findByEmail(email) → subscriber | null,
+ *   findByToken(token) → subscriber | null,
+ *   save(subscriber) → boolean,
+ *   sendConfirmation(subscriber, links) → boolean
+ * }
+ */
+function registerSubscriberStore(id, store) {
+  subscriberStores[id] = { id, ...store };
+}
+
+/**
+ * Choose the store subscriptions are kept in
+ * @param {string} id - Store ID
+ * @returns {boolean} True if the store is registered
+ */
+function setSubscriberStore(id) {
+  if (!subscriberStores[id]) {
+    return false;
+  }
+  activeSubscriberStore = id;
+  return true;
+}
+
+/**
+ * Get the store subscriptions are kept in
+ * @returns {Object} Store
+ */
+function getSubscriberStore() {
+  return subscriberStores[activeSubscriberStore] || subscriberStores[DEFAULT_SUBSCRIBER_STORE];
+}
+
+/**
+ * Generate the secret token used in confirmation, preference and unsubscribe links
+ * @returns {string} Token
+ */
+function generateSubscriberToken() {
+  let token = '';
+  while (token.length < 24) {
+    token += Math.random().toString(36).substring(2);
+  }
+  return token.substring(0, 24);
+}
+
+/**
+ * Build an absolute link to the newsletter page
+ * @param {string} action - 'confirm', 'unsubscribe' or 'preferences'
+ * @param {string} token - Subscriber token
+ * @returns {string} URL
+ */
+function getNewsletterLink(action, token) {
+  const page = window.location.pathname.includes('/pages/') ? 'newsletter.html' : 'pages/newsletter.html';
+  const url = new URL(page, window.location.href);
+  url.searchParams.set('action', action);
+  url.searchParams.set('token', token);
+  return url.href;
+}
+
+/**
+ * Keep only known topics
+ * @param {Array} topics - Topic IDs
+ * @returns {Array} Known topic IDs
+ */
+function normalizeTopics(topics) {
+  return Object.keys(NEWSLETTER_TOPICS).filter(topic => (topics || []).includes(topic));
+}
+
+/**
+ * Validate a subscription request
+ * @param {string} email - Email address
+ * @param {Array} topics - Topic IDs
+ * @returns {Object} Validation result { valid, errors } (errors keyed by 'email' or 'topics')
+ */
+function validateSubscription(email, topics) {
+  const errors = {};
+
+  const emailResult = window.CheckoutModule
+    ? window.CheckoutModule.validateEmail(email)
+    : { valid: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((email || '').trim()), message: 'Please enter a valid email address.' };
+  if (!emailResult.valid) errors.email = emailResult.message;
+
+  if (normalizeTopics(topics).length === 0) {
+    errors.topics = 'Please choose at least one topic.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Carry a subscription flag from before double opt-in over to this device's subscription, once
+ * The flag holds no email address, so the visitor is remembered with a 'legacy' status (no email or
+ * token) until they subscribe again
+ */
+function migrateLegacySubscription() {
+  try {
+    const legacy = localStorage.getItem(LEGACY_NEWSLETTER_STORAGE_KEY);
+    if (legacy === null) return;
+
+    if (legacy === 'true' && localStorage.getItem(NEWSLETTER_VISITOR_STORAGE_KEY) === null) {
+      localStorage.setItem(NEWSLETTER_VISITOR_STORAGE_KEY, JSON.stringify({ email: null, status: 'legacy', token: null }));
+    }
+    localStorage.removeItem(LEGACY_NEWSLETTER_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error migrating newsletter subscription in localStorage:', error);
+  }
+}
+
+/**
+ * Get the subscription made from this device
+ * @returns {Object|null} Subscription { email, status, token } or null
+ *   (status 'legacy', with no email or token, for subscriptions from before double opt-in)
+ */
+function getVisitorSubscription() {
+  migrateLegacySubscription();
+
+  try {
+    const stored = localStorage.getItem(NEWSLETTER_VISITOR_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading newsletter subscription from localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Remember the subscription made from this device
+ * @param {Object} subscriber - Subscriber record
+ */
+function saveVisitorSubscription(subscriber) {
+  try {
+    localStorage.setItem(NEWSLETTER_VISITOR_STORAGE_KEY, JSON.stringify({
+      email: subscriber.email,
+      status: subscriber.status,
+      token: subscriber.token
+    }));
+  } catch (error) {
+    console.error('Error saving newsletter subscription to localStorage:', error);
+  }
+}
+
+/**
+ * Update this device's copy of a subscription, if it is the same subscriber
+ * @param {Object} subscriber - Subscriber record
+ */
+function syncVisitorSubscription(subscriber) {
+  const visitor = getVisitorSubscription();
+  if (visitor && visitor.token === subscriber.token) {
+    saveVisitorSubscription(subscriber);
+  }
+}
+
+/**
+ * Subscribe an email address
+ * New and previously unsubscribed addresses start as pending and are sent a confirmation link;
+ * pending addresses get the link again; confirmed addresses just have their topics updated
+ * @param {string} email - Email address
+ * @param {Array} topics - Topic IDs
+ * @returns {Promise<Object>} Result { success, subscriber, status, code?, message?, errors? }
+ *   status: 'pending' (confirmation sent) or 'confirmed' (already subscribed)
+ */
+async function subscribe(email, topics) {
+  const validation = validateSubscription(email, topics);
+  if (!validation.valid) {
+    return {
+      success: false,
+      subscriber: null,
+      code: 'validation_failed',
+      message: validation.errors.email || validation.errors.topics,
+      errors: validation.errors
+    };
+  }
+
+  const store = getSubscriberStore();
+  const address = email.trim().toLowerCase();
+  const now = new Date().toISOString();
+
+  try {
+    const existing = await store.findByEmail(address);
+    let subscriber;
+
+    if (existing && existing.status === 'confirmed') {
+      subscriber = { ...existing, topics: normalizeTopics(topics), updatedAt: now };
+    } else {
+      subscriber = {
+        email: address,
+        status: 'pending',
+        topics: normalizeTopics(topics),
+        token: existing && existing.status === 'pending' ? existing.token : generateSubscriberToken(),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        confirmedAt: null,
+        unsubscribedAt: null
+      };
+    }
+
+    if (!await store.save(subscriber)) {
+      throw new Error('Subscriber store could not save the subscription');
+    }
+
+    if (subscriber.status === 'pending') {
+      const sent = await store.sendConfirmation(subscriber, {
+        confirm: getNewsletterLink('confirm', subscriber.token),
+        unsubscribe: getNewsletterLink('unsubscribe', subscriber.token)
+      });
+      if (!sent) {
+        throw new Error('Subscriber store could not send the confirmation email');
+      }
+    }
+
+    saveVisitorSubscription(subscriber);
+    return { success: true, subscriber, status: subscriber.status };
+  } catch (error) {
+    console.error('Error subscribing to newsletter:', error);
+    return {
+      success: false,
+      subscriber: null,
+      code: 'store_failed',
+      message: 'We could not sign you up right now. Please try again.',
+      errors: {}
+    };
+  }
+}
+
+/**
+ * Find a subscriber from a link token and apply a change
+ * @param {string} token - Subscriber token
+ * @param {Function} change - Returns the updated subscriber, or a result to return as-is
+ * @returns {Promise<Object>} Result { success, subscriber, code?, message? }
+ */
+async function updateSubscriberByToken(token, change) {
+  const store = getSubscriberStore();
+
+  try {
+    const subscriber = token ? await store.findByToken(token) : null;
+    if (!subscriber) {
+      return {
+        success: false,
+        subscriber: null,
+        code: 'invalid_link',
+        message: 'This link is invalid or has expired.'
+      };
+    }
+
+    const updated = change(subscriber);
+    if (updated.success === false) return updated;
+
+    if (!await store.save(updated)) {
+      throw new Error('Subscriber store could not save the subscription');
+    }
+
+    syncVisitorSubscription(updated);
+    return { success: true, subscriber: updated };
+  } catch (error) {
+    console.error('Error updating newsletter subscription:', error);
+    return {
+      success: false,
+      subscriber: null,
+      code: 'store_failed',
+      message: 'We could not update your subscription right now. Please try again.'
+    };
+  }
+}
+
+/**
+ * Confirm a pending subscription from its confirmation link
+ * @param {string} token - Subscriber token
+ * @returns {Promise<Object>} Result { success, subscriber, code?, message? }
+ */
+function confirmSubscription(token) {
+  return updateSubscriberByToken(token, subscriber => {
+    if (subscriber.status === 'unsubscribed') {
+      return {
+        success: false,
+        subscriber,
+        code: 'unsubscribed',
+        message: 'This address has unsubscribed. Sign up again to rejoin.'
+      };
+    }
+    if (subscriber.status === 'confirmed') return subscriber;
+
+    const now = new Date().toISOString();
+    return { ...subscriber, status: 'confirmed', confirmedAt: now, updatedAt: now };
+  });
+}
+
+/**
+ * Change the topics a subscriber receives
+ * @param {string} token - Subscriber token
+ * @param {Array} topics - Topic IDs (at least one; unsubscribe to receive none)
+ * @returns {Promise<Object>} Result { success, subscriber, code?, message? }
+ */
+function updatePreferences(token, topics) {
+  if (normalizeTopics(topics).length === 0) {
+    return Promise.resolve({
+      success: false,
+      subscriber: null,
+      code: 'validation_failed',
+      message: 'Please choose at least one topic, or unsubscribe instead.'
+    });
+  }
+
+  return updateSubscriberByToken(token, subscriber => ({
+    ...subscriber,
+    topics: normalizeTopics(topics),
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Unsubscribe from every topic
+ * @param {string} token - Subscriber token
+ * @returns {Promise<Object>} Result { success, subscriber, code?, message? }
+ */
+function unsubscribe(token) {
+  return updateSubscriberByToken(token, subscriber => {
+    const now = new Date().toISOString();
+    return { ...subscriber, status: 'unsubscribed', unsubscribedAt: now, updatedAt: now };
+  });
+}
+
+/**
+ * Look up a subscriber from a link token
+ * @param {string} token - Subscriber token
+ * @returns {Promise<Object|null>} Subscriber or null
+ */
+async function getSubscriberByToken(token) {
+  try {
+    return token ? await getSubscriberStore().findByToken(token) : null;
+  } catch (error) {
+    console.error('Error loading newsletter subscription:', error);
+    return null;
+  }
+}
+
+/**
+ * Read the local subscriber list
+ * @returns {Array} Subscribers
+ */
+function readLocalSubscribers() {
+  try {
+    const stored = localStorage.getItem(NEWSLETTER_SUBSCRIBERS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading newsletter subscribers from localStorage:', error);
+    return [];
+  }
+}
+
+// Built-in store: keep subscribers on this device and queue confirmation emails in a local outbox
+registerSubscriberStore('local', {
+  label: 'Local storage',
+  findByEmail(email) {
+    return Promise.resolve(readLocalSubscribers().find(subscriber => subscriber.email === email) || null);
+  },
+  findByToken(token) {
+    return Promise.resolve(readLocalSubscribers().find(subscriber => subscriber.token === token) || null);
+  },
+  save(subscriber) {
+    const subscribers = readLocalSubscribers().filter(existing => existing.email !== subscriber.email);
+    subscribers.push(subscriber);
+
+    try {
+      localStorage.setItem(NEWSLETTER_SUBSCRIBERS_STORAGE_KEY, JSON.stringify(subscribers));
+      return Promise.resolve(true);
+    } catch (error) {
+      console.error('Error saving newsletter subscribers to localStorage:', error);
+      return Promise.resolve(false);
+    }
+  },
+  sendConfirmation(subscriber, links) {
+    try {
+      const stored = localStorage.getItem(NEWSLETTER_OUTBOX_STORAGE_KEY);
+      const outbox = stored ? JSON.parse(stored) : [];
+      outbox.push({ to: subscriber.email, type: 'confirmation', links, queuedAt: new Date().toISOString() });
+      localStorage.setItem(NEWSLETTER_OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+      return Promise.resolve(true);
+    } catch (error) {
+      console.error('Error saving newsletter outbox to localStorage:', error);
+      return Promise.resolve(false);
+    }
+  }
+});
+
+// Export functions for use in other modules
+window.NewsletterModule = {
+  NEWSLETTER_TOPICS,
+
+  // Subscriptions
+  validateSubscription,
+  subscribe,
+  confirmSubscription,
+  updatePreferences,
+  unsubscribe,
+  getSubscriberByToken,
+  getNewsletterLink,
+
+  // This device
+  getVisitorSubscription,
+
+  // Subscriber stores
+  registerSubscriberStore,
+  setSubscriberStore,
+  getSubscriberStore
+};
@@ -0,0 +1,605 @@
+// Payments Module
+// Payment provider registry, transaction log, and the built-in mock card gateway and invoice providers
+
+const PAYMENTS_STORAGE_KEY = 'mh_payments';
+
+// Orders above this amount (USD) cannot be paid by invoice
+const INVOICE_CREDIT_LIMIT = 500;
+
+// How long a payment challenge waits for the shopper before the authorization is abandoned and voided
+const PAYMENT_CHALLENGE_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Card brands, checked in order against the card number
+ */
+const CARD_BRANDS = [
+  { id: 'amex', label: 'American Express', pattern: /^3[47]/, lengths: [15], cvvLength: 4 },
+  { id: 'visa', label: 'Visa', pattern: /^4/, lengths: [13, 16, 19], cvvLength: 3 },
+  { id: 'mastercard', label: 'Mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/, lengths: [16], cvvLength: 3 },
+  { id: 'discover', label: 'Discover', pattern: /^(6011|65|64[4-9])/, lengths: [16, 19], cvvLength: 3 }
+];
+
+/**
+ * Shopper-facing messages for decline codes, and the checkout field each one points at
+ */
+const DECLINE_REASONS = {
+  card_declined: { message: 'Your card was declined. Please use a different card.', field: 'cardNumber' },
+  insufficient_funds: { message: 'Your card has insufficient funds. Please use a different card.', field: 'cardNumber' },
+  expired_card: { message: 'Your card has expired.', field: 'expiry' },
+  incorrect_cvc: { message: 'Your card\'s security code is incorrect.', field: 'cvv' },
+  authentication_failed: { message: 'We could not verify your card. Please try again or use a different card.', field: 'cardNumber' },
+  challenge_expired: { message: 'Your bank confirmation timed out. Please place your order again.', field: null },
+  invoice_limit_exceeded: { message: `Invoice on delivery is available for orders up to $${INVOICE_CREDIT_LIMIT}.`, field: 'paymentMethod' },
+  invalid_state: { message: 'This payment cannot be updated in its current state.', field: null },
+  unknown_provider: { message: 'Please choose a payment method.', field: 'paymentMethod' }
+};
+
+/**
+ * Test card numbers recognized by the mock gateway and the outcome each produces
+ * Any other valid card number is approved
+ */
+const MOCK_TEST_CARDS = {
+  '4242424242424242': 'approve',
+  '5555555555554444': 'approve',
+  '378282246310005': 'approve',
+  '4000000000000002': 'card_declined',
+  '4000000000009995': 'insufficient_funds',
+  '4000000000000069': 'expired_card',
+  '4000000000000127': 'incorrect_cvc',
+  '4000000000003220': 'challenge'
+};
+
+// Registered payment providers, keyed by provider ID
+const paymentProviders = {};
+
+/**
+ * Detect the brand of a card number
+ * @param {string} cardNumber - Card number (spaces and dashes allowed)
+ * @returns {Object|null} Brand { id, label, lengths, cvvLength } or null if not recognized
+ */
+function detectCardBrand(cardNumber) {
+  const digits = (cardNumber || '').replace(/[\s-]/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  const brand = CARD_BRANDS.find(candidate => candidate.pattern.test(digits));
+  return brand ? { id: brand.id, label: brand.label, lengths: brand.lengths, cvvLength: brand.cvvLength } : null;
+}
+
+/**
+ * Validate card details with the checkout validators plus brand-specific rules
+ * @param {Object} card - Card { number, name, expiry, cvv }
+ * @returns {Object} Validation result { valid: boolean, errors: Object } keyed by checkout field name
+ */
+function validateCardDetails(card) {
+  const errors = {};
+  const checkout = window.CheckoutModule;
+
+  const numberResult = checkout.validateCreditCard(card.number);
+  const brand = detectCardBrand(card.number);
+  if (!numberResult.valid) {
+    errors.cardNumber = numberResult.message;
+  } else if (!brand) {
+    errors.cardNumber = 'We accept Visa, Mastercard, American Express and Discover.';
+  }
+
+  const nameResult = checkout.validateRequired(card.name, 'Cardholder name');
+  if (!nameResult.valid) {
+    errors.cardName = nameResult.message;
+  }
+
+  const expiryResult = checkout.validateExpiry(card.expiry);
+  if (!expiryResult.valid) {
+    errors.expiry = expiryResult.message;
+  }
+
+  const cvvResult = checkout.validateCVV(card.cvv);
+  if (!cvvResult.valid) {
+    errors.cvv = cvvResult.message;
+  } else if (brand && card.cvv.trim().length !== brand.cvvLength) {
+    errors.cvv = `${brand.label} security codes are ${brand.cvvLength} digits.`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Register a payment provider
+ * A provider implements authorize, capture, void and refund; each receives the stored
+ * transaction and returns { status, declineCode?, challenge? }
+ * @param {Object} provider - Provider { id, label, description, requiresCard, captureOn, authorize, capture, void, refund, completeChallenge? }
+ */
+function registerPaymentProvider(provider) {
+  paymentProviders[provider.id] = provider;
+}
+
+/**
+ * Get a registered payment provider
+ * @param {string} providerId - Provider ID
+ * @returns {Object|null} Provider or null
+ */
+function getPaymentProvider(providerId) {
+  return paymentProviders[providerId] || null;
+}
+
+/**
+ * Get the payment methods to offer at checkout
+ * @returns {Array} Providers { id, label, description, requiresCard }
+ */
+function getPaymentProviders() {
+  return Object.values(paymentProviders).map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    description: provider.description,
+    requiresCard: Boolean(provider.requiresCard)
+  }));
+}
+
+/**
+ * Get all payment transactions from localStorage
+ * @returns {Array} Array of transaction objects
+ */
+function getPaymentTransactions() {
+  try {
+    const stored = localStorage.getItem(PAYMENTS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading payments from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a transaction, replacing any stored version with the same ID
+ * @param {Object} transaction - Transaction object
+ * @returns {Object} The saved transaction
+ */
+function savePaymentTransaction(transaction) {
+  const transactions = getPaymentTransactions().filter(t => t.id !== transaction.id);
+  transactions.push(transaction);
+
+  try {
+    localStorage.setItem(PAYMENTS_STORAGE_KEY, JSON.stringify(transactions));
+  } catch (error) {
+    console.error('Error saving payments to localStorage:', error);
+  }
+
+  return transaction;
+}
+
+/**
+ * Get a transaction by ID
+ * @param {string} transactionId - Transaction ID
+ * @returns {Object|null} Transaction or null
+ */
+function getPaymentTransaction(transactionId) {
+  return getPaymentTransactions().find(t => t.id === transactionId) || null;
+}
+
+/**
+ * Get the transactions recorded against an order
+ * @param {string} orderNumber - Order number
+ * @returns {Array} Transactions, oldest first
+ */
+function getOrderPayments(orderNumber) {
+  return getPaymentTransactions().filter(t => t.orderNumber === orderNumber);
+}
+
+/**
+ * Generate a unique transaction ID
+ * @returns {string} Transaction ID
+ */
+function generateTransactionId() {
+  return `txn_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundPaymentAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build an operation result, with the shopper-facing error for declined or failed operations
+ * @param {Object} transaction - Transaction after the operation
+ * @param {string} [errorCode] - Decline or error code
+ * @returns {Object} Result { success, transaction, error: { code, message, field } | null }
+ */
+function buildPaymentResult(transaction, errorCode) {
+  if (!errorCode) {
+    return { success: true, transaction, error: null };
+  }
+
+  const reason = DECLINE_REASONS[errorCode] || DECLINE_REASONS.card_declined;
+  return {
+    success: false,
+    transaction,
+    error: { code: errorCode, message: reason.message, field: reason.field }
+  };
+}
+
+/**
+ * Record an event on a transaction
+ * @param {Object} transaction - Transaction
+ * @param {string} type - Event type ('authorize', 'capture', 'void', 'refund', 'challenge')
+ * @param {string} status - Resulting status
+ * @param {number} [amount] - Amount involved
+ */
+function addPaymentEvent(transaction, type, status, amount) {
+  transaction.status = status;
+  transaction.events.push({
+    type,
+    status,
+    amount: amount === undefined ? null : amount,
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Find a successful authorization made earlier with the same idempotency key
+ * Declined or abandoned attempts are not reused, so the shopper can try again
+ * @param {string} providerId - Provider ID
+ * @param {Object} request - Authorization request
+ * @returns {Object|null} Authorized or captured transaction for the same provider and amount
+ */
+function findIdempotentPayment(providerId, request) {
+  const amount = roundPaymentAmount(request.amount);
+
+  return getPaymentTransactions().find(transaction =>
+    transaction.idempotencyKey === request.idempotencyKey &&
+    transaction.provider === providerId &&
+    transaction.amount === amount &&
+    (transaction.status === 'authorized' || transaction.status === 'captured')
+  ) || null;
+}
+
+/**
+ * Release earlier attempts under an idempotency key that can no longer be reused
+ * A retry with a different amount or provider (the cart or payment method changed) replaces them, so
+ * their authorization is voided, or refunded if it was already captured, unless an order was placed.
+ * @param {Object} request - Authorization request
+ * @param {Object|null} reused - Transaction being reused for the request, which is kept
+ * @returns {Array} Released transactions
+ */
+function releaseStalePayments(request, reused) {
+  const stale = getPaymentTransactions().filter(transaction =>
+    transaction.idempotencyKey === request.idempotencyKey &&
+    !transaction.orderNumber &&
+    (!reused || transaction.id !== reused.id) &&
+    ['authorized', 'requires_action', 'captured'].includes(transaction.status)
+  );
+
+  return stale.map(transaction => (transaction.status === 'captured'
+    ? refundPayment(transaction.id)
+    : voidPayment(transaction.id)).transaction);
+}
+
+/**
+ * Void authorizations whose challenge the shopper abandoned (waiting longer than PAYMENT_CHALLENGE_TTL_MS)
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array} Voided transactions
+ */
+function expireAbandonedPayments(now = new Date()) {
+  const cutoff = now.getTime() - PAYMENT_CHALLENGE_TTL_MS;
+
+  return getPaymentTransactions()
+    .filter(transaction => transaction.status === 'requires_action' && new Date(transaction.createdAt).getTime() <= cutoff)
+    .map(transaction => voidPayment(transaction.id).transaction);
+}
+
+/**
+ * Authorize a payment
+ * Card details never reach storage: only the brand, last four digits and cardholder name are kept.
+ * A 'requires_action' result means the shopper must complete a challenge (see completePaymentChallenge).
+ * Retrying with the same idempotency key returns the earlier authorization instead of charging again;
+ * earlier attempts under the key that don't match the retry are released (see releaseStalePayments).
+ * @param {string} providerId - Provider ID ('mock-card' or 'invoice')
+ * @param {Object} request - Request { amount, currency, card?: { number, name, expiry, cvv }, email, idempotencyKey? }
+ * @returns {Object} Result { success, transaction, error }
+ */
+function authorizePayment(providerId, request) {
+  const provider = getPaymentProvider(providerId);
+  if (!provider) {
+    return buildPaymentResult(null, 'unknown_provider');
+  }
+
+  expireAbandonedPayments();
+
+  if (request.idempotencyKey) {
+    const previous = findIdempotentPayment(provider.id, request);
+    releaseStalePayments(request, previous);
+    if (previous) {
+      return buildPaymentResult(previous);
+    }
+  }
+
+  const card = request.card || null;
+  const brand = card ? detectCardBrand(card.number) : null;
+  const transaction = {
+    id: generateTransactionId(),
+    provider: provider.id,
+    orderNumber: null,
+    amount: roundPaymentAmount(request.amount),
+    currency: request.currency || 'USD',
+    capturedAmount: 0,
+    refundedAmount: 0,
+    status: 'pending',
+    card: card ? {
+      brand: brand ? brand.id : null,
+      last4: card.number.replace(/\D/g, '').slice(-4),
+      name: card.name.trim()
+    } : null,
+    email: request.email || '',
+    idempotencyKey: request.idempotencyKey || null,
+    createdAt: new Date().toISOString(),
+    events: []
+  };
+
+  const outcome = provider.authorize(transaction, request);
+  addPaymentEvent(transaction, 'authorize', outcome.status, transaction.amount);
+  if (outcome.challenge) {
+    transaction.challenge = outcome.challenge;
+  }
+  savePaymentTransaction(transaction);
+
+  if (outcome.status === 'declined') {
+    return buildPaymentResult(transaction, outcome.declineCode);
+  }
+  if (outcome.status === 'authorized' && provider.captureOn === 'checkout') {
+    return capturePayment(transaction.id);
+  }
+  return buildPaymentResult(transaction);
+}
+
+/**
+ * Complete a challenge (3-D Secure style verification) on a transaction awaiting action
+ * @param {string} transactionId - Transaction ID
+ * @param {boolean} approved - Whether the shopper passed the challenge
+ * @returns {Object} Result { success, transaction, error }
+ */
+function completePaymentChallenge(transactionId, approved) {
+  const transaction = getPaymentTransaction(transactionId);
+  const provider = transaction ? getPaymentProvider(transaction.provider) : null;
+
+  if (!transaction || !provider || transaction.status !== 'requires_action' || !provider.completeChallenge) {
+    return buildPaymentResult(transaction, 'invalid_state');
+  }
+
+  if (expireAbandonedPayments().some(expired => expired.id === transaction.id)) {
+    return buildPaymentResult(getPaymentTransaction(transaction.id), 'challenge_expired');
+  }
+
+  const outcome = provider.completeChallenge(transaction, approved);
+  delete transaction.challenge;
+  addPaymentEvent(transaction, 'challenge', outcome.status);
+  savePaymentTransaction(transaction);
+
+  if (outcome.status === 'declined') {
+    return buildPaymentResult(transaction, outcome.declineCode);
+  }
+  if (provider.captureOn === 'checkout') {
+    return capturePayment(transaction.id);
+  }
+  return buildPaymentResult(transaction);
+}
+
+/**
+ * Capture an authorized payment
+ * @param {string} transactionId - Transaction ID
+ * @param {number} [amount] - Amount to capture (defaults to the full authorization)
+ * @returns {Object} Result { success, transaction, error }
+ */
+function capturePayment(transactionId, amount) {
+  const transaction = getPaymentTransaction(transactionId);
+  const provider = transaction ? getPaymentProvider(transaction.provider) : null;
+
+  if (!transaction || !provider || transaction.status !== 'authorized') {
+    return buildPaymentResult(transaction, 'invalid_state');
+  }
+
+  const captureAmount = roundPaymentAmount(Math.min(amount === undefined ? transaction.amount : amount, transaction.amount));
+  const outcome = provider.capture(transaction, captureAmount);
+  if (outcome.status === 'captured') {
+    transaction.capturedAmount = captureAmount;
+  }
+  addPaymentEvent(transaction, 'capture', outcome.status, captureAmount);
+  savePaymentTransaction(transaction);
+
+  return buildPaymentResult(transaction, outcome.status === 'captured' ? null : outcome.declineCode);
+}
+
+/**
+ * Void an authorization that has not been captured
+ * @param {string} transactionId - Transaction ID
+ * @returns {Object} Result { success, transaction, error }
+ */
+function voidPayment(transactionId) {
+  const transaction = getPaymentTransaction(transactionId);
+  const provider = transaction ? getPaymentProvider(transaction.provider) : null;
+
+  if (!transaction || !provider || !['authorized', 'requires_action'].includes(transaction.status)) {
+    return buildPaymentResult(transaction, 'invalid_state');
+  }
+
+  const outcome = provider.void(transaction);
+  delete transaction.challenge;
+  addPaymentEvent(transaction, 'void', outcome.status);
+  savePaymentTransaction(transaction);
+
+  return buildPaymentResult(transaction);
+}
+
+/**
+ * Refund a captured payment, in full or in part
+ * @param {string} transactionId - Transaction ID
+ * @param {number} [amount] - Amount to refund (defaults to everything not yet refunded)
+ * @returns {Object} Result { success, transaction, error }
+ */
+function refundPayment(transactionId, amount) {
+  const transaction = getPaymentTransaction(transactionId);
+  const provider = transaction ? getPaymentProvider(transaction.provider) : null;
+
+  if (!transaction || !provider || !['captured', 'partially_refunded'].includes(transaction.status)) {
+    return buildPaymentResult(transaction, 'invalid_state');
+  }
+
+  const refundable = roundPaymentAmount(transaction.capturedAmount - transaction.refundedAmount);
+  const refundAmount = roundPaymentAmount(Math.min(amount === undefined ? refundable : amount, refundable));
+  if (refundAmount <= 0) {
+    return buildPaymentResult(transaction, 'invalid_state');
+  }
+
+  provider.refund(transaction, refundAmount);
+  transaction.refundedAmount = roundPaymentAmount(transaction.refundedAmount + refundAmount);
+  addPaymentEvent(transaction, 'refund', transaction.refundedAmount >= transaction.capturedAmount ? 'refunded' : 'partially_refunded', refundAmount);
+  savePaymentTransaction(transaction);
+
+  return buildPaymentResult(transaction);
+}
+
+/**
+ * Link a transaction to the order it paid for
+ * @param {string} transactionId - Transaction ID
+ * @param {string} orderNumber - Order number
+ */
+function attachPaymentToOrder(transactionId, orderNumber) {
+  const transaction = getPaymentTransaction(transactionId);
+  if (transaction) {
+    transaction.orderNumber = orderNumber;
+    savePaymentTransaction(transaction);
+  }
+}
+
+/**
+ * Describe a transaction for storing on an order
+ * @param {Object} transaction - Transaction
+ * @returns {Object} Payment { provider, method, transactionId, status, brand, cardLast4, cardName }
+ */
+function getPaymentSummary(transaction) {
+  const provider = getPaymentProvider(transaction.provider);
+  const brand = transaction.card ? CARD_BRANDS.find(candidate => candidate.id === transaction.card.brand) : null;
+
+  return {
+    provider: transaction.provider,
+    method: provider ? provider.label : transaction.provider,
+    transactionId: transaction.id,
+    status: transaction.status,
+    brand: brand ? brand.label : null,
+    cardLast4: transaction.card ? transaction.card.last4 : null,
+    cardName: transaction.card ? transaction.card.name : null
+  };
+}
+
+// ============================================
+// Built-in providers
+// ============================================
+
+/**
+ * Mock card gateway
+ * Deterministic and offline: the outcome depends only on the card number (see MOCK_TEST_CARDS)
+ */
+registerPaymentProvider({
+  id: 'mock-card',
+  label: 'Credit or Debit Card',
+  description: 'Test mode: use 4242 4242 4242 4242 with any future expiry date.',
+  requiresCard: true,
+  captureOn: 'checkout',
+
+  authorize(transaction, request) {
+    const digits = request.card.number.replace(/\D/g, '');
+    const outcome = MOCK_TEST_CARDS[digits] || 'approve';
+
+    if (outcome === 'approve') {
+      return { status: 'authorized' };
+    }
+    if (outcome === 'challenge') {
+      return {
+        status: 'requires_action',
+        challenge: { type: '3ds', message: 'Your bank needs to confirm this purchase.' }
+      };
+    }
+    return { status: 'declined', declineCode: outcome };
+  },
+
+  completeChallenge(transaction, approved) {
+    return approved ? { status: 'authorized' } : { status: 'declined', declineCode: 'authentication_failed' };
+  },
+
+  capture() {
+    return { status: 'captured' };
+  },
+
+  void() {
+    return { status: 'voided' };
+  },
+
+  refund() {
+    return { status: 'refunded' };
+  }
+});
+
+/**
+ * Invoice on delivery
+ * Authorized at checkout and captured when the order is delivered and paid
+ */
+registerPaymentProvider({
+  id: 'invoice',
+  label: 'Invoice on Delivery',
+  description: `Pay when your order arrives. Available on orders up to $${INVOICE_CREDIT_LIMIT}.`,
+  requiresCard: false,
+  captureOn: 'delivery',
+
+  authorize(transaction) {
+    return transaction.amount > INVOICE_CREDIT_LIMIT
+      ? { status: 'declined', declineCode: 'invoice_limit_exceeded' }
+      : { status: 'authorized' };
+  },
+
+  capture() {
+    return { status: 'captured' };
+  },
+
+  void() {
+    return { status: 'voided' };
+  },
+
+  refund() {
+    return { status: 'refunded' };
+  }
+});
+
+// Export functions for use in other modules
+window.PaymentsModule = {
+  PAYMENT_CHALLENGE_TTL_MS,
+
+  // Providers
+  registerPaymentProvider,
+  getPaymentProvider,
+  getPaymentProviders,
+
+  // Cards
+  detectCardBrand,
+  validateCardDetails,
+
+  // Operations
+  authorizePayment,
+  completePaymentChallenge,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  expireAbandonedPayments,
+
+  // Transactions
+  attachPaymentToOrder,
+  getPaymentTransaction,
+  getPaymentTransactions,
+  getOrderPayments,
+  getPaymentSummary
+};
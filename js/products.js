@@ -1,294 +1,594 @@
-// Product Data Module
-// Handles loading, filtering, sorting, and searching products
-
-// Cache for loaded products
-let productsCache = null;
-
-/**
- * Load products from JSON file
- * @returns {Promise<Array>} Array of product objects
- */
-async function loadProducts() {
-  if (productsCache) {
-    return productsCache;
-  }
-
-  try {
-    const response = await fetch('/data/products.json');
-    if (!response.ok) {
-      throw new Error(`Failed to load products: ${response.status}`);
-    }
-    const data = await response.json();
-    productsCache = data.products;
-    return productsCache;
-  } catch (error) {
-    console.error('Error loading products:', error);
-    return [];
-  }
-}
-
-/**
- * Get a single product by its ID
- * @param {string} id - Product ID
- * @returns {Promise<Object|null>} Product object or null if not found
- */
-async function getProductById(id) {
-  const products = await loadProducts();
-  return products.find(product => product.id === id) || null;
-}
-
-/**
- * Get all products in a specific category
- * @param {string} category - Category name
- * @returns {Promise<Array>} Array of products in the category
- */
-async function getProductsByCategory(category) {
-  const products = await loadProducts();
-  return products.filter(product => product.category === category);
-}
-
-/**
- * Get all unique categories from products
- * @returns {Promise<Array>} Array of category names
- */
-async function getCategories() {
-  const products = await loadProducts();
-  const categories = [...new Set(products.map(product => product.category))];
-  return categories;
-}
-
-/**
- * Search products by name or description
- * @param {string} query - Search query
- * @returns {Promise<Array>} Array of matching products
- */
-async function searchProducts(query) {
-  const products = await loadProducts();
-  const searchTerm = query.toLowerCase().trim();
-
-  if (!searchTerm) {
-    return products;
-  }
-
-  return products.filter(product => {
-    const nameMatch = product.name.toLowerCase().includes(searchTerm);
-    const descMatch = product.description.toLowerCase().includes(searchTerm);
-    const categoryMatch = product.category.toLowerCase().includes(searchTerm);
-    return nameMatch || descMatch || categoryMatch;
-  });
-}
-
-/**
- * Sort products by a given criteria
- * @param {Array} products - Array of products to sort
- * @param {string} sortBy - Sort criteria: 'price-asc', 'price-desc', 'name', 'newest', 'best-sellers', 'rating', 'featured'
- * @returns {Array} Sorted array of products
- */
-function sortProducts(products, sortBy = 'featured') {
-  const sorted = [...products];
-
-  switch (sortBy) {
-    case 'price-asc':
-      sorted.sort((a, b) => a.price - b.price);
-      break;
-    case 'price-desc':
-      sorted.sort((a, b) => b.price - a.price);
-      break;
-    case 'name':
-      sorted.sort((a, b) => a.name.localeCompare(b.name));
-      break;
-    case 'newest':
-      sorted.sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded));
-      break;
-    case 'best-sellers':
-      sorted.sort((a, b) => b.salesCount - a.salesCount);
-      break;
-    case 'rating':
-      sorted.sort((a, b) => b.rating - a.rating);
-      break;
-    case 'featured':
-    default:
-      // Featured: combination of salesCount and rating
-      sorted.sort((a, b) => {
-        const scoreA = a.salesCount * 0.5 + a.rating * 100;
-        const scoreB = b.salesCount * 0.5 + b.rating * 100;
-        return scoreB - scoreA;
-      });
-      break;
-  }
-
-  return sorted;
-}
-
-/**
- * Filter products based on multiple criteria
- * @param {Array} products - Array of products to filter
- * @param {Object} filters - Filter criteria
- * @param {Array<string>} [filters.categories] - Categories to include
- * @param {number} [filters.minPrice] - Minimum price
- * @param {number} [filters.maxPrice] - Maximum price
- * @param {Array<string>} [filters.colors] - Colors to include
- * @param {Array<string>} [filters.sizes] - Sizes to include
- * @param {boolean} [filters.inStockOnly] - Only show in-stock items
- * @returns {Array} Filtered array of products
- */
-function filterProducts(products, filters = {}) {
-  let filtered = [...products];
-
-  // Filter by categories
-  if (filters.categories && filters.categories.length > 0) {
-    filtered = filtered.filter(product =>
-      filters.categories.includes(product.category)
-    );
-  }
-
-  // Filter by price range (check for null and undefined)
-  if (filters.minPrice != null) {
-    filtered = filtered.filter(product => product.price >= filters.minPrice);
-  }
-  if (filters.maxPrice != null) {
-    filtered = filtered.filter(product => product.price <= filters.maxPrice);
-  }
-
-  // Filter by colors
-  if (filters.colors && filters.colors.length > 0) {
-    filtered = filtered.filter(product =>
-      product.colors.some(color => filters.colors.includes(color))
-    );
-  }
-
-  // Filter by sizes
-  if (filters.sizes && filters.sizes.length > 0) {
-    filtered = filtered.filter(product =>
-      product.sizes.some(size => filters.sizes.includes(size))
-    );
-  }
-
-  // Filter by stock availability
-  if (filters.inStockOnly) {
-    filtered = filtered.filter(product => product.inStock);
-  }
-
-  return filtered;
-}
-
-/**
- * Get all unique colors across all products
- * @returns {Promise<Array>} Array of color names
- */
-async function getAllColors() {
-  const products = await loadProducts();
-  const colors = new Set();
-  products.forEach(product => {
-    product.colors.forEach(color => colors.add(color));
-  });
-  return [...colors].sort();
-}
-
-/**
- * Get all unique sizes across all products
- * @returns {Promise<Array>} Array of size names
- */
-async function getAllSizes() {
-  const products = await loadProducts();
-  const sizes = new Set();
-  products.forEach(product => {
-    product.sizes.forEach(size => sizes.add(size));
-  });
-  // Custom sort order for sizes
-  const sizeOrder = ['S', 'M', 'L', 'XL', 'One Size'];
-  return [...sizes].sort((a, b) => {
-    const indexA = sizeOrder.indexOf(a);
-    const indexB = sizeOrder.indexOf(b);
-    if (indexA === -1 && indexB === -1) return a.localeCompare(b);
-    if (indexA === -1) return 1;
-    if (indexB === -1) return -1;
-    return indexA - indexB;
-  });
-}
-
-/**
- * Get price range across all products
- * @returns {Promise<Object>} Object with min and max prices
- */
-async function getPriceRange() {
-  const products = await loadProducts();
-  if (products.length === 0) {
-    return { min: 0, max: 0 };
-  }
-  const prices = products.map(p => p.price);
-  return {
-    min: Math.min(...prices),
-    max: Math.max(...prices)
-  };
-}
-
-/**
- * Get featured products (top sellers with high ratings)
- * @param {number} limit - Maximum number of products to return
- * @returns {Promise<Array>} Array of featured products
- */
-async function getFeaturedProducts(limit = 4) {
-  const products = await loadProducts();
-  const sorted = sortProducts(products, 'featured');
-  return sorted.slice(0, limit);
-}
-
-/**
- * Get new products
- * @param {number} limit - Maximum number of products to return
- * @returns {Promise<Array>} Array of new products
- */
-async function getNewProducts(limit = 4) {
-  const products = await loadProducts();
-  const newProducts = products.filter(p => p.isNew);
-  const sorted = sortProducts(newProducts, 'newest');
-  return sorted.slice(0, limit);
-}
-
-/**
- * Get related products (same category, excluding the current product)
- * @param {string} productId - Current product ID to exclude
- * @param {number} limit - Maximum number of products to return
- * @returns {Promise<Array>} Array of related products
- */
-async function getRelatedProducts(productId, limit = 4) {
-  const product = await getProductById(productId);
-  if (!product) {
-    return [];
-  }
-
-  const categoryProducts = await getProductsByCategory(product.category);
-  const related = categoryProducts.filter(p => p.id !== productId);
-  return related.slice(0, limit);
-}
-
-/**
- * Format price for display
- * @param {number} price - Price value
- * @returns {string} Formatted price string
- */
-function formatPrice(price) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(price);
-}
-
-// Export functions for use in other modules
-window.ProductsModule = {
-  loadProducts,
-  getProductById,
-  getProductsByCategory,
-  getCategories,
-  searchProducts,
-  sortProducts,
-  filterProducts,
-  getAllColors,
-  getAllSizes,
-  getPriceRange,
-  getFeaturedProducts,
-  getNewProducts,
-  getRelatedProducts,
-  formatPrice
-};
+// Product Data Module
+// Handles loading, filtering, sorting, and searching products
+
+// Cache for loaded products
+let productsCache = null;
+
+// Full-text search index, built once from the product catalog
+let searchIndex = null;
+
+// Fields of a product's specifications block, in display order
+// Types: 'text', 'number' (with unit), 'range' ({ min, max } with unit) and 'boolean'
+// Fields with source 'product' are read from the product itself, so shipping and the spec table share one value
+const SPEC_FIELDS = [
+  { key: 'material', label: 'Material', type: 'text' },
+  { key: 'tensionRange', label: 'Tension Range', type: 'range', unit: 'N' },
+  { key: 'weight', label: 'Weight', type: 'number', unit: 'g', source: 'product' },
+  { key: 'careInstructions', label: 'Care Instructions', type: 'text' },
+  { key: 'hypoallergenic', label: 'Hypoallergenic', type: 'boolean' },
+  { key: 'nightUseRated', label: 'Night-Use Rated', type: 'boolean' }
+];
+
+// Tension bands for filtering, in newtons
+// A product is in every band its tension range overlaps (touching a band's edge isn't enough)
+const TENSION_LEVELS = [
+  { key: 'light', label: 'Light (under 3 N)', min: 0, max: 3 },
+  { key: 'medium', label: 'Medium (3-6 N)', min: 3, max: 6 },
+  { key: 'firm', label: 'Firm (6 N and up)', min: 6, max: Infinity }
+];
+
+/**
+ * Load products from JSON file
+ * @returns {Promise<Array>} Array of product objects
+ */
+async function loadProducts() {
+  if (productsCache) {
+    return withReviews(withInventory(productsCache));
+  }
+
+  try {
+    const response = await fetch('/data/products.json');
+    if (!response.ok) {
+      throw new Error(`Failed to load products: ${response.status}`);
+    }
+    const data = await response.json();
+    productsCache = data.products;
+
+    if (window.InventoryModule) {
+      window.InventoryModule.registerCatalog(productsCache);
+    }
+
+    if (window.ShippingModule) {
+      window.ShippingModule.registerProductWeights(productsCache);
+    }
+
+    if (window.TaxModule) {
+      window.TaxModule.registerProductTaxClasses(productsCache);
+    }
+
+    if (window.SearchModule) {
+      searchIndex = window.SearchModule.buildIndex(productsCache);
+    }
+
+    if (window.ReviewsModule) {
+      window.ReviewsModule.registerCatalogRatings(productsCache);
+    }
+
+    if (window.RatingsModule) {
+      window.RatingsModule.registerCatalogAverage(productsCache);
+    }
+
+    return withReviews(withInventory(productsCache));
+  } catch (error) {
+    console.error('Error loading products:', error);
+    return [];
+  }
+}
+
+/**
+ * Apply inventory adjustments (sales and cart reservations) to catalog stock
+ * @param {Array} products - Array of product objects as loaded from JSON
+ * @returns {Array} Array of products with current stockCount and inStock values
+ */
+function withInventory(products) {
+  if (!window.InventoryModule) {
+    return products;
+  }
+  return products.map(product => window.InventoryModule.applyInventory(product));
+}
+
+/**
+ * Apply approved customer reviews to catalog ratings and review lists
+ * @param {Array} products - Array of product objects
+ * @returns {Array} Array of products with current rating, reviewCount and reviews
+ */
+function withReviews(products) {
+  if (!window.ReviewsModule) {
+    return products;
+  }
+  return products.map(product => window.ReviewsModule.applyReviews(product));
+}
+
+/**
+ * Get a single product by its ID
+ * @param {string} id - Product ID
+ * @returns {Promise<Object|null>} Product object or null if not found
+ */
+async function getProductById(id) {
+  const products = await loadProducts();
+  return products.find(product => product.id === id) || null;
+}
+
+/**
+ * Get all products in a specific category
+ * @param {string} category - Category name
+ * @returns {Promise<Array>} Array of products in the category
+ */
+async function getProductsByCategory(category) {
+  const products = await loadProducts();
+  return products.filter(product => product.category === category);
+}
+
+/**
+ * Get all unique categories from products
+ * @returns {Promise<Array>} Array of category names
+ */
+async function getCategories() {
+  const products = await loadProducts();
+  const categories = [...new Set(products.map(product => product.category))];
+  return categories;
+}
+
+/**
+ * Get the variants (size × color SKUs) of a product
+ * Variant price and image fall back to the product's own values
+ * @param {Object} product - Product object
+ * @returns {Array} Array of variants { sku, size, color, price, image, stockCount, inStock }
+ */
+function getVariants(product) {
+  if (!product) {
+    return [];
+  }
+
+  // Products without a variants block get one variant per size/color combination
+  const variants = product.variants && product.variants.length > 0
+    ? product.variants
+    : product.colors.flatMap(color => product.sizes.map(size => ({
+      sku: `${product.id}-${color}-${size}`,
+      size,
+      color,
+      stockCount: product.stockCount
+    })));
+
+  return variants.map(variant => ({
+    ...variant,
+    price: variant.price != null ? variant.price : product.price,
+    image: variant.image || product.images[0],
+    inStock: variant.inStock != null
+      ? variant.inStock
+      : product.inStock && variant.stockCount > 0
+  }));
+}
+
+/**
+ * Find the variant for a size/color combination
+ * @param {Object} product - Product object
+ * @param {string} size - Size
+ * @param {string} color - Color
+ * @returns {Object|null} Variant or null if the combination does not exist
+ */
+function findVariant(product, size, color) {
+  return getVariants(product).find(variant => variant.size === size && variant.color === color) || null;
+}
+
+/**
+ * Get the variant selected by default (first in-stock variant, else the first variant)
+ * @param {Object} product - Product object
+ * @returns {Object|null} Variant or null if the product has none
+ */
+function getDefaultVariant(product) {
+  const variants = getVariants(product);
+  return variants.find(variant => variant.inStock) || variants[0] || null;
+}
+
+/**
+ * Check whether a size/color combination can be purchased
+ * @param {Object} product - Product object
+ * @param {string} size - Size
+ * @param {string} color - Color
+ * @returns {boolean} True if the variant exists and is in stock
+ */
+function isVariantAvailable(product, size, color) {
+  const variant = findVariant(product, size, color);
+  return Boolean(variant && variant.inStock);
+}
+
+/**
+ * Get the full-text search index (built when products are first loaded)
+ * @returns {Promise<Object|null>} Search index, or null if SearchModule is not loaded
+ */
+async function getSearchIndex() {
+  await loadProducts();
+  return searchIndex;
+}
+
+/**
+ * Rank products against a search query
+ * Matching products get a searchScore and searchHighlights ({ name, snippet, source }) attached
+ * @param {Array} products - Array of products to search within
+ * @param {string} query - Search query
+ * @returns {Array} Matching products ordered by relevance
+ */
+function rankSearchResults(products, query) {
+  const searchTerm = (query || '').trim();
+
+  if (!searchTerm) {
+    return products;
+  }
+
+  // Fall back to plain substring matching if the search module is unavailable
+  if (!window.SearchModule || !searchIndex) {
+    const lowerTerm = searchTerm.toLowerCase();
+    return products.filter(product => {
+      const nameMatch = product.name.toLowerCase().includes(lowerTerm);
+      const descMatch = product.description.toLowerCase().includes(lowerTerm);
+      const categoryMatch = product.category.toLowerCase().includes(lowerTerm);
+      return nameMatch || descMatch || categoryMatch;
+    });
+  }
+
+  const productMap = new Map(products.map(product => [product.id, product]));
+
+  return window.SearchModule.search(searchIndex, searchTerm)
+    .filter(result => productMap.has(result.id))
+    .map(result => {
+      const product = productMap.get(result.id);
+      return {
+        ...product,
+        searchScore: result.score,
+        searchHighlights: window.SearchModule.getHighlights(product, result.matchedTerms)
+      };
+    });
+}
+
+/**
+ * Search products by name, category, colors, description and review text
+ * Tolerates typos and synonyms; results are ordered by relevance
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Array of matching products
+ */
+async function searchProducts(query) {
+  const products = await loadProducts();
+  return rankSearchResults(products, query);
+}
+
+/**
+ * Format one specification value for display
+ * @param {Object} field - Field from SPEC_FIELDS
+ * @param {*} value - Specification value
+ * @returns {string} Display text (empty if the value is missing)
+ */
+function formatSpecValue(field, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  switch (field.type) {
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'number':
+      return `${value} ${field.unit}`;
+    case 'range':
+      return `${value.min}-${value.max} ${field.unit}`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Get a product's value for one specification field
+ * @param {Object} product - Product object
+ * @param {Object} field - Field from SPEC_FIELDS
+ * @returns {*} Value, or null if the product doesn't have it
+ */
+function getSpecValue(product, field) {
+  const source = field.source === 'product' ? product : (product.specifications || {});
+  return source[field.key] !== undefined ? source[field.key] : null;
+}
+
+/**
+ * Get a product's specifications for display
+ * @param {Object} product - Product object
+ * @returns {Array} Rows { key, label, type, value, display }, skipping fields the product doesn't have
+ */
+function getSpecifications(product) {
+  return SPEC_FIELDS
+    .map(field => ({ field, value: getSpecValue(product, field) }))
+    .filter(({ value }) => value !== null)
+    .map(({ field, value }) => ({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      value,
+      display: formatSpecValue(field, value)
+    }));
+}
+
+/**
+ * Get the tension bands a product reaches into
+ * @param {Object} product - Product object
+ * @returns {Array<string>} Tension level keys (see TENSION_LEVELS)
+ */
+function getTensionLevels(product) {
+  const range = product.specifications && product.specifications.tensionRange;
+  if (!range) {
+    return [];
+  }
+  return TENSION_LEVELS
+    .filter(level => range.min < level.max && range.max > level.min)
+    .map(level => level.key);
+}
+
+/**
+ * Get the rating a product is ranked by
+ * @param {Object} product - Product object
+ * @returns {number} Bayesian-adjusted score, or the plain rating without RatingsModule
+ */
+function getRatingScore(product) {
+  return window.RatingsModule ? window.RatingsModule.getAdjustedScore(product) : product.rating;
+}
+
+/**
+ * Sort products by a given criteria
+ * @param {Array} products - Array of products to sort
+ * @param {string} sortBy - Sort criteria: 'relevance', 'price-asc', 'price-desc', 'name', 'newest', 'best-sellers', 'rating', 'featured'
+ * @returns {Array} Sorted array of products
+ */
+function sortProducts(products, sortBy = 'featured') {
+  const sorted = [...products];
+
+  switch (sortBy) {
+    case 'relevance':
+      // Products without a search score (no active search) keep their order
+      sorted.sort((a, b) => (b.searchScore || 0) - (a.searchScore || 0));
+      break;
+    case 'price-asc':
+      sorted.sort((a, b) => a.price - b.price);
+      break;
+    case 'price-desc':
+      sorted.sort((a, b) => b.price - a.price);
+      break;
+    case 'name':
+      sorted.sort((a, b) => a.name.localeCompare(b.name));
+      break;
+    case 'newest':
+      sorted.sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded));
+      break;
+    case 'best-sellers':
+      sorted.sort((a, b) => b.salesCount - a.salesCount);
+      break;
+    case 'rating':
+      sorted.sort((a, b) => getRatingScore(b) - getRatingScore(a) || b.reviewCount - a.reviewCount);
+      break;
+    case 'featured':
+    default:
+      // Featured: combination of salesCount and rating
+      sorted.sort((a, b) => {
+        const scoreA = a.salesCount * 0.5 + getRatingScore(a) * 100;
+        const scoreB = b.salesCount * 0.5 + getRatingScore(b) * 100;
+        return scoreB - scoreA;
+      });
+      break;
+  }
+
+  return sorted;
+}
+
+/**
+ * Filter products based on multiple criteria
+ * @param {Array} products - Array of products to filter
+ * @param {Object} filters - Filter criteria
+ * @param {Array<string>} [filters.categories] - Categories to include
+ * @param {number} [filters.minPrice] - Minimum price
+ * @param {number} [filters.maxPrice] - Maximum price
+ * @param {Array<string>} [filters.colors] - Colors to include
+ * @param {Array<string>} [filters.sizes] - Sizes to include
+ * @param {boolean} [filters.inStockOnly] - Only show in-stock items
+ * @param {Array<string>} [filters.materials] - Materials to include
+ * @param {Array<string>} [filters.tensionLevels] - Tension levels to include (see TENSION_LEVELS)
+ * @param {boolean} [filters.hypoallergenicOnly] - Only show hypoallergenic products
+ * @param {boolean} [filters.nightUseOnly] - Only show products rated for night use
+ * @returns {Array} Filtered array of products
+ */
+function filterProducts(products, filters = {}) {
+  let filtered = [...products];
+
+  // Filter by categories
+  if (filters.categories && filters.categories.length > 0) {
+    filtered = filtered.filter(product =>
+      filters.categories.includes(product.category)
+    );
+  }
+
+  // Filter by price, color, size and stock at the variant level, so a product
+  // only matches when a single variant satisfies every criterion together
+  const hasColors = filters.colors && filters.colors.length > 0;
+  const hasSizes = filters.sizes && filters.sizes.length > 0;
+
+  if (hasColors || hasSizes || filters.inStockOnly || filters.minPrice != null || filters.maxPrice != null) {
+    filtered = filtered.filter(product =>
+      getVariants(product).some(variant =>
+        (!hasColors || filters.colors.includes(variant.color)) &&
+        (!hasSizes || filters.sizes.includes(variant.size)) &&
+        (!filters.inStockOnly || variant.inStock) &&
+        (filters.minPrice == null || variant.price >= filters.minPrice) &&
+        (filters.maxPrice == null || variant.price <= filters.maxPrice)
+      )
+    );
+  }
+
+  // Filter by specifications
+  if (filters.materials && filters.materials.length > 0) {
+    filtered = filtered.filter(product =>
+      product.specifications && filters.materials.includes(product.specifications.material)
+    );
+  }
+
+  if (filters.tensionLevels && filters.tensionLevels.length > 0) {
+    filtered = filtered.filter(product =>
+      getTensionLevels(product).some(level => filters.tensionLevels.includes(level))
+    );
+  }
+
+  if (filters.hypoallergenicOnly) {
+    filtered = filtered.filter(product => product.specifications && product.specifications.hypoallergenic === true);
+  }
+
+  if (filters.nightUseOnly) {
+    filtered = filtered.filter(product => product.specifications && product.specifications.nightUseRated === true);
+  }
+
+  return filtered;
+}
+
+/**
+ * Get all unique colors across all products
+ * @returns {Promise<Array>} Array of color names
+ */
+async function getAllColors() {
+  const products = await loadProducts();
+  const colors = new Set();
+  products.forEach(product => {
+    product.colors.forEach(color => colors.add(color));
+  });
+  return [...colors].sort();
+}
+
+/**
+ * Get all unique sizes across all products
+ * @returns {Promise<Array>} Array of size names
+ */
+async function getAllSizes() {
+  const products = await loadProducts();
+  const sizes = new Set();
+  products.forEach(product => {
+    product.sizes.forEach(size => sizes.add(size));
+  });
+  // Custom sort order for sizes
+  const sizeOrder = ['S', 'M', 'L', 'XL', 'One Size'];
+  return [...sizes].sort((a, b) => {
+    const indexA = sizeOrder.indexOf(a);
+    const indexB = sizeOrder.indexOf(b);
+    if (indexA === -1 && indexB === -1) return a.localeCompare(b);
+    if (indexA === -1) return 1;
+    if (indexB === -1) return -1;
+    return indexA - indexB;
+  });
+}
+
+/**
+ * Get all unique materials from product specifications
+ * @returns {Promise<Array>} Array of material names
+ */
+async function getAllMaterials() {
+  const products = await loadProducts();
+  const materials = new Set();
+  products.forEach(product => {
+    if (product.specifications && product.specifications.material) {
+      materials.add(product.specifications.material);
+    }
+  });
+  return [...materials].sort();
+}
+
+/**
+ * Get price range across all products
+ * @returns {Promise<Object>} Object with min and max prices
+ */
+async function getPriceRange() {
+  const products = await loadProducts();
+  if (products.length === 0) {
+    return { min: 0, max: 0 };
+  }
+  const prices = products.flatMap(p => getVariants(p).map(variant => variant.price));
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices)
+  };
+}
+
+/**
+ * Get featured products (top sellers with high ratings)
+ * @param {number} limit - Maximum number of products to return
+ * @returns {Promise<Array>} Array of featured products
+ */
+async function getFeaturedProducts(limit = 4) {
+  const products = await loadProducts();
+  const sorted = sortProducts(products, 'featured');
+  return sorted.slice(0, limit);
+}
+
+/**
+ * Get new products
+ * @param {number} limit - Maximum number of products to return
+ * @returns {Promise<Array>} Array of new products
+ */
+async function getNewProducts(limit = 4) {
+  const products = await loadProducts();
+  const newProducts = products.filter(p => p.isNew);
+  const sorted = sortProducts(newProducts, 'newest');
+  return sorted.slice(0, limit);
+}
+
+/**
+ * Get related products (same category, excluding the current product)
+ * @param {string} productId - Current product ID to exclude
+ * @param {number} limit - Maximum number of products to return
+ * @returns {Promise<Array>} Array of related products
+ */
+async function getRelatedProducts(productId, limit = 4) {
+  const product = await getProductById(productId);
+  if (!product) {
+    return [];
+  }
+
+  const categoryProducts = await getProductsByCategory(product.category);
+  const related = categoryProducts.filter(p => p.id !== productId);
+  return related.slice(0, limit);
+}
+
+/**
+ * Format a USD catalog price for display in the shopper's currency
+ * @param {number} price - Price value
+ * @returns {string} Formatted price string
+ */
+function formatPrice(price) {
+  if (window.CurrencyModule) {
+    return window.CurrencyModule.formatCatalogPrice(price);
+  }
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(price);
+}
+
+// Export functions for use in other modules
+window.ProductsModule = {
+  SPEC_FIELDS,
+  TENSION_LEVELS,
+  loadProducts,
+  getProductById,
+  getProductsByCategory,
+  getCategories,
+  getVariants,
+  findVariant,
+  getDefaultVariant,
+  isVariantAvailable,
+  getSearchIndex,
+  searchProducts,
+  rankSearchResults,
+  sortProducts,
+  filterProducts,
+  getAllColors,
+  getAllSizes,
+  getAllMaterials,
+  getPriceRange,
+  getFeaturedProducts,
+  getNewProducts,
+  getRelatedProducts,
+  getSpecifications,
+  getSpecValue,
+  formatSpecValue,
+  getTensionLevels,
+  formatPrice
+};
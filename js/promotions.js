@@ -0,0 +1,612 @@
+// Promotions Module
+// Declarative promotion rules and the engine that evaluates them against the cart
+
+const PROMO_USAGE_STORAGE_KEY = 'mh_promo_usage';
+
+// Most codes a shopper can have applied at once
+const MAX_APPLIED_CODES = 3;
+
+// Application order when a rule has no priority of its own
+const DEFAULT_PROMOTION_PRIORITY = 50;
+
+/**
+ * Promotion rules
+ * Every rule has a code, a type and a description. Supported types:
+ *   percent       - `value` is the fraction off each qualifying line (0.10 = 10%)
+ *   fixed         - `value` is an amount off, spread across qualifying lines
+ *   bogo          - buy `buyQuantity`, get `getQuantity` at `getPercent` off (1 = free); cheapest units are discounted
+ *   free-shipping - waives shipping on the order
+ * Optional conditions:
+ *   scope         - { categories: [], productIds: [] } limits which lines qualify (omit for the whole cart)
+ *   minSubtotal   - minimum cart subtotal before the code can be used
+ *   startsAt      - ISO date the code becomes active
+ *   expiresAt     - ISO date the code stops working
+ *   minQuantity   - minimum number of qualifying units in the cart
+ *   usageLimit    - total number of orders that may use the code
+ * Automatic offers and stacking:
+ *   auto          - applied automatically whenever the cart qualifies (the code is an internal ID, it cannot be entered)
+ *   priority      - lower numbers are applied first; later promotions discount what earlier ones left
+ *                   (promotions with the same priority are applied in code order)
+ *   exclusive     - cannot be combined with any other code or offer
+ *   combinesWith  - { codes: boolean, offers: boolean } whether it can be combined with other codes / automatic offers
+ * When promotions conflict, the combination that saves the shopper the most wins.
+ */
+const PROMOTIONS = [
+  // Automatic offers
+  {
+    code: 'CROC-TRIO',
+    auto: true,
+    type: 'percent',
+    value: 0.20,
+    minQuantity: 3,
+    scope: { categories: ['Croc-Style Fun-cessories'] },
+    priority: 10,
+    description: '20% off 3 or more Croc-Style Fun-cessories'
+  },
+  {
+    code: 'SPEND-100',
+    auto: true,
+    type: 'percent',
+    value: 0.15,
+    minSubtotal: 100,
+    priority: 20,
+    combinesWith: { codes: false, offers: true },
+    description: '15% off orders of $100 or more'
+  },
+
+  // Promo codes
+  {
+    code: 'AIFORHUMANS',
+    type: 'percent',
+    value: 0.10,
+    priority: 20,
+    description: '10% off your order'
+  },
+  {
+    code: 'STACHE10',
+    type: 'fixed',
+    value: 10,
+    minSubtotal: 75,
+    priority: 30,
+    description: '$10 off orders of $75 or more'
+  },
+  {
+    code: 'SWEETDREAMS',
+    type: 'percent',
+    value: 0.20,
+    scope: { categories: ['Night Guards & Sleepwear'] },
+    priority: 10,
+    description: '20% off Night Guards & Sleepwear'
+  },
+  {
+    code: 'CROCPAIR',
+    type: 'bogo',
+    buyQuantity: 1,
+    getQuantity: 1,
+    getPercent: 1,
+    scope: { categories: ['Croc-Style Fun-cessories'] },
+    priority: 10,
+    combinesWith: { codes: true, offers: false },
+    description: 'Buy one Croc-Style Fun-cessory, get one free'
+  },
+  {
+    code: 'LIFTOFF',
+    type: 'fixed',
+    value: 15,
+    scope: { productIds: ['elevate-x1-harness', 'anti-gravity-curl-system', 'dual-point-lift-apparatus'] },
+    usageLimit: 100,
+    priority: 30,
+    description: '$15 off any Support & Lift system'
+  },
+  {
+    code: 'SHIPFREE',
+    type: 'free-shipping',
+    minSubtotal: 50,
+    priority: 40,
+    description: 'Free shipping on orders of $50 or more'
+  },
+  {
+    code: 'SUMMERSTACHE',
+    type: 'percent',
+    value: 0.15,
+    startsAt: '2026-06-01T00:00:00Z',
+    expiresAt: '2026-08-31T23:59:59Z',
+    priority: 20,
+    description: '15% off summer styles'
+  },
+  {
+    code: 'HOLIDAYHARNESS',
+    type: 'percent',
+    value: 0.25,
+    startsAt: '2026-11-27T00:00:00Z',
+    expiresAt: '2026-12-31T23:59:59Z',
+    priority: 20,
+    exclusive: true,
+    description: '25% off for the holidays (cannot be combined with other offers)'
+  }
+];
+
+/**
+ * Normalize a promo code for lookup
+ * @param {string} code - Code as entered
+ * @returns {string} Trimmed, uppercase code
+ */
+function normalizePromoCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Find a promotion rule by the code a shopper entered
+ * Automatic offers cannot be entered as codes
+ * @param {string} code - Promo code (any case)
+ * @returns {Object|null} Promotion rule or null if not found
+ */
+function getPromotion(code) {
+  const normalizedCode = normalizePromoCode(code);
+  return PROMOTIONS.find(promotion => !promotion.auto && promotion.code === normalizedCode) || null;
+}
+
+/**
+ * Get the automatic offers
+ * @returns {Array} Promotion rules that apply without a code
+ */
+function getAutomaticOffers() {
+  return PROMOTIONS.filter(promotion => promotion.auto);
+}
+
+/**
+ * Get how many orders have used each promo code
+ * @returns {Object} Object mapping codes to usage counts
+ */
+function getPromotionUsage() {
+  try {
+    const stored = localStorage.getItem(PROMO_USAGE_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading promo usage from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Record that an order used a promo code
+ * @param {string} code - Promo code
+ */
+function recordPromotionUsage(code) {
+  const promotion = PROMOTIONS.find(rule => rule.code === normalizePromoCode(code));
+  if (!promotion) return;
+
+  const usage = getPromotionUsage();
+  usage[promotion.code] = (usage[promotion.code] || 0) + 1;
+
+  try {
+    localStorage.setItem(PROMO_USAGE_STORAGE_KEY, JSON.stringify(usage));
+  } catch (error) {
+    console.error('Error saving promo usage to localStorage:', error);
+  }
+}
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Check whether a cart line falls within a promotion's scope
+ * @param {Object} promotion - Promotion rule
+ * @param {Object} line - Cart line
+ * @returns {boolean} True if the line qualifies
+ */
+function isLineInScope(promotion, line) {
+  const scope = promotion.scope;
+  if (!scope) return true;
+
+  const categoryMatch = Boolean(scope.categories && scope.categories.includes(line.category));
+  const productMatch = Boolean(scope.productIds && scope.productIds.includes(line.productId));
+  return categoryMatch || productMatch;
+}
+
+/**
+ * Check whether a promotion can be used with a cart
+ * @param {Object} promotion - Promotion rule
+ * @param {Array} cart - Array of cart items
+ * @param {Date} [now] - Current time
+ * @returns {Object} Result { valid: boolean, message: string, amountNeeded: number, quantityNeeded: number }
+ *   where amountNeeded / quantityNeeded say how far the cart is from a minimum spend or quantity
+ */
+function checkPromotionEligibility(promotion, cart, now = new Date()) {
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    return { valid: false, message: 'This promo code is not active yet.' };
+  }
+
+  if (promotion.expiresAt && now > new Date(promotion.expiresAt)) {
+    return { valid: false, message: 'This promo code has expired.' };
+  }
+
+  if (promotion.usageLimit !== undefined && (getPromotionUsage()[promotion.code] || 0) >= promotion.usageLimit) {
+    return { valid: false, message: 'This promo code is no longer available.' };
+  }
+
+  const subtotal = cart.reduce((total, item) => total + item.price * item.quantity, 0);
+  if (promotion.minSubtotal && subtotal < promotion.minSubtotal) {
+    return {
+      valid: false,
+      message: `Spend ${window.CartModule.formatPrice(promotion.minSubtotal)} or more to use this code.`,
+      amountNeeded: roundMoney(promotion.minSubtotal - subtotal)
+    };
+  }
+
+  const qualifyingLines = cart.filter(item => isLineInScope(promotion, item));
+  if (promotion.type !== 'free-shipping' && qualifyingLines.length === 0) {
+    return { valid: false, message: 'None of the items in your cart qualify for this code.' };
+  }
+
+  const units = qualifyingLines.reduce((count, item) => count + item.quantity, 0);
+  const minQuantity = promotion.type === 'bogo'
+    ? Math.max(promotion.minQuantity || 0, promotion.buyQuantity + promotion.getQuantity)
+    : promotion.minQuantity || 0;
+
+  if (units < minQuantity) {
+    const quantityNeeded = minQuantity - units;
+    return {
+      valid: false,
+      message: `Add ${quantityNeeded} more qualifying ${quantityNeeded === 1 ? 'item' : 'items'} to use this code.`,
+      quantityNeeded
+    };
+  }
+
+  return { valid: true, message: '' };
+}
+
+/**
+ * Spread an amount across lines in proportion to what is left of each line
+ * The last line absorbs rounding so the parts add up exactly
+ * @param {Array} lines - Qualifying lines { remaining }
+ * @param {number} amount - Amount to spread
+ * @returns {Array<number>} Amount per line
+ */
+function allocateAmount(lines, amount) {
+  const total = lines.reduce((sum, line) => sum + line.remaining, 0);
+  let remaining = roundMoney(amount);
+
+  return lines.map((line, index) => {
+    if (index === lines.length - 1) {
+      return remaining;
+    }
+    const share = total > 0 ? roundMoney(amount * line.remaining / total) : 0;
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+}
+
+/**
+ * Work out the discount per qualifying line for a promotion
+ * @param {Object} promotion - Promotion rule
+ * @param {Array} lines - Qualifying lines { item, total, remaining } where remaining is the
+ *   line total less discounts from promotions applied earlier
+ * @returns {Array<number>} Discount per line
+ */
+function calculateLineDiscounts(promotion, lines) {
+  switch (promotion.type) {
+    case 'percent':
+      return lines.map(line => roundMoney(line.remaining * promotion.value));
+
+    case 'fixed': {
+      const eligibleTotal = lines.reduce((total, line) => total + line.remaining, 0);
+      return allocateAmount(lines, Math.min(promotion.value, eligibleTotal));
+    }
+
+    case 'bogo': {
+      // Every group of buy + get units discounts its cheapest `get` units
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const units = [];
+      lines.forEach((line, index) => {
+        const unitPrice = line.total > 0 ? line.item.price * line.remaining / line.total : 0;
+        for (let i = 0; i < line.item.quantity; i++) {
+          units.push({ index, price: unitPrice });
+        }
+      });
+      units.sort((a, b) => b.price - a.price);
+
+      const discounts = lines.map(() => 0);
+      const groups = Math.floor(units.length / groupSize);
+      for (let group = 0; group < groups; group++) {
+        const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+        groupUnits.slice(promotion.buyQuantity).forEach(unit => {
+          discounts[unit.index] = roundMoney(discounts[unit.index] + unit.price * promotion.getPercent);
+        });
+      }
+      return discounts;
+    }
+
+    default:
+      return lines.map(() => 0);
+  }
+}
+
+/**
+ * Apply a promotion to a cart
+ * @param {Object} promotion - Promotion rule
+ * @param {Array} cart - Array of cart items
+ * @param {Object} [taken] - Discounts already applied per cart line (cartId -> amount)
+ * @returns {Object} Result { code, description, type, automatic, amount, freeShipping, lines }
+ *   where lines lists each cart line the promotion touched: { cartId, productId, name, quantity, amount }
+ */
+function applyPromotion(promotion, cart, taken = {}) {
+  const qualifyingLines = cart
+    .filter(item => isLineInScope(promotion, item))
+    .map(item => {
+      const total = item.price * item.quantity;
+      return { item, total, remaining: Math.max(0, total - (taken[item.cartId] || 0)) };
+    });
+  const discounts = calculateLineDiscounts(promotion, qualifyingLines);
+
+  const lines = qualifyingLines
+    .map((line, index) => ({
+      cartId: line.item.cartId,
+      productId: line.item.productId,
+      name: line.item.name,
+      quantity: line.item.quantity,
+      amount: discounts[index]
+    }))
+    .filter(line => line.amount > 0);
+
+  return {
+    code: promotion.code,
+    description: promotion.description,
+    type: promotion.type,
+    automatic: Boolean(promotion.auto),
+    amount: roundMoney(lines.reduce((total, line) => total + line.amount, 0)),
+    freeShipping: promotion.type === 'free-shipping',
+    lines
+  };
+}
+
+/**
+ * Check whether two promotions may be applied together
+ * @param {Object} a - Promotion rule
+ * @param {Object} b - Promotion rule
+ * @returns {boolean} True if they can be combined
+ */
+function canCombinePromotions(a, b) {
+  if (a.exclusive || b.exclusive) {
+    return false;
+  }
+
+  const aAllows = (a.combinesWith || {})[b.auto ? 'offers' : 'codes'] !== false;
+  const bAllows = (b.combinesWith || {})[a.auto ? 'offers' : 'codes'] !== false;
+  return aAllows && bAllows;
+}
+
+/**
+ * Compare two promotions by application order
+ * Equal priorities fall back to the code so the order never depends on how the shopper entered them
+ * @param {Object} a - Promotion rule
+ * @param {Object} b - Promotion rule
+ * @returns {number} Negative if a is applied first
+ */
+function comparePromotionOrder(a, b) {
+  return ((a.priority ?? DEFAULT_PROMOTION_PRIORITY) - (b.priority ?? DEFAULT_PROMOTION_PRIORITY))
+    || a.code.localeCompare(b.code);
+}
+
+/**
+ * Apply a set of promotions in priority order, each discounting what the previous ones left
+ * @param {Array} promotions - Promotion rules
+ * @param {Array} cart - Array of cart items
+ * @returns {Array} Promotion results that saved something
+ */
+function applyPromotions(promotions, cart) {
+  const taken = {};
+
+  return [...promotions]
+    .sort(comparePromotionOrder)
+    .map(promotion => {
+      const result = applyPromotion(promotion, cart, taken);
+      result.lines.forEach(line => {
+        taken[line.cartId] = (taken[line.cartId] || 0) + line.amount;
+      });
+      return result;
+    })
+    .filter(result => result.amount > 0 || result.freeShipping);
+}
+
+/**
+ * Get what free shipping is worth on a cart: the standard shipping it would otherwise cost
+ * @param {Array} cart - Array of cart items
+ * @param {number} merchandiseTotal - Cart value after discounts (for the destination's free-shipping threshold)
+ * @param {Object} [destination] - Destination { country } (defaults to the shopper's)
+ * @returns {number} Standard shipping cost in USD (0 if the cart already ships free)
+ */
+function getFreeShippingValue(cart, merchandiseTotal, destination) {
+  const shipping = window.ShippingModule;
+  if (!shipping) return 0;
+
+  return shipping.getShippingQuote(cart, destination || shipping.getDestination(), 'standard', { merchandiseTotal }).cost;
+}
+
+/**
+ * Work out which codes and automatic offers apply to a cart
+ * Every compatible combination of eligible promotions is tried and the one that saves the most wins
+ * (ties go to the combination that applies more promotions). Free shipping counts as the standard
+ * shipping it saves, so a free-shipping code can beat a discount on an expensive route.
+ * @param {Array<string>} codes - Codes the shopper has applied, in the order they were applied
+ * @param {Array} cart - Array of cart items
+ * @param {Object} [options] - Options
+ * @param {Object} [options.destination] - Shipping destination { country } (defaults to the shopper's)
+ * @returns {Object} Result { promotions: Array, rejected: Array<{ code, message }> }
+ */
+function resolvePromotions(codes, cart, options = {}) {
+  const candidates = [];
+  const rejected = [];
+
+  codes.forEach((code, index) => {
+    if (index >= MAX_APPLIED_CODES) {
+      rejected.push({
+        code: normalizePromoCode(code),
+        message: `You can use up to ${MAX_APPLIED_CODES} promo codes per order.`
+      });
+      return;
+    }
+
+    const promotion = getPromotion(code);
+    if (!promotion) {
+      rejected.push({ code: normalizePromoCode(code), message: 'Invalid promo code. Please try again.' });
+      return;
+    }
+
+    const eligibility = checkPromotionEligibility(promotion, cart);
+    if (eligibility.valid) {
+      candidates.push(promotion);
+    } else {
+      rejected.push({ code: promotion.code, message: eligibility.message });
+    }
+  });
+
+  getAutomaticOffers().forEach(promotion => {
+    if (checkPromotionEligibility(promotion, cart).valid) {
+      candidates.push(promotion);
+    }
+  });
+
+  // The search below tries every subset, which is exponential in the number of candidates. It stays
+  // small because at most MAX_APPLIED_CODES codes get this far and there are only a couple of
+  // automatic offers (3 codes + 2 offers = 31 subsets). Raise either with care.
+  // Candidates are sorted so equally good combinations resolve the same way whatever the entry order.
+  candidates.sort(comparePromotionOrder);
+
+  const subtotal = cart.reduce((total, item) => total + item.price * item.quantity, 0);
+  let best = { chosen: [], results: [], savings: 0 };
+
+  for (let mask = 1; mask < (1 << candidates.length); mask++) {
+    const chosen = candidates.filter((_, index) => mask & (1 << index));
+    const compatible = chosen.every((a, index) => chosen.slice(index + 1).every(b => canCombinePromotions(a, b)));
+    if (!compatible) continue;
+
+    const results = applyPromotions(chosen, cart);
+    const amount = roundMoney(results.reduce((total, result) => total + result.amount, 0));
+    const shippingSaved = results.some(result => result.freeShipping)
+      ? getFreeShippingValue(cart, subtotal - amount, options.destination)
+      : 0;
+    const savings = roundMoney(amount + shippingSaved);
+
+    if (savings > best.savings || (savings === best.savings && results.length > best.results.length)) {
+      best = { chosen, results, savings };
+    }
+  }
+
+  // Explain why any eligible codes were left out
+  candidates
+    .filter(promotion => !promotion.auto && !best.results.some(result => result.code === promotion.code))
+    .forEach(promotion => {
+      const conflict = best.chosen.find(other => other !== promotion && !canCombinePromotions(promotion, other));
+      let message = 'This code does not add any savings to your cart.';
+      if (conflict) {
+        message = conflict.auto
+          ? `Can't be combined with the automatic offer (${conflict.description}), which saves you more on this order.`
+          : `Can't be combined with ${conflict.code}, which saves you more on this order.`;
+      }
+      rejected.push({ code: promotion.code, message });
+    });
+
+  return {
+    promotions: best.results,
+    rejected
+  };
+}
+
+/**
+ * Find promotions the cart is close to unlocking (only short on spend or quantity)
+ * Automatic offers that can't be combined with the applied codes are left out, since reaching them
+ * would only swap a code out rather than add to it
+ * @param {Array<string>} codes - Codes the shopper has applied
+ * @param {Array} cart - Array of cart items
+ * @returns {Array} Nudges { code, description, amountNeeded, quantityNeeded, message }, closest first
+ */
+function getPromotionNudges(codes, cart) {
+  const applied = codes.map(code => getPromotion(code)).filter(Boolean);
+  const promotions = [
+    ...getAutomaticOffers().filter(offer => applied.every(promotion => canCombinePromotions(offer, promotion))),
+    ...applied
+  ];
+
+  return promotions
+    .map(promotion => ({ promotion, eligibility: checkPromotionEligibility(promotion, cart) }))
+    .filter(({ eligibility }) => eligibility.amountNeeded > 0 || eligibility.quantityNeeded > 0)
+    .map(({ promotion, eligibility }) => {
+      const needed = eligibility.amountNeeded > 0
+        ? window.CartModule.formatPrice(eligibility.amountNeeded)
+        : `${eligibility.quantityNeeded} more qualifying ${eligibility.quantityNeeded === 1 ? 'item' : 'items'}`;
+      return {
+        code: promotion.code,
+        description: promotion.description,
+        amountNeeded: eligibility.amountNeeded || 0,
+        quantityNeeded: eligibility.quantityNeeded || 0,
+        message: eligibility.amountNeeded > 0
+          ? `Add ${needed} more to unlock ${promotion.description}.`
+          : `Add ${needed} to unlock ${promotion.description}.`
+      };
+    })
+    .sort((a, b) => (a.quantityNeeded - b.quantityNeeded) || (a.amountNeeded - b.amountNeeded));
+}
+
+/**
+ * Validate a promo code against a cart and work out what it is worth
+ * @param {string} code - Promo code
+ * @param {Array} cart - Array of cart items
+ * @returns {Object} Result { valid: boolean, message: string, promotion: Object|null, result: Object|null }
+ */
+function evaluatePromoCode(code, cart) {
+  const promotion = getPromotion(code);
+
+  if (!promotion) {
+    return {
+      valid: false,
+      message: 'Invalid promo code. Please try again.',
+      promotion: null,
+      result: null
+    };
+  }
+
+  const eligibility = checkPromotionEligibility(promotion, cart);
+  if (!eligibility.valid) {
+    return {
+      valid: false,
+      message: eligibility.message,
+      promotion,
+      result: null
+    };
+  }
+
+  return {
+    valid: true,
+    message: `Promo code applied! ${promotion.description}.`,
+    promotion,
+    result: applyPromotion(promotion, cart)
+  };
+}
+
+// Export functions for use in other modules
+window.PromotionsModule = {
+  MAX_APPLIED_CODES,
+
+  // Rules
+  getPromotion,
+  getAutomaticOffers,
+  checkPromotionEligibility,
+  applyPromotion,
+  evaluatePromoCode,
+
+  // Stacking
+  canCombinePromotions,
+  resolvePromotions,
+  getPromotionNudges,
+
+  // Usage limits
+  getPromotionUsage,
+  recordPromotionUsage
+};
@@ -0,0 +1,160 @@
+// Ratings Module
+// Rating aggregates: average, per-star distribution, Bayesian-adjusted score and recent trend
+
+const RATING_LEVELS = [5, 4, 3, 2, 1];
+
+// How many reviews' worth of the catalog average every product starts with
+// A product needs well over this many reviews before its own average dominates its score
+const BAYESIAN_PRIOR_WEIGHT = 25;
+
+// Prior mean used until the catalog is registered
+const DEFAULT_PRIOR_MEAN = 4;
+
+// Reviews from the last this many days count towards the recent trend
+const RECENT_TREND_DAYS = 90;
+
+// Fewer recent reviews than this is too few to call a trend
+const MIN_TREND_REVIEWS = 3;
+
+// Recent averages within this much of the overall average are steady
+const TREND_THRESHOLD = 0.2;
+
+// Average rating across every review in the catalog
+let priorMean = DEFAULT_PRIOR_MEAN;
+
+/**
+ * Get a product's per-star rating counts
+ * Uses the catalog histogram; products without one fall back to counting their listed reviews
+ * @param {Object} product - Product object
+ * @returns {Object} Counts keyed by star level { 5, 4, 3, 2, 1 }
+ */
+function getDistribution(product) {
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+
+  if (product.ratingDistribution) {
+    RATING_LEVELS.forEach(level => {
+      distribution[level] = Number(product.ratingDistribution[level]) || 0;
+    });
+    return distribution;
+  }
+
+  (product.reviews || []).forEach(review => {
+    if (distribution[review.rating] !== undefined) {
+      distribution[review.rating]++;
+    }
+  });
+  return distribution;
+}
+
+/**
+ * Sum a distribution
+ * @param {Object} distribution - Counts keyed by star level
+ * @returns {Object} Totals { count, sum }
+ */
+function getDistributionTotals(distribution) {
+  return RATING_LEVELS.reduce((totals, level) => ({
+    count: totals.count + distribution[level],
+    sum: totals.sum + level * distribution[level]
+  }), { count: 0, sum: 0 });
+}
+
+/**
+ * Register the catalog so scores are pulled towards the catalog-wide average
+ * @param {Array} products - Array of product objects
+ */
+function registerCatalogAverage(products) {
+  const totals = products
+    .map(product => getDistributionTotals(getDistribution(product)))
+    .reduce((all, totals) => ({ count: all.count + totals.count, sum: all.sum + totals.sum }), { count: 0, sum: 0 });
+
+  priorMean = totals.count > 0 ? totals.sum / totals.count : DEFAULT_PRIOR_MEAN;
+}
+
+/**
+ * Get a product's Bayesian-adjusted score
+ * The average is blended with the catalog average as if the product had BAYESIAN_PRIOR_WEIGHT
+ * extra reviews at that average, so a handful of perfect reviews doesn't outrank hundreds of
+ * nearly perfect ones
+ * @param {Object} product - Product object
+ * @returns {number} Adjusted score (1-5)
+ */
+function getAdjustedScore(product) {
+  const { count, sum } = getDistributionTotals(getDistribution(product));
+  return (BAYESIAN_PRIOR_WEIGHT * priorMean + sum) / (BAYESIAN_PRIOR_WEIGHT + count);
+}
+
+/**
+ * Compare recent reviews with the overall average
+ * Only listed reviews carry dates, so the trend comes from those
+ * @param {Object} product - Product object
+ * @param {number} average - Overall average
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Trend { recentCount, recentAverage, change, direction: 'up'|'down'|'steady'|null }
+ *   (recentAverage, change and direction are null with too few recent reviews)
+ */
+function getRecentTrend(product, average, now = new Date()) {
+  const since = now.getTime() - RECENT_TREND_DAYS * 24 * 60 * 60 * 1000;
+  const recent = (product.reviews || []).filter(review => new Date(review.date).getTime() >= since);
+
+  if (recent.length < MIN_TREND_REVIEWS) {
+    return { recentCount: recent.length, recentAverage: null, change: null, direction: null };
+  }
+
+  const recentAverage = recent.reduce((sum, review) => sum + review.rating, 0) / recent.length;
+  const change = recentAverage - average;
+  let direction = 'steady';
+  if (change >= TREND_THRESHOLD) {
+    direction = 'up';
+  } else if (change <= -TREND_THRESHOLD) {
+    direction = 'down';
+  }
+
+  return {
+    recentCount: recent.length,
+    recentAverage: Math.round(recentAverage * 10) / 10,
+    change: Math.round(change * 10) / 10,
+    direction
+  };
+}
+
+/**
+ * Get every rating statistic for a product
+ * @param {Object} product - Product object
+ * @param {Date} [now=new Date()] - Current time (for the recent trend)
+ * @returns {Object} Stats { average (one decimal), count, distribution, percentages, adjustedScore, trend }
+ */
+function getRatingStats(product, now = new Date()) {
+  const distribution = getDistribution(product);
+  const { count, sum } = getDistributionTotals(distribution);
+  const average = count > 0 ? sum / count : 0;
+
+  const percentages = {};
+  RATING_LEVELS.forEach(level => {
+    percentages[level] = count > 0 ? (distribution[level] / count) * 100 : 0;
+  });
+
+  return {
+    average: Math.round(average * 10) / 10,
+    count,
+    distribution,
+    percentages,
+    adjustedScore: getAdjustedScore(product),
+    trend: getRecentTrend(product, average, now)
+  };
+}
+
+// Export functions for use in other modules
+window.RatingsModule = {
+  RATING_LEVELS,
+  BAYESIAN_PRIOR_WEIGHT,
+  RECENT_TREND_DAYS,
+
+  // Catalog
+  registerCatalogAverage,
+
+  // Stats
+  getRatingStats,
+  getDistribution,
+  getAdjustedScore,
+  getRecentTrend
+};
@@ -0,0 +1,287 @@
+// Recommendations Module
+// Product recommendations from co-purchases, co-views and attribute similarity
+
+// How much each signal counts once scaled to 0-1 across the candidates
+const RECOMMENDATION_WEIGHTS = {
+  coPurchase: 3,
+  coView: 2,
+  similarity: 1
+};
+
+// How much each attribute counts towards similarity (sums to 1)
+const SIMILARITY_WEIGHTS = {
+  terms: 0.35,
+  colors: 0.2,
+  price: 0.2,
+  sizes: 0.1,
+  category: 0.15
+};
+
+// Prices within this fraction of each other are in the same price band
+const PRICE_BAND_TOLERANCE = 0.3;
+
+// Orders in these states never reached the customer, so they say nothing about what goes together
+const EXCLUDED_ORDER_STATUSES = ['pending_payment', 'cancelled'];
+
+// "Complete the look" favours other categories: same-category scores are scaled by this
+const SAME_CATEGORY_FACTOR = 0.5;
+
+// Seed weights for the personalized row
+const PERSONAL_SEED_WEIGHTS = {
+  purchased: 2,
+  wishlist: 1.5,
+  viewed: 1
+};
+
+// Description terms per product, keyed by product ID
+const productTerms = {};
+
+/**
+ * Get how often products were bought in the same order
+ * @param {Array} [orders] - Orders (defaults to the order history)
+ * @returns {Object} Counts keyed by product ID, then by the other product's ID
+ */
+function getCoPurchaseCounts(orders) {
+  const history = orders || (window.CheckoutModule ? window.CheckoutModule.getOrderHistory() : []);
+  const counts = {};
+
+  history
+    .filter(order => !EXCLUDED_ORDER_STATUSES.includes(order.status))
+    .forEach(order => {
+      const productIds = [...new Set((order.items || []).map(item => item.productId))];
+
+      productIds.forEach(productId => {
+        productIds.forEach(otherId => {
+          if (otherId === productId) return;
+          counts[productId] = counts[productId] || {};
+          counts[productId][otherId] = (counts[productId][otherId] || 0) + 1;
+        });
+      });
+    });
+
+  return counts;
+}
+
+/**
+ * Get the distinct name and description terms of a product
+ * @param {Object} product - Product object
+ * @returns {Set<string>} Stemmed terms
+ */
+function getProductTerms(product) {
+  if (!productTerms[product.id]) {
+    const text = `${product.name} ${product.description || ''}`;
+    const terms = window.SearchModule
+      ? window.SearchModule.tokenize(text)
+      : text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2);
+    productTerms[product.id] = new Set(terms);
+  }
+  return productTerms[product.id];
+}
+
+/**
+ * Jaccard similarity of two collections
+ * @param {Iterable} a - First collection
+ * @param {Iterable} b - Second collection
+ * @returns {number} Shared items over all items (0-1)
+ */
+function getOverlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = new Set([...setA, ...setB]);
+  if (union.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  setA.forEach(item => {
+    if (setB.has(item)) shared++;
+  });
+  return shared / union.size;
+}
+
+/**
+ * Compare two prices
+ * @param {number} a - First price
+ * @param {number} b - Second price
+ * @returns {number} 1 in the same price band, otherwise the ratio of the lower to the higher price
+ */
+function getPriceSimilarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  const ratio = Math.min(a, b) / Math.max(a, b);
+  return ratio >= 1 - PRICE_BAND_TOLERANCE ? 1 : ratio;
+}
+
+/**
+ * Score how alike two products are from their attributes
+ * @param {Object} a - Product object
+ * @param {Object} b - Product object
+ * @returns {number} Similarity (0-1)
+ */
+function getAttributeSimilarity(a, b) {
+  return SIMILARITY_WEIGHTS.terms * getOverlap(getProductTerms(a), getProductTerms(b)) +
+    SIMILARITY_WEIGHTS.colors * getOverlap(a.colors || [], b.colors || []) +
+    SIMILARITY_WEIGHTS.sizes * getOverlap(a.sizes || [], b.sizes || []) +
+    SIMILARITY_WEIGHTS.price * getPriceSimilarity(a.price, b.price) +
+    SIMILARITY_WEIGHTS.category * (a.category === b.category ? 1 : 0);
+}
+
+/**
+ * Score in-stock products against a set of seed products
+ * Each signal is summed over the seeds (times the seed's weight), then scaled to 0-1 across the
+ * candidates before the signals are combined, so no signal swamps the others
+ * @param {Array} seeds - Seeds { productId, weight }
+ * @param {Array} products - Catalog products
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.exclude] - Product IDs to leave out (seeds are always left out)
+ * @param {number} [options.sameCategoryFactor=1] - Scale for candidates sharing a seed's category
+ * @returns {Array} Scored candidates { product, score, signals: { coPurchase, coView, similarity } },
+ *   best first
+ */
+function scoreProducts(seeds, products, options = {}) {
+  const byId = {};
+  products.forEach(product => {
+    byId[product.id] = product;
+  });
+
+  const seedProducts = seeds.filter(seed => byId[seed.productId]);
+  if (seedProducts.length === 0) {
+    return [];
+  }
+
+  const coPurchases = getCoPurchaseCounts();
+  const coViews = window.HistoryModule ? window.HistoryModule.getCoViewCounts() : {};
+  const excluded = new Set([...seedProducts.map(seed => seed.productId), ...(options.exclude || [])]);
+  const seedCategories = new Set(seedProducts.map(seed => byId[seed.productId].category));
+  const sameCategoryFactor = options.sameCategoryFactor != null ? options.sameCategoryFactor : 1;
+
+  const scored = products
+    .filter(product => product.inStock && !excluded.has(product.id))
+    .map(product => {
+      const signals = { coPurchase: 0, coView: 0, similarity: 0 };
+
+      seedProducts.forEach(seed => {
+        signals.coPurchase += seed.weight * ((coPurchases[seed.productId] || {})[product.id] || 0);
+        signals.coView += seed.weight * ((coViews[seed.productId] || {})[product.id] || 0);
+        signals.similarity += seed.weight * getAttributeSimilarity(byId[seed.productId], product);
+      });
+
+      return { product, signals };
+    });
+
+  const maxima = {};
+  Object.keys(RECOMMENDATION_WEIGHTS).forEach(signal => {
+    maxima[signal] = Math.max(0, ...scored.map(candidate => candidate.signals[signal]));
+  });
+
+  return scored
+    .map(candidate => {
+      let score = Object.keys(RECOMMENDATION_WEIGHTS).reduce((total, signal) => {
+        const scaled = maxima[signal] > 0 ? candidate.signals[signal] / maxima[signal] : 0;
+        return total + RECOMMENDATION_WEIGHTS[signal] * scaled;
+      }, 0);
+
+      if (seedCategories.has(candidate.product.category)) {
+        score *= sameCategoryFactor;
+      }
+
+      return { ...candidate, score };
+    })
+    .sort((a, b) => b.score - a.score || b.product.salesCount - a.product.salesCount);
+}
+
+/**
+ * Get recommendations for a set of seed products
+ * @param {Array} seeds - Seeds { productId, weight }
+ * @param {Object} [options] - Options for scoreProducts, plus:
+ * @param {number} [options.limit=4] - Most products to return
+ * @returns {Promise<Array>} Products, best first
+ */
+async function getRecommendations(seeds, options = {}) {
+  if (!window.ProductsModule) {
+    return [];
+  }
+
+  const products = await window.ProductsModule.loadProducts();
+  return scoreProducts(seeds, products, options)
+    .slice(0, options.limit || 4)
+    .map(candidate => candidate.product);
+}
+
+/**
+ * "Customers also bought" for a product
+ * @param {string} productId - Product being viewed
+ * @param {number} [limit=4] - Most products to return
+ * @returns {Promise<Array>} Products, best first
+ */
+async function getAlsoBought(productId, limit = 4) {
+  return getRecommendations([{ productId, weight: 1 }], { limit });
+}
+
+/**
+ * "Complete the look" for a cart: products that go with what is in it, favouring other categories
+ * @param {Array} items - Cart lines { productId, quantity }
+ * @param {number} [limit=4] - Most products to return
+ * @returns {Promise<Array>} Products, best first
+ */
+async function getCompleteTheLook(items, limit = 4) {
+  const seeds = [...new Set(items.map(item => item.productId))].map(productId => ({ productId, weight: 1 }));
+  return getRecommendations(seeds, { limit, sameCategoryFactor: SAME_CATEGORY_FACTOR });
+}
+
+/**
+ * Get the shopper's seed products: past purchases, wishlist and recent views
+ * Recent views count for less the further back in the history they are
+ * @returns {Array} Seeds { productId, weight }
+ */
+function getPersonalSeeds() {
+  const weights = {};
+  const add = (productId, weight) => {
+    weights[productId] = (weights[productId] || 0) + weight;
+  };
+
+  if (window.CheckoutModule) {
+    window.CheckoutModule.getOrderHistory()
+      .filter(order => !EXCLUDED_ORDER_STATUSES.includes(order.status))
+      .forEach(order => (order.items || []).forEach(item => add(item.productId, PERSONAL_SEED_WEIGHTS.purchased)));
+  }
+
+  if (window.WishlistModule) {
+    window.WishlistModule.getWishlist().forEach(entry => add(entry.productId, PERSONAL_SEED_WEIGHTS.wishlist));
+  }
+
+  if (window.HistoryModule) {
+    window.HistoryModule.getRecentlyViewed({ limit: 10 }).forEach((entry, index) => {
+      add(entry.productId, PERSONAL_SEED_WEIGHTS.viewed / (index + 1));
+    });
+  }
+
+  return Object.keys(weights).map(productId => ({ productId, weight: weights[productId] }));
+}
+
+/**
+ * Get products picked for this shopper
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=4] - Most products to return
+ * @param {Array<string>} [options.exclude] - Product IDs to leave out (e.g., products already shown)
+ * @returns {Promise<Array>} Products, best first (empty for a shopper with no history)
+ */
+async function getPersonalizedProducts(options = {}) {
+  return getRecommendations(getPersonalSeeds(), options);
+}
+
+// Export functions for use in other modules
+window.RecommendationsModule = {
+  // Recommendations
+  getAlsoBought,
+  getCompleteTheLook,
+  getPersonalizedProducts,
+  getRecommendations,
+
+  // Signals
+  scoreProducts,
+  getCoPurchaseCounts,
+  getAttributeSimilarity,
+  getPersonalSeeds
+};
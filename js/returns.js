@@ -0,0 +1,554 @@
+// Returns Module
+// Self-service returns and exchanges: eligibility, RMA numbers, return labels and refunds
+
+const RETURNS_STORAGE_KEY = 'mh_returns';
+
+// Returns must be requested within this many days of the order date
+const RETURN_WINDOW_DAYS = 30;
+
+// Order statuses that can take a return request
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered'];
+
+/**
+ * Reasons a shopper can give for returning an item
+ * restock: whether a returned unit goes back on the shelf
+ */
+const RETURN_REASONS = {
+  wrong_size: { label: 'Wrong size or poor fit', restock: true },
+  wrong_color: { label: 'Color not as expected', restock: true },
+  not_as_described: { label: 'Not as described', restock: true },
+  changed_mind: { label: 'Changed my mind', restock: true },
+  defective: { label: 'Damaged or defective', restock: false },
+  other: { label: 'Other', restock: true }
+};
+
+const RETURN_RESOLUTIONS = {
+  refund: 'Refund to original payment method',
+  exchange: 'Exchange for another size or color'
+};
+
+// Where return labels are addressed
+const RETURNS_WAREHOUSE = {
+  name: 'Mustache Harnesses Co. Returns',
+  address1: '1847 Bristleworth Lane',
+  address2: 'Suite 300',
+  city: 'Whiskerdale',
+  state: 'WH',
+  zipCode: '90210',
+  country: 'US'
+};
+
+/**
+ * Get all return requests
+ * @returns {Array} Returns
+ */
+function getReturns() {
+  try {
+    const stored = localStorage.getItem(RETURNS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading returns from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a return, replacing any stored version with the same RMA number
+ * @param {Object} rma - Return
+ * @returns {boolean} True if saved
+ */
+function saveReturn(rma) {
+  const returns = getReturns().filter(existing => existing.rmaNumber !== rma.rmaNumber);
+  returns.push(rma);
+
+  try {
+    localStorage.setItem(RETURNS_STORAGE_KEY, JSON.stringify(returns));
+    return true;
+  } catch (error) {
+    console.error('Error saving returns to localStorage:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a return by RMA number
+ * @param {string} rmaNumber - RMA number (case-insensitive)
+ * @returns {Object|null} Return or null if not found
+ */
+function getReturnByNumber(rmaNumber) {
+  const number = (rmaNumber || '').trim().toUpperCase();
+  return getReturns().find(rma => rma.rmaNumber === number) || null;
+}
+
+/**
+ * Get the returns raised against an order
+ * @param {string} orderNumber - Order number
+ * @returns {Array} Returns, newest first
+ */
+function getOrderReturns(orderNumber) {
+  return getReturns()
+    .filter(rma => rma.orderNumber === orderNumber)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Generate a return merchandise authorization number
+ * @returns {string} RMA number (e.g., RMA-20261019-K3F9QZ)
+ */
+function generateRmaNumber() {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `RMA-${datePart}-${randomPart}`;
+}
+
+/**
+ * Get the last day a return can be requested for an order
+ * @param {Object} order - Order
+ * @returns {Date} Deadline (end of the last day of the window)
+ */
+function getReturnDeadline(order) {
+  const deadline = new Date(order.orderDate);
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  deadline.setHours(23, 59, 59, 999);
+  return deadline;
+}
+
+/**
+ * Check whether an order can take a return request
+ * @param {Object} order - Order
+ * @param {Date} [now] - Date to check against
+ * @returns {Object} Result { eligible, message, deadline }
+ */
+function checkReturnEligibility(order, now = new Date()) {
+  const deadline = getReturnDeadline(order);
+  const result = message => ({ eligible: !message, message: message || '', deadline });
+  const openReturn = getOrderReturns(order.orderNumber).find(rma => rma.status === 'requested');
+
+  if (openReturn) {
+    return result(`A return is already open for this order (${openReturn.rmaNumber}).`);
+  }
+  if (['returned', 'refunded'].includes(order.status)) {
+    return result('This order has already been returned.');
+  }
+  if (order.status === 'cancelled') {
+    return result('This order was cancelled, so there is nothing to return.');
+  }
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    return result("This order hasn't shipped yet. You can cancel it instead by contacting us.");
+  }
+  if (now > deadline) {
+    return result(`The ${RETURN_WINDOW_DAYS}-day return window for this order closed on ${deadline.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}.`);
+  }
+  return result('');
+}
+
+/**
+ * Get how many units of an order line can still be returned
+ * @param {Object} order - Order
+ * @param {number} lineIndex - Index into order.items
+ * @returns {number} Returnable quantity
+ */
+function getReturnableQuantity(order, lineIndex) {
+  const line = (order.items || [])[lineIndex];
+  if (!line) return 0;
+
+  const alreadyReturned = getOrderReturns(order.orderNumber)
+    .filter(rma => rma.status !== 'cancelled')
+    .reduce((sum, rma) => sum + rma.lines
+      .filter(returned => returned.line === lineIndex)
+      .reduce((lineSum, returned) => lineSum + returned.quantity, 0), 0);
+
+  return Math.max(0, line.quantity - alreadyReturned);
+}
+
+/**
+ * Get the variants a line can be exchanged for: other sizes and colors of the same product in stock
+ * @param {Object} line - Order line { productId, size, color }
+ * @returns {Promise<Array>} Variants { sku, size, color, price }
+ */
+async function getExchangeOptions(line) {
+  if (!window.ProductsModule) return [];
+
+  const product = await window.ProductsModule.getProductById(line.productId);
+  return window.ProductsModule.getVariants(product)
+    .filter(variant => variant.inStock && !(variant.size === line.size && variant.color === line.color))
+    .map(variant => ({ sku: variant.sku, size: variant.size, color: variant.color, price: variant.price }));
+}
+
+/**
+ * Get what an order line cost after its own promotion discounts
+ * Promotion lines are matched by cart line; orders saved before lines kept their cart ID fall back
+ * to the product and quantity
+ * @param {Object} order - Order
+ * @param {Object} line - Order line
+ * @returns {number} Line total less its discounts
+ */
+function getLineNetTotal(order, line) {
+  const promotions = (order.totals && order.totals.promotions) || [];
+  const discount = promotions.reduce((sum, promotion) => sum + (promotion.lines || [])
+    .filter(promoLine => (line.cartId
+      ? promoLine.cartId === line.cartId
+      : promoLine.productId === line.productId && promoLine.quantity === line.quantity))
+    .reduce((lineSum, promoLine) => lineSum + promoLine.amount, 0), 0);
+
+  return Math.max(0, line.price * line.quantity - discount);
+}
+
+/**
+ * Work out the refund for returned units
+ * Each unit refunds its share of what was paid for merchandise (with tax), net of the discounts
+ * promotions gave its line; shipping is not refunded
+ * @param {Object} order - Order
+ * @param {number} lineIndex - Index into order.items
+ * @param {number} quantity - Units returned
+ * @returns {number} Refund amount in USD
+ */
+function calculateLineRefund(order, lineIndex, quantity) {
+  const line = order.items[lineIndex];
+  const totals = order.totals || {};
+  const netTotal = (order.items || []).reduce((sum, item) => sum + getLineNetTotal(order, item), 0);
+  if (!line || netTotal <= 0) return 0;
+
+  const shippingCost = totals.shipping ? totals.shipping.cost : 0;
+  const shippingTax = totals.tax ? totals.tax.shippingTax || 0 : 0;
+  const merchandisePaid = totals.total - shippingCost - shippingTax;
+  const unitNet = getLineNetTotal(order, line) / line.quantity;
+
+  return Math.round(merchandisePaid * (unitNet * quantity / netTotal) * 100) / 100;
+}
+
+/**
+ * Validate a return request against an order
+ * @param {Object} order - Order
+ * @param {Object} request - Request { lines: [{ line, quantity, reason, resolution, exchange: { size, color } }] }
+ * @returns {Object} Validation result { valid, errors } (errors keyed by 'lines' or 'line-<index>')
+ */
+function validateReturnRequest(order, request) {
+  const errors = {};
+  const lines = (request && request.lines) || [];
+
+  if (lines.length === 0) {
+    errors.lines = 'Please choose at least one item to return.';
+  }
+
+  lines.forEach(entry => {
+    const key = `line-${entry.line}`;
+    const returnable = getReturnableQuantity(order, entry.line);
+
+    if (!order.items[entry.line]) {
+      errors[key] = 'This item is not part of the order.';
+    } else if (!Number.isInteger(entry.quantity) || entry.quantity < 1) {
+      errors[key] = 'Please choose how many to return.';
+    } else if (entry.quantity > returnable) {
+      errors[key] = returnable === 0
+        ? 'This item has already been returned.'
+        : `Only ${returnable} of this item can be returned.`;
+    } else if (!RETURN_REASONS[entry.reason]) {
+      errors[key] = 'Please tell us why you are returning this item.';
+    } else if (!RETURN_RESOLUTIONS[entry.resolution]) {
+      errors[key] = 'Please choose a refund or an exchange.';
+    } else if (entry.resolution === 'exchange' && (!entry.exchange || !entry.exchange.size || !entry.exchange.color)) {
+      errors[key] = 'Please choose the size and color you would like instead.';
+    }
+  });
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Generate a tracking number for a prepaid return label
+ * @returns {string} 22-digit tracking number, grouped in fours
+ */
+function generateReturnTrackingNumber() {
+  let digits = '9202';
+  while (digits.length < 22) {
+    digits += Math.floor(Math.random() * 10);
+  }
+  return digits.replace(/(\d{4})(?=\d)/g, '$1 ');
+}
+
+/**
+ * Build the prepaid shipping label for a return
+ * @param {Object} order - Order
+ * @param {string} rmaNumber - RMA number printed on the label
+ * @param {Array} lines - Returned lines { productId, quantity }
+ * @returns {Object} Label { carrier, service, trackingNumber, weightKg, rmaNumber, from, to }
+ */
+function createReturnLabel(order, rmaNumber, lines) {
+  const shipping = order.shipping || {};
+  const weight = window.ShippingModule ? window.ShippingModule.getParcelWeight(lines) : 0;
+
+  return {
+    carrier: 'USPS',
+    service: 'Ground Advantage (prepaid)',
+    trackingNumber: generateReturnTrackingNumber(),
+    weightKg: Math.round(weight * 100) / 100,
+    rmaNumber,
+    from: {
+      name: `${shipping.firstName || ''} ${shipping.lastName || ''}`.trim(),
+      address1: shipping.address1 || '',
+      address2: shipping.address2 || '',
+      city: shipping.city || '',
+      state: shipping.state || '',
+      zipCode: shipping.zipCode || '',
+      country: shipping.country || ''
+    },
+    to: { ...RETURNS_WAREHOUSE }
+  };
+}
+
+/**
+ * Request a return for some or all of an order's lines
+ * Moves the order to 'return_requested' (remembering the status it came from), generates the RMA
+ * number and label, and holds stock for exchange replacements, which ship as soon as the return is
+ * dropped off
+ * @param {string} orderNumber - Order number
+ * @param {Object} request - Request { lines: [{ line, quantity, reason, resolution, exchange: { size, color } }], notes }
+ * @returns {Promise<Object>} Result { success, rma, code?, message?, errors? }
+ */
+async function createReturn(orderNumber, request) {
+  const checkout = window.CheckoutModule;
+  const order = checkout ? checkout.getOrderByNumber(orderNumber) : null;
+
+  if (!order) {
+    return { success: false, rma: null, code: 'order_not_found', message: 'Order not found.', errors: {} };
+  }
+
+  const eligibility = checkReturnEligibility(order);
+  if (!eligibility.eligible) {
+    return { success: false, rma: null, code: 'not_eligible', message: eligibility.message, errors: {} };
+  }
+
+  const validation = validateReturnRequest(order, request);
+  if (!validation.valid) {
+    return {
+      success: false,
+      rma: null,
+      code: 'validation_failed',
+      message: 'Please check the items you are returning.',
+      errors: validation.errors
+    };
+  }
+
+  // Exchanges must name a different size or color of the same product that is in stock
+  const errors = {};
+  const lines = [];
+
+  for (const entry of request.lines) {
+    const item = order.items[entry.line];
+    let exchange = null;
+
+    if (entry.resolution === 'exchange') {
+      const options = await getExchangeOptions(item);
+      exchange = options.find(option => option.size === entry.exchange.size && option.color === entry.exchange.color) || null;
+
+      if (!exchange) {
+        errors[`line-${entry.line}`] = 'That size and color is not available for exchange.';
+        continue;
+      }
+    }
+
+    lines.push({
+      line: entry.line,
+      productId: item.productId,
+      sku: item.sku,
+      name: item.name,
+      size: item.size,
+      color: item.color,
+      quantity: entry.quantity,
+      reason: entry.reason,
+      resolution: entry.resolution,
+      exchange,
+      refundAmount: entry.resolution === 'refund' ? calculateLineRefund(order, entry.line, entry.quantity) : 0
+    });
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return {
+      success: false,
+      rma: null,
+      code: 'validation_failed',
+      message: 'Please check the items you are returning.',
+      errors
+    };
+  }
+
+  const rmaNumber = generateRmaNumber();
+  const rma = {
+    rmaNumber,
+    orderNumber: order.orderNumber,
+    status: 'requested',
+    // Restored when the return is withdrawn or leaves part of the order with the shopper
+    previousStatus: order.status,
+    createdAt: new Date().toISOString(),
+    lines,
+    notes: request.notes ? request.notes.trim() : '',
+    refundAmount: Math.round(lines.reduce((sum, line) => sum + line.refundAmount, 0) * 100) / 100,
+    label: createReturnLabel(order, rmaNumber, lines)
+  };
+
+  if (!saveReturn(rma)) {
+    return { success: false, rma: null, code: 'save_failed', message: 'We could not save your return. Please try again.', errors: {} };
+  }
+
+  const transition = checkout.transitionOrder(order.orderNumber, 'return_requested', { note: `Return ${rmaNumber}` });
+  if (!transition.success) {
+    saveReturn({ ...rma, status: 'cancelled' });
+    return { success: false, rma: null, code: 'status_failed', message: transition.message, errors: {} };
+  }
+
+  if (window.InventoryModule) {
+    window.InventoryModule.recordSale(getExchangeItems(rma));
+  }
+
+  return { success: true, rma };
+}
+
+/**
+ * Get the replacement units an RMA ships out
+ * @param {Object} rma - Return
+ * @returns {Array} Items { sku, productId, size, color, quantity }
+ */
+function getExchangeItems(rma) {
+  return rma.lines
+    .filter(line => line.exchange)
+    .map(line => ({
+      sku: line.exchange.sku,
+      productId: line.productId,
+      size: line.exchange.size,
+      color: line.exchange.color,
+      quantity: line.quantity
+    }));
+}
+
+/**
+ * Check whether an RMA brings back the last units of its order
+ * Exchanged units are replaced, so only units returned for a refund count
+ * @param {Object} order - Order
+ * @param {Object} rma - Return
+ * @returns {boolean} True if every unit of every line has been returned for a refund
+ */
+function isWholeOrderReturned(order, rma) {
+  return order.items.every((item, index) => {
+    const returning = rma.lines
+      .filter(line => line.line === index && line.resolution === 'refund')
+      .reduce((sum, line) => sum + line.quantity, 0);
+    return (item.returnedQuantity || 0) + returning >= item.quantity;
+  });
+}
+
+/**
+ * Receive a return at the warehouse
+ * Restocks resellable units and records them against the order's lines. While part of the order
+ * stays with the shopper the RMA's refund is paid straight away and the order goes back to the status
+ * it had before the return; once every unit is back the order moves to 'returned', then to 'refunded'
+ * if the RMA has a refund to pay.
+ * @param {string} rmaNumber - RMA number
+ * @returns {Object} Result { success, rma, order?, code?, message? }
+ */
+function completeReturn(rmaNumber) {
+  const rma = getReturnByNumber(rmaNumber);
+  const checkout = window.CheckoutModule;
+
+  if (!rma || rma.status !== 'requested') {
+    return { success: false, rma, code: 'invalid_state', message: 'This return is not open.' };
+  }
+
+  const current = checkout.getOrderByNumber(rma.orderNumber);
+  if (!current) {
+    return { success: false, rma, code: 'order_not_found', message: 'Order not found.' };
+  }
+
+  const wholeOrder = isWholeOrderReturned(current, rma);
+  const note = `Return ${rma.rmaNumber} received`;
+
+  const recorded = checkout.recordOrderReturn(rma.orderNumber, rma.lines, {
+    refundAmount: wholeOrder ? 0 : rma.refundAmount
+  });
+  if (!recorded.success) {
+    return { success: false, rma, code: recorded.code, message: recorded.message };
+  }
+
+  if (window.InventoryModule) {
+    window.InventoryModule.recordRestock(rma.lines.filter(line => RETURN_REASONS[line.reason].restock));
+  }
+
+  const transition = wholeOrder
+    ? checkout.transitionOrder(rma.orderNumber, 'returned', { note })
+    : checkout.transitionOrder(rma.orderNumber, rma.previousStatus || 'delivered', { note });
+  if (!transition.success) {
+    return { success: false, rma, code: transition.code, message: transition.message };
+  }
+
+  let order = transition.order;
+  if (wholeOrder && rma.refundAmount > 0) {
+    const refunded = checkout.transitionOrder(rma.orderNumber, 'refunded', {
+      note: `Refund for return ${rma.rmaNumber}`,
+      refundAmount: rma.refundAmount
+    });
+    if (!refunded.success) {
+      return { success: false, rma, code: refunded.code, message: refunded.message };
+    }
+    order = refunded.order;
+  }
+
+  const completed = { ...rma, status: 'completed', completedAt: new Date().toISOString() };
+  saveReturn(completed);
+
+  return { success: true, rma: completed, order };
+}
+
+/**
+ * Cancel an open return: the order goes back to the status it had before and held exchange stock is released
+ * @param {string} rmaNumber - RMA number
+ * @returns {Object} Result { success, rma, code?, message? }
+ */
+function cancelReturn(rmaNumber) {
+  const rma = getReturnByNumber(rmaNumber);
+
+  if (!rma || rma.status !== 'requested') {
+    return { success: false, rma, code: 'invalid_state', message: 'This return is not open.' };
+  }
+
+  const transition = window.CheckoutModule.transitionOrder(rma.orderNumber, rma.previousStatus || 'delivered', {
+    note: `Return ${rma.rmaNumber} cancelled`
+  });
+  if (!transition.success) {
+    return { success: false, rma, code: transition.code, message: transition.message };
+  }
+
+  if (window.InventoryModule) {
+    window.InventoryModule.recordRestock(getExchangeItems(rma));
+  }
+
+  const cancelled = { ...rma, status: 'cancelled' };
+  saveReturn(cancelled);
+
+  return { success: true, rma: cancelled };
+}
+
+// Export functions for use in other modules
+window.ReturnsModule = {
+  RETURN_WINDOW_DAYS,
+  RETURN_REASONS,
+  RETURN_RESOLUTIONS,
+
+  // Eligibility
+  getReturnDeadline,
+  checkReturnEligibility,
+  getReturnableQuantity,
+  getExchangeOptions,
+  calculateLineRefund,
+  validateReturnRequest,
+
+  // Return requests
+  createReturn,
+  completeReturn,
+  cancelReturn,
+  getReturns,
+  getReturnByNumber,
+  getOrderReturns
+};
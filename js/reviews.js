@@ -0,0 +1,628 @@
+// Reviews Module
+// Customer review submission, verified purchases, moderation queue, product rating aggregates,
+// review browsing and helpfulness votes
+
+const REVIEWS_STORAGE_KEY = 'mh_reviews';
+const REVIEW_VOTES_STORAGE_KEY = 'mh_review_votes';
+
+// Reviews shown per page on the product page
+const REVIEWS_PAGE_SIZE = 5;
+
+const REVIEW_SORT_OPTIONS = {
+  newest: 'Newest',
+  highest: 'Highest rated',
+  lowest: 'Lowest rated',
+  helpful: 'Most helpful'
+};
+
+const REVIEW_TITLE_MAX_LENGTH = 100;
+const REVIEW_TEXT_MIN_LENGTH = 20;
+const REVIEW_TEXT_MAX_LENGTH = 2000;
+
+const REVIEW_STATUSES = {
+  pending: 'Awaiting moderation',
+  approved: 'Published',
+  rejected: 'Rejected'
+};
+
+// Orders in these states were never paid for or were called off, so they do not verify a purchase
+const UNVERIFIED_ORDER_STATUSES = ['pending_payment', 'cancelled'];
+
+// Words that hold a review for a moderator (matched as whole words, case-insensitive)
+const PROFANITY_WORDS = [
+  'arse', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'crap', 'damn',
+  'dick', 'fuck', 'fucking', 'piss', 'prick', 'shit', 'slut', 'twat', 'wanker'
+];
+
+// Phrases that turn up in spam
+const SPAM_PHRASES = [
+  'buy now', 'click here', 'free money', 'work from home', 'limited offer', 'crypto',
+  'casino', 'viagra', 'promo code', 'discount code', 'visit my', 'check out my'
+];
+
+// Heuristic points per finding; reviews scoring this much are rejected without a moderator
+const SPAM_REJECT_SCORE = 4;
+
+/**
+ * Get all submitted reviews
+ * @returns {Array} Reviews
+ */
+function getReviews() {
+  try {
+    const stored = localStorage.getItem(REVIEWS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading reviews from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save all reviews
+ * @param {Array} reviews - Reviews
+ * @returns {boolean} True if saved
+ */
+function saveReviews(reviews) {
+  try {
+    localStorage.setItem(REVIEWS_STORAGE_KEY, JSON.stringify(reviews));
+    return true;
+  } catch (error) {
+    console.error('Error saving reviews to localStorage:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a review by ID
+ * @param {string} reviewId - Review ID
+ * @returns {Object|null} Review or null if not found
+ */
+function getReview(reviewId) {
+  return getReviews().find(review => review.id === reviewId) || null;
+}
+
+/**
+ * Get a product's submitted reviews
+ * @param {string} productId - Product ID
+ * @param {string} [status] - Only reviews in this status
+ * @returns {Array} Reviews, newest first
+ */
+function getProductReviews(productId, status) {
+  return getReviews()
+    .filter(review => review.productId === productId && (!status || review.status === status))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Generate a review ID
+ * @returns {string} Review ID (e.g., REV-20261019-4HD8QX)
+ */
+function generateReviewId() {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `REV-${datePart}-${randomPart}`;
+}
+
+/**
+ * Find the order that verifies a purchase of a product
+ * @param {string} productId - Product ID
+ * @param {string} email - Reviewer's email (must match the order's contact email)
+ * @returns {Object|null} Order or null if the reviewer has not bought the product
+ */
+function findVerifyingOrder(productId, email) {
+  const address = (email || '').trim().toLowerCase();
+  if (!address || !window.CheckoutModule) {
+    return null;
+  }
+
+  return window.CheckoutModule.getOrderHistory().find(order =>
+    !UNVERIFIED_ORDER_STATUSES.includes(order.status) &&
+    order.contact && order.contact.email.toLowerCase() === address &&
+    (order.items || []).some(item => item.productId === productId)
+  ) || null;
+}
+
+/**
+ * Validate a review submission
+ * @param {Object} formData - Form data { rating, title, text, name, email, size, color }
+ * @param {Object} product - Product being reviewed
+ * @returns {Object} Validation result { valid, errors } (errors keyed by field name)
+ */
+function validateReview(formData, product) {
+  const errors = {};
+  const checkout = window.CheckoutModule;
+  const rating = Number(formData.rating);
+  const title = (formData.title || '').trim();
+  const text = (formData.text || '').trim();
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.rating = 'Please choose a star rating.';
+  }
+
+  if (!title) {
+    errors.title = 'Please give your review a title.';
+  } else if (title.length > REVIEW_TITLE_MAX_LENGTH) {
+    errors.title = `Please keep the title to ${REVIEW_TITLE_MAX_LENGTH} characters or fewer.`;
+  }
+
+  if (text.length < REVIEW_TEXT_MIN_LENGTH) {
+    errors.text = `Please tell us a little more (at least ${REVIEW_TEXT_MIN_LENGTH} characters).`;
+  } else if (text.length > REVIEW_TEXT_MAX_LENGTH) {
+    errors.text = `Please keep your review to ${REVIEW_TEXT_MAX_LENGTH} characters or fewer.`;
+  }
+
+  const nameResult = checkout.validateRequired(formData.name, 'Name');
+  if (!nameResult.valid) errors.name = nameResult.message;
+
+  const emailResult = checkout.validateEmail(formData.email);
+  if (!emailResult.valid) errors.email = emailResult.message;
+
+  if (formData.size && !product.sizes.includes(formData.size)) {
+    errors.size = 'Please choose one of the listed sizes.';
+  }
+  if (formData.color && !product.colors.includes(formData.color)) {
+    errors.color = 'Please choose one of the listed colors.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Check review content for profanity and spam
+ * @param {Object} review - Review { title, text, email, productId }
+ * @returns {Object} Result { flags, spamScore } (flags: 'profanity', 'links', 'spam_phrases',
+ *   'shouting', 'repeated_characters', 'duplicate')
+ */
+function checkReviewContent(review) {
+  const content = `${review.title} ${review.text}`;
+  const lower = content.toLowerCase();
+  const words = lower.split(/[^a-z']+/).filter(Boolean);
+  const flags = [];
+  let spamScore = 0;
+
+  if (words.some(word => PROFANITY_WORDS.includes(word))) {
+    flags.push('profanity');
+  }
+
+  const links = (content.match(/https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|ru|biz)\b/gi) || []).length;
+  if (links > 0) {
+    flags.push('links');
+    spamScore += Math.min(links, 2) * 2;
+  }
+
+  const phrases = SPAM_PHRASES.filter(phrase => lower.includes(phrase)).length;
+  if (phrases > 0) {
+    flags.push('spam_phrases');
+    spamScore += phrases * 2;
+  }
+
+  const letters = content.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    flags.push('shouting');
+    spamScore += 1;
+  }
+
+  if (/(.)\1{5,}/.test(content)) {
+    flags.push('repeated_characters');
+    spamScore += 1;
+  }
+
+  const normalized = lower.replace(/\s+/g, ' ').trim();
+  const duplicate = getReviews().some(existing =>
+    `${existing.title} ${existing.text}`.toLowerCase().replace(/\s+/g, ' ').trim() === normalized
+  );
+  if (duplicate) {
+    flags.push('duplicate');
+    spamScore += 3;
+  }
+
+  return { flags, spamScore };
+}
+
+/**
+ * Submit a review
+ * Every review waits for a moderator, apart from obvious spam, which is rejected straight away.
+ * One review per product per email address
+ * @param {string} productId - Product ID
+ * @param {Object} formData - Form data { rating, title, text, name, email, size, color }
+ * @returns {Promise<Object>} Result { success, review, code?, message?, errors? }
+ */
+async function submitReview(productId, formData) {
+  const product = window.ProductsModule ? await window.ProductsModule.getProductById(productId) : null;
+  if (!product) {
+    return { success: false, review: null, code: 'product_not_found', message: 'This product could not be found.', errors: {} };
+  }
+
+  const validation = validateReview(formData, product);
+  if (!validation.valid) {
+    return {
+      success: false,
+      review: null,
+      code: 'validation_failed',
+      message: 'Please correct the highlighted fields.',
+      errors: validation.errors
+    };
+  }
+
+  const email = formData.email.trim().toLowerCase();
+  const alreadyReviewed = getReviews().some(review =>
+    review.productId === productId && review.email === email && review.status !== 'rejected'
+  );
+  if (alreadyReviewed) {
+    return {
+      success: false,
+      review: null,
+      code: 'already_reviewed',
+      message: "You've already reviewed this product. Thank you!",
+      errors: {}
+    };
+  }
+
+  const order = findVerifyingOrder(productId, email);
+  const review = {
+    id: generateReviewId(),
+    productId,
+    rating: Number(formData.rating),
+    title: formData.title.trim(),
+    text: formData.text.trim(),
+    name: formData.name.trim(),
+    email,
+    size: formData.size || null,
+    color: formData.color || null,
+    verifiedPurchase: Boolean(order),
+    orderNumber: order ? order.orderNumber : null,
+    createdAt: new Date().toISOString(),
+    status: 'pending',
+    moderation: null
+  };
+
+  const { flags, spamScore } = checkReviewContent(review);
+  review.flags = flags;
+  review.spamScore = spamScore;
+
+  if (spamScore >= SPAM_REJECT_SCORE) {
+    review.status = 'rejected';
+    review.moderation = { decidedAt: review.createdAt, decidedBy: 'auto', reason: 'Rejected as spam' };
+  }
+
+  const reviews = getReviews();
+  reviews.push(review);
+  if (!saveReviews(reviews)) {
+    return {
+      success: false,
+      review: null,
+      code: 'save_failed',
+      message: 'We could not save your review. Please try again.',
+      errors: {}
+    };
+  }
+
+  return { success: true, review };
+}
+
+/**
+ * Get reviews waiting for a moderator
+ * Flagged reviews come first, then the oldest
+ * @returns {Array} Pending reviews
+ */
+function getModerationQueue() {
+  return getReviews()
+    .filter(review => review.status === 'pending')
+    .sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Record a moderator's decision on a review
+ * @param {string} reviewId - Review ID
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {Object} [decision] - Decision { moderator, reason }
+ * @returns {Object} Result { success, review, summary?, message? }
+ *   summary is the product's recomputed rating { rating, reviewCount } after an approval
+ */
+function moderateReview(reviewId, status, decision = {}) {
+  const reviews = getReviews();
+  const review = reviews.find(candidate => candidate.id === reviewId);
+
+  if (!review) {
+    return { success: false, review: null, message: 'Review not found.' };
+  }
+  if (review.status !== 'pending') {
+    return { success: false, review, message: `This review has already been ${review.status}.` };
+  }
+
+  review.status = status;
+  review.moderation = {
+    decidedAt: new Date().toISOString(),
+    decidedBy: decision.moderator || 'moderator',
+    reason: decision.reason || ''
+  };
+
+  if (!saveReviews(reviews)) {
+    return { success: false, review: null, message: 'We could not save the decision. Please try again.' };
+  }
+
+  return { success: true, review, summary: status === 'approved' ? getRatingSummary(review.productId) : null };
+}
+
+/**
+ * Approve a pending review, publishing it and updating the product's rating
+ * @param {string} reviewId - Review ID
+ * @param {Object} [decision] - Decision { moderator }
+ * @returns {Object} Result { success, review, summary?, message? }
+ */
+function approveReview(reviewId, decision) {
+  return moderateReview(reviewId, 'approved', decision);
+}
+
+/**
+ * Reject a pending review
+ * @param {string} reviewId - Review ID
+ * @param {Object} [decision] - Decision { moderator, reason }
+ * @returns {Object} Result { success, review, message? }
+ */
+function rejectReview(reviewId, decision) {
+  return moderateReview(reviewId, 'rejected', decision);
+}
+
+// Catalog rating, review count and per-star counts per product, before customer reviews, keyed by product ID
+const catalogRatings = {};
+
+/**
+ * Register catalog ratings (called once products are loaded)
+ * @param {Array} products - Array of product objects from products.json
+ */
+function registerCatalogRatings(products) {
+  products.forEach(product => {
+    catalogRatings[product.id] = {
+      rating: product.rating || 0,
+      reviewCount: product.reviewCount || 0,
+      ratingDistribution: product.ratingDistribution || null
+    };
+  });
+}
+
+/**
+ * Recompute a product's rating from its catalog rating and approved customer reviews
+ * @param {string} productId - Product ID
+ * @returns {Object} Summary { rating (one decimal), reviewCount, ratingDistribution }
+ *   (ratingDistribution is null if the catalog has no histogram for the product)
+ */
+function getRatingSummary(productId) {
+  const catalog = catalogRatings[productId] || { rating: 0, reviewCount: 0, ratingDistribution: null };
+  const approved = getProductReviews(productId, 'approved');
+  const reviewCount = catalog.reviewCount + approved.length;
+
+  let ratingDistribution = null;
+  if (catalog.ratingDistribution) {
+    ratingDistribution = { ...catalog.ratingDistribution };
+    approved.forEach(review => {
+      ratingDistribution[review.rating] = (ratingDistribution[review.rating] || 0) + 1;
+    });
+  }
+
+  if (reviewCount === 0) {
+    return { rating: 0, reviewCount: 0, ratingDistribution };
+  }
+
+  const total = catalog.rating * catalog.reviewCount + approved.reduce((sum, review) => sum + review.rating, 0);
+  return {
+    rating: Math.round((total / reviewCount) * 10) / 10,
+    reviewCount,
+    ratingDistribution
+  };
+}
+
+/**
+ * Apply approved customer reviews to a catalog product
+ * Approved reviews are listed before the catalog's seed reviews
+ * @param {Object} product - Product object
+ * @returns {Object} Product with current rating, reviewCount, ratingDistribution and reviews
+ */
+function applyReviews(product) {
+  const approved = getProductReviews(product.id, 'approved');
+  if (approved.length === 0) {
+    return product;
+  }
+
+  const summary = getRatingSummary(product.id);
+  const published = approved.map(review => ({
+    id: review.id,
+    name: review.name,
+    rating: review.rating,
+    title: review.title,
+    text: review.text,
+    date: review.createdAt.slice(0, 10),
+    size: review.size,
+    color: review.color,
+    verifiedPurchase: review.verifiedPurchase
+  }));
+
+  return {
+    ...product,
+    rating: summary.rating,
+    reviewCount: summary.reviewCount,
+    ratingDistribution: summary.ratingDistribution || product.ratingDistribution,
+    reviews: [...published, ...(product.reviews || [])]
+  };
+}
+
+/**
+ * Get a stable key for a published review
+ * Customer reviews use their ID; catalog reviews have none, so they are keyed by author and date
+ * @param {string} productId - Product ID
+ * @param {Object} review - Published review
+ * @returns {string} Review key
+ */
+function getReviewKey(productId, review) {
+  return review.id || `${productId}:${review.name}:${review.date}`;
+}
+
+/**
+ * Get helpfulness votes
+ * @returns {Object} Votes { counts: { [key]: { helpful, notHelpful } }, mine: { [key]: 'helpful'|'not_helpful' } }
+ */
+function getReviewVotes() {
+  try {
+    const stored = localStorage.getItem(REVIEW_VOTES_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : { counts: {}, mine: {} };
+  } catch (error) {
+    console.error('Error loading review votes from localStorage:', error);
+    return { counts: {}, mine: {} };
+  }
+}
+
+/**
+ * Get the helpfulness votes on one review
+ * @param {string} key - Review key
+ * @returns {Object} Votes { helpful, notHelpful, mine } (mine is null if this shopper has not voted)
+ */
+function getVotesForReview(key) {
+  const votes = getReviewVotes();
+  const counts = votes.counts[key] || { helpful: 0, notHelpful: 0 };
+  return { helpful: counts.helpful, notHelpful: counts.notHelpful, mine: votes.mine[key] || null };
+}
+
+/**
+ * Vote on whether a review was helpful
+ * Each shopper has one vote per review: voting the same way again takes the vote back, and
+ * voting the other way moves it
+ * @param {string} key - Review key
+ * @param {string} vote - 'helpful' or 'not_helpful'
+ * @returns {Object} Result { success, votes: { helpful, notHelpful, mine }, message? }
+ */
+function voteOnReview(key, vote) {
+  if (vote !== 'helpful' && vote !== 'not_helpful') {
+    return { success: false, votes: getVotesForReview(key), message: 'Unknown vote.' };
+  }
+
+  const votes = getReviewVotes();
+  const counts = votes.counts[key] || { helpful: 0, notHelpful: 0 };
+  const field = name => (name === 'helpful' ? 'helpful' : 'notHelpful');
+  const previous = votes.mine[key];
+
+  if (previous) {
+    counts[field(previous)] = Math.max(0, counts[field(previous)] - 1);
+  }
+
+  if (previous === vote) {
+    delete votes.mine[key];
+  } else {
+    counts[field(vote)] += 1;
+    votes.mine[key] = vote;
+  }
+  votes.counts[key] = counts;
+
+  try {
+    localStorage.setItem(REVIEW_VOTES_STORAGE_KEY, JSON.stringify(votes));
+  } catch (error) {
+    console.error('Error saving review votes to localStorage:', error);
+    return { success: false, votes: getVotesForReview(key), message: 'We could not save your vote. Please try again.' };
+  }
+
+  return { success: true, votes: getVotesForReview(key) };
+}
+
+/**
+ * Get the distinct search terms in some text
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms (stemmed when SearchModule is loaded)
+ */
+function getReviewTerms(text) {
+  return window.SearchModule
+    ? window.SearchModule.tokenize(text)
+    : String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Sort, filter, search and page a product's published reviews
+ * @param {Object} product - Product (with reviews)
+ * @param {Object} [options] - Options
+ * @param {string} [options.sort='newest'] - Sort option (a key of REVIEW_SORT_OPTIONS)
+ * @param {number} [options.rating] - Only reviews with this many stars (0 or empty for all)
+ * @param {string} [options.query] - Keywords that must all appear in the title, text or author
+ * @param {number} [options.page=1] - Pages to include (pages load one after another)
+ * @param {number} [options.pageSize=REVIEWS_PAGE_SIZE] - Reviews per page
+ * @returns {Object} Result { reviews, matchedTerms, total, matching, hasMore }
+ *   reviews are published reviews with { key, votes } added; total counts every published review
+ */
+function queryReviews(product, options = {}) {
+  const sort = REVIEW_SORT_OPTIONS[options.sort] ? options.sort : 'newest';
+  const rating = Number(options.rating) || 0;
+  const pageSize = options.pageSize || REVIEWS_PAGE_SIZE;
+  const page = Math.max(1, options.page || 1);
+  const matchedTerms = [...new Set(getReviewTerms(options.query))];
+
+  const all = (product.reviews || []).map(review => {
+    const key = getReviewKey(product.id, review);
+    return { ...review, key, votes: getVotesForReview(key) };
+  });
+
+  const matching = all.filter(review => {
+    if (rating && review.rating !== rating) {
+      return false;
+    }
+    if (matchedTerms.length === 0) {
+      return true;
+    }
+    const terms = new Set(getReviewTerms(`${review.title || ''} ${review.text} ${review.name}`));
+    return matchedTerms.every(term => terms.has(term));
+  });
+
+  const newest = (a, b) => new Date(b.date) - new Date(a.date);
+  const sorters = {
+    newest,
+    highest: (a, b) => b.rating - a.rating || newest(a, b),
+    lowest: (a, b) => a.rating - b.rating || newest(a, b),
+    helpful: (a, b) => (b.votes.helpful - b.votes.notHelpful) - (a.votes.helpful - a.votes.notHelpful) ||
+      b.votes.helpful - a.votes.helpful || newest(a, b)
+  };
+  matching.sort(sorters[sort]);
+
+  return {
+    reviews: matching.slice(0, page * pageSize),
+    matchedTerms,
+    total: all.length,
+    matching: matching.length,
+    hasMore: matching.length > page * pageSize
+  };
+}
+
+// Export functions for use in other modules
+window.ReviewsModule = {
+  REVIEW_STATUSES,
+  REVIEW_TITLE_MAX_LENGTH,
+  REVIEW_TEXT_MIN_LENGTH,
+  REVIEW_TEXT_MAX_LENGTH,
+  REVIEW_SORT_OPTIONS,
+  REVIEWS_PAGE_SIZE,
+
+  // Submission
+  validateReview,
+  submitReview,
+  findVerifyingOrder,
+  checkReviewContent,
+
+  // Moderation
+  getModerationQueue,
+  approveReview,
+  rejectReview,
+
+  // Reviews
+  getReviews,
+  getReview,
+  getProductReviews,
+
+  // Browsing and votes
+  queryReviews,
+  getReviewKey,
+  getVotesForReview,
+  voteOnReview,
+
+  // Ratings
+  registerCatalogRatings,
+  getRatingSummary,
+  applyReviews
+};
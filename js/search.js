@@ -0,0 +1,432 @@
+// Search Module
+// Full-text product search: inverted index, BM25 ranking, typo tolerance, synonyms and highlighting
+
+// Relative importance of each indexed field
+const SEARCH_FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  colors: 1.5,
+  description: 1,
+  reviews: 0.5
+};
+
+// BM25 tuning parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weights applied to query term expansions
+const MATCH_WEIGHTS = {
+  exact: 1,
+  synonym: 0.8,
+  prefix: 0.7,
+  fuzzy: 0.5
+};
+
+const SEARCH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'my', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'with', 'your'
+]);
+
+// Groups of interchangeable terms (compared after stemming)
+const SEARCH_SYNONYMS = [
+  ['mustache', 'moustache', 'stache', 'tache', 'whisker', 'facial'],
+  ['harness', 'apparatus', 'device', 'system', 'rig'],
+  ['night', 'nite', 'sleep', 'sleepwear', 'nocturnal', 'bedtime', 'overnight'],
+  ['curl', 'twirl', 'twist'],
+  ['lift', 'support', 'elevate', 'raise'],
+  ['shaper', 'shape', 'trainer', 'contour', 'sculpt'],
+  ['fun', 'novelty', 'croc', 'playful'],
+  ['guard', 'protector', 'protection', 'bonnet']
+];
+
+/**
+ * Reduce a word to a simple stem so plurals and common suffixes match
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+function stemWord(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && word.endsWith('es') && /(sh|ch|ss|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into normalized, stemmed search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Array of terms (stop words removed)
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !SEARCH_STOP_WORDS.has(word))
+    .map(stemWord);
+}
+
+/**
+ * Get the synonyms of a term
+ * @param {string} term - Stemmed term
+ * @returns {Array<string>} Synonym terms (excluding the term itself)
+ */
+function getSynonyms(term) {
+  const synonyms = new Set();
+  SEARCH_SYNONYMS.forEach(group => {
+    const stemmed = group.map(stemWord);
+    if (stemmed.includes(term)) {
+      stemmed.forEach(synonym => {
+        if (synonym !== term) synonyms.add(synonym);
+      });
+    }
+  });
+  return [...synonyms];
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) edit distance, bounded for speed
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early once the distance exceeds this value
+ * @returns {number} Edit distance (maxDistance + 1 if exceeded)
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      // Transposition of two adjacent characters
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term of a given length
+ * @param {number} length - Term length
+ * @returns {number} Maximum edit distance
+ */
+function getMaxTypos(length) {
+  if (length < 4) return 0;
+  if (length < 6) return 1;
+  return 2;
+}
+
+/**
+ * Get the searchable text of a product, per field
+ * @param {Object} product - Product object
+ * @returns {Object} Object mapping field names to text
+ */
+function getSearchableFields(product) {
+  return {
+    name: product.name,
+    category: product.category,
+    colors: (product.colors || []).join(' '),
+    description: product.description,
+    reviews: (product.reviews || []).map(review => [review.title, review.text].filter(Boolean).join(' ')).join(' ')
+  };
+}
+
+/**
+ * Build an inverted index over a list of products
+ * @param {Array} products - Array of product objects
+ * @returns {Object} Search index
+ */
+function buildIndex(products) {
+  const postings = {};
+  const documents = {};
+  const totalLengths = {};
+
+  Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+    totalLengths[field] = 0;
+  });
+
+  products.forEach(product => {
+    const fields = getSearchableFields(product);
+    const lengths = {};
+
+    Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+      const terms = tokenize(fields[field]);
+      lengths[field] = terms.length;
+      totalLengths[field] += terms.length;
+
+      terms.forEach(term => {
+        if (!postings[term]) postings[term] = {};
+        if (!postings[term][product.id]) postings[term][product.id] = {};
+        postings[term][product.id][field] = (postings[term][product.id][field] || 0) + 1;
+      });
+    });
+
+    documents[product.id] = { lengths, fields };
+  });
+
+  const documentCount = products.length;
+  const averageLengths = {};
+  Object.keys(totalLengths).forEach(field => {
+    averageLengths[field] = documentCount > 0 ? totalLengths[field] / documentCount : 0;
+  });
+
+  return {
+    postings,
+    documents,
+    averageLengths,
+    documentCount,
+    vocabulary: Object.keys(postings)
+  };
+}
+
+/**
+ * Expand a query term into the index terms it should match
+ * @param {Object} index - Search index
+ * @param {string} term - Stemmed query term
+ * @param {boolean} allowPrefix - Whether to match terms that start with the query term
+ * @returns {Array} Array of { term, weight }
+ */
+function expandTerm(index, term, allowPrefix) {
+  const expansions = {};
+  const add = (indexTerm, weight) => {
+    if (!expansions[indexTerm] || expansions[indexTerm] < weight) {
+      expansions[indexTerm] = weight;
+    }
+  };
+
+  if (index.postings[term]) {
+    add(term, MATCH_WEIGHTS.exact);
+  }
+
+  getSynonyms(term).forEach(synonym => {
+    if (index.postings[synonym]) add(synonym, MATCH_WEIGHTS.synonym);
+  });
+
+  const maxTypos = getMaxTypos(term.length);
+
+  index.vocabulary.forEach(indexTerm => {
+    if (allowPrefix && term.length >= 2 && indexTerm.length > term.length && indexTerm.startsWith(term)) {
+      add(indexTerm, MATCH_WEIGHTS.prefix);
+    }
+
+    if (maxTypos > 0 && indexTerm !== term) {
+      const distance = editDistance(term, indexTerm, maxTypos);
+      if (distance <= maxTypos) {
+        add(indexTerm, MATCH_WEIGHTS.fuzzy / distance);
+      }
+    }
+  });
+
+  return Object.keys(expansions).map(indexTerm => ({ term: indexTerm, weight: expansions[indexTerm] }));
+}
+
+/**
+ * BM25 score contribution of one index term for one document
+ * @param {Object} index - Search index
+ * @param {string} term - Index term
+ * @param {string} productId - Document ID
+ * @returns {number} Score
+ */
+function scoreTerm(index, term, productId) {
+  const documentFrequency = Object.keys(index.postings[term]).length;
+  const idf = Math.log(1 + (index.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  const fieldCounts = index.postings[term][productId] || {};
+  const lengths = index.documents[productId].lengths;
+
+  return Object.keys(fieldCounts).reduce((score, field) => {
+    const tf = fieldCounts[field];
+    const average = index.averageLengths[field] || 1;
+    const norm = 1 - BM25_B + BM25_B * (lengths[field] / average);
+    return score + SEARCH_FIELD_WEIGHTS[field] * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+  }, 0);
+}
+
+/**
+ * Search the index
+ * Every query term must match (exactly, by synonym, prefix or typo) unless no product
+ * matches them all, in which case products matching any term are returned
+ * @param {Object} index - Search index
+ * @param {string} query - Search query
+ * @returns {Array} Ranked results { id, score, matchedTerms }
+ */
+function search(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!index || queryTerms.length === 0) {
+    return [];
+  }
+
+  // The last term may still be being typed, so it also matches as a prefix
+  const expanded = queryTerms.map((term, i) => expandTerm(index, term, i === queryTerms.length - 1));
+  const results = {};
+
+  expanded.forEach((expansions, queryIndex) => {
+    expansions.forEach(({ term, weight }) => {
+      Object.keys(index.postings[term]).forEach(productId => {
+        if (!results[productId]) {
+          results[productId] = { id: productId, score: 0, matchedTerms: new Set(), matchedQueryTerms: new Set() };
+        }
+        results[productId].score += weight * scoreTerm(index, term, productId);
+        results[productId].matchedTerms.add(term);
+        results[productId].matchedQueryTerms.add(queryIndex);
+      });
+    });
+  });
+
+  let matches = Object.values(results);
+  const matchesAll = matches.filter(result => result.matchedQueryTerms.size === queryTerms.length);
+  if (matchesAll.length > 0) {
+    matches = matchesAll;
+  }
+
+  return matches
+    .map(result => ({
+      id: result.id,
+      score: result.score,
+      matchedTerms: [...result.matchedTerms]
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check whether a word of the original text is one of the matched terms
+ * @param {string} word - Word from the original text
+ * @param {Array<string>} matchedTerms - Matched index terms
+ * @returns {boolean} True if the word should be highlighted
+ */
+function isMatchedWord(word, matchedTerms) {
+  const terms = tokenize(word);
+  return terms.length > 0 && terms.every(term => matchedTerms.includes(term));
+}
+
+/**
+ * Wrap matched words in <mark> tags
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} matchedTerms - Matched index terms
+ * @returns {string} HTML string with matches highlighted (text is escaped)
+ */
+function highlight(text, matchedTerms) {
+  if (!text) return '';
+  if (!matchedTerms || matchedTerms.length === 0) return escapeHTML(text);
+
+  return String(text)
+    .split(/([A-Za-z0-9\u00C0-\u024F]+)/)
+    .map(part => isMatchedWord(part, matchedTerms) ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part))
+    .join('');
+}
+
+/**
+ * Build a short highlighted excerpt around the first match
+ * @param {string} text - Source text
+ * @param {Array<string>} matchedTerms - Matched index terms
+ * @param {number} [length=140] - Approximate snippet length in characters
+ * @returns {string} HTML snippet, or an empty string if nothing in the text matches
+ */
+function createSnippet(text, matchedTerms, length = 140) {
+  if (!text || !matchedTerms || matchedTerms.length === 0) return '';
+
+  const wordPattern = /[A-Za-z0-9\u00C0-\u024F]+/g;
+  let match;
+  let position = -1;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    if (isMatchedWord(match[0], matchedTerms)) {
+      position = match.index;
+      break;
+    }
+  }
+
+  if (position === -1) return '';
+
+  let start = Math.max(0, position - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+
+  // Snap to word boundaries
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < position ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > position ? space : end;
+  }
+
+  const prefix = start > 0 ? '&hellip;' : '';
+  const suffix = end < text.length ? '&hellip;' : '';
+  return prefix + highlight(text.slice(start, end), matchedTerms) + suffix;
+}
+
+/**
+ * Get highlighted name and snippet for a search result
+ * The snippet comes from the description, or from review text when only a review matched
+ * @param {Object} product - Product object
+ * @param {Array<string>} matchedTerms - Matched index terms
+ * @returns {Object} { name: string, snippet: string, source: 'description'|'reviews'|null }
+ */
+function getHighlights(product, matchedTerms) {
+  const descriptionSnippet = createSnippet(product.description, matchedTerms);
+  let snippet = descriptionSnippet;
+  let source = descriptionSnippet ? 'description' : null;
+
+  if (!snippet) {
+    const review = (product.reviews || []).find(r => createSnippet(r.text, matchedTerms));
+    if (review) {
+      snippet = createSnippet(review.text, matchedTerms);
+      source = 'reviews';
+    }
+  }
+
+  return {
+    name: highlight(product.name, matchedTerms),
+    snippet,
+    source
+  };
+}
+
+// Export functions for use in other modules
+window.SearchModule = {
+  buildIndex,
+  search,
+  tokenize,
+  highlight,
+  createSnippet,
+  getHighlights,
+  escapeHTML
+};
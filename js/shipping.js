@@ -0,0 +1,325 @@
+// Shipping Module
+// Zone-based shipping rates by destination, parcel weight and delivery method
+
+const DESTINATION_STORAGE_KEY = 'mh_destination';
+const SHIPPING_METHOD_STORAGE_KEY = 'mh_shipping_method';
+
+// Weight used for items whose product has not been loaded (kilograms)
+const DEFAULT_ITEM_WEIGHT_KG = 0.3;
+
+// Packaging added to every parcel (kilograms)
+const PACKAGING_WEIGHT_KG = 0.1;
+
+// Volumetric divisor used by carriers: cm³ / 5000 = kg
+const DIMENSIONAL_WEIGHT_DIVISOR = 5000;
+
+// Display order of delivery methods
+const SHIPPING_METHOD_ORDER = ['standard', 'express', 'overnight'];
+
+const SHIPPING_METHOD_LABELS = {
+  standard: 'Standard',
+  express: 'Express',
+  overnight: 'Overnight'
+};
+
+/**
+ * Shipping zones, keyed by zone ID
+ * Each zone lists its country codes, the merchandise total above which standard shipping is free
+ * (null for never), and a rate per method: base cost + cost per billable kg, with transit time in business days
+ */
+const SHIPPING_ZONES = {
+  domestic: {
+    label: 'United States',
+    countries: ['US'],
+    freeShippingThreshold: 75,
+    methods: {
+      standard: { base: 5.99, perKg: 1.50, minDays: 3, maxDays: 5 },
+      express: { base: 14.99, perKg: 3.00, minDays: 1, maxDays: 2 },
+      overnight: { base: 29.99, perKg: 5.00, minDays: 1, maxDays: 1 }
+    }
+  },
+  northAmerica: {
+    label: 'Canada',
+    countries: ['CA'],
+    freeShippingThreshold: 150,
+    methods: {
+      standard: { base: 12.99, perKg: 4.00, minDays: 5, maxDays: 8 },
+      express: { base: 29.99, perKg: 8.00, minDays: 2, maxDays: 4 }
+    }
+  },
+  europe: {
+    label: 'Europe',
+    countries: ['UK', 'DE', 'FR', 'NL'],
+    freeShippingThreshold: null,
+    methods: {
+      standard: { base: 16.99, perKg: 6.00, minDays: 7, maxDays: 10 },
+      express: { base: 39.99, perKg: 10.00, minDays: 3, maxDays: 5 }
+    }
+  },
+  oceania: {
+    label: 'Australia',
+    countries: ['AU'],
+    freeShippingThreshold: null,
+    methods: {
+      standard: { base: 19.99, perKg: 7.00, minDays: 8, maxDays: 14 },
+      express: { base: 44.99, perKg: 12.00, minDays: 4, maxDays: 6 }
+    }
+  },
+  international: {
+    label: 'International',
+    countries: ['OTHER'],
+    freeShippingThreshold: null,
+    methods: {
+      standard: { base: 24.99, perKg: 9.00, minDays: 10, maxDays: 21 },
+      express: { base: 54.99, perKg: 14.00, minDays: 5, maxDays: 8 }
+    }
+  }
+};
+
+// Product weights and dimensions, keyed by product ID
+const productParcels = {};
+
+/**
+ * Register product weights and dimensions (called once products are loaded)
+ * @param {Array} products - Array of product objects from products.json
+ */
+function registerProductWeights(products) {
+  products.forEach(product => {
+    productParcels[product.id] = {
+      weight: product.weight,
+      dimensions: product.dimensions
+    };
+  });
+}
+
+/**
+ * Get the billable weight of one unit of a product
+ * Carriers charge the greater of actual and dimensional weight
+ * @param {string} productId - Product ID
+ * @returns {number} Weight in kilograms
+ */
+function getBillableUnitWeight(productId) {
+  const parcel = productParcels[productId];
+  if (!parcel || !parcel.weight) {
+    return DEFAULT_ITEM_WEIGHT_KG;
+  }
+
+  const actual = parcel.weight / 1000;
+  const dimensions = parcel.dimensions;
+  const dimensional = dimensions
+    ? (dimensions.length * dimensions.width * dimensions.height) / DIMENSIONAL_WEIGHT_DIVISOR
+    : 0;
+
+  return Math.max(actual, dimensional);
+}
+
+/**
+ * Get the billable weight of a parcel holding the given items
+ * @param {Array} items - Cart or order lines { productId, quantity }
+ * @returns {number} Weight in kilograms (0 for an empty parcel)
+ */
+function getParcelWeight(items) {
+  if (!items || items.length === 0) {
+    return 0;
+  }
+
+  const itemsWeight = items.reduce((total, item) => total + getBillableUnitWeight(item.productId) * item.quantity, 0);
+  return itemsWeight + PACKAGING_WEIGHT_KG;
+}
+
+/**
+ * Find the shipping zone for a country
+ * @param {string} country - Country code as used by the checkout form
+ * @returns {Object} Zone object (with its `id`); unknown countries fall into the international zone
+ */
+function getShippingZone(country) {
+  const zoneId = Object.keys(SHIPPING_ZONES).find(id => SHIPPING_ZONES[id].countries.includes(country)) || 'international';
+  return { id: zoneId, ...SHIPPING_ZONES[zoneId] };
+}
+
+/**
+ * Get the merchandise total above which standard shipping is free
+ * @param {string} country - Country code
+ * @returns {number|null} Threshold, or null if the zone has no free shipping
+ */
+function getFreeShippingThreshold(country) {
+  return getShippingZone(country).freeShippingThreshold;
+}
+
+/**
+ * Add business days (Mon-Fri) to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Business days to add
+ * @returns {Date} Resulting date
+ */
+function addBusinessDays(date, days) {
+  const result = new Date(date);
+  let remaining = days;
+
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    const day = result.getDay();
+    if (day !== 0 && day !== 6) {
+      remaining--;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Describe when a parcel should arrive
+ * @param {number} minDays - Fastest transit time in business days
+ * @param {number} maxDays - Slowest transit time in business days
+ * @param {Date} [from] - Ship date
+ * @returns {string} Estimate such as "Arrives Wed, Oct 21 – Fri, Oct 23"
+ */
+function getDeliveryEstimate(minDays, maxDays, from = new Date()) {
+  const format = date => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const earliest = format(addBusinessDays(from, minDays));
+  const latest = format(addBusinessDays(from, maxDays));
+
+  return earliest === latest ? `Arrives ${earliest}` : `Arrives ${earliest} – ${latest}`;
+}
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundShippingCost(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Get the delivery methods available for a parcel, with prices and estimates
+ * Free shipping (from the zone threshold or a promotion) makes standard free and takes the
+ * standard price off faster methods
+ * @param {Array} items - Cart or order lines { productId, quantity }
+ * @param {Object} destination - Destination { country }
+ * @param {Object} [options] - Options
+ * @param {number} [options.merchandiseTotal=0] - Order value after discounts (for the free-shipping threshold)
+ * @param {boolean} [options.freeShipping=false] - Whether a promotion grants free shipping
+ * @returns {Array} Methods { method, label, cost, fullCost, free, minDays, maxDays, estimate }
+ */
+function getShippingMethods(items, destination, options = {}) {
+  const zone = getShippingZone(destination && destination.country);
+  const weight = getParcelWeight(items);
+  const merchandiseTotal = options.merchandiseTotal || 0;
+  const qualifiesForFree = Boolean(options.freeShipping) ||
+    (zone.freeShippingThreshold !== null && merchandiseTotal >= zone.freeShippingThreshold);
+
+  const priceFor = rate => roundShippingCost(rate.base + rate.perKg * weight);
+  const standardCost = priceFor(zone.methods.standard);
+
+  return SHIPPING_METHOD_ORDER
+    .filter(method => zone.methods[method])
+    .map(method => {
+      const rate = zone.methods[method];
+      const fullCost = weight > 0 ? priceFor(rate) : 0;
+      const cost = qualifiesForFree ? Math.max(0, roundShippingCost(fullCost - standardCost)) : fullCost;
+
+      return {
+        method,
+        label: SHIPPING_METHOD_LABELS[method],
+        cost,
+        fullCost,
+        free: cost === 0,
+        minDays: rate.minDays,
+        maxDays: rate.maxDays,
+        estimate: getDeliveryEstimate(rate.minDays, rate.maxDays)
+      };
+    });
+}
+
+/**
+ * Price one delivery method for a parcel
+ * Falls back to standard if the method is not offered for the destination
+ * @param {Array} items - Cart or order lines { productId, quantity }
+ * @param {Object} destination - Destination { country }
+ * @param {string} method - Method ID ('standard', 'express' or 'overnight')
+ * @param {Object} [options] - Same options as getShippingMethods
+ * @returns {Object} Quote { method, label, cost, estimate }
+ */
+function getShippingQuote(items, destination, method, options = {}) {
+  const methods = getShippingMethods(items, destination, options);
+  const chosen = methods.find(option => option.method === method) || methods[0];
+
+  return {
+    method: chosen.method,
+    label: chosen.label,
+    cost: chosen.cost,
+    estimate: chosen.estimate
+  };
+}
+
+/**
+ * Get the shopper's shipping destination
+ * @returns {Object} Destination { country } (defaults to the United States)
+ */
+function getDestination() {
+  try {
+    const stored = localStorage.getItem(DESTINATION_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : { country: 'US' };
+  } catch (error) {
+    console.error('Error loading destination from localStorage:', error);
+    return { country: 'US' };
+  }
+}
+
+/**
+ * Save the shopper's shipping destination
+ * @param {Object} destination - Destination { country }
+ */
+function saveDestination(destination) {
+  try {
+    localStorage.setItem(DESTINATION_STORAGE_KEY, JSON.stringify(destination));
+  } catch (error) {
+    console.error('Error saving destination to localStorage:', error);
+  }
+}
+
+/**
+ * Get the chosen delivery method
+ * @returns {string} Method ID (defaults to 'standard')
+ */
+function getSelectedShippingMethod() {
+  try {
+    return localStorage.getItem(SHIPPING_METHOD_STORAGE_KEY) || 'standard';
+  } catch (error) {
+    console.error('Error loading shipping method from localStorage:', error);
+    return 'standard';
+  }
+}
+
+/**
+ * Save the chosen delivery method
+ * @param {string} method - Method ID
+ */
+function saveSelectedShippingMethod(method) {
+  try {
+    localStorage.setItem(SHIPPING_METHOD_STORAGE_KEY, method);
+  } catch (error) {
+    console.error('Error saving shipping method to localStorage:', error);
+  }
+}
+
+// Export functions for use in other modules
+window.ShippingModule = {
+  // Catalog
+  registerProductWeights,
+  getParcelWeight,
+
+  // Rates
+  getShippingZone,
+  getFreeShippingThreshold,
+  getShippingMethods,
+  getShippingQuote,
+  getDeliveryEstimate,
+
+  // Shopper choices
+  getDestination,
+  saveDestination,
+  getSelectedShippingMethod,
+  saveSelectedShippingMethod
+};
@@ -0,0 +1,371 @@
+// Support Module
+// Contact form validation, support tickets, spam throttling and pluggable ticket transports
+
+const SUPPORT_TICKETS_STORAGE_KEY = 'mh_support_tickets';
+const SUPPORT_OUTBOX_STORAGE_KEY = 'mh_support_outbox';
+
+// Transport used unless another is chosen with setSupportTransport()
+const DEFAULT_SUPPORT_TRANSPORT = 'local-outbox';
+
+// Spam throttling: minimum gap between messages, and a cap per rolling hour
+const SUPPORT_COOLDOWN_SECONDS = 60;
+const SUPPORT_MAX_PER_HOUR = 5;
+
+const SUPPORT_MESSAGE_MIN_LENGTH = 10;
+const SUPPORT_MESSAGE_MAX_LENGTH = 2000;
+
+// Contact form subjects, keyed by the select's option values
+const SUPPORT_SUBJECTS = {
+  order: 'Order Inquiry',
+  product: 'Product Question',
+  return: 'Returns & Exchanges',
+  sizing: 'Sizing Help',
+  wholesale: 'Wholesale Inquiry',
+  other: 'Other'
+};
+
+// Registered ticket transports, keyed by transport ID
+const supportTransports = {};
+
+let activeSupportTransport = DEFAULT_SUPPORT_TRANSPORT;
+
+/**
+ * Register a ticket transport
+ * A transport delivers a ticket to the support desk (email relay, helpdesk API, etc.)
+ * @param {string} id - Transport ID
+ * @param {Object} transport - Transport { label, send(ticket) → Promise<{ success, reference?, error? }> }
+ */
+function registerSupportTransport(id, transport) {
+  supportTransports[id] = { id, ...transport };
+}
+
+/**
+ * Choose the transport new tickets are sent with
+ * @param {string} id - Transport ID
+ * @returns {boolean} True if the transport is registered
+ */
+function setSupportTransport(id) {
+  if (!supportTransports[id]) {
+    return false;
+  }
+  activeSupportTransport = id;
+  return true;
+}
+
+/**
+ * Get the transport new tickets are sent with
+ * @returns {Object} Transport
+ */
+function getSupportTransport() {
+  return supportTransports[activeSupportTransport] || supportTransports[DEFAULT_SUPPORT_TRANSPORT];
+}
+
+/**
+ * Get tickets submitted from this device
+ * @returns {Array} Tickets
+ */
+function getSupportTickets() {
+  try {
+    const stored = localStorage.getItem(SUPPORT_TICKETS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading support tickets from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a ticket, replacing any stored version with the same ID
+ * @param {Object} ticket - Ticket
+ * @returns {boolean} True if saved
+ */
+function saveSupportTicket(ticket) {
+  const tickets = getSupportTickets().filter(existing => existing.id !== ticket.id);
+  tickets.push(ticket);
+
+  try {
+    localStorage.setItem(SUPPORT_TICKETS_STORAGE_KEY, JSON.stringify(tickets));
+    return true;
+  } catch (error) {
+    console.error('Error saving support tickets to localStorage:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a ticket by ID
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object|null} Ticket or null if not found
+ */
+function getSupportTicket(ticketId) {
+  return getSupportTickets().find(ticket => ticket.id === ticketId) || null;
+}
+
+/**
+ * Get tickets waiting in the local outbox
+ * @returns {Array} Queued tickets
+ */
+function getSupportOutbox() {
+  try {
+    const stored = localStorage.getItem(SUPPORT_OUTBOX_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading support outbox from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Generate a support ticket ID
+ * @returns {string} Ticket ID (e.g., TKT-20261019-4HD8QX)
+ */
+function generateTicketId() {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `TKT-${datePart}-${randomPart}`;
+}
+
+/**
+ * Validate an optional order number reference
+ * @param {string} orderNumber - Order number
+ * @returns {Object} Validation result { valid, message }
+ */
+function validateOrderReference(orderNumber) {
+  const trimmed = (orderNumber || '').trim();
+
+  if (trimmed && !/^MH-\d{8}-[A-Z0-9]{6}$/i.test(trimmed)) {
+    return {
+      valid: false,
+      message: 'Order numbers look like MH-20240116-ABC123.'
+    };
+  }
+
+  return {
+    valid: true,
+    message: ''
+  };
+}
+
+/**
+ * Validate the message body
+ * @param {string} message - Message
+ * @returns {Object} Validation result { valid, message }
+ */
+function validateSupportMessage(message) {
+  const trimmed = (message || '').trim();
+
+  if (trimmed.length === 0) {
+    return { valid: false, message: 'Please enter your message.' };
+  }
+  if (trimmed.length < SUPPORT_MESSAGE_MIN_LENGTH) {
+    return { valid: false, message: `Please tell us a little more (at least ${SUPPORT_MESSAGE_MIN_LENGTH} characters).` };
+  }
+  if (trimmed.length > SUPPORT_MESSAGE_MAX_LENGTH) {
+    return { valid: false, message: `Please keep your message under ${SUPPORT_MESSAGE_MAX_LENGTH} characters.` };
+  }
+
+  return { valid: true, message: '' };
+}
+
+/**
+ * Validate the contact form
+ * @param {Object} formData - Form data { name, email, subject, orderNumber, message }
+ * @returns {Object} Validation result { valid, errors } (errors keyed by field name)
+ */
+function validateContactForm(formData) {
+  const errors = {};
+  const checkout = window.CheckoutModule;
+
+  const nameResult = checkout.validateRequired(formData.name, 'Name');
+  if (!nameResult.valid) errors.name = nameResult.message;
+
+  const emailResult = checkout.validateEmail(formData.email);
+  if (!emailResult.valid) errors.email = emailResult.message;
+
+  if (!SUPPORT_SUBJECTS[formData.subject]) {
+    errors.subject = 'Please select a subject.';
+  }
+
+  const orderResult = validateOrderReference(formData.orderNumber);
+  if (!orderResult.valid) errors.orderNumber = orderResult.message;
+
+  const messageResult = validateSupportMessage(formData.message);
+  if (!messageResult.valid) errors.message = messageResult.message;
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Check whether another message may be sent yet
+ * @param {Date} [now] - Time to check at
+ * @returns {Object} Result { allowed, retryAfter (seconds), message }
+ */
+function checkSupportThrottle(now = new Date()) {
+  const times = getSupportTickets().map(ticket => new Date(ticket.createdAt).getTime());
+  const lastSent = times.length ? Math.max(...times) : 0;
+  const cooldownEnds = lastSent + SUPPORT_COOLDOWN_SECONDS * 1000;
+
+  if (now.getTime() < cooldownEnds) {
+    const retryAfter = Math.ceil((cooldownEnds - now.getTime()) / 1000);
+    return {
+      allowed: false,
+      retryAfter,
+      message: `Please wait ${retryAfter} second${retryAfter !== 1 ? 's' : ''} before sending another message.`
+    };
+  }
+
+  const hourAgo = now.getTime() - 60 * 60 * 1000;
+  const recent = times.filter(time => time > hourAgo).sort((a, b) => a - b);
+
+  if (recent.length >= SUPPORT_MAX_PER_HOUR) {
+    const retryAfter = Math.ceil((recent[recent.length - SUPPORT_MAX_PER_HOUR] + 60 * 60 * 1000 - now.getTime()) / 1000);
+    return {
+      allowed: false,
+      retryAfter,
+      message: `You've sent us ${SUPPORT_MAX_PER_HOUR} messages in the last hour. Please try again in ${Math.ceil(retryAfter / 60)} minutes, or call us for anything urgent.`
+    };
+  }
+
+  return { allowed: true, retryAfter: 0, message: '' };
+}
+
+/**
+ * Submit the contact form as a support ticket
+ * The ticket is saved before it is sent, so a failed delivery can be retried with sendSupportTicket()
+ * @param {Object} formData - Form data { name, email, subject, orderNumber, message, website }
+ *   website is a honeypot field hidden from people; bots that fill it in are quietly dropped
+ * @returns {Promise<Object>} Result { success, ticket, code?, message?, errors? }
+ */
+async function submitContactForm(formData) {
+  if (formData.website) {
+    return { success: true, ticket: null };
+  }
+
+  const validation = validateContactForm(formData);
+  if (!validation.valid) {
+    return {
+      success: false,
+      ticket: null,
+      code: 'validation_failed',
+      message: 'Please correct the highlighted fields.',
+      errors: validation.errors
+    };
+  }
+
+  const throttle = checkSupportThrottle();
+  if (!throttle.allowed) {
+    return { success: false, ticket: null, code: 'throttled', message: throttle.message, errors: {} };
+  }
+
+  const ticket = {
+    id: generateTicketId(),
+    createdAt: new Date().toISOString(),
+    status: 'open',
+    name: formData.name.trim(),
+    email: formData.email.trim(),
+    subject: formData.subject,
+    subjectLabel: SUPPORT_SUBJECTS[formData.subject],
+    orderNumber: (formData.orderNumber || '').trim().toUpperCase(),
+    message: formData.message.trim(),
+    delivery: { transport: null, status: 'pending', reference: null, attempts: 0 }
+  };
+
+  if (!saveSupportTicket(ticket)) {
+    return {
+      success: false,
+      ticket: null,
+      code: 'save_failed',
+      message: 'We could not send your message. Please try again or email us directly.',
+      errors: {}
+    };
+  }
+
+  return sendSupportTicket(ticket.id);
+}
+
+/**
+ * Send (or resend) a ticket with the active transport
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Object>} Result { success, ticket, code?, message? }
+ */
+async function sendSupportTicket(ticketId) {
+  const ticket = getSupportTicket(ticketId);
+  if (!ticket) {
+    return { success: false, ticket: null, code: 'ticket_not_found', message: 'Ticket not found.' };
+  }
+
+  const transport = getSupportTransport();
+  let outcome;
+
+  try {
+    outcome = await transport.send(ticket);
+  } catch (error) {
+    console.error('Error sending support ticket:', error);
+    outcome = { success: false, error: error.message };
+  }
+
+  const sent = {
+    ...ticket,
+    delivery: {
+      transport: transport.id,
+      status: outcome.success ? 'sent' : 'failed',
+      reference: outcome.reference || null,
+      attempts: ticket.delivery.attempts + 1
+    }
+  };
+  saveSupportTicket(sent);
+
+  if (!outcome.success) {
+    return {
+      success: false,
+      ticket: sent,
+      code: 'send_failed',
+      message: 'We could not send your message. Please try again or email us directly.'
+    };
+  }
+
+  return { success: true, ticket: sent };
+}
+
+// Built-in transport: queue tickets on this device until a helpdesk integration picks them up
+registerSupportTransport('local-outbox', {
+  label: 'Local outbox',
+  send(ticket) {
+    const outbox = getSupportOutbox();
+    outbox.push({ ...ticket, queuedAt: new Date().toISOString() });
+
+    try {
+      localStorage.setItem(SUPPORT_OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+      return Promise.resolve({ success: true, reference: `outbox-${outbox.length}` });
+    } catch (error) {
+      console.error('Error saving support outbox to localStorage:', error);
+      return Promise.resolve({ success: false, error: error.message });
+    }
+  }
+});
+
+// Export functions for use in other modules
+window.SupportModule = {
+  SUPPORT_SUBJECTS,
+
+  // Validation
+  validateContactForm,
+  validateOrderReference,
+  validateSupportMessage,
+  checkSupportThrottle,
+
+  // Tickets
+  submitContactForm,
+  sendSupportTicket,
+  getSupportTickets,
+  getSupportTicket,
+  getSupportOutbox,
+
+  // Transports
+  registerSupportTransport,
+  setSupportTransport,
+  getSupportTransport
+};
@@ -0,0 +1,348 @@
+// Tax Module
+// Sales tax and VAT by destination, with tax-inclusive display and exempt product classes
+
+// Product tax classes
+// 'apparel' is exempt in states that do not tax clothing; 'exempt' is never taxed
+const TAX_CLASSES = {
+  standard: 'Standard',
+  apparel: 'Clothing',
+  exempt: 'Tax exempt'
+};
+
+const DEFAULT_TAX_CLASS = 'standard';
+
+/**
+ * State sales tax rates (state-level rate only; local add-ons are not collected)
+ * exemptClasses lists tax classes the state does not tax
+ */
+const US_STATE_TAX_RATES = {
+  AL: { name: 'Alabama', rate: 0.04 },
+  AK: { name: 'Alaska', rate: 0 },
+  AZ: { name: 'Arizona', rate: 0.056 },
+  AR: { name: 'Arkansas', rate: 0.065 },
+  CA: { name: 'California', rate: 0.0725 },
+  CO: { name: 'Colorado', rate: 0.029 },
+  CT: { name: 'Connecticut', rate: 0.0635 },
+  DE: { name: 'Delaware', rate: 0 },
+  DC: { name: 'District of Columbia', rate: 0.06 },
+  FL: { name: 'Florida', rate: 0.06 },
+  GA: { name: 'Georgia', rate: 0.04 },
+  HI: { name: 'Hawaii', rate: 0.04 },
+  ID: { name: 'Idaho', rate: 0.06 },
+  IL: { name: 'Illinois', rate: 0.0625 },
+  IN: { name: 'Indiana', rate: 0.07 },
+  IA: { name: 'Iowa', rate: 0.06 },
+  KS: { name: 'Kansas', rate: 0.065 },
+  KY: { name: 'Kentucky', rate: 0.06 },
+  LA: { name: 'Louisiana', rate: 0.05 },
+  ME: { name: 'Maine', rate: 0.055 },
+  MD: { name: 'Maryland', rate: 0.06 },
+  MA: { name: 'Massachusetts', rate: 0.0625 },
+  MI: { name: 'Michigan', rate: 0.06 },
+  MN: { name: 'Minnesota', rate: 0.06875, exemptClasses: ['apparel'] },
+  MS: { name: 'Mississippi', rate: 0.07 },
+  MO: { name: 'Missouri', rate: 0.04225 },
+  MT: { name: 'Montana', rate: 0 },
+  NE: { name: 'Nebraska', rate: 0.055 },
+  NV: { name: 'Nevada', rate: 0.0685 },
+  NH: { name: 'New Hampshire', rate: 0 },
+  NJ: { name: 'New Jersey', rate: 0.06625, exemptClasses: ['apparel'] },
+  NM: { name: 'New Mexico', rate: 0.04875 },
+  NY: { name: 'New York', rate: 0.04 },
+  NC: { name: 'North Carolina', rate: 0.0475 },
+  ND: { name: 'North Dakota', rate: 0.05 },
+  OH: { name: 'Ohio', rate: 0.0575 },
+  OK: { name: 'Oklahoma', rate: 0.045 },
+  OR: { name: 'Oregon', rate: 0 },
+  PA: { name: 'Pennsylvania', rate: 0.06, exemptClasses: ['apparel'] },
+  RI: { name: 'Rhode Island', rate: 0.07 },
+  SC: { name: 'South Carolina', rate: 0.06 },
+  SD: { name: 'South Dakota', rate: 0.042 },
+  TN: { name: 'Tennessee', rate: 0.07 },
+  TX: { name: 'Texas', rate: 0.0625 },
+  UT: { name: 'Utah', rate: 0.0485 },
+  VT: { name: 'Vermont', rate: 0.06 },
+  VA: { name: 'Virginia', rate: 0.053 },
+  WA: { name: 'Washington', rate: 0.065 },
+  WV: { name: 'West Virginia', rate: 0.06 },
+  WI: { name: 'Wisconsin', rate: 0.05 },
+  WY: { name: 'Wyoming', rate: 0.04 }
+};
+
+/**
+ * Country tax rules, keyed by the country codes used by the checkout form
+ * inclusive: prices are shown with tax included (VAT countries)
+ * shippingTaxable: whether the delivery charge is taxed at the standard rate
+ * regions: per-region rates for countries that tax by state
+ */
+const TAX_JURISDICTIONS = {
+  US: { name: 'United States', label: 'Sales tax', inclusive: false, shippingTaxable: false, regions: US_STATE_TAX_RATES },
+  CA: { name: 'Canada', label: 'GST', rate: 0.05, inclusive: false, shippingTaxable: true },
+  AU: { name: 'Australia', label: 'GST', rate: 0.10, inclusive: false, shippingTaxable: true },
+  UK: { name: 'United Kingdom', label: 'VAT', rate: 0.20, inclusive: true, shippingTaxable: true },
+  DE: { name: 'Germany', label: 'VAT', rate: 0.19, inclusive: true, shippingTaxable: true },
+  FR: { name: 'France', label: 'VAT', rate: 0.20, inclusive: true, shippingTaxable: true },
+  NL: { name: 'Netherlands', label: 'VAT', rate: 0.21, inclusive: true, shippingTaxable: true }
+};
+
+// Product tax classes, keyed by product ID
+const productTaxClasses = {};
+
+/**
+ * Register product tax classes (called once products are loaded)
+ * @param {Array} products - Array of product objects from products.json
+ */
+function registerProductTaxClasses(products) {
+  products.forEach(product => {
+    productTaxClasses[product.id] = product.taxClass || DEFAULT_TAX_CLASS;
+  });
+}
+
+/**
+ * Get the tax class of a cart or order line
+ * @param {Object} item - Line item { productId, taxClass }
+ * @returns {string} Tax class
+ */
+function getItemTaxClass(item) {
+  return item.taxClass || productTaxClasses[item.productId] || DEFAULT_TAX_CLASS;
+}
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundTax(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Get the shopper's destination (from the shipping module when available)
+ * @returns {Object} Destination { country, state }
+ */
+function getTaxDestination() {
+  return window.ShippingModule ? window.ShippingModule.getDestination() : { country: 'US' };
+}
+
+/**
+ * Resolve a state entered at checkout ("ca", "CA" or "California") to its code
+ * @param {string} state - State as entered
+ * @returns {string|null} Two-letter state code, or null if not recognized
+ */
+function normalizeStateCode(state) {
+  if (!state) {
+    return null;
+  }
+
+  const value = state.trim().toUpperCase();
+  if (US_STATE_TAX_RATES[value]) {
+    return value;
+  }
+
+  return Object.keys(US_STATE_TAX_RATES).find(code => US_STATE_TAX_RATES[code].name.toUpperCase() === value) || null;
+}
+
+/**
+ * Get the tax jurisdiction for a destination
+ * US destinations without a recognized state are returned as pending (tax calculated at checkout)
+ * @param {Object} [destination] - Destination { country, state } (defaults to the shopper's)
+ * @returns {Object} Jurisdiction { id, country, region, name, label, rate, inclusive, shippingTaxable, exemptClasses, pending }
+ */
+function getTaxJurisdiction(destination = getTaxDestination()) {
+  const country = destination && destination.country ? destination.country : 'US';
+  const rules = TAX_JURISDICTIONS[country];
+
+  if (!rules) {
+    return {
+      id: country,
+      country,
+      region: null,
+      name: country,
+      label: 'Tax',
+      rate: 0,
+      inclusive: false,
+      shippingTaxable: false,
+      exemptClasses: [],
+      pending: false
+    };
+  }
+
+  const base = {
+    id: country,
+    country,
+    region: null,
+    name: rules.name,
+    label: rules.label,
+    rate: rules.rate || 0,
+    inclusive: rules.inclusive,
+    shippingTaxable: rules.shippingTaxable,
+    exemptClasses: [],
+    pending: false
+  };
+
+  if (!rules.regions) {
+    return base;
+  }
+
+  const region = normalizeStateCode(destination && destination.state);
+  if (!region) {
+    return { ...base, pending: true };
+  }
+
+  const regionRules = rules.regions[region];
+  return {
+    ...base,
+    id: `${country}-${region}`,
+    region,
+    name: regionRules.name,
+    rate: regionRules.rate,
+    exemptClasses: regionRules.exemptClasses || []
+  };
+}
+
+/**
+ * Get the rate a jurisdiction charges on a tax class
+ * @param {Object} jurisdiction - Jurisdiction from getTaxJurisdiction
+ * @param {string} taxClass - Tax class
+ * @returns {number} Rate (0.19 for 19%)
+ */
+function getTaxRate(jurisdiction, taxClass) {
+  if (jurisdiction.pending || taxClass === 'exempt' || jurisdiction.exemptClasses.includes(taxClass)) {
+    return 0;
+  }
+  return jurisdiction.rate;
+}
+
+/**
+ * Get the price to show a shopper: tax included for VAT destinations, unchanged otherwise
+ * @param {number} amount - Price before tax
+ * @param {string} [taxClass='standard'] - Tax class of the product
+ * @param {Object} [destination] - Destination (defaults to the shopper's)
+ * @returns {number} Display price
+ */
+function getDisplayPrice(amount, taxClass = DEFAULT_TAX_CLASS, destination = getTaxDestination()) {
+  const jurisdiction = getTaxJurisdiction(destination);
+  if (!jurisdiction.inclusive) {
+    return amount;
+  }
+  return roundTax(amount * (1 + getTaxRate(jurisdiction, taxClass)));
+}
+
+/**
+ * Check whether prices are shown tax-inclusive for a destination
+ * @param {Object} [destination] - Destination (defaults to the shopper's)
+ * @returns {boolean} True for VAT destinations
+ */
+function isTaxInclusive(destination = getTaxDestination()) {
+  return getTaxJurisdiction(destination).inclusive;
+}
+
+/**
+ * Calculate tax for a cart or order
+ * Tax is charged on each line after its promotion discounts, plus shipping where it is taxable.
+ * For tax-inclusive destinations `display` holds the subtotal, discount and shipping with tax
+ * included, so the summary rows still add up to the total.
+ * @param {Array} items - Cart or order lines { cartId, productId, price, quantity, taxClass }
+ * @param {Object} [options] - Options
+ * @param {Array} [options.promotions=[]] - Applied promotions, with per-line discounts
+ * @param {number} [options.shippingCost=0] - Shipping charge before tax
+ * @param {Object} [options.destination] - Destination (defaults to the shopper's)
+ * @returns {Object} Tax { jurisdiction, name, label, rate, inclusive, pending, amount, itemsTax,
+ *   shippingTax, exemptAmount, display: { subtotal, discount, shipping } }
+ */
+function calculateTax(items, options = {}) {
+  const promotions = options.promotions || [];
+  const shippingCost = options.shippingCost || 0;
+  const jurisdiction = getTaxJurisdiction(options.destination || getTaxDestination());
+
+  const lineDiscounts = {};
+  promotions.forEach(promotion => {
+    (promotion.lines || []).forEach(line => {
+      lineDiscounts[line.cartId] = (lineDiscounts[line.cartId] || 0) + line.amount;
+    });
+  });
+
+  let taxBeforeDiscounts = 0;
+  let taxAfterDiscounts = 0;
+  let discountTotal = 0;
+  let exemptAmount = 0;
+
+  items.forEach(item => {
+    const lineTotal = item.price * item.quantity;
+    const discount = Math.min(lineDiscounts[item.cartId] || 0, lineTotal);
+    const rate = getTaxRate(jurisdiction, getItemTaxClass(item));
+
+    taxBeforeDiscounts += lineTotal * rate;
+    taxAfterDiscounts += (lineTotal - discount) * rate;
+    discountTotal += discount;
+    if (rate === 0) {
+      exemptAmount += lineTotal - discount;
+    }
+  });
+
+  const itemsTax = roundTax(taxAfterDiscounts);
+  const shippingTax = jurisdiction.shippingTaxable ? roundTax(shippingCost * getTaxRate(jurisdiction, DEFAULT_TAX_CLASS)) : 0;
+  const subtotal = roundTax(items.reduce((total, item) => total + item.price * item.quantity, 0));
+  const undiscountedTax = roundTax(taxBeforeDiscounts);
+  const discount = roundTax(discountTotal);
+
+  const display = jurisdiction.inclusive
+    ? {
+      subtotal: roundTax(subtotal + undiscountedTax),
+      discount: roundTax(discount + undiscountedTax - itemsTax),
+      shipping: roundTax(shippingCost + shippingTax)
+    }
+    : { subtotal, discount, shipping: shippingCost };
+
+  return {
+    jurisdiction: jurisdiction.id,
+    name: jurisdiction.name,
+    label: jurisdiction.label,
+    rate: jurisdiction.rate,
+    inclusive: jurisdiction.inclusive,
+    pending: jurisdiction.pending,
+    amount: roundTax(itemsTax + shippingTax),
+    itemsTax,
+    shippingTax,
+    exemptAmount: roundTax(exemptAmount),
+    display
+  };
+}
+
+/**
+ * Describe a tax result for a summary row
+ * @param {Object} tax - Result of calculateTax
+ * @returns {string} Label such as "Sales tax (California 7.25%)" or "Includes VAT (19%)"
+ */
+function getTaxLabel(tax) {
+  if (tax.pending) {
+    return 'Estimated tax';
+  }
+
+  const percent = `${parseFloat((tax.rate * 100).toFixed(3))}%`;
+  if (tax.inclusive) {
+    return `Includes ${tax.label} (${percent})`;
+  }
+  return tax.label === 'Sales tax'
+    ? `${tax.label} (${tax.name} ${percent})`
+    : `${tax.label} (${percent})`;
+}
+
+// Export functions for use in other modules
+window.TaxModule = {
+  // Catalog
+  TAX_CLASSES,
+  registerProductTaxClasses,
+  getItemTaxClass,
+
+  // Jurisdictions
+  normalizeStateCode,
+  getTaxJurisdiction,
+  getTaxRate,
+  isTaxInclusive,
+
+  // Calculation
+  calculateTax,
+  getDisplayPrice,
+  getTaxLabel
+};
@@ -0,0 +1,304 @@
+// Wishlist Module
+// Saved products and save-for-later cart lines with localStorage persistence, move-to-cart and share links
+
+const WISHLIST_STORAGE_KEY = 'mh_wishlist';
+
+// Most products a shared wishlist link will carry
+const MAX_SHARED_WISHLIST_ITEMS = 50;
+
+/**
+ * Get the wishlist
+ * Entries saved from a product are product-level (sku null); entries saved from the cart keep
+ * their size, color and quantity
+ * @returns {Array} Entries { id, productId, sku, size, color, quantity, price, addedAt, source }
+ */
+function getWishlist() {
+  try {
+    const stored = localStorage.getItem(WISHLIST_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading wishlist from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the wishlist
+ * @param {Array} wishlist - Entries
+ */
+function saveWishlist(wishlist) {
+  try {
+    localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(wishlist));
+  } catch (error) {
+    console.error('Error saving wishlist to localStorage:', error);
+  }
+}
+
+/**
+ * Get the ID of a wishlist entry: its SKU, or the product ID for product-level entries
+ * @param {Object} entry - Entry { productId, sku }
+ * @returns {string} Entry ID
+ */
+function getWishlistEntryId(entry) {
+  return entry.sku || entry.productId;
+}
+
+/**
+ * Add a product or variant to the wishlist
+ * Saving a variant that is already there adds to its quantity
+ * @param {Object} item - Item { productId, sku?, size?, color?, quantity?, price? }
+ * @param {string} [source='wishlist'] - Where it was saved from ('wishlist', 'cart' or 'shared')
+ * @returns {Object} The saved entry
+ */
+function addToWishlist(item, source = 'wishlist') {
+  const wishlist = getWishlist();
+  const id = getWishlistEntryId(item);
+  const existing = wishlist.find(entry => entry.id === id);
+
+  if (existing) {
+    if (item.sku) existing.quantity += item.quantity || 1;
+    saveWishlist(wishlist);
+    return existing;
+  }
+
+  const entry = {
+    id,
+    productId: item.productId,
+    sku: item.sku || null,
+    size: item.sku ? item.size : null,
+    color: item.sku ? item.color : null,
+    quantity: item.quantity || 1,
+    // Price when saved, so the wishlist can point out price drops
+    price: typeof item.price === 'number' ? item.price : null,
+    addedAt: new Date().toISOString(),
+    source
+  };
+
+  wishlist.push(entry);
+  saveWishlist(wishlist);
+  return entry;
+}
+
+/**
+ * Remove an entry from the wishlist
+ * @param {string} entryId - Entry ID
+ * @returns {Array} Updated wishlist
+ */
+function removeFromWishlist(entryId) {
+  const wishlist = getWishlist().filter(entry => entry.id !== entryId);
+  saveWishlist(wishlist);
+  return wishlist;
+}
+
+/**
+ * Check whether a product itself is saved (the heart), as opposed to one of its variants
+ * Variants saved for later from the cart are separate entries with their own SKU
+ * @param {string} productId - Product ID
+ * @returns {boolean} True if the product-level entry is saved
+ */
+function isInWishlist(productId) {
+  return getWishlist().some(entry => entry.productId === productId && !entry.sku);
+}
+
+/**
+ * Save a product, or remove it if it is already saved (the heart toggle)
+ * Only the product-level entry is toggled; saved variants stay on the wishlist
+ * @param {string} productId - Product ID
+ * @param {number} [price] - Current price
+ * @returns {boolean} True if the product is now saved
+ */
+function toggleWishlist(productId, price) {
+  if (isInWishlist(productId)) {
+    removeFromWishlist(getWishlistEntryId({ productId }));
+    return false;
+  }
+
+  addToWishlist({ productId, price });
+  return true;
+}
+
+/**
+ * Get the number of entries in the wishlist
+ * @returns {number} Entry count
+ */
+function getWishlistCount() {
+  return getWishlist().length;
+}
+
+/**
+ * Move a cart line to the wishlist
+ * @param {string} cartId - Cart line ID
+ * @returns {Object|null} The saved entry, or null if the line was not found
+ */
+function saveForLater(cartId) {
+  const cart = window.CartModule ? window.CartModule.getCart() : [];
+  const line = cart.find(item => item.cartId === cartId);
+  if (!line) return null;
+
+  const entry = addToWishlist({
+    productId: line.productId,
+    sku: line.sku,
+    size: line.size,
+    color: line.color,
+    quantity: line.quantity,
+    price: line.price
+  }, 'cart');
+
+  window.CartModule.removeFromCart(cartId);
+  return entry;
+}
+
+/**
+ * Join wishlist entries to the catalog
+ * @param {Array} [entries] - Entries (defaults to the wishlist)
+ * @returns {Promise<Array>} Items { entry, product, variant } (product and variant are null when
+ *   the product or that size and color is no longer sold; variant is the default variant for
+ *   product-level entries)
+ */
+async function getWishlistItems(entries = getWishlist()) {
+  const products = window.ProductsModule ? await window.ProductsModule.loadProducts() : [];
+
+  return entries.map(entry => {
+    const product = products.find(candidate => candidate.id === entry.productId) || null;
+    let variant = null;
+
+    if (product) {
+      variant = entry.sku
+        ? window.ProductsModule.getVariants(product).find(candidate => candidate.sku === entry.sku) || null
+        : window.ProductsModule.getDefaultVariant(product);
+    }
+
+    return { entry, product, variant };
+  });
+}
+
+/**
+ * Add a wishlist entry to the cart and take it off the wishlist
+ * Product-level entries use the product's default variant; quantities are capped at available stock
+ * @param {string} entryId - Entry ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.keep=false] - Leave the entry on the wishlist (used for shared wishlists)
+ * @param {Object} [options.entry] - Entry to use instead of looking it up (used for shared wishlists)
+ * @returns {Promise<Object>} Result { success, item?, limited?, message? }
+ */
+async function moveToCart(entryId, options = {}) {
+  const entry = options.entry || getWishlist().find(candidate => candidate.id === entryId);
+  if (!entry || !window.CartModule) {
+    return { success: false, message: 'This item is no longer on your wishlist.' };
+  }
+
+  const [{ product, variant }] = await getWishlistItems([entry]);
+
+  if (!product || !variant) {
+    return { success: false, message: 'This item is no longer available.' };
+  }
+  if (!variant.inStock) {
+    return { success: false, message: `${product.name} (${variant.color} / ${variant.size}) is out of stock.` };
+  }
+
+  const item = {
+    productId: product.id,
+    sku: variant.sku,
+    name: product.name,
+    price: variant.price,
+    size: variant.size,
+    color: variant.color,
+    quantity: entry.quantity,
+    image: variant.image,
+    category: product.category,
+    taxClass: product.taxClass
+  };
+
+  // Add what stock allows, counting units already in the cart
+  const existing = window.CartModule.getCart().find(cartItem => cartItem.sku === item.sku);
+  const available = window.CartModule.getMaxQuantity(item, existing ? existing.cartId : null) - (existing ? existing.quantity : 0);
+  const quantity = Math.min(entry.quantity, Math.max(0, available));
+
+  if (quantity === 0) {
+    return { success: false, message: `No more ${product.name} is available in stock.` };
+  }
+
+  window.CartModule.addToCart({ ...item, quantity });
+
+  if (!options.keep) {
+    removeFromWishlist(entry.id);
+  }
+
+  return { success: true, item: { ...item, quantity }, limited: quantity < entry.quantity };
+}
+
+/**
+ * Build a link that shows the wishlist to someone else
+ * Entries are encoded as productId or productId~sku~quantity, comma-separated
+ * @param {string} [baseUrl] - Page URL to share (defaults to the wishlist page)
+ * @returns {string} URL
+ */
+function getWishlistShareUrl(baseUrl) {
+  const page = window.location.pathname.includes('/pages/') ? 'wishlist.html' : 'pages/wishlist.html';
+  const url = new URL(baseUrl || page, window.location.href);
+  const items = getWishlist()
+    .slice(0, MAX_SHARED_WISHLIST_ITEMS)
+    .map(entry => (entry.sku ? [entry.productId, entry.sku, entry.quantity].join('~') : entry.productId));
+
+  url.search = '';
+  url.searchParams.set('shared', items.join(','));
+  return url.href;
+}
+
+/**
+ * Read the entries in a shared wishlist link
+ * @param {string} param - Value of the link's `shared` parameter
+ * @returns {Array} Entries (not saved to this wishlist)
+ */
+function parseSharedWishlist(param) {
+  return (param || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .slice(0, MAX_SHARED_WISHLIST_ITEMS)
+    .map(part => {
+      const [productId, sku, quantity] = part.split('~');
+      return {
+        id: sku || productId,
+        productId,
+        sku: sku || null,
+        quantity: Math.max(1, Math.min(99, parseInt(quantity, 10) || 1)),
+        price: null,
+        source: 'shared'
+      };
+    });
+}
+
+/**
+ * Copy a shared wishlist's entries into this wishlist
+ * @param {Array} entries - Entries from parseSharedWishlist()
+ * @returns {number} Number of entries that were not already saved
+ */
+function importSharedWishlist(entries) {
+  const savedIds = getWishlist().map(entry => entry.id);
+  const added = entries.filter(entry => !savedIds.includes(entry.id));
+
+  added.forEach(entry => addToWishlist(entry, 'shared'));
+  return added.length;
+}
+
+// Export functions for use in other modules
+window.WishlistModule = {
+  // Wishlist
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  toggleWishlist,
+  isInWishlist,
+  getWishlistCount,
+  getWishlistItems,
+
+  // Cart integration
+  saveForLater,
+  moveToCart,
+
+  // Sharing
+  getWishlistShareUrl,
+  parseSharedWishlist,
+  importSharedWishlist
+};